@@ -0,0 +1,28 @@
+/**
+ * Replace the unique (contentType, contentId) index on clawbacks with one that only covers applied
+ * clawbacks, so content removed again after an admin override can be clawed back again.
+ *
+ * - syncIndexes drops the old index and builds the schema's indexes; re-running is safe.
+ *
+ * Run:
+ *   node scripts/migrateClawbackIndex.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../src/db/index');
+const Clawback = require('../src/models/Clawback');
+
+async function migrate() {
+  await connectDB();
+  const dropped = await Clawback.syncIndexes();
+  console.log(`✅ Clawback indexes in sync${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}.`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
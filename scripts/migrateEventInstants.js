@@ -0,0 +1,77 @@
+/**
+ * Give existing events a time zone and real start/end instants.
+ *
+ * - eventTime free text ('6:30 PM EST') becomes 'HH:mm'; a trailing zone abbreviation sets timeZone,
+ *   otherwise EVENTS_DEFAULT_TIME_ZONE (default UTC) is assumed.
+ * - eventDate stored as a full date-time is split into the local date and time.
+ * - Events whose time can't be read become all-day events and are listed so they can be checked.
+ * - Saving recomputes startsAt/endsAt/seriesEndsAt, so re-running is safe.
+ *
+ * Run:
+ *   node scripts/migrateEventInstants.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../src/db/index');
+const Event = require('../src/models/Event');
+const { isDateKey } = require('../src/utils/recurrence');
+const { normalizeEventTime, legacyZoneFromTime, localDateTime, isValidTimeZone } = require('../src/utils/zonedTime');
+
+const DEFAULT_ZONE = process.env.EVENTS_DEFAULT_TIME_ZONE || 'UTC';
+
+async function migrate() {
+  if (!isValidTimeZone(DEFAULT_ZONE)) throw new Error(`EVENTS_DEFAULT_TIME_ZONE is not a valid IANA zone: ${DEFAULT_ZONE}`);
+  await connectDB();
+
+  // Read raw documents so events that never had a timeZone can be told apart from UTC ones
+  const cursor = Event.find({}).lean().cursor();
+  let migrated = 0;
+  const allDay = [];
+  const skipped = [];
+
+  for await (const raw of cursor) {
+    const event = Event.hydrate(raw);
+    const legacyTime = raw.eventTime || '';
+    event.timeZone = raw.timeZone || legacyZoneFromTime(legacyTime) || DEFAULT_ZONE;
+
+    if (!isDateKey(event.eventDate)) {
+      const instant = new Date(event.eventDate);
+      if (Number.isNaN(instant.getTime())) {
+        skipped.push(`${event._id} (eventDate "${event.eventDate}")`);
+        continue;
+      }
+      // Legacy date-times were stored as UTC instants
+      const local = localDateTime(instant, event.timeZone);
+      event.eventDate = local.date;
+      if (!normalizeEventTime(legacyTime)) event.eventTime = local.time;
+    }
+
+    const time = normalizeEventTime(event.eventTime);
+    if (time) {
+      event.eventTime = time;
+    } else if (!event.allDay) {
+      if (event.eventTime) allDay.push(`${event._id} ("${event.eventTime}")`);
+      event.eventTime = '';
+      event.allDay = true;
+    }
+    (event.occurrences || []).forEach((o) => {
+      if (o.eventTime) o.eventTime = normalizeEventTime(o.eventTime);
+    });
+
+    await event.save();
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated ${migrated} events.`);
+  if (allDay.length) console.log(`ℹ️  ${allDay.length} events had no readable time and are now all-day:\n  ${allDay.join('\n  ')}`);
+  if (skipped.length) console.log(`❌ Skipped ${skipped.length} events with an unreadable date:\n  ${skipped.join('\n  ')}`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
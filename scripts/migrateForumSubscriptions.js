@@ -0,0 +1,54 @@
+/**
+ * Subscribe existing forum participants to their threads, matching what new threads get automatically.
+ *
+ * - Thread creators watch their threads (source 'created'); everyone who replied watches too (source 'replied').
+ * - Existing subscriptions, muted ones included, are left as they are, so re-running is safe.
+ *
+ * Run:
+ *   node scripts/migrateForumSubscriptions.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { v4: uuidv4 } = require('uuid');
+
+const connectDB = require('../src/db/index');
+const ForumThread = require('../src/models/ForumThread');
+const ForumPost = require('../src/models/ForumPost');
+const ForumThreadSubscription = require('../src/models/ForumThreadSubscription');
+
+function subscribeOp(threadId, userId, source, now) {
+  return {
+    updateOne: {
+      filter: { userId, threadId },
+      update: { $setOnInsert: { _id: uuidv4(), state: 'watching', source, createdAt: now, updatedAt: now } },
+      upsert: true,
+    },
+  };
+}
+
+async function migrate() {
+  await connectDB();
+
+  const cursor = ForumThread.find({ removed: false }).select('_id creatorId').lean().cursor();
+  const now = new Date();
+  let threads = 0;
+  let created = 0;
+  for await (const thread of cursor) {
+    const authors = await ForumPost.distinct('authorId', { threadId: thread._id, removed: false });
+    const ops = [subscribeOp(thread._id, thread.creatorId, 'created', now)];
+    authors.filter((id) => id !== thread.creatorId).forEach((id) => ops.push(subscribeOp(thread._id, id, 'replied', now)));
+    const result = await ForumThreadSubscription.bulkWrite(ops, { ordered: false });
+    created += result.upsertedCount;
+    threads += 1;
+  }
+
+  console.log(`✅ Added ${created} subscriptions across ${threads} forum threads.`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+/**
+ * Fill in the denormalised reply count and last reply on existing forum threads.
+ *
+ * - replyCount counts every non-removed post, the opening post included.
+ * - lastActivityAt is the newest post's time, or the thread's creation time.
+ * - Values are recomputed from ForumPost, so re-running is safe.
+ *
+ * Run:
+ *   node scripts/migrateForumThreadStats.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../src/db/index');
+const ForumThread = require('../src/models/ForumThread');
+const ForumPost = require('../src/models/ForumPost');
+
+async function migrate() {
+  await connectDB();
+
+  const stats = await ForumPost.aggregate([
+    { $match: { removed: false } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: '$threadId', replyCount: { $sum: 1 }, lastReplyId: { $first: '$_id' }, lastReplyAuthorId: { $first: '$authorId' }, lastReplyAt: { $first: '$createdAt' } } },
+  ]).allowDiskUse(true);
+  const byThread = new Map(stats.map((s) => [s._id, s]));
+
+  const cursor = ForumThread.find({}).select('_id createdAt').lean().cursor();
+  let threads = 0;
+  for await (const thread of cursor) {
+    const s = byThread.get(thread._id);
+    await ForumThread.updateOne({ _id: thread._id }, {
+      replyCount: s?.replyCount || 0,
+      lastReplyId: s?.lastReplyId || null,
+      lastReplyAuthorId: s?.lastReplyAuthorId || null,
+      lastReplyAt: s?.lastReplyAt || null,
+      lastActivityAt: s?.lastReplyAt || thread.createdAt,
+    });
+    threads += 1;
+  }
+
+  console.log(`✅ Updated reply stats for ${threads} forum threads.`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+/**
+ * Fold the legacy Badge collection (written by the old hard-coded badges.js rules) into Gamification.badges,
+ * which is where the badge rules engine records earned badges.
+ *
+ * - Inserts any missing BadgeDefinitions from src/data/badgeDefinitions.json (including the role-based "moderator").
+ * - Copies each legacy Badge into the owner's Gamification.badges if not already present.
+ * - Leaves the Badge collection in place; it is no longer written to.
+ *
+ * Run:
+ *   node scripts/migrateLegacyBadges.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../src/db/index');
+const Badge = require('../src/models/Badge');
+const BadgeDefinition = require('../src/models/BadgeDefinition');
+const Gamification = require('../src/models/Gamification');
+const badgeDefinitions = require('../src/data/badgeDefinitions.json');
+
+async function migrate() {
+  await connectDB();
+  const now = new Date();
+
+  for (const def of badgeDefinitions) {
+    await BadgeDefinition.updateOne(
+      { badgeId: def.badgeId },
+      { $setOnInsert: { ...def, createdAt: def.createdAt ? new Date(def.createdAt) : now, updatedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  let copied = 0;
+  const cursor = Badge.find({}).lean().cursor();
+  for await (const badge of cursor) {
+    await Gamification.updateOne(
+      { userId: badge.userId },
+      { $setOnInsert: { userId: badge.userId, totalTokens: 0, actionCounts: {}, createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+    const result = await Gamification.updateOne(
+      { userId: badge.userId, 'badges.badgeId': { $ne: badge.type } },
+      { $push: { badges: { badgeId: badge.type, minted: true, mintedAt: badge.awardedAt || now, nftTokenId: null, nftContractAddress: null } } }
+    );
+    copied += result.modifiedCount;
+  }
+
+  console.log(`✅ Copied ${copied} legacy badges into Gamification.badges.`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+/**
+ * Migrate embedded Gamification.tokenHistory arrays into the TokenLedger collection.
+ *
+ * - Each history entry becomes one ledger entry keyed by `legacy:<entry id>`, so re-running is safe.
+ * - totalTokens is left untouched (it already reflects these entries).
+ * - The embedded array is removed once its entries are in the ledger.
+ *
+ * Run:
+ *   node scripts/migrateTokenHistoryToLedger.js
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { v4: uuidv4 } = require('uuid');
+const connectDB = require('../src/db/index');
+const Gamification = require('../src/models/Gamification');
+const TokenLedger = require('../src/models/TokenLedger');
+
+async function migrate() {
+  await connectDB();
+
+  const cursor = Gamification.find({ 'tokenHistory.0': { $exists: true } }).select('userId tokenHistory').lean().cursor();
+  let users = 0;
+  let entries = 0;
+
+  for await (const doc of cursor) {
+    const ledgerEntries = doc.tokenHistory.map((h) => {
+      const legacyId = h.id || uuidv4();
+      return {
+        _id: uuidv4(),
+        userId: doc.userId,
+        action: h.action || 'legacy',
+        tokens: Number(h.tokens) || 0,
+        idempotencyKey: `legacy:${legacyId}`,
+        metadata: { ...(h.metadata || {}), legacyId },
+        createdAt: h.timestamp || new Date(0),
+      };
+    });
+
+    try {
+      await TokenLedger.insertMany(ledgerEntries, { ordered: false });
+    } catch (err) {
+      // Duplicate keys mean the entry was migrated by a previous run
+      const nonDuplicate = (err.writeErrors || []).filter((e) => e.code !== 11000);
+      if (!err.writeErrors || nonDuplicate.length) throw err;
+    }
+
+    await Gamification.updateOne({ userId: doc.userId }, { $unset: { tokenHistory: 1 } });
+    users += 1;
+    entries += ledgerEntries.length;
+  }
+
+  console.log(`✅ Migrated ${entries} token history entries for ${users} users.`);
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Migration failed:', err?.message || err);
+    process.exit(1);
+  });
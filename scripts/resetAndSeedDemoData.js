@@ -35,6 +35,7 @@ const DiseaseFollower = require('../src/models/DiseaseFollower');
 const ForumThread = require('../src/models/ForumThread');
 const ForumPost = require('../src/models/ForumPost');
 const Gamification = require('../src/models/Gamification');
+const TokenLedger = require('../src/models/TokenLedger');
 const BlockedUser = require('../src/models/BlockedUser');
 const NotificationPreference = require('../src/models/NotificationPreference');
 
@@ -57,6 +58,7 @@ function dayOffset(days) {
 async function resetCollections() {
   const collections = [
     Gamification,
+    TokenLedger,
     Badge,
     BadgeDefinition,
     Notification,
@@ -675,15 +677,6 @@ async function seedDemoData() {
     {
       userId: admin._id,
       totalTokens: 420,
-      tokenHistory: [
-        {
-          id: 'tok-admin-001',
-          action: 'seed',
-          tokens: 420,
-          timestamp: now,
-          metadata: { note: 'Initial demo balance' },
-        },
-      ],
       badges: [],
       actionCounts: { post_created: 5, comment_created: 2, moderation_actions: 3 },
       createdAt: now,
@@ -692,15 +685,6 @@ async function seedDemoData() {
     {
       userId: moderator._id,
       totalTokens: 610,
-      tokenHistory: [
-        {
-          id: 'tok-mod-001',
-          action: 'seed',
-          tokens: 610,
-          timestamp: now,
-          metadata: { note: 'Initial demo balance' },
-        },
-      ],
       badges: [
         {
           badgeId: 'helpful-comment',
@@ -717,15 +701,6 @@ async function seedDemoData() {
     {
       userId: sarah._id,
       totalTokens: 350,
-      tokenHistory: [
-        {
-          id: 'tok-sarah-001',
-          action: 'seed',
-          tokens: 350,
-          timestamp: now,
-          metadata: { note: 'Initial demo balance' },
-        },
-      ],
       badges: [
         {
           badgeId: 'first-post',
@@ -741,6 +716,16 @@ async function seedDemoData() {
     },
   ];
   await Gamification.insertMany(gamification);
+  await TokenLedger.insertMany(
+    gamification.map((g, i) => ({
+      _id: `tok-seed-00${i + 1}`,
+      userId: g.userId,
+      action: 'seed',
+      tokens: g.totalTokens,
+      metadata: { note: 'Initial demo balance' },
+      createdAt: now,
+    }))
+  );
 
   console.log('\n🔔 Seeding notification preferences + notifications...');
   const prefs = [
@@ -10,8 +10,16 @@ const { initializeSocket, setIoInstance } = require('./socket');
 const connectDB = require('./db');
 const auditLogger = require('./middleware/auditLogger');
 const responseCache = require('./middleware/responseCache');
+const rateLimit = require('./middleware/rateLimiter');
 const cookieParser = require('cookie-parser');
 const redis = require('./services/redisClient');
+const { startLeaderboardSnapshotJob } = require('./services/leaderboardSnapshotService');
+const { startWaitlistExpiryJob } = require('./services/eventWaitlistService');
+const { startEventReminderJob } = require('./services/eventReminderService');
+const { startForumDigestJob } = require('./services/forumSubscriptionService');
+const { startSuspensionExpiryJob } = require('./services/suspensionService');
+const { startRedemptionReconcileJob } = require('./services/rewardsService');
+const { parseTrustProxy } = require('./utils/requestInfo');
 
 const PORT = process.env.PORT || 5001;
 const LISTEN_BACKLOG = Number(process.env.LISTEN_BACKLOG || 2048);
@@ -26,6 +34,9 @@ function startServer() {
 
   const AUDIT_LOGGER_ENABLED = String(process.env.AUDIT_LOGGER_ENABLED ?? '1') === '1';
 
+  // req.ip (used for rate limits) only follows X-Forwarded-For from the proxies named here
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
   app.use(
     cors({
       origin: ['http://localhost:3000', 'http://localhost:3001', 'https://winsights-social.sidlabs.net', 'https://winsights-patienthub.sidlabs.net'],
@@ -57,6 +68,7 @@ function startServer() {
     });
   });
 
+  app.use('/api', rateLimit('api'));
   app.use('/api', responseCache());
 
   app.use('/api', AUDIT_LOGGER_ENABLED ? auditLogger() : (req, res, next) => next(), routes);
@@ -71,6 +83,13 @@ function startServer() {
   const io = initializeSocket(server);
   setIoInstance(io);
 
+  startLeaderboardSnapshotJob();
+  startWaitlistExpiryJob();
+  startEventReminderJob();
+  startForumDigestJob();
+  startSuspensionExpiryJob();
+  startRedemptionReconcileJob();
+
   server.listen({ port: PORT, backlog: Number.isFinite(LISTEN_BACKLOG) ? LISTEN_BACKLOG : 2048 }, () => {
     console.log(`API server listening on http://localhost:${PORT}`);
     console.log(`WebSocket server ready`);
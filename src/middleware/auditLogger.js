@@ -1,6 +1,7 @@
 const geoip = require('geoip-lite');
 const ActivityLog = require('../models/ActivityLog');
 const User = require('../models/User');
+const { getClientIp, parseUserAgent } = require('../utils/requestInfo');
 
 // Country code to name mapping for common countries
 const countryNames = {
@@ -19,95 +20,6 @@ const countryNames = {
   'IL': 'Israel', 'TR': 'Turkey', 'HK': 'Hong Kong', 'TW': 'Taiwan',
 };
 
-function getClientIp(req) {
-  // Try multiple headers for real IP (important for proxied requests)
-  const headers = [
-    'x-real-ip',
-    'x-forwarded-for',
-    'cf-connecting-ip', // Cloudflare
-    'x-client-ip',
-    'x-cluster-client-ip',
-    'forwarded-for',
-    'forwarded',
-    'true-client-ip', // Akamai
-  ];
-
-  for (const header of headers) {
-    const value = req.headers[header];
-    if (typeof value === 'string' && value.length > 0) {
-      // x-forwarded-for can have multiple IPs, take the first one
-      const ip = value.split(',')[0].trim();
-      // Skip localhost/private IPs if we can get a better one
-      if (ip && !isPrivateIp(ip)) {
-        return ip;
-      }
-    }
-  }
-
-  // Fallback to connection IP
-  const connectionIp = req.ip || req.connection?.remoteAddress || '';
-
-  // ::1 means localhost in IPv6
-  if (connectionIp === '::1' || connectionIp === '127.0.0.1') {
-    return 'localhost';
-  }
-
-  // ::ffff:127.0.0.1 is IPv4-mapped IPv6 for localhost
-  if (connectionIp.startsWith('::ffff:')) {
-    const ipv4 = connectionIp.slice(7);
-    if (ipv4 === '127.0.0.1') return 'localhost';
-    return ipv4;
-  }
-
-  return connectionIp;
-}
-
-function isPrivateIp(ip) {
-  if (!ip) return true;
-  if (ip === 'localhost' || ip === '::1' || ip === '127.0.0.1') return true;
-
-  // Check for private IPv4 ranges
-  const parts = ip.split('.').map(Number);
-  if (parts.length === 4) {
-    // 10.x.x.x
-    if (parts[0] === 10) return true;
-    // 172.16.x.x - 172.31.x.x
-    if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true;
-    // 192.168.x.x
-    if (parts[0] === 192 && parts[1] === 168) return true;
-  }
-
-  return false;
-}
-
-function parseUserAgent(ua) {
-  if (!ua) return { browser: 'Unknown', os: 'Unknown', device: 'Unknown' };
-
-  let browser = 'Unknown';
-  let os = 'Unknown';
-  let device = 'Desktop';
-
-  // Browser detection
-  if (ua.includes('Firefox/')) browser = 'Firefox';
-  else if (ua.includes('Edg/')) browser = 'Edge';
-  else if (ua.includes('Chrome/')) browser = 'Chrome';
-  else if (ua.includes('Safari/') && !ua.includes('Chrome')) browser = 'Safari';
-  else if (ua.includes('Opera') || ua.includes('OPR/')) browser = 'Opera';
-
-  // OS detection
-  if (ua.includes('Windows')) os = 'Windows';
-  else if (ua.includes('Mac OS')) os = 'macOS';
-  else if (ua.includes('Linux')) os = 'Linux';
-  else if (ua.includes('Android')) os = 'Android';
-  else if (ua.includes('iPhone') || ua.includes('iPad')) os = 'iOS';
-
-  // Device detection
-  if (ua.includes('Mobile') || ua.includes('Android')) device = 'Mobile';
-  else if (ua.includes('iPad') || ua.includes('Tablet')) device = 'Tablet';
-
-  return { browser, os, device };
-}
-
 function actionFromMethod(method, path = '') {
   const m = (method || '').toUpperCase();
   const p = (path || '').toLowerCase();
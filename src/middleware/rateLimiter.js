@@ -0,0 +1,49 @@
+/**
+ * Express middleware – request rate limiting.
+ *
+ * Behaviour:
+ *  - Counts each request against a named policy (see utils/rateLimits) per client IP and, after
+ *    `authenticate`, per user. Counters live in Redis, or in its in-memory LRU when Redis is down.
+ *  - The IP is req.ip, so forwarding headers only count from proxies trusted through TRUST_PROXY.
+ *  - Sets RateLimit-Limit/Remaining/Reset/Policy for the tightest bucket seen so far on the request,
+ *    so a strict route policy wins over the global one.
+ *  - Over the limit: 429 with Retry-After.
+ *  - Fails open: a limiter error never blocks the request.
+ */
+
+const { consume } = require('../services/rateLimitService');
+const { POLICIES, rateLimitHeaders } = require('../utils/rateLimits');
+const { getTrustedIp } = require('../utils/requestInfo');
+
+const RATE_LIMIT_ENABLED = String(process.env.RATE_LIMIT_ENABLED ?? '1') === '1';
+
+function rateLimit(policyName) {
+  const policy = POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    let bucket;
+    try {
+      bucket = await consume(policyName, { ip: getTrustedIp(req), userId: req.user?.id });
+    } catch (err) {
+      console.error(`Rate limiter (${policyName}) failed:`, err?.message || err);
+      return next();
+    }
+    if (!bucket) return next();
+
+    const previous = res.locals.rateLimitBucket;
+    if (bucket.limited || !previous || bucket.limit - bucket.count < previous.limit - previous.count) {
+      res.locals.rateLimitBucket = bucket;
+      res.set(rateLimitHeaders(bucket, policy.windowSeconds));
+    }
+
+    if (bucket.limited) {
+      return res.status(429).json({ error: 'Too many requests. Please slow down and try again later.', retryAfter: bucket.resetSeconds });
+    }
+    return next();
+  };
+}
+
+module.exports = rateLimit;
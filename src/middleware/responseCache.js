@@ -6,21 +6,21 @@
  *
  * Behaviour:
  *  - Only caches GET requests that return 2xx JSON.
- *  - Cache key = userId + method + originalUrl (includes query string).
+ *  - Cache key = hashed auth header + the user's cache generation + originalUrl (includes query string).
+ *    Revoking sessions or suspending a user bumps the generation, so a revoked token stops getting hits.
  *  - Default TTL is short (10 s) so data stays fresh.
  *  - Skips caching for paths listed in SKIP_PATHS.
  *  - Gracefully degrades: if Redis is unavailable the request passes through.
  */
 
 const { safeGet, safeSet, safeDel, getClient, isReady } = require('../services/redisClient');
+const { getResponseGeneration } = require('../services/cacheService');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
-// Paths that must NEVER be cached (auth, writes, real-time)
+// Paths that must NEVER be cached (auth and session state, writes, real-time)
 const SKIP_PREFIXES = [
-  '/api/auth/login',
-  '/api/auth/register',
-  '/api/auth/logout',
-  '/api/auth/login/challenge',
+  '/api/auth/',
   '/health',
 ];
 
@@ -42,6 +42,17 @@ function getAuthIdentity(req) {
   return `auth:${digest}`;
 }
 
+/**
+ * Whose generation the request's cache entries use. The token is only decoded, not verified: the key also
+ * has the hashed header, so a forged token can only ever read entries cached for that same forged token.
+ */
+function getTokenPrincipal(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  const payload = jwt.decode(token);
+  return payload?.id || payload?.sub || null;
+}
+
 function shouldSkip(path) {
   for (const prefix of SKIP_PREFIXES) {
     if (path.startsWith(prefix)) return true;
@@ -61,7 +72,14 @@ function responseCache(ttlSeconds = DEFAULT_TTL) {
     // Build a cache key incorporating the authenticated identity.
     // NOTE: At this middleware position, req.user may not be populated yet.
     const identity = req.user?.id || req.user?._id || getAuthIdentity(req);
-    const cacheKey = `rc:${identity}:${req.originalUrl}`;
+    const principal = getTokenPrincipal(req);
+    let generation = '0';
+    try {
+      if (principal) generation = await getResponseGeneration(principal);
+    } catch {
+      // Redis error — use the base generation
+    }
+    const cacheKey = `rc:${identity}:g${generation}:${req.originalUrl}`;
     const lockKey = `${cacheKey}:lock`;
 
     // Try to serve from cache
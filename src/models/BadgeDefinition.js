@@ -3,15 +3,16 @@ const mongoose = require('mongoose');
 const badgeDefinitionSchema = new mongoose.Schema({
     badgeId: { type: String, required: true, unique: true },
     name: { type: String, required: true },
-    description: { type: String, required: true },
-    criteria: {
-        actionType: { type: String, required: true },
-        threshold: { type: Number, required: true }
-    },
-    imageUrl: { type: String, required: true },
-    tokenReward: { type: Number, required: true },
+    description: { type: String, default: '' },
+    criteria: { type: mongoose.Schema.Types.Mixed, required: true }, // Rule tree, see src/utils/badgeRules.js
+    imageUrl: { type: String, default: '' },
+    tokenReward: { type: Number, default: 0 },
     isNFT: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
+    active: { type: Boolean, default: true },
+    lastBackfill: { type: mongoose.Schema.Types.Mixed, default: null }, // { status, startedAt, heartbeatAt, completedAt, evaluated, awarded }
+    createdBy: { type: String, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
 }, {
     toJSON: {
         transform: function (doc, ret) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Clawback Model - Reversal of the tokens and badges a user earned from content later removed by moderation
+ *
+ * entries: Negative ledger entries written, each linked to the award it reverses
+ * revokedBadges: Badges whose criteria were no longer met after the reversal
+ * status: 'overridden' once an admin has restored everything; removing the content again then starts a new clawback
+ */
+const clawbackSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    contentType: { type: String, enum: ['post', 'comment'], required: true },
+    contentId: { type: String, required: true },
+    moderatorId: { type: String, ref: 'User', default: null },
+    reason: { type: String, default: '' },
+    entries: [
+        {
+            _id: false,
+            entryId: { type: String, ref: 'TokenLedger' },
+            originalEntryId: { type: String, ref: 'TokenLedger' },
+            originalAction: { type: String },
+            tokens: { type: Number }
+        }
+    ],
+    revokedBadges: [
+        {
+            _id: false,
+            badgeId: { type: String },
+            mintedAt: { type: Date }
+        }
+    ],
+    totalTokens: { type: Number, default: 0 }, // Tokens taken back (positive)
+    status: { type: String, enum: ['applied', 'overridden'], default: 'applied' },
+    overriddenBy: { type: String, ref: 'User', default: null },
+    overriddenAt: { type: Date, default: null },
+    overrideReason: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+// One clawback in force per removed item; overridden ones stay as history. Existing databases: node scripts/migrateClawbackIndex.js
+clawbackSchema.index({ contentType: 1, contentId: 1 }, { unique: true, partialFilterExpression: { status: 'applied' } });
+clawbackSchema.index({ status: 1, createdAt: -1 }); // Admin review list
+clawbackSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Clawback', clawbackSchema);
@@ -6,8 +6,23 @@ const commentSchema = new mongoose.Schema({
     authorId: { type: String, ref: 'User', required: true },
     content: { type: String, required: true },
     parentCommentId: { type: String, ref: 'Comment', default: null },
+    replyCount: { type: Number, default: 0 }, // Denormalized count of direct replies
+    reactionCounts: {
+        hug: { type: Number, default: 0 },
+        strength: { type: Number, default: 0 },
+        same_here: { type: Number, default: 0 },
+        helpful: { type: Number, default: 0 }
+    }, // Denormalized counts, source of truth is Reaction
     createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+    editedAt: { type: Date, default: null },
+    editHistory: [{
+        content: { type: String },
+        editedAt: { type: Date, default: Date.now }
+    }],
     removed: { type: Boolean, default: false },
+    removedBy: { type: String, ref: 'User' },
+    removedAt: { type: Date },
     moderation: { type: mongoose.Schema.Types.Mixed },
     visible: { type: Boolean, default: true }
 }, {
@@ -28,6 +43,7 @@ const commentSchema = new mongoose.Schema({
 });
 
 commentSchema.index({ postId: 1, removed: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ postId: 1, parentCommentId: 1, removed: 1, visible: 1, createdAt: 1, _id: 1 }); // Threaded comment pagination
 commentSchema.index({ authorId: 1, removed: 1, visible: 1, createdAt: -1, _id: -1 }); // Optimized for profile comments tab
 
 module.exports = mongoose.model('Comment', commentSchema);
@@ -1,21 +1,68 @@
 const mongoose = require('mongoose');
+const { scheduleInstants } = require('../utils/eventSchedule');
+
+// RRULE-style repetition, see src/utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema({
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+    interval: { type: Number, default: 1 },
+    byDay: [{ type: String }], // 'MO' (weekly) or '2TU' / '-1FR' (monthly)
+    until: { type: String, default: null }, // 'YYYY-MM-DD', inclusive
+    count: { type: Number, default: null },
+    exceptions: [{ type: String }] // Dates removed from the series
+}, { _id: false });
+
+// Only occurrences that were changed or have their own registrations are stored
+const occurrenceSchema = new mongoose.Schema({
+    date: { type: String, required: true }, // Originally scheduled 'YYYY-MM-DD', identifies the occurrence
+    status: { type: String, enum: ['scheduled', 'cancelled', 'rescheduled'], default: 'scheduled' },
+    eventDate: { type: String, default: null }, // Rescheduled date
+    eventTime: { type: String, default: null }, // Rescheduled time
+    location: { type: String, default: null },
+    reason: { type: String, default: '' },
+    attendees: [{ type: String, ref: 'User' }], // Registered for this occurrence only
+    updatedBy: { type: String, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Queue for full events; an 'offered' entry holds a seat until confirmBy (see services/events/waitlist.js)
+const waitlistEntrySchema = new mongoose.Schema({
+    userId: { type: String, ref: 'User', required: true },
+    occurrenceDate: { type: String, default: null }, // null for a one-off event or the whole series
+    status: { type: String, enum: ['waiting', 'offered'], default: 'waiting' },
+    joinedAt: { type: Date, default: Date.now },
+    offeredAt: { type: Date, default: null },
+    confirmBy: { type: Date, default: null }
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
     _id: { type: String, required: true },
     title: { type: String, required: true },
     description: { type: String, default: '' },
-    eventDate: { type: String, required: true }, // Format 'YYYY-MM-DD' ?? or Date object? JSON has "2025-01-25" string
-    eventTime: { type: String, required: true },
+    eventDate: { type: String, required: true }, // 'YYYY-MM-DD' local date in timeZone
+    eventTime: { type: String, default: '' }, // 'HH:mm' local time in timeZone, '' for all-day events
+    timeZone: { type: String, default: 'UTC' }, // IANA zone the event is scheduled in
+    durationMinutes: { type: Number, default: 60 },
+    allDay: { type: Boolean, default: false },
+    // Derived from the fields above on every save (see utils/eventSchedule.js), for querying by instant
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    seriesEndsAt: { type: Date, default: null }, // End of the last occurrence; null for open-ended series
     location: { type: String, default: '' },
     eventType: { type: String, enum: ['virtual', 'in-person', 'hybrid'], default: 'virtual' },
     registrationUrl: { type: String, default: '' },
     diseasePageSlug: { type: String, default: null }, // or Ref? JSON has null or string
     maxAttendees: { type: Number, default: 100 },
-    attendees: [{ type: String, ref: 'User' }], // Array of User IDs
+    attendees: [{ type: String, ref: 'User' }], // Array of User IDs (every occurrence of a recurring event)
+    recurrence: { type: recurrenceSchema, default: null },
+    occurrences: [occurrenceSchema],
+    waitlist: [waitlistEntrySchema],
+    checkInCode: { type: String, default: null }, // Shown by the organiser during the event, see services/events/attendance.js
     createdBy: { type: String, ref: 'User' },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 }, {
+    // Registrations read-modify-save the whole document; concurrent saves fail with VersionError and are retried
+    optimisticConcurrency: true,
     toJSON: {
         transform: function (doc, ret) {
             ret.id = ret._id;
@@ -32,9 +79,17 @@ const eventSchema = new mongoose.Schema({
     }
 });
 
+eventSchema.pre('validate', function () {
+    Object.assign(this, scheduleInstants(this));
+});
+
 // ─── Performance indexes ────────────────────────────────────────────
 eventSchema.index({ diseasePageSlug: 1, eventDate: -1 });
 eventSchema.index({ createdBy: 1 });
 eventSchema.index({ eventDate: -1 });
+eventSchema.index({ startsAt: 1 });
+eventSchema.index({ recurrence: 1, endsAt: 1, seriesEndsAt: 1 }); // upcoming / ongoing / past filters
+eventSchema.index({ 'recurrence.frequency': 1, 'recurrence.until': 1 }, { sparse: true });
+eventSchema.index({ 'waitlist.status': 1, 'waitlist.confirmBy': 1 }, { sparse: true }); // Offer expiry sweep
 
 module.exports = mongoose.model('Event', eventSchema);
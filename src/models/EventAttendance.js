@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * EventAttendance Model - Who actually came to an event (registrations live on Event.attendees)
+ *
+ * method: 'code' when the attendee checked in with the event's code, 'organiser' when marked by staff
+ */
+const eventAttendanceSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    eventId: { type: String, ref: 'Event', required: true },
+    occurrenceDate: { type: String, default: null }, // null for a one-off event
+    userId: { type: String, ref: 'User', required: true },
+    method: { type: String, enum: ['code', 'organiser'], required: true },
+    checkedInBy: { type: String, ref: 'User', default: null },
+    checkedInAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+eventAttendanceSchema.index({ eventId: 1, occurrenceDate: 1, userId: 1 }, { unique: true });
+eventAttendanceSchema.index({ userId: 1, checkedInAt: -1 });
+
+module.exports = mongoose.model('EventAttendance', eventAttendanceSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * EventFeedback Model - Post-event survey answer from someone who attended
+ *
+ * content: Free-text comment, scanned by moderation like posts and comments
+ * visible: false while the comment is quarantined for review
+ */
+const eventFeedbackSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    eventId: { type: String, ref: 'Event', required: true },
+    occurrenceDate: { type: String, default: null },
+    authorId: { type: String, ref: 'User', required: true },
+    rating: { type: Number, min: 1, max: 5, required: true },
+    content: { type: String, default: '' },
+    moderation: { type: mongoose.Schema.Types.Mixed },
+    visible: { type: Boolean, default: true },
+    removed: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+eventFeedbackSchema.index({ eventId: 1, occurrenceDate: 1, authorId: 1 }, { unique: true });
+eventFeedbackSchema.index({ 'moderation.status': 1, removed: 1 }); // Quarantine queue
+
+module.exports = mongoose.model('EventFeedback', eventFeedbackSchema);
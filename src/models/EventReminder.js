@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * EventReminder Model - One reminder sent to one attendee, so the scheduler never repeats it
+ *
+ * startsAt: The start instant the reminder was for. An event moved after reminders went out
+ *           has a new start instant, so its reminders are sent again for the new time.
+ * offsetMinutes: How long before startsAt the reminder was due (e.g. 1440 for 24h)
+ */
+const eventReminderSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    eventId: { type: String, ref: 'Event', required: true },
+    occurrenceDate: { type: String, default: null }, // null for a one-off event
+    userId: { type: String, ref: 'User', required: true },
+    offsetMinutes: { type: Number, required: true },
+    startsAt: { type: Date, required: true },
+    emailed: { type: Boolean, default: false },
+    sentAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+eventReminderSchema.index({ eventId: 1, occurrenceDate: 1, userId: 1, offsetMinutes: 1, startsAt: 1 }, { unique: true });
+eventReminderSchema.index({ sentAt: 1 }, { expireAfterSeconds: 60 * 24 * 60 * 60 }); // Only needed until the event is over
+
+module.exports = mongoose.model('EventReminder', eventReminderSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const forumCategorySchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    groupId: { type: String, ref: 'Group', default: null }, // null for the global forum
+    name: { type: String, required: true },
+    slug: { type: String, required: true },
+    description: { type: String, default: '' },
+    order: { type: Number, default: 0 },
+    createdBy: { type: String, ref: 'User', required: true },
+    updatedBy: { type: String, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+// ─── Performance indexes ────────────────────────────────────────────
+forumCategorySchema.index({ groupId: 1, slug: 1 }, { unique: true });
+forumCategorySchema.index({ groupId: 1, order: 1, name: 1 });
+
+module.exports = mongoose.model('ForumCategory', forumCategorySchema);
@@ -1,13 +1,34 @@
 const mongoose = require('mongoose');
 
+// A version of the content that was later replaced by an edit or a restore
+const forumPostRevisionSchema = new mongoose.Schema({
+    content: { type: String, required: true },
+    moderation: { type: mongoose.Schema.Types.Mixed },
+    editedBy: { type: String, ref: 'User', default: null }, // Who wrote this version
+    editedAt: { type: Date, required: true },
+    restoredFrom: { type: Number, default: null } // Version this one was restored from
+}, { _id: false });
+
 const forumPostSchema = new mongoose.Schema({
     _id: { type: String, required: true },
     threadId: { type: String, ref: 'ForumThread', required: true },
     authorId: { type: String, ref: 'User', required: true },
     content: { type: String, required: true },
     repliedToUserId: { type: String, ref: 'User', default: null },
+    reactionCounts: {
+        hug: { type: Number, default: 0 },
+        strength: { type: Number, default: 0 },
+        same_here: { type: Number, default: 0 },
+        helpful: { type: Number, default: 0 }
+    }, // Denormalized counts, source of truth is Reaction; 'helpful' doubles as the helpful vote
+    helpfulRewardedAt: { type: Date, default: null }, // helpful_content tokens paid (accepted or enough votes)
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
+    editedAt: { type: Date, default: null },
+    editedBy: { type: String, ref: 'User', default: null },
+    restoredFrom: { type: Number, default: null },
+    revisions: { type: [forumPostRevisionSchema], default: [] }, // Earlier versions, oldest first; moderators only
+    droppedRevisions: { type: Number, default: 0 }, // Oldest revisions discarded to keep the document small
     removed: { type: Boolean, default: false },
     removedAt: { type: Date },
     moderation: { type: mongoose.Schema.Types.Mixed }
@@ -30,6 +51,7 @@ const forumPostSchema = new mongoose.Schema({
 
 // ─── Performance indexes ────────────────────────────────────────────
 forumPostSchema.index({ threadId: 1, removed: 1, createdAt: -1 });
+forumPostSchema.index({ threadId: 1, removed: 1, 'reactionCounts.helpful': -1, createdAt: 1 });
 forumPostSchema.index({ authorId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ForumPost', forumPostSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Who changed a thread's state and when
+const threadHistorySchema = new mongoose.Schema({
+    action: { type: String, enum: ['pin', 'unpin', 'lock', 'unlock', 'categorize', 'accept', 'unaccept', 'remove'], required: true },
+    actorId: { type: String, ref: 'User', required: true },
+    at: { type: Date, default: Date.now },
+    details: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
 const forumThreadSchema = new mongoose.Schema({
     _id: { type: String, required: true },
     title: { type: String, required: true },
@@ -7,6 +15,25 @@ const forumThreadSchema = new mongoose.Schema({
     groupId: { type: String, ref: 'Group', default: null },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
+    // Denormalised from ForumPost (the opening post counts), kept up to date by the forums service
+    replyCount: { type: Number, default: 0 },
+    lastReplyId: { type: String, ref: 'ForumPost', default: null },
+    lastReplyAuthorId: { type: String, ref: 'User', default: null },
+    lastReplyAt: { type: Date, default: null },
+    lastActivityAt: { type: Date, default: Date.now },
+    categoryId: { type: String, ref: 'ForumCategory', default: null },
+    tags: { type: [String], default: [] },
+    pinned: { type: Boolean, default: false },
+    pinnedBy: { type: String, ref: 'User', default: null },
+    pinnedAt: { type: Date, default: null },
+    locked: { type: Boolean, default: false },
+    lockedBy: { type: String, ref: 'User', default: null },
+    lockedAt: { type: Date, default: null },
+    lockReason: { type: String, default: '' },
+    acceptedPostId: { type: String, ref: 'ForumPost', default: null }, // Reply marked as the answer
+    acceptedBy: { type: String, ref: 'User', default: null },
+    acceptedAt: { type: Date, default: null },
+    history: { type: [threadHistorySchema], default: [] },
     removed: { type: Boolean, default: false },
     removedBy: { type: String, ref: 'User' },
     removedAt: { type: Date }
@@ -29,6 +56,11 @@ const forumThreadSchema = new mongoose.Schema({
 
 // ─── Performance indexes ────────────────────────────────────────────
 forumThreadSchema.index({ groupId: 1, removed: 1, createdAt: -1 });
+forumThreadSchema.index({ groupId: 1, removed: 1, pinned: -1, pinnedAt: -1 }); // Pinned threads on the first page
+forumThreadSchema.index({ groupId: 1, removed: 1, lastActivityAt: -1, _id: -1 });
+forumThreadSchema.index({ groupId: 1, removed: 1, replyCount: -1, _id: -1 });
+forumThreadSchema.index({ groupId: 1, categoryId: 1, removed: 1 });
+forumThreadSchema.index({ groupId: 1, tags: 1, removed: 1 });
 forumThreadSchema.index({ creatorId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ForumThread', forumThreadSchema);
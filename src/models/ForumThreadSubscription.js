@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A user watching (or muting) a forum thread; replies queue up here until the digest sweep sends them
+const forumThreadSubscriptionSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    threadId: { type: String, ref: 'ForumThread', required: true },
+    state: { type: String, enum: ['watching', 'muted'], default: 'watching' },
+    source: { type: String, enum: ['manual', 'created', 'replied'], default: 'manual' }, // How the subscription started
+    pendingCount: { type: Number, default: 0 }, // Replies since the last digest
+    pendingSince: { type: Date, default: null },
+    firstPendingPostId: { type: String, ref: 'ForumPost', default: null }, // Where the digest links to
+    lastNotifiedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+// ─── Performance indexes ────────────────────────────────────────────
+forumThreadSubscriptionSchema.index({ userId: 1, threadId: 1 }, { unique: true });
+forumThreadSubscriptionSchema.index({ threadId: 1, state: 1 });
+forumThreadSubscriptionSchema.index({ userId: 1, state: 1 });
+forumThreadSubscriptionSchema.index({ pendingSince: 1 }, { partialFilterExpression: { pendingCount: { $gt: 0 } } });
+
+module.exports = mongoose.model('ForumThreadSubscription', forumThreadSubscriptionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A user's last visit to a forum thread, for unread markers
+const forumThreadVisitSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    threadId: { type: String, ref: 'ForumThread', required: true },
+    lastVisitedAt: { type: Date, default: Date.now },
+    lastReadAt: { type: Date } // createdAt of the newest post the user has been shown
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+// ─── Performance indexes ────────────────────────────────────────────
+forumThreadVisitSchema.index({ userId: 1, threadId: 1 }, { unique: true });
+forumThreadVisitSchema.index({ threadId: 1 });
+
+module.exports = mongoose.model('ForumThreadVisit', forumThreadVisitSchema);
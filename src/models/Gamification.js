@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const gamificationSchema = new mongoose.Schema({
     userId: { type: String, ref: 'User', required: true, unique: true }, // Using userId as lookup, but Mongo will generate _id for document
     totalTokens: { type: Number, default: 0, index: true }, // Index for leaderboard sorting
+    // Legacy embedded history; token movements now live in TokenLedger (see scripts/migrateTokenHistoryToLedger.js)
     tokenHistory: [
         {
             id: { type: String }, // UUID from JSON
@@ -22,6 +23,13 @@ const gamificationSchema = new mongoose.Schema({
         }
     ],
     actionCounts: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Daily login streak, counted in calendar days of the user's time zone (see streakService)
+    loginStreak: {
+        current: { type: Number, default: 0 },
+        longest: { type: Number, default: 0 },
+        lastActiveDay: { type: String, default: null }, // 'YYYY-MM-DD'
+        timeZone: { type: String, default: 'UTC' }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 }, {
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * LeaderboardSnapshot Model - Frozen top standings of a closed weekly/monthly period
+ */
+const leaderboardSnapshotSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    period: { type: String, enum: ['weekly', 'monthly'], required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    entries: [{
+        _id: false,
+        rank: { type: Number },
+        userId: { type: String, ref: 'User' },
+        name: { type: String },
+        totalTokens: { type: Number },
+        badgeCount: { type: Number }
+    }],
+    participantCount: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+// One snapshot per closed period
+leaderboardSnapshotSchema.index({ period: 1, periodStart: -1 }, { unique: true });
+
+module.exports = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
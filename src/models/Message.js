@@ -8,6 +8,12 @@ const messageSchema = new mongoose.Schema({
     mediaUrl: { type: String, default: '' },
     createdAt: { type: Date, default: Date.now },
     editedAt: { type: Date, default: null },
+    reactionCounts: {
+        hug: { type: Number, default: 0 },
+        strength: { type: Number, default: 0 },
+        same_here: { type: Number, default: 0 },
+        helpful: { type: Number, default: 0 }
+    }, // Denormalized counts, source of truth is Reaction
     moderation: { type: mongoose.Schema.Types.Mixed }, // { status, scores, flags, scannedAt }
     visible: { type: Boolean, default: true }
 }, {
@@ -4,6 +4,7 @@ const notificationPreferenceSchema = new mongoose.Schema({
     userId: { type: String, ref: 'User', required: true, unique: true },
     emailComments: { type: Boolean, default: true },
     emailLikes: { type: Boolean, default: true },
+    notifyReactions: { type: Boolean, default: true }, // In-app notifications for likes and reactions
     emailGroupPosts: { type: Boolean, default: true },
     emailForumReplies: { type: Boolean, default: true },
     emailEventReminders: { type: Boolean, default: true },
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A pending local-provider password reset; the token itself is only ever in the email
+const passwordResetTokenSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the emailed token
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.tokenHash;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.tokenHash;
+        }
+    }
+});
+
+// ─── Performance indexes ────────────────────────────────────────────
+passwordResetTokenSchema.index({ userId: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Expired tokens are cleaned up by MongoDB
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
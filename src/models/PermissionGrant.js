@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * PermissionGrant Model - A permission given to one user on top of their role's
+ *
+ * scopeType/scopeId: Limit the grant to one group or disease page (by _id); null applies everywhere
+ */
+const permissionGrantSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    permission: { type: String, required: true },
+    scopeType: { type: String, enum: ['group', 'diseasePage', null], default: null },
+    scopeId: { type: String, default: null },
+    note: { type: String, default: '' },
+    grantedBy: { type: String, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+permissionGrantSchema.index({ userId: 1, permission: 1, scopeType: 1, scopeId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PermissionGrant', permissionGrantSchema);
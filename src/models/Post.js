@@ -8,6 +8,12 @@ const postSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
     likes: [{ type: String, ref: 'User' }],
+    reactionCounts: {
+        hug: { type: Number, default: 0 },
+        strength: { type: Number, default: 0 },
+        same_here: { type: Number, default: 0 },
+        helpful: { type: Number, default: 0 }
+    }, // Denormalized counts, source of truth is Reaction
     reported: { type: Boolean, default: false },
     reports: [{
         reporterId: { type: String, ref: 'User' },
@@ -22,7 +28,8 @@ const postSchema = new mongoose.Schema({
     visible: { type: Boolean, default: true },
     groupId: { type: String, ref: 'Group', default: null }, // Saw this in posts.json
     diseasePageSlug: { type: String, ref: 'DiseasePage', default: null }, // For disease page posts
-    commentCount: { type: Number, default: 0 } // Performance optimization: Denormalized comment count
+    commentCount: { type: Number, default: 0 }, // Performance optimization: Denormalized comment count
+    featuredUntil: { type: Date, default: null } // Set by featured post boost rewards; pinned to the top of feeds until then
 }, {
     toJSON: {
         transform: function (doc, ret) {
@@ -47,5 +54,6 @@ postSchema.index({ authorId: 1, groupId: 1, diseasePageSlug: 1, removed: 1, visi
 postSchema.index({ groupId: 1, removed: 1, visible: 1, createdAt: -1, _id: -1 });
 postSchema.index({ diseasePageSlug: 1, removed: 1, visible: 1, createdAt: -1, _id: -1 }); // Index for disease page posts
 postSchema.index({ likes: 1, removed: 1, visible: 1, createdAt: -1, _id: -1 }); // Index for user likes tab
+postSchema.index({ featuredUntil: -1 }, { partialFilterExpression: { featuredUntil: { $type: 'date' } } }); // Featured posts
 
 module.exports = mongoose.model('Post', postSchema);
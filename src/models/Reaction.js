@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reaction Model - Supportive reactions on posts, comments, forum replies and messages
+ *
+ * targetType/targetId: The content being reacted to
+ * userId: The user who reacted
+ * type: One of the supported reaction types (hug, strength, same_here, helpful)
+ */
+const reactionSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  targetType: { type: String, enum: ['post', 'comment', 'forum_post', 'message'], required: true },
+  targetId: { type: String, required: true },
+  userId: { type: String, ref: 'User', required: true },
+  type: { type: String, enum: ['hug', 'strength', 'same_here', 'helpful'], required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+    }
+  },
+  toObject: {
+    transform: function (doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+    }
+  }
+});
+
+// One reaction of each type per user per target
+reactionSchema.index({ targetType: 1, targetId: 1, userId: 1, type: 1 }, { unique: true });
+
+// Index for "who reacted" listing
+reactionSchema.index({ targetType: 1, targetId: 1, type: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ targetType: 1, targetId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { REDEMPTION_STATUSES } = require('../utils/redemptions');
+
+/**
+ * Redemption Model - A user's purchase of a catalogue reward
+ *
+ * reward: Snapshot of the reward at redemption time (name/category/cost can change later)
+ * targetId: Post being boosted for featured_post_boost rewards
+ * status: 'processing' while stock is reserved and tokens are debited, then 'pending' until fulfilled;
+ *         'failed' when it could not be paid for (see utils/redemptions and rewardsService.reconcileRedemptions)
+ * idempotencyKey: The client's key, so a retried redemption returns the first one
+ */
+const redemptionSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    rewardId: { type: String, ref: 'Reward', required: true },
+    reward: {
+        name: { type: String },
+        category: { type: String },
+        details: { type: mongoose.Schema.Types.Mixed }
+    },
+    cost: { type: Number, required: true },
+    targetId: { type: String, default: null },
+    status: { type: String, enum: REDEMPTION_STATUSES, default: 'processing' },
+    idempotencyKey: { type: String, default: undefined },
+    stockReserved: { type: Boolean, default: false },
+    failureReason: { type: String, default: '' },
+    ledgerEntryId: { type: String, ref: 'TokenLedger' },
+    refundLedgerEntryId: { type: String, ref: 'TokenLedger', default: null },
+    fulfilledBy: { type: String, ref: 'User', default: null },
+    fulfilledAt: { type: Date, default: null },
+    fulfilmentNote: { type: String, default: '' },
+    refundedBy: { type: String, ref: 'User', default: null },
+    refundedAt: { type: Date, default: null },
+    refundReason: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+redemptionSchema.index({ userId: 1, createdAt: -1, _id: -1 }); // User redemption history
+redemptionSchema.index({ status: 1, createdAt: -1 }); // Admin fulfilment queue and reconciliation
+redemptionSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+module.exports = mongoose.model('Redemption', redemptionSchema);
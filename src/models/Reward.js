@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reward Model - Catalogue items users can spend tokens on (admin managed)
+ *
+ * stock: Remaining quantity, null for unlimited
+ * details: Category-specific settings (e.g. { flair }, { boostHours }, { charityName })
+ */
+const rewardSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    category: { type: String, enum: ['profile_flair', 'featured_post_boost', 'charity_donation'], required: true },
+    cost: { type: Number, required: true, min: 1 },
+    imageUrl: { type: String, default: '' },
+    stock: { type: Number, default: null, min: 0 },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+rewardSchema.index({ active: 1, cost: 1 });
+
+module.exports = mongoose.model('Reward', rewardSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * RolePermission Model - The permissions an admin has assigned to a role
+ *
+ * _id: The role ('moderator-user', ...); roles without a document use the defaults in utils/permissions
+ */
+const rolePermissionSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    permissions: [{ type: String }],
+    updatedBy: { type: String, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.role = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.role = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
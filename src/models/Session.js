@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id (sid); the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    browser: { type: String, default: 'Unknown' },
+    os: { type: String, default: 'Unknown' },
+    device: { type: String, default: 'Unknown' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // Refresh tokens stop working here, however often they rotate
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, enum: ['logout', 'logout_all', 'password_reset', 'suspended', 'role_changed', 'reuse_detected', null], default: null }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.refreshTokenHash;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.refreshTokenHash;
+        }
+    }
+});
+
+// ─── Performance indexes ────────────────────────────────────────────
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Expired sessions are cleaned up by MongoDB
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * SuspensionAppeal Model - A suspended user's request to have the suspension lifted, reviewed by an admin
+ *
+ * suspension: The suspension being appealed, as it was when the appeal was sent
+ * status: 'approved' lifts the suspension; 'rejected' leaves it in place
+ */
+const suspensionAppealSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    message: { type: String, required: true },
+    suspension: {
+        reason: { type: String, default: '' },
+        suspendedBy: { type: String, ref: 'User', default: null },
+        suspendedAt: { type: Date, default: null },
+        until: { type: Date, default: null }
+    },
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    reviewedBy: { type: String, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+suspensionAppealSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } }); // One open appeal per user
+suspensionAppealSchema.index({ status: 1, createdAt: 1 }); // Admin review queue, oldest first
+suspensionAppealSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SuspensionAppeal', suspensionAppealSchema);
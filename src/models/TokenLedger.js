@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * TokenLedger Model - Append-only record of every token movement
+ *
+ * tokens: Signed amount (negative for spends and reversals)
+ * idempotencyKey: Optional unique key so retried awards are recorded once
+ * Gamification.totalTokens is the running balance of these entries.
+ */
+const tokenLedgerSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    userId: { type: String, ref: 'User', required: true },
+    action: { type: String, required: true },
+    tokens: { type: Number, required: true },
+    idempotencyKey: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdAt: { type: Date, default: Date.now }
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    },
+    toObject: {
+        transform: function (doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+        }
+    }
+});
+
+tokenLedgerSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+tokenLedgerSchema.index({ userId: 1, createdAt: -1, _id: -1 }); // History pagination
+tokenLedgerSchema.index({ userId: 1, action: 1, createdAt: -1, _id: -1 }); // History filtered by action
+tokenLedgerSchema.index({ createdAt: -1, userId: 1 }); // Period leaderboards
+tokenLedgerSchema.index({ userId: 1, 'metadata.postId': 1 }, { partialFilterExpression: { 'metadata.postId': { $exists: true } } }); // Clawbacks
+tokenLedgerSchema.index({ userId: 1, 'metadata.commentId': 1 }, { partialFilterExpression: { 'metadata.commentId': { $exists: true } } });
+
+module.exports = mongoose.model('TokenLedger', tokenLedgerSchema);
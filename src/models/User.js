@@ -18,7 +18,21 @@ const userSchema = new mongoose.Schema({
     avatarUrl: { type: String, default: '' },
     coverPhotoUrl: { type: String, default: '' }, // Cover photo for profile
     healthInterests: [{ type: String }], // Health interest tags
+    timezone: { type: String, default: '' }, // IANA zone, e.g. 'Europe/London'; empty means UTC
+    calendarToken: { type: String, unique: true, sparse: true, select: false }, // Secret in the user's events .ics feed URL
     suspended: { type: Boolean, default: false },
+    suspension: { // Details of the current suspension; cleared when it is lifted
+        reason: { type: String, default: '' },
+        suspendedBy: { type: String, ref: 'User', default: null }, // Acting admin
+        suspendedAt: { type: Date, default: null },
+        until: { type: Date, default: null } // null means until an admin lifts it
+    },
+    flair: { // Profile flair bought with tokens; cleared if that redemption is refunded
+        text: { type: String, default: '' },
+        redemptionId: { type: String, ref: 'Redemption', default: null },
+        grantedAt: { type: Date, default: null }
+    },
+    sessionsRevokedAt: { type: Date, default: null }, // Tokens without a session issued before this are rejected
     followersCount: { type: Number, default: 0 },
     followingCount: { type: Number, default: 0 },
     unreadCount: { type: Number, default: 0 }, // Denormalized unread notification count
@@ -42,6 +56,7 @@ const userSchema = new mongoose.Schema({
 });
 
 userSchema.index({ role: 1 });
+userSchema.index({ suspended: 1, 'suspension.until': 1 }); // Lifting timed suspensions
 userSchema.index({ createdAt: -1, _id: -1 });
 
 module.exports = mongoose.model('User', userSchema);
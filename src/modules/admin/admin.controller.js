@@ -22,7 +22,7 @@ async function getAllUsers(req, res, next) {
 }
 async function updateUser(req, res, next) {
   try {
-    return res.json(await svc.updateUser(req.params.id, req.body));
+    return res.json(await svc.updateUser(req.params.id, req.body, req.user.id));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -36,7 +36,7 @@ async function updateUserRole(req, res, next) {
 }
 async function suspendUser(req, res, next) {
   try {
-    return res.json(await svc.suspendUser(req.params.id));
+    return res.json(await svc.suspendUser(req.params.id, req.user.id, req.body));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -50,7 +50,7 @@ async function unsuspendUser(req, res, next) {
 }
 async function updateUserSuspendStatus(req, res, next) {
   try {
-    return res.json(await svc.updateUserSuspendStatus(req.params.id, req.body));
+    return res.json(await svc.updateUserSuspendStatus(req.params.id, req.user.id, req.body));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -156,6 +156,177 @@ async function sendEmailTest(req, res, next) {
   }
 }
 
+async function listRewards(req, res, next) {
+  try {
+    return res.json(await svc.listRewards());
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function createReward(req, res, next) {
+  try {
+    return res.status(201).json(await svc.createReward(req.user.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function updateReward(req, res, next) {
+  try {
+    return res.json(await svc.updateReward(req.params.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function deactivateReward(req, res, next) {
+  try {
+    return res.json(await svc.deactivateReward(req.params.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listRedemptions(req, res, next) {
+  try {
+    return res.json(await svc.listRedemptions(req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function fulfilRedemption(req, res, next) {
+  try {
+    return res.json(await svc.fulfilRedemption(req.params.id, req.user.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function refundRedemption(req, res, next) {
+  try {
+    return res.json(await svc.refundRedemption(req.params.id, req.user.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function listBadgeDefinitions(req, res, next) {
+  try {
+    return res.json(await svc.listBadgeDefinitions());
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function createBadgeDefinition(req, res, next) {
+  try {
+    return res.status(201).json(await svc.createBadgeDefinition(req.user.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function updateBadgeDefinition(req, res, next) {
+  try {
+    return res.json(await svc.updateBadgeDefinition(req.params.badgeId, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function deactivateBadgeDefinition(req, res, next) {
+  try {
+    return res.json(await svc.deactivateBadgeDefinition(req.params.badgeId));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function backfillBadge(req, res, next) {
+  try {
+    return res.status(202).json(await svc.backfillBadge(req.params.badgeId));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function listClawbacks(req, res, next) {
+  try {
+    return res.json(await svc.listClawbacks(req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function overrideClawback(req, res, next) {
+  try {
+    return res.json(await svc.overrideClawback(req.params.id, req.user.id, req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listSuspensionAppeals(req, res, next) {
+  try {
+    return res.json(await svc.listSuspensionAppeals(req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function approveSuspensionAppeal(req, res, next) {
+  try {
+    return res.json(await svc.reviewSuspensionAppeal(req.params.id, req.user.id, 'approved', req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function rejectSuspensionAppeal(req, res, next) {
+  try {
+    return res.json(await svc.reviewSuspensionAppeal(req.params.id, req.user.id, 'rejected', req.body));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listRateLimits(req, res, next) {
+  try {
+    return res.json(await svc.listRateLimits());
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listRolePermissions(req, res, next) {
+  try {
+    return res.json(await svc.listRolePermissions());
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function updateRolePermissions(req, res, next) {
+  try {
+    return res.json(await svc.updateRolePermissions(req.params.role, req.body, req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function resetRolePermissions(req, res, next) {
+  try {
+    return res.json(await svc.resetRolePermissions(req.params.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listUserPermissions(req, res, next) {
+  try {
+    return res.json(await svc.listUserPermissions(req.params.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function grantUserPermission(req, res, next) {
+  try {
+    return res.status(201).json(await svc.grantUserPermission(req.params.id, req.body, req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function revokeUserPermission(req, res, next) {
+  try {
+    return res.json(await svc.revokeUserPermission(req.params.id, req.params.grantId));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
 module.exports = {
   getStats,
   getAllUsers,
@@ -178,4 +349,28 @@ module.exports = {
   getLogStats,
   getEmailHealth,
   sendEmailTest,
+  listRewards,
+  createReward,
+  updateReward,
+  deactivateReward,
+  listRedemptions,
+  fulfilRedemption,
+  refundRedemption,
+  listBadgeDefinitions,
+  createBadgeDefinition,
+  updateBadgeDefinition,
+  deactivateBadgeDefinition,
+  backfillBadge,
+  listClawbacks,
+  overrideClawback,
+  listSuspensionAppeals,
+  approveSuspensionAppeal,
+  rejectSuspensionAppeal,
+  listRateLimits,
+  listRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  listUserPermissions,
+  grantUserPermission,
+  revokeUserPermission,
 };
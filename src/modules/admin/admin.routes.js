@@ -1,31 +1,61 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const ctrl = require('./admin.controller');
 
 const router = express.Router();
 
-router.get('/stats', authenticate, requireRole(['admin-user']), ctrl.getStats);
-router.get('/users', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.getAllUsers);
-router.put('/users/:id', authenticate, requireRole(['admin-user']), ctrl.updateUser);
-router.put('/users/:id/role', authenticate, requireRole(['admin-user']), ctrl.updateUserRole);
-router.post('/users/:id/suspend', authenticate, requireRole(['admin-user']), ctrl.suspendUser);
-router.post('/users/:id/unsuspend', authenticate, requireRole(['admin-user']), ctrl.unsuspendUser);
-router.put('/users/:id/suspend', authenticate, requireRole(['admin-user']), ctrl.updateUserSuspendStatus);
-router.get('/moderation/posts', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.getReportedPosts);
-router.post('/moderation/posts/:id/approve', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.approvePost);
-router.post('/moderation/posts/:id/reject', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.rejectPost);
-router.get('/moderation/comments', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.getReportedComments);
-router.post('/moderation/comments/:id/approve', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.approveComment);
-router.post('/moderation/comments/:id/reject', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.rejectComment);
-router.get('/analytics', authenticate, requireRole(['admin-user']), ctrl.getAnalytics);
-router.get('/logs', authenticate, requireRole(['admin-user']), ctrl.listActivityLogs);
-router.get('/logs/stats', authenticate, requireRole(['admin-user']), ctrl.getLogStats);
-router.delete('/logs/:id', authenticate, requireRole(['admin-user']), ctrl.deleteLog);
-router.post('/logs/delete-range', authenticate, requireRole(['admin-user']), ctrl.deleteLogsByRange);
-
-router.get('/email/health', authenticate, requireRole(['admin-user']), ctrl.getEmailHealth);
-router.post('/email/test', authenticate, requireRole(['admin-user']), ctrl.sendEmailTest);
-
-router.delete('/groups/:id', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.deleteGroup);
+router.get('/stats', authenticate, requirePermission('analytics.view'), ctrl.getStats);
+router.get('/users', authenticate, requirePermission('users.list'), ctrl.getAllUsers);
+router.put('/users/:id', authenticate, requirePermission('users.manage'), ctrl.updateUser);
+router.put('/users/:id/role', authenticate, requirePermission('users.manage'), ctrl.updateUserRole);
+router.post('/users/:id/suspend', authenticate, requirePermission('users.suspend'), ctrl.suspendUser);
+router.post('/users/:id/unsuspend', authenticate, requirePermission('users.suspend'), ctrl.unsuspendUser);
+router.put('/users/:id/suspend', authenticate, requirePermission('users.suspend'), ctrl.updateUserSuspendStatus);
+router.get('/moderation/posts', authenticate, requirePermission('moderation.review'), ctrl.getReportedPosts);
+router.post('/moderation/posts/:id/approve', authenticate, requirePermission('moderation.review'), ctrl.approvePost);
+router.post('/moderation/posts/:id/reject', authenticate, requirePermission('moderation.review'), ctrl.rejectPost);
+router.get('/moderation/comments', authenticate, requirePermission('moderation.review'), ctrl.getReportedComments);
+router.post('/moderation/comments/:id/approve', authenticate, requirePermission('moderation.review'), ctrl.approveComment);
+router.post('/moderation/comments/:id/reject', authenticate, requirePermission('moderation.review'), ctrl.rejectComment);
+router.get('/analytics', authenticate, requirePermission('analytics.view'), ctrl.getAnalytics);
+router.get('/logs', authenticate, requirePermission('logs.view'), ctrl.listActivityLogs);
+router.get('/logs/stats', authenticate, requirePermission('logs.view'), ctrl.getLogStats);
+router.delete('/logs/:id', authenticate, requirePermission('logs.delete'), ctrl.deleteLog);
+router.post('/logs/delete-range', authenticate, requirePermission('logs.delete'), ctrl.deleteLogsByRange);
+
+router.get('/email/health', authenticate, requirePermission('email.manage'), ctrl.getEmailHealth);
+router.post('/email/test', authenticate, requirePermission('email.manage'), ctrl.sendEmailTest);
+
+router.get('/rewards', authenticate, requirePermission('rewards.manage'), ctrl.listRewards);
+router.post('/rewards', authenticate, requirePermission('rewards.manage'), ctrl.createReward);
+router.put('/rewards/:id', authenticate, requirePermission('rewards.manage'), ctrl.updateReward);
+router.delete('/rewards/:id', authenticate, requirePermission('rewards.manage'), ctrl.deactivateReward);
+router.get('/redemptions', authenticate, requirePermission('rewards.manage'), ctrl.listRedemptions);
+router.post('/redemptions/:id/fulfil', authenticate, requirePermission('rewards.manage'), ctrl.fulfilRedemption);
+router.post('/redemptions/:id/refund', authenticate, requirePermission('rewards.manage'), ctrl.refundRedemption);
+
+router.get('/badges', authenticate, requirePermission('badges.manage'), ctrl.listBadgeDefinitions);
+router.post('/badges', authenticate, requirePermission('badges.manage'), ctrl.createBadgeDefinition);
+router.put('/badges/:badgeId', authenticate, requirePermission('badges.manage'), ctrl.updateBadgeDefinition);
+router.delete('/badges/:badgeId', authenticate, requirePermission('badges.manage'), ctrl.deactivateBadgeDefinition);
+router.post('/badges/:badgeId/backfill', authenticate, requirePermission('badges.manage'), ctrl.backfillBadge);
+
+router.get('/clawbacks', authenticate, requirePermission('clawbacks.manage'), ctrl.listClawbacks);
+router.post('/clawbacks/:id/override', authenticate, requirePermission('clawbacks.manage'), ctrl.overrideClawback);
+
+router.get('/suspension-appeals', authenticate, requirePermission('users.suspend'), ctrl.listSuspensionAppeals);
+router.post('/suspension-appeals/:id/approve', authenticate, requirePermission('users.suspend'), ctrl.approveSuspensionAppeal);
+router.post('/suspension-appeals/:id/reject', authenticate, requirePermission('users.suspend'), ctrl.rejectSuspensionAppeal);
+
+router.get('/rate-limits', authenticate, requirePermission('rateLimits.view'), ctrl.listRateLimits);
+
+router.get('/permissions', authenticate, requirePermission('permissions.manage'), ctrl.listRolePermissions);
+router.put('/permissions/roles/:role', authenticate, requirePermission('permissions.manage'), ctrl.updateRolePermissions);
+router.delete('/permissions/roles/:role', authenticate, requirePermission('permissions.manage'), ctrl.resetRolePermissions);
+router.get('/users/:id/permissions', authenticate, requirePermission('permissions.manage'), ctrl.listUserPermissions);
+router.post('/users/:id/permissions', authenticate, requirePermission('permissions.manage'), ctrl.grantUserPermission);
+router.delete('/users/:id/permissions/:grantId', authenticate, requirePermission('permissions.manage'), ctrl.revokeUserPermission);
+
+router.delete('/groups/:id', authenticate, requirePermission('groups.delete'), ctrl.deleteGroup);
 
 module.exports = router;
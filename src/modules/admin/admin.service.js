@@ -16,6 +16,13 @@ const { sendRoleUpdateEmail } = require('../../services/emailService');
 const storageService = require('../../services/storageService');
 const { sendTestEmail, verifyEmailTransport, getEmailConfigSummary } = require('../../services/emailService');
 const { httpError } = require('../../utils/httpError');
+const rewardsService = require('../../services/rewardsService');
+const badgeService = require('../../services/badgeService');
+const clawbackService = require('../../services/clawbackService');
+const { revokeAllSessions } = require('../../services/sessionService');
+const suspensionService = require('../../services/suspensionService');
+const rateLimitService = require('../../services/rateLimitService');
+const permissionService = require('../../services/permissionService');
 
 async function getStats() {
   const cache = require('../../services/cacheService');
@@ -53,6 +60,13 @@ async function getStats() {
   }, 60);
 }
 
+/**
+ * User as admins see it, including the details of a current suspension
+ */
+function adminUserView(user) {
+  return { ...sanitizeUser(user), suspension: user.suspended ? user.suspension || null : null };
+}
+
 async function getAllUsers(query) {
   const page = Math.max(parseInt(query?.page || '1', 10), 1);
   const limit = Math.min(Math.max(parseInt(query?.limit || '10', 10), 1), 100);
@@ -79,7 +93,7 @@ async function getAllUsers(query) {
   ]);
 
   return {
-    users: users.map(sanitizeUser),
+    users: users.map(adminUserView),
     total,
     page,
     limit,
@@ -87,11 +101,12 @@ async function getAllUsers(query) {
   };
 }
 
-async function updateUser(id, body) {
+async function updateUser(id, body, adminId) {
   const { role, name, email, suspended } = body || {};
 
   const user = await User.findById(id);
   if (!user) throw httpError(404, { error: 'User not found' });
+  const previousRole = user.role;
 
   if (role) {
     const validRoles = ['patient-user', 'caregiver-user', 'moderator-user', 'admin-user'];
@@ -101,11 +116,18 @@ async function updateUser(id, body) {
 
   if (name) user.name = name;
   if (email) user.email = email;
-  if (typeof suspended === 'boolean') user.suspended = suspended;
 
   user.updatedAt = new Date();
   await user.save();
 
+  // Tokens carry the old role, so the user signs in again to pick up the new one
+  if (user.role !== previousRole) await revokeAllSessions(user._id, 'role_changed');
+
+  let updated = user;
+  if (typeof suspended === 'boolean' && suspended !== user.suspended) {
+    updated = await suspensionService.setSuspended(user._id, suspended, adminId, body);
+  }
+
   if (role) {
     console.log(`[Admin] Updating role for user ${user.email} to ${role}. Attempting to send email...`);
     sendRoleUpdateEmail({ user, newRole: role })
@@ -113,7 +135,7 @@ async function updateUser(id, body) {
       .catch((err) => console.error('[Admin] Failed to send role update email:', err));
   }
 
-  return { user: sanitizeUser(user.toObject()) };
+  return { user: adminUserView(updated.toObject()) };
 }
 
 async function updateUserRole(id, body) {
@@ -124,6 +146,7 @@ async function updateUserRole(id, body) {
 
   const user = await User.findByIdAndUpdate(id, { role, updatedAt: new Date() }, { new: true });
   if (!user) throw httpError(404, { error: 'User not found' });
+  await revokeAllSessions(user._id, 'role_changed');
 
   console.log(`[Admin] Role updated via dedicated endpoint for ${user.email} to ${role}. Sending email...`);
   sendRoleUpdateEmail({ user, newRole: role })
@@ -133,23 +156,24 @@ async function updateUserRole(id, body) {
   return { user: sanitizeUser(user.toObject()) };
 }
 
-async function suspendUser(id) {
-  const user = await User.findByIdAndUpdate(id, { suspended: true, updatedAt: new Date() }, { new: true });
-  if (!user) throw httpError(404, { error: 'User not found' });
-  return { message: 'User suspended', user: sanitizeUser(user.toObject()) };
+/**
+ * body: { reason, until | durationHours }; without an end the suspension lasts until it is lifted
+ */
+async function suspendUser(id, adminId, body) {
+  const user = await suspensionService.suspendUser(id, adminId, body || {});
+  return { message: 'User suspended', user: adminUserView(user.toObject()) };
 }
 
 async function unsuspendUser(id) {
-  const user = await User.findByIdAndUpdate(id, { suspended: false, updatedAt: new Date() }, { new: true });
-  if (!user) throw httpError(404, { error: 'User not found' });
-  return { message: 'User unsuspended', user: sanitizeUser(user.toObject()) };
+  const user = await suspensionService.setSuspended(id, false);
+  return { message: 'User unsuspended', user: adminUserView(user.toObject()) };
 }
 
-async function updateUserSuspendStatus(id, body) {
+async function updateUserSuspendStatus(id, adminId, body) {
   const { suspended } = body || {};
-  const user = await User.findByIdAndUpdate(id, { suspended, updatedAt: new Date() }, { new: true });
-  if (!user) throw httpError(404, { error: 'User not found' });
-  return { user: sanitizeUser(user.toObject()) };
+  if (typeof suspended !== 'boolean') throw httpError(400, { error: 'suspended must be true or false' });
+  const user = await suspensionService.setSuspended(id, suspended, adminId, body);
+  return { user: adminUserView(user.toObject()) };
 }
 
 async function getReportedPosts() {
@@ -211,6 +235,7 @@ async function rejectPost(id, reviewerUserId) {
 
   if (!post) throw httpError(404, { error: 'Post not found' });
 
+  clawbackService.clawbackRemovedContent('post', post, reviewerUserId);
   return { message: 'Post removed' };
 }
 
@@ -252,6 +277,8 @@ async function rejectComment(id, reviewerUserId) {
   );
 
   if (!comment) throw httpError(404, { error: 'Comment not found' });
+
+  clawbackService.clawbackRemovedContent('comment', comment, reviewerUserId);
   return { message: 'Comment removed' };
 }
 
@@ -569,6 +596,97 @@ async function sendEmailTest(body) {
   return { success: true, result };
 }
 
+async function listRewards() {
+  return rewardsService.listRewards({ includeInactive: true });
+}
+
+async function createReward(adminId, body) {
+  return rewardsService.createReward(adminId, body || {});
+}
+
+async function updateReward(id, body) {
+  return rewardsService.updateReward(id, body || {});
+}
+
+async function deactivateReward(id) {
+  return rewardsService.deactivateReward(id);
+}
+
+async function listRedemptions(query) {
+  return rewardsService.listRedemptions(query);
+}
+
+async function fulfilRedemption(id, adminId, body) {
+  return rewardsService.fulfilRedemption(id, adminId, body || {});
+}
+
+async function refundRedemption(id, adminId, body) {
+  return rewardsService.refundRedemption(id, adminId, body || {});
+}
+
+async function listBadgeDefinitions() {
+  return badgeService.listBadgeDefinitions();
+}
+
+async function createBadgeDefinition(adminId, body) {
+  return badgeService.createBadgeDefinition(adminId, body || {});
+}
+
+async function updateBadgeDefinition(badgeId, body) {
+  return badgeService.updateBadgeDefinition(badgeId, body || {});
+}
+
+async function deactivateBadgeDefinition(badgeId) {
+  return badgeService.deactivateBadgeDefinition(badgeId);
+}
+
+async function backfillBadge(badgeId) {
+  const backfill = await badgeService.startBackfill(badgeId);
+  return { success: true, backfill };
+}
+
+async function listClawbacks(query) {
+  return clawbackService.listClawbacks(query);
+}
+
+async function overrideClawback(id, adminId, body) {
+  return clawbackService.overrideClawback(id, adminId, body || {});
+}
+async function listSuspensionAppeals(query) {
+  return suspensionService.listAppeals(query);
+}
+
+async function reviewSuspensionAppeal(id, adminId, status, body) {
+  return suspensionService.reviewAppeal(id, adminId, status, body || {});
+}
+async function listRateLimits() {
+  return rateLimitService.listThrottled();
+}
+
+async function listRolePermissions() {
+  return permissionService.listRolePermissions();
+}
+
+async function updateRolePermissions(role, body, adminId) {
+  return permissionService.setRolePermissions(role, body || {}, adminId);
+}
+
+async function resetRolePermissions(role) {
+  return permissionService.resetRolePermissions(role);
+}
+
+async function listUserPermissions(userId) {
+  return permissionService.listUserGrants(userId);
+}
+
+async function grantUserPermission(userId, body, adminId) {
+  return permissionService.grantPermission(userId, body || {}, adminId);
+}
+
+async function revokeUserPermission(userId, grantId) {
+  return permissionService.revokeGrant(userId, grantId);
+}
+
 module.exports = {
   getStats,
   getAllUsers,
@@ -591,4 +709,27 @@ module.exports = {
   getLogStats,
   getEmailHealth,
   sendEmailTest,
+  listRewards,
+  createReward,
+  updateReward,
+  deactivateReward,
+  listRedemptions,
+  fulfilRedemption,
+  refundRedemption,
+  listBadgeDefinitions,
+  createBadgeDefinition,
+  updateBadgeDefinition,
+  deactivateBadgeDefinition,
+  backfillBadge,
+  listClawbacks,
+  overrideClawback,
+  listSuspensionAppeals,
+  reviewSuspensionAppeal,
+  listRateLimits,
+  listRolePermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  listUserPermissions,
+  grantUserPermission,
+  revokeUserPermission,
 };
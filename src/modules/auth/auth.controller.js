@@ -1,6 +1,8 @@
 const svc = require('./auth.service');
+const { describeClient } = require('../../utils/requestInfo');
 
 function sendErr(res, err, next) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
   if (err.responseBody) return res.status(err.status).json(err.responseBody);
   if (err.status) return res.sendStatus(err.status);
   return next(err);
@@ -35,16 +37,25 @@ function sendServiceResult(res, result) {
 
 async function registerUser(req, res, next) {
   try {
-    const result = await svc.registerUser(req.body);
+    const result = await svc.registerUser(req.body, describeClient(req));
     return sendServiceResult(res, result);
   } catch (e) {
     return sendErr(res, e, next);
   }
 }
 
-async function cognitoLogin(req, res, next) {
+async function login(req, res, next) {
   try {
-    const result = await svc.cognitoLogin(req.body);
+    const result = await svc.login(req.body, describeClient(req));
+    return sendServiceResult(res, result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function refreshTokens(req, res, next) {
+  try {
+    const result = await svc.refreshTokens(req.body, describeClient(req));
     return sendServiceResult(res, result);
   } catch (e) {
     return sendErr(res, e, next);
@@ -98,7 +109,43 @@ async function getUser(req, res, next) {
 
 async function logout(req, res, next) {
   try {
-    const result = await svc.logout();
+    const result = await svc.logout(req.user, req.body);
+    return sendServiceResult(res, result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function submitSuspensionAppeal(req, res, next) {
+  try {
+    const result = await svc.submitSuspensionAppeal(req.body);
+    return sendServiceResult(res, result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function logoutAll(req, res, next) {
+  try {
+    const result = await svc.logoutAll(req.user.id);
+    return sendServiceResult(res, result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function getSessions(req, res, next) {
+  try {
+    const result = await svc.getSessions(req.user);
+    return sendServiceResult(res, result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function revokeSession(req, res, next) {
+  try {
+    const result = await svc.revokeUserSession(req.user, req.params.sessionId);
     return sendServiceResult(res, result);
   } catch (e) {
     return sendErr(res, e, next);
@@ -107,11 +154,16 @@ async function logout(req, res, next) {
 
 module.exports = {
   registerUser,
-  cognitoLogin,
+  login,
+  refreshTokens,
   respondToAuthChallenge,
   forgotPassword,
   resetPassword,
   getMe,
   getUser,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  submitSuspensionAppeal,
 };
@@ -1,16 +1,22 @@
 const express = require('express');
-const { authenticate } = require('../../utils/auth');
+const { authenticate, optionalAuth } = require('../../utils/auth');
+const rateLimit = require('../../middleware/rateLimiter');
 const authController = require('./auth.controller');
 
 const router = express.Router();
 
-router.post('/register', authController.registerUser);
-router.post('/login', authController.cognitoLogin);
-router.post('/login/challenge', authController.respondToAuthChallenge);
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password', authController.resetPassword);
+router.post('/register', rateLimit('register'), authController.registerUser);
+router.post('/login', rateLimit('login'), authController.login);
+router.post('/login/challenge', rateLimit('login'), authController.respondToAuthChallenge);
+router.post('/refresh', authController.refreshTokens);
+router.post('/forgot-password', rateLimit('passwordReset'), authController.forgotPassword);
+router.post('/reset-password', rateLimit('passwordReset'), authController.resetPassword);
 router.get('/me', authenticate, authController.getMe);
 router.get('/user', authController.getUser);
-router.post('/logout', authController.logout);
+router.post('/logout', optionalAuth, authController.logout);
+router.post('/logout-all', authenticate, authController.logoutAll);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:sessionId', authenticate, authController.revokeSession);
+router.post('/suspension-appeals', authController.submitSuspensionAppeal);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
+const validator = require('validator');
 const {
   CognitoIdentityProviderClient,
   AdminAddUserToGroupCommand,
@@ -10,12 +11,28 @@ const {
 } = require('@aws-sdk/client-cognito-identity-provider');
 
 const User = require('../../models/User');
-const { sanitizeUser } = require('../../utils/auth');
-const { sendWelcomeEmail } = require('../../services/emailService');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const Session = require('../../models/Session');
+const { sanitizeUser, generateToken } = require('../../utils/auth');
+const { sendWelcomeEmail, sendPasswordResetEmail } = require('../../services/emailService');
+const { passwordProblems, hashPassword, verifyPassword, generateResetToken, hashResetToken } = require('../../services/auth/passwords');
+const {
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+} = require('../../services/sessionService');
+const { getActiveSuspension, suspendedError, submitAppeal } = require('../../services/suspensionService');
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../../services/rateLimitService');
 const { httpError } = require('../../utils/httpError');
 
 const { generateUsername } = require('../profile/profile.service');
 
+// Roles people can choose when signing up locally; admins and moderators are appointed by an admin
+const LOCAL_SIGNUP_ROLES = ['patient', 'caregiver', 'researcher'];
+
 const cognitoClient = new CognitoIdentityProviderClient({
   region: process.env.REGION || 'eu-north-1',
 });
@@ -39,6 +56,13 @@ function normalizeEmail(email) {
   return String(email || '').trim().toLowerCase();
 }
 
+/**
+ * AUTH_PROVIDER=local (the default) handles passwords here instead of in Cognito
+ */
+function isLocalProvider() {
+  return (process.env.AUTH_PROVIDER || 'local') !== 'cognito';
+}
+
 function isRoleAllowedForSocial(role) {
   return role === 'patient' || role === 'moderator' || role === 'admin' || role === 'caregiver' || role === 'researcher';
 }
@@ -218,9 +242,8 @@ async function issueCognitoLoginSuccess({
     shouldLog,
   });
 
-  if (user.suspended) {
-    throw httpError(403, { error: 'Account suspended. Please contact support.' });
-  }
+  const suspension = await getActiveSuspension(user._id);
+  if (suspension) throw suspendedError(user._id, suspension);
 
   return {
     cookiesToSet: buildCookiesToSet(auth),
@@ -231,7 +254,7 @@ async function issueCognitoLoginSuccess({
   };
 }
 
-async function registerUser(body) {
+async function registerCognitoUser(body) {
   const {
     cognitoSub,
     name,
@@ -331,6 +354,101 @@ async function registerUser(body) {
   };
 }
 
+function assertStrongPassword(password, user) {
+  const problems = passwordProblems(password, user);
+  if (problems.length) throw httpError(400, { error: 'Password is too weak', problems });
+}
+
+/**
+ * Tokens for a local session. The JWT is both the id and access token, so clients written against
+ * the Cognito response shape work unchanged.
+ */
+function buildLocalTokens(user, sessionId, refreshToken) {
+  const token = generateToken(user.toObject(), sessionId);
+  const { exp } = jwt.decode(token);
+  return { idToken: token, accessToken: token, refreshToken, expiresAt: exp * 1000 };
+}
+
+async function issueLocalLogin(user, client) {
+  const { session, refreshToken } = await createSession(user._id, client);
+  return {
+    body: {
+      user: sanitizeUser(user.toObject()),
+      tokens: buildLocalTokens(user, session._id, refreshToken),
+    },
+  };
+}
+
+async function registerLocalUser(body, client) {
+  const {
+    name,
+    email,
+    password,
+    roleType = 'patient',
+    disease = '',
+    caregiverRelationship = '',
+    location = '',
+    bio = '',
+  } = body || {};
+
+  if (!name || !email || !password) {
+    throw httpError(400, { error: 'name, email, and password are required' });
+  }
+  const emailNormalized = normalizeEmail(email);
+  if (!validator.isEmail(emailNormalized)) throw httpError(400, { error: 'A valid email is required' });
+  if (!LOCAL_SIGNUP_ROLES.includes(roleType)) {
+    throw httpError(400, { error: `roleType must be one of: ${LOCAL_SIGNUP_ROLES.join(', ')}` });
+  }
+  assertStrongPassword(password, { email: emailNormalized, name });
+
+  const existingEmail = await User.exists({ email: emailNormalized });
+  if (existingEmail) throw httpError(409, { error: 'Email already registered' });
+
+  const username = await generateUsername(name, emailNormalized);
+  const now = new Date();
+  let user;
+  try {
+    user = await User.create({
+      _id: uuidv4(),
+      username,
+      name,
+      email: emailNormalized,
+      passwordHash: await hashPassword(password),
+      role: `${roleType}-user`,
+      roleType,
+      authProvider: 'local',
+      isPatient: roleType === 'patient',
+      disease,
+      caregiverRelationship,
+      location,
+      bio,
+      healthInterests: disease ? [disease] : [],
+      followersCount: 0,
+      followingCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (err) {
+    // Concurrent registration with the same email
+    if (err.code === 11000) throw httpError(409, { error: 'Email already registered' });
+    throw err;
+  }
+
+  sendWelcomeEmail(user).catch((err) =>
+    console.error('Failed to send welcome email:', err),
+  );
+
+  const issued = await issueLocalLogin(user, client);
+  return {
+    _statusCode: 201,
+    body: { message: 'User registered successfully', ...issued.body },
+  };
+}
+
+async function registerUser(body, client = {}) {
+  return isLocalProvider() ? registerLocalUser(body, client) : registerCognitoUser(body);
+}
+
 async function getMe(userId) {
   const user = await User.findById(userId);
   if (!user) throw httpError(404, { error: 'User not found' });
@@ -430,7 +548,71 @@ async function cognitoLogin(body) {
   }
 }
 
+async function localLogin(body, client) {
+  const { email, password } = body || {};
+  if (!email || !password) throw httpError(400, { error: 'Email and password are required' });
+
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  // Same error for an unknown email and a wrong password
+  const valid = await verifyPassword(password, user?.passwordHash);
+  if (!valid) throw httpError(401, { error: 'Invalid email or password' });
+  const suspension = await getActiveSuspension(user._id);
+  if (suspension) throw suspendedError(user._id, suspension);
+
+  return { ...(await issueLocalLogin(user, client)), _statusCode: 200 };
+}
+
+/**
+ * Sign in with the configured provider. Repeated wrong passwords lock the client out of the account for
+ * longer each time.
+ */
+async function login(body, client = {}) {
+  const email = normalizeEmail(body?.email);
+  await assertLoginAllowed(email, client.ip);
+
+  let result;
+  try {
+    result = isLocalProvider() ? await localLogin(body, client) : await cognitoLogin(body);
+  } catch (err) {
+    if (err.status === 401) await recordLoginFailure(email, client.ip);
+    throw err;
+  }
+  // Cognito failures come back as results rather than errors
+  if (result?._statusCode === 401) await recordLoginFailure(email, client.ip);
+  else if (!result?._statusCode || result._statusCode < 300) await clearLoginFailures(email, client.ip);
+  return result;
+}
+
+/**
+ * New access token for a local session. The refresh token rotates; the old one stops working.
+ */
+async function refreshTokens(body, client = {}) {
+  if (!isLocalProvider()) {
+    throw httpError(400, { error: 'Refresh Cognito tokens through Cognito' });
+  }
+  const { refreshToken } = body || {};
+  if (!refreshToken) throw httpError(400, { error: 'refreshToken is required' });
+
+  // Checked before rotating, so a suspended user keeps a working refresh token for when the suspension ends
+  const parsed = parseRefreshToken(refreshToken);
+  const owned = parsed && await Session.findOne({ _id: parsed.sessionId, refreshTokenHash: parsed.secretHash }).select('userId').lean();
+  const suspension = owned && await getActiveSuspension(owned.userId);
+  if (suspension) throw suspendedError(owned.userId, suspension);
+
+  const rotated = await rotateRefreshToken(refreshToken, client);
+  const user = await User.findById(rotated.session.userId);
+  if (!user) {
+    await revokeSession(rotated.session._id, 'logout');
+    throw httpError(401, { error: 'Session expired or revoked' });
+  }
+
+  return { body: { tokens: buildLocalTokens(user, rotated.session._id, rotated.refreshToken) } };
+}
+
 async function respondToAuthChallenge(body) {
+  if (isLocalProvider()) {
+    throw httpError(400, { error: 'Auth challenges only apply to Cognito sign-in' });
+  }
   const { username, session, newPassword } = body || {};
 
   if (!username || !session || !newPassword) {
@@ -483,7 +665,59 @@ async function respondToAuthChallenge(body) {
   }
 }
 
+/**
+ * Email a single-use reset link. The response is the same whether or not the account exists,
+ * so the endpoint can't be used to find out who is registered.
+ */
+async function forgotLocalPassword(body) {
+  const email = normalizeEmail(body?.email);
+  if (!email) throw httpError(400, { error: 'Email is required' });
+
+  const response = { body: { message: 'If an account exists for that email, a password reset link has been sent' } };
+  const user = await User.findOne({ email }).select('name email suspended').lean();
+  if (!user || user.suspended) return response;
+
+  // Only the newest link works
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  const { token, tokenHash, expiresAt } = generateResetToken();
+  await PasswordResetToken.create({ _id: uuidv4(), userId: user._id, tokenHash, expiresAt, createdAt: new Date() });
+
+  sendPasswordResetEmail({ user, token, expiresAt }).catch((err) =>
+    console.error('Failed to send password reset email:', err),
+  );
+  return response;
+}
+
+/**
+ * Set a new password with the emailed token (sent as token, or as code like the Cognito flow)
+ */
+async function resetLocalPassword(body) {
+  const { email, newPassword } = body || {};
+  const token = body?.token || body?.code;
+  if (!token || !newPassword) throw httpError(400, { error: 'Reset token and new password are required' });
+
+  const invalid = httpError(400, { error: 'Invalid or expired reset token' });
+  const reset = await PasswordResetToken.findOne({ tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+  const user = reset ? await User.findById(reset.userId) : null;
+  if (!user || (email && normalizeEmail(email) !== user.email)) throw invalid;
+  assertStrongPassword(newPassword, user);
+
+  // Claiming the token first means it works only once, even with concurrent requests
+  const claimed = await PasswordResetToken.updateOne({ _id: reset._id, usedAt: null }, { usedAt: new Date() });
+  if (!claimed.modifiedCount) throw invalid;
+
+  user.passwordHash = await hashPassword(newPassword);
+  user.updatedAt = new Date();
+  await user.save();
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  // Whoever knew the old password is signed out
+  await revokeAllSessions(user._id, 'password_reset');
+
+  return { body: { message: 'Password has been reset successfully' } };
+}
+
 async function forgotPassword(body) {
+  if (isLocalProvider()) return forgotLocalPassword(body);
   const { email } = body || {};
   if (!email) return { _statusCode: 400, body: { error: 'Email is required' } };
 
@@ -505,6 +739,7 @@ async function forgotPassword(body) {
 }
 
 async function resetPassword(body) {
+  if (isLocalProvider()) return resetLocalPassword(body);
   const { email, code, newPassword } = body || {};
 
   if (!email || !code || !newPassword) {
@@ -533,7 +768,21 @@ async function resetPassword(body) {
   }
 }
 
-async function logout() {
+/**
+ * End the caller's session, identified by their access token or by the refresh token in the body
+ */
+async function endCurrentSession(user, body) {
+  if (user?.sid) return revokeSession(user.sid, 'logout');
+
+  const parsed = parseRefreshToken(body?.refreshToken);
+  if (!parsed) return false;
+  // Only someone holding the current refresh token can end the session with it
+  const session = await Session.findOne({ _id: parsed.sessionId, refreshTokenHash: parsed.secretHash }).select('_id').lean();
+  return session ? revokeSession(session._id, 'logout') : false;
+}
+
+async function logout(user = null, body = {}) {
+  await endCurrentSession(user, body);
   return {
     cookiesToClear: [
 
@@ -574,13 +823,42 @@ async function logout() {
   };
 }
 
+/**
+ * Appeal from a suspended user, who can't sign in and uses the appealToken from the 403 instead
+ */
+async function submitSuspensionAppeal(body) {
+  return { _statusCode: 201, body: await submitAppeal(body || {}) };
+}
+
+async function logoutAll(userId) {
+  const revokedSessions = await revokeAllSessions(userId, 'logout_all');
+  return { body: { success: true, revokedSessions } };
+}
+
+async function getSessions(user) {
+  return { body: { sessions: await listSessions(user.id, user.sid || null) } };
+}
+
+async function revokeUserSession(user, sessionId) {
+  const session = await Session.findOne({ _id: sessionId, userId: user.id, revokedAt: null }).select('_id').lean();
+  if (!session) throw httpError(404, { error: 'Session not found' });
+  await revokeSession(session._id, 'logout');
+  return { body: { success: true, current: session._id === user.sid } };
+}
+
 module.exports = {
   registerUser,
+  login,
   cognitoLogin,
+  refreshTokens,
   respondToAuthChallenge,
   forgotPassword,
   resetPassword,
   getMe,
   getUser,
   logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
+  submitSuspensionAppeal,
 };
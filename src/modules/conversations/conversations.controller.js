@@ -56,6 +56,20 @@ async function editMessage(req, res, next) {
     return sendErr(res, e, next);
   }
 }
+async function reactToMessage(req, res, next) {
+  try {
+    return res.json(await svc.reactToMessage(req.user.id, req.params.convId, req.params.messageId, req.body.type));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getMessageReactions(req, res, next) {
+  try {
+    return res.json(await svc.getMessageReactions(req.user.id, req.params.convId, req.params.messageId, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
 
 module.exports = {
   getConversations,
@@ -65,4 +79,6 @@ module.exports = {
   getConversation,
   sendMessage,
   editMessage,
+  reactToMessage,
+  getMessageReactions,
 };
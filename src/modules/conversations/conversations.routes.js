@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticate } = require('../../utils/auth');
+const rateLimit = require('../../middleware/rateLimiter');
 const ctrl = require('./conversations.controller');
 
 const router = express.Router();
@@ -9,7 +10,9 @@ router.post('/', authenticate, ctrl.startConversation);
 router.post('/user/:targetUserId', authenticate, ctrl.startConversationByUserId);
 router.post('/group', authenticate, ctrl.createGroup);
 router.get('/:convId', authenticate, ctrl.getConversation);
-router.post('/:convId/messages', authenticate, ctrl.sendMessage);
+router.post('/:convId/messages', authenticate, rateLimit('messages'), ctrl.sendMessage);
 router.put('/:convId/messages/:messageId', authenticate, ctrl.editMessage);
+router.post('/:convId/messages/:messageId/reactions', authenticate, ctrl.reactToMessage);
+router.get('/:convId/messages/:messageId/reactions', authenticate, ctrl.getMessageReactions);
 
 module.exports = router;
@@ -7,11 +7,12 @@ const FriendRequest = require('../../models/FriendRequest');
 const { sanitizeInput } = require('../../utils/moderation');
 const { canMessageUsers, isUserBlocked } = require('../../utils/messaging');
 const { getIoInstance, emitNewMessage, emitMessageUpdated, emitConversationUpdate } = require('../../socket');
-const { notifyNewMessage } = require('../../utils/notifications');
+const { notifyNewMessage, notifyReaction } = require('../../utils/notifications');
 const { scan: moderationScan } = require('../../services/moderationService');
 const { toPublicUrl } = require('../../utils/publicUrl');
 const storageService = require('../../services/storageService');
 const { httpError } = require('../../utils/httpError');
+const { toggleReaction, listReactions, getViewerReactions, normalizeReactionCounts } = require('../../services/reactionService');
 
 function parsePositiveInt(value, fallback) {
   const n = Number.parseInt(String(value ?? ''), 10);
@@ -150,13 +151,14 @@ async function getConversation(userId, convId, query) {
   if (before) messageQuery.$or = [{ createdAt: { $lt: before.createdAt } }, { createdAt: before.createdAt, _id: { $lt: before.id } }];
 
   const [messages, participantsUsers] = await Promise.all([
-    Message.find(messageQuery).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).select('convId senderId text mediaUrl createdAt editedAt visible').lean(),
+    Message.find(messageQuery).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).select('convId senderId text mediaUrl createdAt editedAt reactionCounts visible').lean(),
     User.find({ _id: { $in: conv.participantIds } }).select('name role').lean(),
   ]);
 
   const senderIds = [...new Set(messages.map(m => m.senderId).filter(Boolean))];
   const senders = senderIds.length ? await User.find({ _id: { $in: senderIds } }).select('name role').lean() : [];
   const senderMap = new Map(senders.map(u => [u._id, u]));
+  const viewerReactions = await getViewerReactions(userId, 'message', messages.map(m => m._id));
 
   const hasMore = messages.length > limit;
   const page = hasMore ? messages.slice(0, limit) : messages;
@@ -166,7 +168,7 @@ async function getConversation(userId, convId, query) {
   const convMessages = ordered.map(m => {
     const sender = senderMap.get(m.senderId);
     const { _id, __v, ...rest } = m;
-    return { id: _id, ...rest, sender: sender ? { id: sender._id, name: sender.name } : null };
+    return { id: _id, ...rest, reactionCounts: normalizeReactionCounts(rest.reactionCounts), viewerReactions: viewerReactions.get(_id) || [], sender: sender ? { id: sender._id, name: sender.name } : null };
   });
 
   const participants = conv.participantIds.map(id => participantsUsers.find(u => u._id === id)).filter(Boolean).map(u => ({ id: u._id, name: u.name, role: u.role }));
@@ -258,4 +260,33 @@ async function editMessage(userId, convId, messageId, text) {
   return { message: enriched };
 }
 
-module.exports = { getConversations, startConversation, startConversationByUserId, createGroup, getConversation, sendMessage, editMessage };
+async function loadReactableMessage(userId, convId, messageId) {
+  const conv = await Conversation.findById(convId).select('participantIds').lean();
+  if (!conv) throw httpError(404, { error: 'Conversation not found' });
+  if (!isParticipant(conv, userId)) throw httpError(403, { error: 'Not authorized' });
+
+  const message = await Message.findById(messageId).select('convId senderId visible').lean();
+  if (!message || String(message.convId) !== String(convId) || message.visible === false) throw httpError(404, { error: 'Message not found' });
+  return message;
+}
+
+async function reactToMessage(userId, convId, messageId, type) {
+  const message = await loadReactableMessage(userId, convId, messageId);
+  const result = await toggleReaction({ userId, targetType: 'message', targetId: message._id, type });
+
+  const io = getIoInstance();
+  if (io) emitMessageUpdated(io, { id: message._id, convId, reactionCounts: result.reactionCounts }, convId).catch(err => console.error('Error emitting message update:', err));
+
+  if (result.reacted) {
+    notifyReaction(userId, message.senderId, { reactionType: type, targetType: 'message', targetId: message._id, metadata: { conversationId: convId } }).catch(err => console.error('Error creating reaction notification:', err));
+  }
+
+  return result;
+}
+
+async function getMessageReactions(userId, convId, messageId, query) {
+  const message = await loadReactableMessage(userId, convId, messageId);
+  return listReactions('message', message._id, query);
+}
+
+module.exports = { getConversations, startConversation, startConversationByUserId, createGroup, getConversation, sendMessage, editMessage, reactToMessage, getMessageReactions };
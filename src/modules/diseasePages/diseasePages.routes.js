@@ -1,17 +1,18 @@
 const express = require('express');
-const { authenticate, requireRole, optionalAuth } = require('../../utils/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../../utils/auth');
+const rateLimit = require('../../middleware/rateLimiter');
 const ctrl = require('./diseasePages.controller');
 
 const router = express.Router();
 
-router.post('/', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.createDiseasePage);
+router.post('/', authenticate, requirePermission('diseasePages.create'), ctrl.createDiseasePage);
 router.get('/', optionalAuth, ctrl.getDiseasePages);
 router.get('/:slug', optionalAuth, ctrl.getDiseasePageBySlug);
 router.post('/:slug/follow', authenticate, ctrl.followDiseasePage);
 router.delete('/:slug/follow', authenticate, ctrl.unfollowDiseasePage);
 router.get('/:slug/posts', authenticate, ctrl.getDiseasePagePosts);
 router.get('/:slug/posts/all', authenticate, ctrl.getAllDiseasePagePosts);
-router.post('/:slug/posts', authenticate, ctrl.createDiseasePagePost);
+router.post('/:slug/posts', authenticate, rateLimit('content'), ctrl.createDiseasePagePost);
 router.post('/:slug/posts/:id/like', authenticate, ctrl.likeDiseasePagePost);
 router.delete('/:slug/posts/:postId', authenticate, ctrl.removeDiseasePagePost);
 router.put('/:slug/posts/:postId/review', authenticate, ctrl.reviewDiseasePagePost);
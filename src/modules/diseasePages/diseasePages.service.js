@@ -9,8 +9,9 @@ const Event = require('../../models/Event');
 const Comment = require('../../models/Comment');
 
 const { sanitizeInput, analyzeTextForModeration } = require('../../utils/moderation');
-const { notifyDiseasePagePost, notifyPostLike } = require('../../utils/notifications');
+const { notifyDiseasePagePost, notifyReaction } = require('../../utils/notifications');
 const { toPublicUrl } = require('../../utils/publicUrl');
+const { validateEventTiming } = require('../../utils/eventSchedule');
 const storageService = require('../../services/storageService');
 const cacheService = require('../../services/cacheService');
 
@@ -18,11 +19,13 @@ const { encodeCursor, decodeCursor } = require('../../services/posts/cursor');
 const { getDiseaseFollowerIdsCached } = require('../../services/posts/diseaseFollowerCache');
 const { attachAuthorsToPosts } = require('../../services/posts/postResponseBuilder');
 
-const { isEditorOrAdmin } = require('../../services/diseasePages/permissions');
+const { canEditDiseasePage } = require('../../services/diseasePages/permissions');
+const { can } = require('../../services/permissionService');
 const { buildDiseasePageResponse, buildDiseasePageSummaryResponses } = require('../../services/diseasePages/responseBuilder');
 const { formatDiseasePagePosts } = require('../../services/diseasePages/postFormatter');
 
 const { httpError } = require('../../utils/httpError');
+const { clawbackRemovedContent } = require('../../services/clawbackService');
 
 async function maybeUploadDataUrlImage({ dataUrl, keyPrefix, filenamePrefix }) {
   if (!String(dataUrl || '').startsWith('data:image/')) return String(dataUrl || '').trim();
@@ -236,7 +239,7 @@ async function featurePost(user, slug, body) {
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can feature posts' });
   }
 
@@ -261,7 +264,7 @@ async function unfeaturePost(user, slug, postId) {
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can unfeature posts' });
   }
 
@@ -285,7 +288,7 @@ async function addResource(user, slug, body) {
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can add resources' });
   }
 
@@ -310,7 +313,7 @@ async function removeResource(user, slug, resourceId) {
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can remove resources' });
   }
 
@@ -327,7 +330,7 @@ async function updateDiseasePage(user, slug, body) {
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can update disease pages' });
   }
 
@@ -365,7 +368,7 @@ async function updateDiseasePage(user, slug, body) {
   }
 
   if (body?.editors !== undefined && Array.isArray(body.editors)) {
-    if (user.role !== 'admin-user') {
+    if (!(await can(user, 'diseasePages.editors.manage', { diseasePage }))) {
       throw httpError(403, { error: 'Only admins can modify editors list' });
     }
     diseasePage.editors = body.editors;
@@ -382,28 +385,28 @@ async function updateDiseasePage(user, slug, body) {
 async function createEvent(user, slug, body) {
   const title = sanitizeInput(body?.title || '');
   const description = sanitizeInput(body?.description || '');
-  const eventDate = body?.eventDate;
   const location = sanitizeInput(body?.location || '');
   const eventType = sanitizeInput(body?.eventType || 'virtual');
   const registrationUrl = String(body?.registrationUrl || '').trim();
 
   if (!title) throw httpError(400, { error: 'Title is required' });
-  if (!eventDate) throw httpError(400, { error: 'Event date is required' });
 
   const diseasePage = await DiseasePage.findOne({ slug });
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only editors can create events' });
   }
 
+  const creator = await User.findById(user.id);
+  const timing = validateEventTiming(body || {}, { defaultTimeZone: creator?.timezone });
   const now = new Date();
 
   const newEvent = await Event.create({
     _id: uuidv4(),
     title,
     description,
-    eventDate,
+    ...timing,
     location,
     eventType,
     registrationUrl,
@@ -413,7 +416,6 @@ async function createEvent(user, slug, body) {
     updatedAt: now,
   });
 
-  const creator = await User.findById(user.id);
   await cacheService.invalidatePattern(`dp:*${slug}*`);
 
   return {
@@ -428,7 +430,7 @@ async function createEvent(user, slug, body) {
 }
 
 async function deleteDiseasePage(user, slug) {
-  if (user?.role !== 'admin-user' && user?.role !== 'moderator-user') {
+  if (!(await can(user, 'diseasePages.delete'))) {
     throw httpError(403, { error: 'Only admins and moderators can delete disease pages' });
   }
 
@@ -623,7 +625,7 @@ async function removeDiseasePagePost(user, slug, postId) {
   const diseasePage = await DiseasePage.findOne({ slug }).lean();
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only moderators and admins can remove posts' });
   }
 
@@ -638,6 +640,8 @@ async function removeDiseasePagePost(user, slug, postId) {
   post.mediaUrl = null;
   await post.save();
 
+  if (post.authorId !== user.id) clawbackRemovedContent('post', post, user.id);
+
   return { body: { success: true, message: 'Post removed successfully' } };
 }
 
@@ -650,7 +654,7 @@ async function reviewDiseasePagePost(user, slug, postId, body) {
   const diseasePage = await DiseasePage.findOne({ slug }).lean();
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only moderators and admins can review posts' });
   }
 
@@ -680,6 +684,7 @@ async function reviewDiseasePagePost(user, slug, postId, body) {
   }
 
   await post.save();
+  if (action === 'reject') clawbackRemovedContent('post', post, user.id);
 
   return {
     body: {
@@ -698,7 +703,7 @@ async function getAllDiseasePagePosts(user, slug, query) {
   const diseasePage = await DiseasePage.findOne({ slug }).lean();
   if (!diseasePage) throw httpError(404, { error: 'Disease page not found' });
 
-  if (!isEditorOrAdmin(diseasePage, user.id, user.role)) {
+  if (!(await canEditDiseasePage(diseasePage, user.id, user.role))) {
     throw httpError(403, { error: 'Only moderators and admins can access all posts' });
   }
 
@@ -756,7 +761,7 @@ async function likeDiseasePagePost(user, id) {
       processUserAction(post.authorId, 'receive_like', { postId: post._id, likerId: user.id })
         .catch((err) => console.error('Error processing gamification for disease post receive_like:', err));
 
-      notifyPostLike(user.id, post.authorId, post._id, true)
+      notifyReaction(user.id, post.authorId, { reactionType: 'like', targetType: 'post', targetId: post._id })
         .catch((err) => console.error('Error creating like notification:', err));
     }
   } else {
@@ -5,16 +5,21 @@ function sendErr(res, err, next) {
   return next(err);
 }
 
+// Times are also shown in the viewer's zone: ?timeZone= or the X-Timezone header, else their profile zone
+function viewerQuery(req) {
+  return { ...req.query, timeZone: req.query.timeZone || req.get('x-timezone') || undefined };
+}
+
 async function getEvents(req, res, next) {
   try {
-    return res.json(await svc.getEvents(req.query));
+    return res.json(await svc.getEvents(viewerQuery(req), req.user.id));
   } catch (e) {
     return sendErr(res, e, next);
   }
 }
 async function getEventById(req, res, next) {
   try {
-    return res.json(await svc.getEventById(req.params.id));
+    return res.json(await svc.getEventById(req.params.id, req.user.id, viewerQuery(req)));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -42,14 +47,138 @@ async function deleteEvent(req, res, next) {
 }
 async function registerForEvent(req, res, next) {
   try {
-    return res.json(await svc.registerForEvent(req.params.id, req.user.id));
+    return res.json(await svc.registerForEvent(req.params.id, req.user.id, req.body || {}));
   } catch (e) {
     return sendErr(res, e, next);
   }
 }
 async function unregisterFromEvent(req, res, next) {
   try {
-    return res.json(await svc.unregisterFromEvent(req.params.id, req.user.id));
+    return res.json(await svc.unregisterFromEvent(req.params.id, req.user.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getEventWaitlist(req, res, next) {
+  try {
+    return res.json(await svc.getEventWaitlist(req.params.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getEventOccurrences(req, res, next) {
+  try {
+    return res.json(await svc.getEventOccurrenceList(req.params.id, viewerQuery(req), req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function cancelOccurrence(req, res, next) {
+  try {
+    return res.json(await svc.cancelOccurrence(req.params.id, req.params.date, req.user.id, req.body || {}));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function rescheduleOccurrence(req, res, next) {
+  try {
+    return res.json(await svc.rescheduleOccurrence(req.params.id, req.params.date, req.user.id, req.body || {}));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function restoreOccurrence(req, res, next) {
+  try {
+    return res.json(await svc.restoreOccurrence(req.params.id, req.params.date, req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function getEventIcs(req, res, next) {
+  try {
+    const { filename, body } = await svc.getEventIcs(req.params.id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(body);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getCalendarFeed(req, res, next) {
+  try {
+    return res.json(await svc.getCalendarFeed(req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function resetCalendarFeed(req, res, next) {
+  try {
+    return res.json(await svc.resetCalendarFeed(req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getCalendarFeedIcs(req, res, next) {
+  try {
+    const body = await svc.getCalendarFeedIcs(req.params.token);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    return res.send(body);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function getCheckInCode(req, res, next) {
+  try {
+    return res.json(await svc.getCheckInCode(req.params.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function rotateCheckInCode(req, res, next) {
+  try {
+    return res.json(await svc.getCheckInCode(req.params.id, req.body || {}, true));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function checkIn(req, res, next) {
+  try {
+    const result = await svc.checkIn(req.params.id, req.user.id, req.body || {});
+    const code = result._statusCode || 200; delete result._statusCode;
+    return res.status(code).json(result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function markAttendance(req, res, next) {
+  try {
+    return res.json(await svc.markAttendance(req.params.id, req.user.id, req.body || {}));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getAttendanceReport(req, res, next) {
+  try {
+    return res.json(await svc.getAttendanceReport(req.params.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function submitFeedback(req, res, next) {
+  try {
+    const result = await svc.submitFeedback(req.params.id, req.user.id, req.body || {});
+    const code = result._statusCode || 200; delete result._statusCode;
+    return res.status(code).json(result);
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listFeedback(req, res, next) {
+  try {
+    return res.json(await svc.listFeedback(req.params.id, req.query));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -63,4 +192,20 @@ module.exports = {
   deleteEvent,
   registerForEvent,
   unregisterFromEvent,
+  getEventWaitlist,
+  getEventOccurrences,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  restoreOccurrence,
+  getEventIcs,
+  getCalendarFeed,
+  resetCalendarFeed,
+  getCalendarFeedIcs,
+  getCheckInCode,
+  rotateCheckInCode,
+  checkIn,
+  markAttendance,
+  getAttendanceReport,
+  submitFeedback,
+  listFeedback,
 };
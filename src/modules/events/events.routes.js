@@ -1,15 +1,32 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const ctrl = require('./events.controller');
 
 const router = express.Router();
 
 router.get('/', authenticate, ctrl.getEvents);
+// Calendar apps can't send auth headers; the feed URL carries its own secret token
+router.get('/calendar/feed', authenticate, ctrl.getCalendarFeed);
+router.post('/calendar/feed/reset', authenticate, ctrl.resetCalendarFeed);
+router.get('/calendar/:token.ics', ctrl.getCalendarFeedIcs);
 router.get('/:id', authenticate, ctrl.getEventById);
-router.post('/', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.createEvent);
-router.put('/:id', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.updateEvent);
-router.delete('/:id', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.deleteEvent);
+router.get('/:id/ics', authenticate, ctrl.getEventIcs);
+router.post('/', authenticate, requirePermission('events.manage'), ctrl.createEvent);
+router.put('/:id', authenticate, requirePermission('events.manage'), ctrl.updateEvent);
+router.delete('/:id', authenticate, requirePermission('events.manage'), ctrl.deleteEvent);
 router.post('/:id/register', authenticate, ctrl.registerForEvent);
 router.delete('/:id/register', authenticate, ctrl.unregisterFromEvent);
+router.get('/:id/waitlist', authenticate, requirePermission('events.manage'), ctrl.getEventWaitlist);
+router.get('/:id/check-in-code', authenticate, requirePermission('events.manage'), ctrl.getCheckInCode);
+router.post('/:id/check-in-code', authenticate, requirePermission('events.manage'), ctrl.rotateCheckInCode);
+router.post('/:id/check-in', authenticate, ctrl.checkIn);
+router.get('/:id/attendance', authenticate, requirePermission('events.manage'), ctrl.getAttendanceReport);
+router.put('/:id/attendance', authenticate, requirePermission('events.manage'), ctrl.markAttendance);
+router.post('/:id/feedback', authenticate, ctrl.submitFeedback);
+router.get('/:id/feedback', authenticate, requirePermission('events.manage'), ctrl.listFeedback);
+router.get('/:id/occurrences', authenticate, ctrl.getEventOccurrences);
+router.put('/:id/occurrences/:date', authenticate, requirePermission('events.manage'), ctrl.rescheduleOccurrence);
+router.post('/:id/occurrences/:date/cancel', authenticate, requirePermission('events.manage'), ctrl.cancelOccurrence);
+router.post('/:id/occurrences/:date/restore', authenticate, requirePermission('events.manage'), ctrl.restoreOccurrence);
 
 module.exports = router;
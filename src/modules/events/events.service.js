@@ -1,64 +1,209 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const Event = require('../../models/Event');
 const User = require('../../models/User');
 const DiseasePage = require('../../models/DiseasePage');
+const DiseaseFollower = require('../../models/DiseaseFollower');
 const { sanitizeInput } = require('../../utils/moderation');
 const { httpError } = require('../../utils/httpError');
+const { isDateKey, addDays, validateRecurrence, isOccurrenceDate } = require('../../utils/recurrence');
+const {
+  todayKey,
+  findOccurrence,
+  getOrAddOccurrence,
+  buildOccurrence,
+  listOccurrences,
+  nextOccurrence,
+} = require('../../services/events/occurrences');
+const {
+  hasSeat,
+  isBookable,
+  findWaitlistEntry,
+  waitlistPosition,
+  removeWaitlistEntries,
+  addAttendee,
+} = require('../../services/events/waitlist');
+const { mutateEvent } = require('../../services/eventWaitlistService');
+const attendanceService = require('../../services/eventAttendanceService');
+const { announceEventChange } = require('../../services/eventReminderService');
+const { scheduleChanges } = require('../../services/events/reminders');
+const { buildEventComponents, buildCalendar } = require('../../services/events/ical');
+const { toPublicUrl } = require('../../utils/publicUrl');
+const { validateEventTiming, hasTimingChanges, timingAt, describeTimes } = require('../../utils/eventSchedule');
+const { normalizeEventTime, isValidTimeZone } = require('../../utils/zonedTime');
 
-function enrichEvent(event, creator, diseasePage) {
-  const now = new Date();
-  const eventDate = new Date(event.eventDate);
-  return {
-    ...event,
-    id: event._id,
-    status: eventDate >= now ? 'upcoming' : 'past',
+const MAX_WINDOW_DAYS = 366;
+const UPCOMING_OCCURRENCES = 5;
+const FEED_HISTORY_DAYS = 30; // Past events kept in calendar feeds
+const FEED_MAX_EVENTS = 500;
+
+/**
+ * viewerZone is the zone times are also shown in (the event's own zone when not given)
+ */
+function enrichEvent(event, creator, diseasePage, viewerZone = null) {
+  const { occurrences, waitlist, checkInCode, ...rest } = event;
+  const enriched = {
+    ...rest,
+    id: event._id || event.id,
+    status: timingAt(event.startsAt, event.endsAt),
+    times: describeTimes(event.startsAt, event.endsAt, event.timeZone, viewerZone),
+    isRecurring: !!event.recurrence,
     creator: creator ? { id: creator._id, name: creator.name, role: creator.role } : null,
     diseasePage: diseasePage ? { slug: diseasePage.slug, name: diseasePage.name } : null,
     attendeesCount: (event.attendees || []).length,
+    waitlistCount: (waitlist || []).filter((w) => w.status === 'waiting').length,
+  };
+
+  if (event.recurrence) {
+    const next = nextOccurrence(event);
+    enriched.nextOccurrence = next ? withTimes(next, event, viewerZone) : null;
+    enriched.status = next ? next.timing : 'past';
+  }
+  return enriched;
+}
+
+function withTimes(occurrence, event, viewerZone) {
+  return { ...occurrence, times: describeTimes(occurrence.startsAt, occurrence.endsAt, event.timeZone, viewerZone) };
+}
+
+/**
+ * Zone to show times in: the one asked for, else the viewer's profile zone
+ */
+async function resolveViewerZone(requested, userId) {
+  if (requested) {
+    if (!isValidTimeZone(requested)) throw httpError(400, { error: 'timeZone must be an IANA time zone, e.g. Europe/London' });
+    return requested;
+  }
+  if (!userId) return null;
+  const user = await User.findById(userId).select('timezone').lean();
+  return isValidTimeZone(user?.timezone) ? user.timezone : null;
+}
+
+function parseWindow(query, timeZone = null) {
+  const from = query.from || todayKey(timeZone || 'UTC');
+  const to = query.to || addDays(from, 30);
+  if (!isDateKey(from) || !isDateKey(to)) throw httpError(400, { error: 'from and to must be YYYY-MM-DD dates' });
+  if (to < from) throw httpError(400, { error: 'to must be on or after from' });
+  if (addDays(from, MAX_WINDOW_DAYS) < to) throw httpError(400, { error: `Date window cannot exceed ${MAX_WINDOW_DAYS} days` });
+  return { from, to };
+}
+
+async function populateEvents(events, viewerZone = null) {
+  const eventsWithCreator = await Event.populate(events, { path: 'createdBy', select: 'name role' });
+
+  const slugs = [...new Set(events.map(e => e.diseasePageSlug).filter(Boolean))];
+  const diseasePages = await DiseasePage.find({ slug: { $in: slugs } }).select('slug name').lean();
+
+  return eventsWithCreator.map(event => {
+    const dp = diseasePages.find(d => d.slug === event.diseasePageSlug);
+    return enrichEvent(event, event.createdBy, dp, viewerZone);
+  });
+}
+
+/**
+ * Events in a date window with recurring series expanded into one item per occurrence
+ */
+async function getEventOccurrences(query, baseConditions, viewerZone) {
+  const { from, to } = parseWindow(query, viewerZone);
+  const page = Math.max(parseInt(query.page || '1', 10), 1);
+  const limit = Math.min(Math.max(parseInt(query.limit || '50', 10), 1), 100);
+
+  const filter = {
+    $and: [
+      ...baseConditions,
+      {
+        $or: [
+          { recurrence: null, eventDate: { $gte: from, $lte: to } },
+          { recurrence: { $ne: null }, eventDate: { $lte: to }, 'recurrence.until': { $not: { $lt: from } } },
+          { 'occurrences.eventDate': { $gte: from, $lte: to } },
+        ],
+      },
+    ],
+  };
+
+  const events = await Event.find(filter).lean();
+  const enrichedById = new Map((await populateEvents(events, viewerZone)).map((e) => [e.id, e]));
+
+  let items = [];
+  for (const event of events) {
+    const enriched = enrichedById.get(event._id);
+    if (!event.recurrence) {
+      items.push({ ...enriched, occurrenceDate: null });
+      continue;
+    }
+    listOccurrences(event, { from, to }).forEach((occurrence) => {
+      items.push({ ...enriched, ...withTimes(occurrence, event, viewerZone), status: occurrence.timing, occurrenceStatus: occurrence.status });
+    });
+  }
+
+  if (['upcoming', 'ongoing', 'past'].includes(query.status)) items = items.filter((i) => i.status === query.status);
+  items.sort((a, b) => a.startsAt - b.startsAt);
+
+  const totalCount = items.length;
+  return {
+    data: items.slice((page - 1) * limit, page * limit),
+    totalCount,
+    page,
+    limit,
+    totalPages: Math.ceil(totalCount / limit),
+    from,
+    to,
   };
 }
 
-async function getEvents(query) {
+/**
+ * status filters on real start/end instants: upcoming (not started), ongoing (started, not ended) or past.
+ * A series is upcoming until its last occurrence ends; whether one is under way is only known per occurrence.
+ */
+async function getEvents(query, userId = null) {
   const { status, type, diseaseSlug, search, page: pageStr, limit: limitStr } = query;
-  let filter = {};
+  const conditions = [];
 
   const isPaginated = !!pageStr || !!limitStr;
   const page = Math.max(parseInt(pageStr || '1', 10), 1);
   const limit = Math.min(Math.max(parseInt(limitStr || '10', 10), 1), 100);
   const skip = (page - 1) * limit;
 
-  if (status === 'upcoming') {
-    filter.eventDate = { $gte: new Date().toISOString().slice(0, 10) };
-  } else if (status === 'past') {
-    filter.eventDate = { $lt: new Date().toISOString().slice(0, 10) };
-  }
-  if (type) filter.eventType = type;
-  if (diseaseSlug) filter.diseasePageSlug = diseaseSlug;
+  if (type) conditions.push({ eventType: type });
+  if (diseaseSlug) conditions.push({ diseasePageSlug: diseaseSlug });
   if (search) {
     const searchRegex = { $regex: search, $options: 'i' };
-    filter.$or = [{ title: searchRegex }, { description: searchRegex }];
+    conditions.push({ $or: [{ title: searchRegex }, { description: searchRegex }] });
   }
 
+  const viewerZone = await resolveViewerZone(query.timeZone, userId);
+  // A date window switches to one item per occurrence
+  if (query.from || query.to) return getEventOccurrences(query, conditions, viewerZone);
+
+  const now = new Date();
+  const seriesRunning = { recurrence: { $ne: null }, $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: now } }] };
+  if (status === 'upcoming') {
+    conditions.push({ $or: [{ recurrence: null, startsAt: { $gt: now } }, seriesRunning] });
+  } else if (status === 'ongoing') {
+    conditions.push({ $or: [{ recurrence: null, startsAt: { $lte: now }, endsAt: { $gt: now } }, { ...seriesRunning, startsAt: { $lte: now } }] });
+  } else if (status === 'past') {
+    conditions.push({ $or: [{ recurrence: null, endsAt: { $lte: now } }, { recurrence: { $ne: null }, seriesEndsAt: { $lte: now } }] });
+  }
+  const filter = conditions.length ? { $and: conditions } : {};
+
   let events;
   let totalCount = 0;
 
-  if (isPaginated) {
+  if (status === 'ongoing') {
+    // Series candidates are narrowed to those with an occurrence in progress
+    const candidates = await Event.find(filter).sort({ startsAt: 1 }).lean();
+    events = candidates.filter((e) => !e.recurrence || nextOccurrence(e)?.timing === 'ongoing');
+    totalCount = events.length;
+    if (isPaginated) events = events.slice(skip, skip + limit);
+  } else if (isPaginated) {
     totalCount = await Event.countDocuments(filter);
-    events = await Event.find(filter).sort({ eventDate: 1 }).skip(skip).limit(limit).lean();
+    events = await Event.find(filter).sort({ startsAt: 1 }).skip(skip).limit(limit).lean();
   } else {
-    events = await Event.find(filter).sort({ eventDate: 1 }).lean();
+    events = await Event.find(filter).sort({ startsAt: 1 }).lean();
     totalCount = events.length;
   }
 
-  const eventsWithCreator = await Event.populate(events, { path: 'createdBy', select: 'name role' });
-
-  const slugs = [...new Set(events.map(e => e.diseasePageSlug).filter(Boolean))];
-  const diseasePages = await DiseasePage.find({ slug: { $in: slugs } }).select('slug name').lean();
-
-  const enriched = eventsWithCreator.map(event => {
-    const dp = diseasePages.find(d => d.slug === event.diseasePageSlug);
-    return enrichEvent(event, event.createdBy, dp);
-  });
+  const enriched = await populateEvents(events, viewerZone);
 
   if (isPaginated) {
     return { data: enriched, totalCount, page, limit, totalPages: Math.ceil(totalCount / limit) };
@@ -67,7 +212,7 @@ async function getEvents(query) {
   return { events: enriched, total: enriched.length };
 }
 
-async function getEventById(eventId) {
+async function getEventById(eventId, userId = null, query = {}) {
   const event = await Event.findById(eventId)
     .populate('createdBy', 'name role')
     .populate('attendees', 'name role')
@@ -78,16 +223,40 @@ async function getEventById(eventId) {
     ? await DiseasePage.findOne({ slug: event.diseasePageSlug }).select('slug name').lean()
     : null;
 
+  const viewerZone = await resolveViewerZone(query.timeZone, userId);
   const attendeesDetails = (event.attendees || []).map(u => ({ id: u._id, name: u.name, role: u.role }));
-  const base = enrichEvent(event, event.createdBy, diseasePage);
+  const base = enrichEvent(event, event.createdBy, diseasePage, viewerZone);
+  if (event.recurrence) {
+    base.upcomingOccurrences = listOccurrences(event, { from: todayKey(event.timeZone), limit: UPCOMING_OCCURRENCES + 1 })
+      .filter((o) => o.timing !== 'past')
+      .slice(0, UPCOMING_OCCURRENCES)
+      .map((o) => withTimes(o, event, viewerZone));
+  }
+  // The viewer's own place in any waitlist (series or per occurrence)
+  base.viewerWaitlist = (event.waitlist || [])
+    .filter((w) => w.userId === userId)
+    .map((w) => ({
+      occurrenceDate: w.occurrenceDate,
+      status: w.status,
+      position: w.status === 'waiting' ? waitlistPosition(event, userId, w.occurrenceDate) : null,
+      confirmBy: w.confirmBy,
+    }));
   return { ...base, attendeesDetails };
 }
 
+async function getEventOccurrenceList(eventId, query, userId = null) {
+  const event = await Event.findById(eventId).lean();
+  if (!event) throw httpError(404, { error: 'Event not found' });
+  const viewerZone = await resolveViewerZone(query.timeZone, userId);
+  if (!event.recurrence) return { occurrences: [withTimes(buildOccurrence(event, event.eventDate), event, viewerZone)], from: null, to: null };
+
+  const { from, to } = parseWindow(query, event.timeZone);
+  return { occurrences: listOccurrences(event, { from, to }).map((o) => withTimes(o, event, viewerZone)), from, to };
+}
+
 async function createEvent(body, userId) {
   const title = sanitizeInput(body.title || '');
   const description = sanitizeInput(body.description || '');
-  const eventDate = body.eventDate;
-  const eventTime = body.eventTime || '';
   const location = sanitizeInput(body.location || '');
   const eventType = sanitizeInput(body.eventType || 'virtual');
   const registrationUrl = (body.registrationUrl || '').trim();
@@ -95,7 +264,10 @@ async function createEvent(body, userId) {
   const maxAttendees = parseInt(body.maxAttendees) || null;
 
   if (!title) throw httpError(400, { error: 'Title is required' });
-  if (!eventDate) throw httpError(400, { error: 'Event date is required' });
+  // Times are in the creator's zone unless the event names its own
+  const creator = await User.findById(userId).select('name role timezone').lean();
+  const timing = validateEventTiming(body, { defaultTimeZone: creator?.timezone });
+  const recurrence = validateRecurrence(body.recurrence, timing.eventDate);
   if (!['virtual', 'in-person', 'hybrid'].includes(eventType)) {
     throw httpError(400, { error: 'Invalid event type. Must be virtual, in-person, or hybrid' });
   }
@@ -106,32 +278,40 @@ async function createEvent(body, userId) {
 
   const now = new Date();
   const newEvent = await Event.create({
-    _id: uuidv4(), title, description, eventDate, eventTime, location, eventType,
-    registrationUrl, diseasePageSlug, maxAttendees, attendees: [], createdBy: userId, createdAt: now, updatedAt: now,
+    _id: uuidv4(), title, description, ...timing, location, eventType,
+    registrationUrl, diseasePageSlug, maxAttendees, attendees: [], recurrence, occurrences: [], createdBy: userId, createdAt: now, updatedAt: now,
   });
 
-  const creator = await User.findById(userId).select('name role').lean();
   return enrichEvent(newEvent.toObject(), creator, null);
 }
 
 async function updateEvent(eventId, body) {
-  const event = await Event.findById(eventId);
-  if (!event) throw httpError(404, { error: 'Event not found' });
+  let before;
+  const { event } = await mutateEvent(eventId, (event) => {
+    before = { eventDate: event.eventDate, eventTime: event.eventTime, timeZone: event.timeZone, location: event.location, startsAt: event.startsAt };
+    if (body.title !== undefined) event.title = sanitizeInput(body.title);
+    if (body.description !== undefined) event.description = sanitizeInput(body.description);
+    if (hasTimingChanges(body)) Object.assign(event, validateEventTiming(body, { current: event }));
+    if (body.location !== undefined) event.location = sanitizeInput(body.location);
+    if (body.eventType !== undefined) {
+      if (!['virtual', 'in-person', 'hybrid'].includes(body.eventType)) throw httpError(400, { error: 'Invalid event type' });
+      event.eventType = body.eventType;
+    }
+    if (body.registrationUrl !== undefined) event.registrationUrl = (body.registrationUrl || '').trim();
+    // Raising the limit offers the new seats to the waitlist
+    if (body.maxAttendees !== undefined) event.maxAttendees = parseInt(body.maxAttendees) || null;
+    if (body.recurrence !== undefined || (event.isModified('eventDate') && event.recurrence)) {
+      const rule = body.recurrence !== undefined ? body.recurrence : event.recurrence?.toObject();
+      event.recurrence = validateRecurrence(rule, event.eventDate);
+    }
 
-  if (body.title !== undefined) event.title = sanitizeInput(body.title);
-  if (body.description !== undefined) event.description = sanitizeInput(body.description);
-  if (body.eventDate !== undefined) event.eventDate = body.eventDate;
-  if (body.eventTime !== undefined) event.eventTime = body.eventTime;
-  if (body.location !== undefined) event.location = sanitizeInput(body.location);
-  if (body.eventType !== undefined) {
-    if (!['virtual', 'in-person', 'hybrid'].includes(body.eventType)) throw httpError(400, { error: 'Invalid event type' });
-    event.eventType = body.eventType;
-  }
-  if (body.registrationUrl !== undefined) event.registrationUrl = (body.registrationUrl || '').trim();
-  if (body.maxAttendees !== undefined) event.maxAttendees = parseInt(body.maxAttendees) || null;
+    event.updatedAt = new Date();
+  });
 
-  event.updatedAt = new Date();
-  await event.save();
+  const now = new Date();
+  if (event.recurrence || before.startsAt > now || event.startsAt > now) {
+    announceEventChange(event, { changes: scheduleChanges(before, event) });
+  }
 
   const creator = await User.findById(event.createdBy).lean();
   const dp = event.diseasePageSlug
@@ -143,32 +323,337 @@ async function updateEvent(eventId, body) {
 async function deleteEvent(eventId) {
   const event = await Event.findByIdAndDelete(eventId);
   if (!event) throw httpError(404, { error: 'Event not found' });
+
+  const upcoming = event.recurrence
+    ? nextOccurrence(event)?.timing === 'upcoming'
+    : event.startsAt > new Date();
+  if (upcoming) announceEventChange(event, { cancelled: true });
+
   return { message: 'Event deleted successfully', eventId: event._id };
 }
 
-async function registerForEvent(eventId, userId) {
-  const event = await Event.findById(eventId);
+/**
+ * Check that date is a real, still-scheduled future occurrence of a recurring event
+ */
+function assertBookableOccurrence(event, date) {
+  if (!event.recurrence) throw httpError(400, { error: 'This event does not repeat' });
+  if (!isOccurrenceDate(event.eventDate, event.recurrence, date)) throw httpError(404, { error: 'Occurrence not found' });
+
+  const occurrence = buildOccurrence(event, date);
+  if (occurrence.cancelled) throw httpError(400, { error: 'This occurrence has been cancelled' });
+  if (occurrence.timing === 'past') throw httpError(400, { error: 'Cannot register for past events' });
+  return occurrence;
+}
+
+function confirmedAttendees(event, occurrenceDate) {
+  return occurrenceDate ? buildOccurrence(event, occurrenceDate).attendeesCount : event.attendees.length;
+}
+
+/**
+ * Register for a one-off event, a whole series, or one occurrence (body.occurrenceDate).
+ * Full events put the user on the waitlist; registering while holding a waitlist offer confirms it.
+ */
+async function registerForEvent(eventId, userId, body = {}) {
+  const occurrenceDate = body.occurrenceDate || null;
+
+  const { event, result } = await mutateEvent(eventId, (event) => {
+    if (!event.attendees) event.attendees = [];
+
+    if (occurrenceDate) {
+      assertBookableOccurrence(event, occurrenceDate);
+      if (event.attendees.includes(userId)) throw httpError(400, { error: 'Already registered for every occurrence of this event' });
+      if (findOccurrence(event, occurrenceDate)?.attendees.includes(userId)) throw httpError(400, { error: 'Already registered for this occurrence' });
+    } else {
+      if (!isBookable(event, null)) throw httpError(400, { error: 'Cannot register for past events' });
+      if (event.attendees.includes(userId)) throw httpError(400, { error: 'Already registered for this event' });
+    }
+
+    const entry = findWaitlistEntry(event, userId, occurrenceDate);
+    if (entry && entry.status === 'waiting') {
+      throw httpError(400, { error: 'Already on the waitlist', position: waitlistPosition(event, userId, occurrenceDate) });
+    }
+    if (entry) {
+      // Confirming an offer: the seat was already held
+      removeWaitlistEntries(event, (w) => w === entry);
+    } else if (!hasSeat(event, occurrenceDate)) {
+      event.waitlist.push({ userId, occurrenceDate, status: 'waiting', joinedAt: new Date() });
+      event.updatedAt = new Date();
+      return { waitlisted: true, position: waitlistPosition(event, userId, occurrenceDate) };
+    }
+
+    addAttendee(event, userId, occurrenceDate);
+    event.updatedAt = new Date();
+    return { waitlisted: false };
+  });
+
+  if (result.waitlisted) {
+    return { message: 'Event is at full capacity; you have been added to the waitlist', waitlisted: true, position: result.position, occurrenceDate };
+  }
+  return {
+    message: occurrenceDate ? 'Successfully registered for occurrence' : 'Successfully registered for event',
+    waitlisted: false,
+    occurrenceDate,
+    attendeesCount: confirmedAttendees(event, occurrenceDate),
+  };
+}
+
+/**
+ * Leave an event, occurrence or waitlist; a freed seat is offered to the next person waiting
+ */
+async function unregisterFromEvent(eventId, userId, query = {}) {
+  const occurrenceDate = query.occurrenceDate || null;
+
+  const { event, result } = await mutateEvent(eventId, (event) => {
+    const entry = findWaitlistEntry(event, userId, occurrenceDate);
+    if (entry) {
+      removeWaitlistEntries(event, (w) => w === entry);
+      event.updatedAt = new Date();
+      return { message: entry.status === 'offered' ? 'Waitlist offer declined' : 'Removed from the waitlist' };
+    }
+
+    if (occurrenceDate) {
+      const occurrence = findOccurrence(event, occurrenceDate);
+      if (!occurrence || !occurrence.attendees.includes(userId)) {
+        if ((event.attendees || []).includes(userId)) {
+          throw httpError(400, { error: 'Registered for the whole series; unregister from the event instead' });
+        }
+        throw httpError(400, { error: 'Not registered for this occurrence' });
+      }
+      occurrence.attendees = occurrence.attendees.filter(id => id !== userId);
+      event.updatedAt = new Date();
+      return { message: 'Successfully unregistered from occurrence' };
+    }
+
+    if (!event.attendees || !event.attendees.includes(userId)) throw httpError(400, { error: 'Not registered for this event' });
+    event.attendees = event.attendees.filter(id => id !== userId);
+    event.updatedAt = new Date();
+    return { message: 'Successfully unregistered from event' };
+  });
+
+  return { ...result, occurrenceDate, attendeesCount: confirmedAttendees(event, occurrenceDate) };
+}
+
+/**
+ * Organiser view of the queue, in order
+ */
+async function getEventWaitlist(eventId, query = {}) {
+  const event = await Event.findById(eventId).select('waitlist').populate('waitlist.userId', 'name email').lean();
   if (!event) throw httpError(404, { error: 'Event not found' });
-  if (new Date(event.eventDate) < new Date()) throw httpError(400, { error: 'Cannot register for past events' });
-  if (!event.attendees) event.attendees = [];
-  if (event.attendees.includes(userId)) throw httpError(400, { error: 'Already registered for this event' });
-  if (event.maxAttendees && event.attendees.length >= event.maxAttendees) throw httpError(400, { error: 'Event is at full capacity' });
 
-  event.attendees.push(userId);
-  event.updatedAt = new Date();
-  await event.save();
-  return { message: 'Successfully registered for event', attendeesCount: event.attendees.length };
+  const occurrenceDate = query.occurrenceDate || null;
+  const entries = (event.waitlist || []).filter((w) => query.occurrenceDate === undefined || (w.occurrenceDate || null) === occurrenceDate);
+  return {
+    waitlist: entries.map((w) => ({
+      user: w.userId ? { id: w.userId._id, name: w.userId.name, email: w.userId.email } : null,
+      occurrenceDate: w.occurrenceDate,
+      status: w.status,
+      joinedAt: w.joinedAt,
+      offeredAt: w.offeredAt,
+      confirmBy: w.confirmBy,
+    })),
+  };
+}
+
+function assertEditableOccurrence(event, date) {
+  if (!event.recurrence) throw httpError(400, { error: 'This event does not repeat; edit the event instead' });
+  if (!isOccurrenceDate(event.eventDate, event.recurrence, date)) throw httpError(404, { error: 'Occurrence not found' });
+}
+
+async function cancelOccurrence(eventId, date, userId, body = {}) {
+  const { event } = await mutateEvent(eventId, (event) => {
+    assertEditableOccurrence(event, date);
+    const occurrence = getOrAddOccurrence(event, date);
+    if (occurrence.status === 'cancelled') throw httpError(409, { error: 'Occurrence is already cancelled' });
+
+    occurrence.status = 'cancelled';
+    occurrence.reason = sanitizeInput(body.reason || '');
+    occurrence.updatedBy = userId;
+    occurrence.updatedAt = new Date();
+    // Nobody can be seated at a cancelled occurrence
+    removeWaitlistEntries(event, (w) => w.occurrenceDate === date);
+    event.updatedAt = new Date();
+  });
+
+  const occurrence = buildOccurrence(event, date);
+  if (occurrence.timing === 'upcoming') announceEventChange(event, { occurrenceDate: date, cancelled: true, reason: occurrence.reason });
+  return { occurrence };
+}
+
+async function rescheduleOccurrence(eventId, date, userId, body = {}) {
+  if (body.eventDate === undefined && body.eventTime === undefined && body.location === undefined) {
+    throw httpError(400, { error: 'Provide eventDate, eventTime or location to reschedule' });
+  }
+  if (body.eventDate !== undefined && !isDateKey(body.eventDate)) throw httpError(400, { error: 'eventDate must be YYYY-MM-DD' });
+  const eventTime = body.eventTime ? normalizeEventTime(body.eventTime) : null;
+  if (body.eventTime && !eventTime) throw httpError(400, { error: 'eventTime must be a time such as 18:30 or 6:30 PM' });
+
+  let before;
+  const { event } = await mutateEvent(eventId, (event) => {
+    assertEditableOccurrence(event, date);
+    before = buildOccurrence(event, date);
+    const occurrence = getOrAddOccurrence(event, date);
+    if (body.eventDate !== undefined) occurrence.eventDate = body.eventDate === date ? null : body.eventDate;
+    if (body.eventTime !== undefined) occurrence.eventTime = eventTime;
+    if (body.location !== undefined) occurrence.location = sanitizeInput(body.location || '');
+    occurrence.status = 'rescheduled';
+    occurrence.reason = sanitizeInput(body.reason || '');
+    occurrence.updatedBy = userId;
+    occurrence.updatedAt = new Date();
+    event.updatedAt = new Date();
+  });
+
+  const occurrence = buildOccurrence(event, date);
+  if (occurrence.timing === 'upcoming' && !before.cancelled) {
+    announceEventChange(event, { occurrenceDate: date, changes: scheduleChanges(before, occurrence), reason: occurrence.reason });
+  }
+  return { occurrence };
+}
+
+/**
+ * Undo a cancellation or reschedule, keeping the occurrence's registrations
+ */
+async function restoreOccurrence(eventId, date, userId) {
+  let before;
+  const { event } = await mutateEvent(eventId, (event) => {
+    assertEditableOccurrence(event, date);
+    before = buildOccurrence(event, date);
+    const occurrence = findOccurrence(event, date);
+    if (!occurrence || occurrence.status === 'scheduled') throw httpError(409, { error: 'Occurrence is already on its original schedule' });
+
+    Object.assign(occurrence, { status: 'scheduled', eventDate: null, eventTime: null, location: null, reason: '', updatedBy: userId, updatedAt: new Date() });
+    event.updatedAt = new Date();
+  });
+
+  // A reinstated occurrence is news to its attendees even when its schedule is unchanged
+  const occurrence = buildOccurrence(event, date);
+  if (occurrence.timing === 'upcoming') {
+    const changes = before.cancelled
+      ? [{ field: 'eventDate', from: null, to: occurrence.eventDate }]
+      : scheduleChanges(before, occurrence);
+    announceEventChange(event, { occurrenceDate: date, changes });
+  }
+  return { occurrence };
 }
 
-async function unregisterFromEvent(eventId, userId) {
-  const event = await Event.findById(eventId);
+function icsFilename(title) {
+  const slug = String(title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${slug || 'event'}.ics`;
+}
+
+/**
+ * Single event as an iCalendar file
+ */
+async function getEventIcs(eventId) {
+  const event = await Event.findById(eventId).lean();
   if (!event) throw httpError(404, { error: 'Event not found' });
-  if (!event.attendees || !event.attendees.includes(userId)) throw httpError(400, { error: 'Not registered for this event' });
+  return { filename: icsFilename(event.title), body: buildCalendar([buildEventComponents(event)]) };
+}
+
+function calendarFeedUrl(token) {
+  return toPublicUrl(`/api/events/calendar/${token}.ics`);
+}
+
+/**
+ * The user's calendar subscription URL, creating its secret token on first use
+ */
+async function getCalendarFeed(userId) {
+  const user = await User.findById(userId).select('+calendarToken').lean();
+  if (!user) throw httpError(404, { error: 'User not found' });
+  if (user.calendarToken) return { url: calendarFeedUrl(user.calendarToken) };
+  return resetCalendarFeed(userId);
+}
+
+/**
+ * Issue a new feed token; subscriptions using the old URL stop working
+ */
+async function resetCalendarFeed(userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const user = await User.findByIdAndUpdate(userId, { calendarToken: token, updatedAt: new Date() });
+  if (!user) throw httpError(404, { error: 'User not found' });
+  return { url: calendarFeedUrl(token) };
+}
+
+/**
+ * Subscription feed: events the user registered for plus events on disease pages they follow.
+ * Users registered for only some occurrences of a series get just those occurrences.
+ */
+async function getCalendarFeedIcs(token) {
+  const user = token ? await User.findOne({ calendarToken: token }).select('_id name').lean() : null;
+  if (!user) throw httpError(404, { error: 'Calendar feed not found' });
+
+  const follows = await DiseaseFollower.find({ userId: user._id }).select('diseasePageSlug').lean();
+  const followedSlugs = follows.map((f) => f.diseasePageSlug);
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const events = await Event.find({
+    $and: [
+      { $or: [{ attendees: user._id }, { 'occurrences.attendees': user._id }, { diseasePageSlug: { $in: followedSlugs } }] },
+      { $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gte: since } }] },
+    ],
+  })
+    .sort({ startsAt: 1 })
+    .limit(FEED_MAX_EVENTS)
+    .lean();
+
+  const components = events.map((event) => {
+    const wholeEvent = !event.recurrence
+      || (event.attendees || []).includes(user._id)
+      || followedSlugs.includes(event.diseasePageSlug);
+    if (wholeEvent) return buildEventComponents(event);
 
-  event.attendees = event.attendees.filter(id => id !== userId);
-  event.updatedAt = new Date();
-  await event.save();
-  return { message: 'Successfully unregistered from event', attendeesCount: event.attendees.length };
+    const dates = (event.occurrences || []).filter((o) => (o.attendees || []).includes(user._id)).map((o) => o.date);
+    return buildEventComponents(event, { occurrenceDates: dates });
+  });
+
+  return buildCalendar(components, { name: 'Winsights Events' });
 }
 
-module.exports = { getEvents, getEventById, createEvent, updateEvent, deleteEvent, registerForEvent, unregisterFromEvent };
+async function getCheckInCode(eventId, query = {}, rotate = false) {
+  return attendanceService.getCheckInCode(eventId, { occurrenceDate: query.occurrenceDate || null, rotate });
+}
+
+async function checkIn(eventId, userId, body) {
+  return attendanceService.checkIn(eventId, userId, body);
+}
+
+async function markAttendance(eventId, organiserId, body) {
+  return attendanceService.markAttendance(eventId, organiserId, body);
+}
+
+async function getAttendanceReport(eventId, query) {
+  return attendanceService.getAttendanceReport(eventId, query);
+}
+
+async function submitFeedback(eventId, userId, body) {
+  return attendanceService.submitFeedback(eventId, userId, body);
+}
+
+async function listFeedback(eventId, query) {
+  return attendanceService.listFeedback(eventId, query);
+}
+
+
+module.exports = {
+  getEvents,
+  getEventById,
+  getEventOccurrenceList,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  registerForEvent,
+  unregisterFromEvent,
+  getEventWaitlist,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  restoreOccurrence,
+  getEventIcs,
+  getCalendarFeed,
+  resetCalendarFeed,
+  getCalendarFeedIcs,
+  getCheckInCode,
+  checkIn,
+  markAttendance,
+  getAttendanceReport,
+  submitFeedback,
+  listFeedback,
+};
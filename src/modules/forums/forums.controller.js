@@ -7,7 +7,7 @@ function sendErr(res, err, next) {
 
 async function getThreads(req, res, next) {
   try {
-    return res.json(await svc.getThreads(req.params.groupId, req.user.id, req.user.role));
+    return res.json(await svc.getThreads(req.params.groupId, req.user.id, req.user.role, req.query));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -21,7 +21,7 @@ async function createThread(req, res, next) {
 }
 async function getThread(req, res, next) {
   try {
-    return res.json(await svc.getThread(req.params.threadId, req.user.id, req.user.role));
+    return res.json(await svc.getThread(req.params.threadId, req.user.id, req.user.role, req.query));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -35,14 +35,140 @@ async function replyToThread(req, res, next) {
 }
 async function removeThread(req, res, next) {
   try {
-    return res.json(await svc.removeThread(req.params.threadId, req.user.id));
+    return res.json(await svc.removeThread(req.params.threadId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function pinThread(req, res, next) {
+  try {
+    return res.json(await svc.setThreadPinned(req.params.threadId, true, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function unpinThread(req, res, next) {
+  try {
+    return res.json(await svc.setThreadPinned(req.params.threadId, false, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function lockThread(req, res, next) {
+  try {
+    return res.json(await svc.setThreadLocked(req.params.threadId, true, req.body || {}, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function unlockThread(req, res, next) {
+  try {
+    return res.json(await svc.setThreadLocked(req.params.threadId, false, req.body || {}, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function categorizeThread(req, res, next) {
+  try {
+    return res.json(await svc.categorizeThread(req.params.threadId, req.body || {}, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function acceptAnswer(req, res, next) {
+  try {
+    return res.json(await svc.acceptAnswer(req.params.threadId, req.body?.postId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function unacceptAnswer(req, res, next) {
+  try {
+    return res.json(await svc.unacceptAnswer(req.params.threadId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function setThreadSubscription(req, res, next) {
+  try {
+    return res.json(await svc.setThreadSubscription(req.params.threadId, req.body || {}, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function unsubscribeThread(req, res, next) {
+  try {
+    return res.json(await svc.unsubscribeThread(req.params.threadId, req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getSubscriptions(req, res, next) {
+  try {
+    return res.json(await svc.getSubscriptions(req.user.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getThreadHistory(req, res, next) {
+  try {
+    return res.json(await svc.getThreadHistory(req.params.threadId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function listCategories(req, res, next) {
+  try {
+    return res.json(await svc.listCategories(req.params.groupId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function createCategory(req, res, next) {
+  try {
+    const result = await svc.createCategory(req.params.groupId, req.body || {}, req.user.id, req.user.role);
+    const code = result._statusCode || 200; delete result._statusCode;
+    res.status(code).json(result);
+  } catch (e) { sendErr(res, e, next); }
+}
+async function updateCategory(req, res, next) {
+  try {
+    return res.json(await svc.updateCategory(req.params.categoryId, req.body || {}, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function deleteCategory(req, res, next) {
+  try {
+    return res.json(await svc.deleteCategory(req.params.categoryId, req.user.id, req.user.role));
   } catch (e) {
     return sendErr(res, e, next);
   }
 }
 async function editPost(req, res, next) {
   try {
-    return res.json(await svc.editPost(req.params.postId, req.body.content, req.user.id));
+    return res.json(await svc.editPost(req.params.postId, req.body || {}, req.user.id));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getPostRevisions(req, res, next) {
+  try {
+    return res.json(await svc.getPostRevisions(req.params.postId, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function diffPostRevisions(req, res, next) {
+  try {
+    return res.json(await svc.diffPostRevisions(req.params.postId, req.query, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function restorePostRevision(req, res, next) {
+  try {
+    return res.json(await svc.restorePostRevision(req.params.postId, req.params.version, req.user.id, req.user.role));
   } catch (e) {
     return sendErr(res, e, next);
   }
@@ -54,6 +180,20 @@ async function deletePost(req, res, next) {
     return sendErr(res, e, next);
   }
 }
+async function reactToPost(req, res, next) {
+  try {
+    return res.json(await svc.reactToPost(req.params.postId, req.body.type, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+async function getPostReactions(req, res, next) {
+  try {
+    return res.json(await svc.getPostReactions(req.params.postId, req.query, req.user.id, req.user.role));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
 
 module.exports = {
   getThreads,
@@ -61,6 +201,26 @@ module.exports = {
   getThread,
   replyToThread,
   removeThread,
+  pinThread,
+  unpinThread,
+  lockThread,
+  unlockThread,
+  categorizeThread,
+  acceptAnswer,
+  unacceptAnswer,
+  setThreadSubscription,
+  unsubscribeThread,
+  getSubscriptions,
+  getThreadHistory,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
   editPost,
+  getPostRevisions,
+  diffPostRevisions,
+  restorePostRevision,
   deletePost,
+  reactToPost,
+  getPostReactions,
 };
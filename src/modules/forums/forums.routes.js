@@ -1,15 +1,38 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate } = require('../../utils/auth');
+const rateLimit = require('../../middleware/rateLimiter');
 const ctrl = require('./forums.controller');
 
 const router = express.Router();
 
+router.get('/subscriptions', authenticate, ctrl.getSubscriptions);
 router.get('/:groupId/threads', authenticate, ctrl.getThreads);
-router.post('/:groupId/threads', authenticate, ctrl.createThread);
+router.post('/:groupId/threads', authenticate, rateLimit('content'), ctrl.createThread);
+// Group owners/admins manage their own forum; the service checks forums.manage against the group
+router.get('/:groupId/categories', authenticate, ctrl.listCategories);
+router.post('/:groupId/categories', authenticate, ctrl.createCategory);
+router.put('/categories/:categoryId', authenticate, ctrl.updateCategory);
+router.delete('/categories/:categoryId', authenticate, ctrl.deleteCategory);
 router.get('/threads/:threadId', authenticate, ctrl.getThread);
-router.post('/threads/:threadId/reply', authenticate, ctrl.replyToThread);
-router.post('/threads/:threadId/remove', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.removeThread);
-router.put('/posts/:postId', authenticate, ctrl.editPost);
+router.post('/threads/:threadId/reply', authenticate, rateLimit('content'), ctrl.replyToThread);
+// Moderation is checked in the service against the thread's group, so scoped grants and group admins count
+router.post('/threads/:threadId/remove', authenticate, ctrl.removeThread);
+router.post('/threads/:threadId/pin', authenticate, ctrl.pinThread);
+router.post('/threads/:threadId/unpin', authenticate, ctrl.unpinThread);
+router.post('/threads/:threadId/lock', authenticate, ctrl.lockThread);
+router.post('/threads/:threadId/unlock', authenticate, ctrl.unlockThread);
+router.put('/threads/:threadId/category', authenticate, ctrl.categorizeThread);
+router.post('/threads/:threadId/accepted-answer', authenticate, ctrl.acceptAnswer);
+router.delete('/threads/:threadId/accepted-answer', authenticate, ctrl.unacceptAnswer);
+router.put('/threads/:threadId/subscription', authenticate, ctrl.setThreadSubscription);
+router.delete('/threads/:threadId/subscription', authenticate, ctrl.unsubscribeThread);
+router.get('/threads/:threadId/history', authenticate, ctrl.getThreadHistory);
+router.put('/posts/:postId', authenticate, rateLimit('content'), ctrl.editPost);
+router.get('/posts/:postId/revisions', authenticate, ctrl.getPostRevisions);
+router.get('/posts/:postId/revisions/diff', authenticate, ctrl.diffPostRevisions);
+router.post('/posts/:postId/revisions/:version/restore', authenticate, ctrl.restorePostRevision);
 router.delete('/posts/:postId', authenticate, ctrl.deletePost);
+router.post('/posts/:postId/reactions', authenticate, ctrl.reactToPost);
+router.get('/posts/:postId/reactions', authenticate, ctrl.getPostReactions);
 
 module.exports = router;
@@ -1,63 +1,221 @@
 const { v4: uuidv4 } = require('uuid');
 const ForumThread = require('../../models/ForumThread');
 const ForumPost = require('../../models/ForumPost');
+const ForumCategory = require('../../models/ForumCategory');
+const ForumThreadVisit = require('../../models/ForumThreadVisit');
+const ForumThreadSubscription = require('../../models/ForumThreadSubscription');
 const Group = require('../../models/Group');
 const User = require('../../models/User');
-const Comment = require('../../models/Comment');
 const { sanitizeInput, analyzeTextForModeration } = require('../../utils/moderation');
 const { checkForBadges } = require('../../utils/badges');
-const { notifyForumReply } = require('../../utils/notifications');
+const { processUserAction } = require('../../services/tokenService');
+const { notifyForumAnswerAccepted, notifyReaction } = require('../../utils/notifications');
+const { ensureSubscription, setSubscriptionState, clearPendingReplies, announceReply } = require('../../services/forumSubscriptionService');
 const { toPublicUrl } = require('../../utils/publicUrl');
 const { httpError } = require('../../utils/httpError');
+const { toggleReaction, listReactions, getViewerReactions, normalizeReactionCounts } = require('../../services/reactionService');
+const { canManageForum, canModerateForum } = require('../../services/forums/permissions');
+const { can } = require('../../services/permissionService');
+const { MAX_CATEGORY_NAME_LENGTH, slugify, normalizeTags } = require('../../services/forums/categories');
+const {
+  THREAD_SORTS,
+  parseThreadSort,
+  encodeThreadCursor,
+  decodeThreadCursor,
+  threadPageQuery,
+  POST_SORTS,
+  parsePostSort,
+  encodeHelpfulCursor,
+  decodeHelpfulCursor,
+  helpfulPageQuery,
+  isThreadUnread,
+} = require('../../services/forums/threadListing');
+const { listVersions, findVersion, trimRevisions, diffText } = require('../../services/forums/revisions');
+const { parsePositiveInt, encodeCursor, decodeCursor } = require('../../services/posts/cursor');
 
-function canViewGroupForum(group, userId, userRole) {
+const DEFAULT_THREAD_PAGE_SIZE = 20;
+const MAX_THREAD_PAGE_SIZE = 50;
+const MAX_PINNED_THREADS = 20; // Shown above the first page
+const DEFAULT_POST_PAGE_SIZE = 50;
+const MAX_POST_PAGE_SIZE = 100;
+const SUBSCRIPTION_STATES = ['watching', 'muted'];
+// Helpful votes a reply needs before its author earns helpful_content tokens
+const HELPFUL_VOTE_THRESHOLD = Number(process.env.FORUM_HELPFUL_VOTE_THRESHOLD || 5);
+
+async function canViewGroupForum(group, userId, userRole) {
   if (!group) return true;
   if (group.privacy === 'public') return true;
   const isMember = group.members?.some(id => id === userId) || group.adminIds?.some(id => id === userId) || group.ownerId === userId;
-  if (group.privacy === 'private' || group.privacy === 'hidden') return isMember || userRole === 'admin-user';
+  if (group.privacy === 'private' || group.privacy === 'hidden') return isMember || can({ id: userId, role: userRole }, 'groups.viewPrivate', { group });
   return true;
 }
 
+/**
+ * Responses for plain thread objects, loading creators, last repliers, groups and the viewer's visits and
+ * subscriptions in one query each
+ */
+async function buildThreadResponses(threads, currentUserId) {
+  const userIds = [...new Set(threads.flatMap(t => [t.creatorId, t.lastReplyAuthorId]).filter(Boolean))];
+  const groupIds = [...new Set(threads.map(t => t.groupId).filter(Boolean))];
+  const threadIds = threads.map(t => t._id);
+  const [users, groups, visits, subscriptions] = await Promise.all([
+    userIds.length ? User.find({ _id: { $in: userIds } }).select('name role avatarUrl').lean() : [],
+    groupIds.length ? Group.find({ _id: { $in: groupIds } }).select('name privacy members adminIds ownerId').lean() : [],
+    ForumThreadVisit.find({ userId: currentUserId, threadId: { $in: threadIds } }).lean(),
+    ForumThreadSubscription.find({ userId: currentUserId, threadId: { $in: threadIds } }).select('threadId state').lean(),
+  ]);
+  const userMap = new Map(users.map(u => [u._id, u]));
+  const groupMap = new Map(groups.map(g => [g._id, g]));
+  const visitMap = new Map(visits.map(v => [v.threadId, v]));
+  const subscriptionMap = new Map(subscriptions.map(s => [s.threadId, s.state]));
+
+  return threads.map(({ _id, __v, history, ...thread }) => {
+    const creator = userMap.get(thread.creatorId);
+    const lastAuthor = userMap.get(thread.lastReplyAuthorId);
+    const gDoc = groupMap.get(thread.groupId);
+    const isMember = gDoc && (gDoc.members?.includes(currentUserId) || gDoc.adminIds?.includes(currentUserId) || gDoc.ownerId === currentUserId);
+    const visit = visitMap.get(_id);
+    return {
+      ...thread,
+      id: _id,
+      creator: creator ? { id: creator._id, name: creator.name, role: creator.role, avatarUrl: toPublicUrl(creator.avatarUrl) } : null,
+      group: gDoc ? { id: gDoc._id, name: gDoc.name, privacy: gDoc.privacy, isMember: !!isMember } : null,
+      lastReply: thread.lastReplyId ? { id: thread.lastReplyId, authorId: thread.lastReplyAuthorId, author: lastAuthor ? { id: lastAuthor._id, name: lastAuthor.name } : null, createdAt: thread.lastReplyAt } : null,
+      unread: isThreadUnread({ ...thread, _id }, visit),
+      lastVisitedAt: visit?.lastVisitedAt || null,
+      subscription: subscriptionMap.get(_id) || null,
+    };
+  });
+}
+
 async function buildThreadResponse(thread, currentUserId) {
-  await thread.populate('creatorId', 'name role avatarUrl');
-  let group = null;
-  if (thread.groupId) {
-    const gDoc = await Group.findById(thread.groupId).select('name privacy members adminIds ownerId link').lean();
-    if (gDoc) {
-      const isMember = gDoc.members?.includes(currentUserId) || gDoc.adminIds?.includes(currentUserId) || gDoc.ownerId === currentUserId;
-      group = { id: gDoc._id, name: gDoc.name, privacy: gDoc.privacy, isMember };
-    }
+  const [response] = await buildThreadResponses([thread.toObject({ transform: false })], currentUserId);
+  return response;
+}
+
+/**
+ * Recompute a thread's denormalised reply count and last reply from its posts (after a post is removed)
+ */
+async function refreshThreadStats(threadId) {
+  const thread = await ForumThread.findById(threadId).select('createdAt').lean();
+  if (!thread) return;
+  const [replyCount, last] = await Promise.all([
+    ForumPost.countDocuments({ threadId, removed: false }),
+    ForumPost.findOne({ threadId, removed: false }).sort({ createdAt: -1, _id: -1 }).select('authorId createdAt').lean(),
+  ]);
+  await ForumThread.updateOne({ _id: threadId }, {
+    replyCount,
+    lastReplyId: last?._id || null,
+    lastReplyAuthorId: last?.authorId || null,
+    lastReplyAt: last?.createdAt || null,
+    lastActivityAt: last?.createdAt || thread.createdAt,
+  });
+}
+
+/**
+ * Remember what the user has seen of a thread; readUpTo is the newest post shown to them
+ */
+async function recordThreadVisit(threadId, userId, readUpTo = null) {
+  const now = new Date();
+  const update = { $set: { lastVisitedAt: now }, $setOnInsert: { _id: uuidv4() } };
+  if (readUpTo) update.$max = { lastReadAt: readUpTo };
+  else update.$setOnInsert.lastReadAt = new Date(0);
+  await ForumThreadVisit.updateOne({ userId, threadId }, update, { upsert: true });
+}
+
+/**
+ * Flagged text needs the author to confirm (409), then goes up as PENDING_REVIEW.
+ * Used for new threads, replies and edits alike.
+ */
+function screenForumContent(text, userConfirmed) {
+  const analysis = analyzeTextForModeration(text);
+  if (analysis.alertRequired && !userConfirmed) {
+    throw httpError(409, { error: 'moderation_confirmation_required', message: 'This post may contain PHI, spam, or promotional content. This post will be monitored. Are you sure you want to post?', analysis });
   }
-  const replyCount = await ForumPost.countDocuments({ threadId: thread._id, removed: false });
-  const lastReplyDoc = await ForumPost.findOne({ threadId: thread._id, removed: false }).sort({ createdAt: -1 }).populate('authorId', 'name').lean();
-  const lastReply = lastReplyDoc ? { id: lastReplyDoc._id, authorId: lastReplyDoc.authorId?._id, author: lastReplyDoc.authorId ? { id: lastReplyDoc.authorId._id, name: lastReplyDoc.authorId.name } : null, createdAt: lastReplyDoc.createdAt } : null;
-  return { ...thread.toObject(), id: thread._id, creator: thread.creatorId ? { id: thread.creatorId._id, name: thread.creatorId.name, role: thread.creatorId.role, avatarUrl: toPublicUrl(thread.creatorId.avatarUrl) } : null, replyCount, group, lastReply };
+  return { analysis, isPendingReview: analysis.alertRequired };
 }
 
-async function buildForumPostResponse(post) {
+function moderationRecord({ analysis, isPendingReview }, userId, at) {
+  return { status: isPendingReview ? 'PENDING_REVIEW' : 'ALLOW', analysis, flaggedAt: isPendingReview ? at : null, flaggedBy: isPendingReview ? userId : null };
+}
+
+async function buildForumPostResponse(post, viewerReactions = []) {
   await post.populate('authorId', 'name role avatarUrl');
   await post.populate('repliedToUserId', 'name');
-  return { ...post.toObject(), id: post._id, author: post.authorId ? { id: post.authorId._id, name: post.authorId.name, role: post.authorId.role, avatarUrl: toPublicUrl(post.authorId.avatarUrl) } : null, repliedToUser: post.repliedToUserId ? { id: post.repliedToUserId._id, name: post.repliedToUserId.name } : null };
+  // Revisions are for moderators (getPostRevisions)
+  const { revisions, droppedRevisions, ...rest } = post.toObject();
+  return { ...rest, id: post._id, edited: !!post.editedAt, reactionCounts: normalizeReactionCounts(post.reactionCounts), viewerReactions, author: post.authorId ? { id: post.authorId._id, name: post.authorId.name, role: post.authorId.role, avatarUrl: toPublicUrl(post.authorId.avatarUrl) } : null, repliedToUser: post.repliedToUserId ? { id: post.repliedToUserId._id, name: post.repliedToUserId.name } : null };
 }
 
 async function checkBadgesAfterPost(userId, userRole) {
-  const userForumPostsCount = await ForumPost.countDocuments({ authorId: userId, removed: false });
-  const userCommentsCount = await Comment.countDocuments({ authorId: userId, removed: false });
-  await checkForBadges(userId, { postsCount: userForumPostsCount, commentsCount: userCommentsCount, role: userRole });
+  await checkForBadges(userId, { role: userRole });
+}
+
+/**
+ * Record a state change on the thread (pin, lock, category...) with who made it
+ */
+function recordThreadAction(thread, action, actorId, details = null) {
+  thread.history.push({ action, actorId, at: new Date(), details });
 }
 
-async function getThreads(groupIdParam, userId, userRole) {
+async function loadForumGroup(groupIdParam, userId, userRole) {
   const groupId = groupIdParam === 'global' ? null : groupIdParam;
-  let query = { removed: false };
-  if (groupId) {
-    query.groupId = groupId;
-    const group = await Group.findById(groupId).lean();
-    if (group && !canViewGroupForum(group, userId, userRole)) throw httpError(403, { error: 'Not authorized to view this group forum' });
-  } else {
-    query.groupId = null;
-  }
-  const threads = await ForumThread.find(query).sort({ createdAt: -1 });
-  return await Promise.all(threads.map(t => buildThreadResponse(t, userId)));
+  if (!groupId) return { groupId, group: null };
+  const group = await Group.findById(groupId).lean();
+  if (group && !(await canViewGroupForum(group, userId, userRole))) throw httpError(403, { error: 'Not authorized to view this group forum' });
+  return { groupId, group };
+}
+
+/**
+ * A live thread the user may manage, with its group (null for the global forum)
+ */
+async function loadManagedThread(threadId, userId, userRole) {
+  const thread = await ForumThread.findOne({ _id: threadId, removed: false });
+  if (!thread) throw httpError(404, { error: 'Thread not found' });
+  const group = thread.groupId ? await Group.findById(thread.groupId).lean() : null;
+  if (!(await canManageForum(group, userId, userRole))) throw httpError(403, { error: 'Only forum admins can manage this thread' });
+  return { thread, group };
+}
+
+/**
+ * A category of the given forum, looked up by id or slug; null when categoryRef is empty
+ */
+async function resolveCategory(groupId, categoryRef) {
+  if (!categoryRef) return null;
+  const category = await ForumCategory.findOne({ groupId, $or: [{ _id: categoryRef }, { slug: categoryRef }] }).lean();
+  if (!category) throw httpError(400, { error: 'Category not found in this forum' });
+  return category;
+}
+
+/**
+ * One page of a forum's threads. Pinned threads come first on the first page; the rest are ordered by
+ * sort (newest, activity or replies) and paged with nextCursor.
+ */
+async function getThreads(groupIdParam, userId, userRole, query = {}) {
+  const { groupId } = await loadForumGroup(groupIdParam, userId, userRole);
+  const sort = parseThreadSort(query.sort);
+  if (!sort) throw httpError(400, { error: `sort must be one of: ${Object.keys(THREAD_SORTS).join(', ')}` });
+  const cursor = query.cursor ? decodeThreadCursor(sort, query.cursor) : null;
+  if (query.cursor && !cursor) throw httpError(400, { error: 'Invalid cursor' });
+  const limit = Math.min(parsePositiveInt(query.limit, DEFAULT_THREAD_PAGE_SIZE), MAX_THREAD_PAGE_SIZE);
+
+  const base = { removed: false, groupId };
+  if (query.category) base.categoryId = (await resolveCategory(groupId, query.category))._id;
+  if (query.tag) base.tags = slugify(query.tag);
+
+  const { order, filter } = threadPageQuery(sort, cursor);
+  const [pinned, results] = await Promise.all([
+    cursor ? [] : ForumThread.find({ ...base, pinned: true }).sort({ pinnedAt: -1 }).limit(MAX_PINNED_THREADS).lean(),
+    ForumThread.find({ ...base, pinned: { $ne: true }, ...filter }).sort(order).limit(limit + 1).lean(),
+  ]);
+  const hasMore = results.length > limit;
+  const page = hasMore ? results.slice(0, limit) : results;
+
+  return {
+    threads: await buildThreadResponses([...pinned, ...page], userId),
+    sort,
+    nextCursor: hasMore ? encodeThreadCursor(sort, page[page.length - 1]) : null,
+  };
 }
 
 async function createThread(groupIdParam, body, userId, userRole) {
@@ -66,60 +224,124 @@ async function createThread(groupIdParam, body, userId, userRole) {
   const content = sanitizeInput(body.content || '');
   if (!title) throw httpError(400, { error: 'Title is required' });
   if (!content) throw httpError(400, { error: 'Content is required' });
-
-  const analysis = analyzeTextForModeration(`${title}\n${content}`);
-  const userConfirmed = !!body.userConfirmedModeration;
-  if (analysis.alertRequired && !userConfirmed) {
-    throw httpError(409, { error: 'moderation_confirmation_required', message: 'This post may contain PHI, spam, or promotional content. This post will be monitored. Are you sure you want to post?', analysis });
-  }
-  const isPendingReview = analysis.alertRequired && userConfirmed;
-
+  // Membership first, so outsiders can't probe a private forum's categories through the error
   if (groupId) {
     const targetGroup = await Group.findById(groupId).lean();
     if (!targetGroup) throw httpError(404, { error: 'Group not found' });
     const isMember = targetGroup.members?.includes(userId) || targetGroup.adminIds?.includes(userId) || targetGroup.ownerId === userId;
-    if (targetGroup.privacy !== 'public' && !isMember && userRole !== 'admin-user') throw httpError(403, { error: 'Not a member of this private group' });
+    if (targetGroup.privacy !== 'public' && !isMember && !(await can({ id: userId, role: userRole }, 'groups.viewPrivate', { group: targetGroup }))) {
+      throw httpError(403, { error: 'Not a member of this private group' });
+    }
   }
 
+  const category = await resolveCategory(groupId, body.categoryId);
+
+  const screening = screenForumContent(`${title}\n${content}`, !!body.userConfirmedModeration);
+
   const now = new Date();
-  const newThread = await ForumThread.create({ _id: uuidv4(), title, creatorId: userId, groupId, createdAt: now, updatedAt: now, removed: false });
-  await ForumPost.create({ _id: uuidv4(), threadId: newThread._id, authorId: userId, content, repliedToUserId: null, createdAt: now, updatedAt: now, removed: false, moderation: { status: isPendingReview ? 'PENDING_REVIEW' : 'ALLOW', analysis, flaggedAt: isPendingReview ? now : null, flaggedBy: isPendingReview ? userId : null } });
+  const postId = uuidv4();
+  const newThread = await ForumThread.create({ _id: uuidv4(), title, creatorId: userId, groupId, categoryId: category?._id || null, replyCount: 1, lastReplyId: postId, lastReplyAuthorId: userId, lastReplyAt: now, lastActivityAt: now, createdAt: now, updatedAt: now, removed: false });
+  await ForumPost.create({ _id: postId, threadId: newThread._id, authorId: userId, content, repliedToUserId: null, createdAt: now, updatedAt: now, removed: false, moderation: moderationRecord(screening, userId, now) });
 
+  await recordThreadVisit(newThread._id, userId, now);
+  await ensureSubscription(newThread._id, userId, 'created');
   await checkBadgesAfterPost(userId, userRole);
   const response = await buildThreadResponse(newThread, userId);
   return { _statusCode: 201, thread: response };
 }
 
-async function getThread(threadId, userId, userRole) {
+function openingPost(threadId) {
+  return ForumPost.findOne({ threadId, removed: false }).sort({ createdAt: 1, _id: 1 }).select('-revisions');
+}
+
+/**
+ * One page of a thread's posts, oldest first or (sort=helpful) most helpful first.
+ * With the helpful sort the opening post stays at the top of the first page.
+ */
+async function loadThreadPosts(thread, query) {
+  const sort = parsePostSort(query.sort);
+  if (!sort) throw httpError(400, { error: `sort must be one of: ${POST_SORTS.join(', ')}` });
+  const limit = Math.min(parsePositiveInt(query.limit, DEFAULT_POST_PAGE_SIZE), MAX_POST_PAGE_SIZE);
+  const filter = { threadId: thread._id, removed: false };
+
+  if (sort === 'oldest') {
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !cursor) throw httpError(400, { error: 'Invalid cursor' });
+    if (cursor) filter.$or = [{ createdAt: { $gt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $gt: cursor.id } }];
+    const results = await ForumPost.find(filter).sort({ createdAt: 1, _id: 1 }).limit(limit + 1).select('-revisions');
+    const posts = results.slice(0, limit);
+    const last = posts[posts.length - 1];
+    return { sort, posts, nextCursor: results.length > limit ? encodeCursor(last.createdAt, last._id) : null };
+  }
+
+  const cursor = query.cursor ? decodeHelpfulCursor(query.cursor) : null;
+  if (query.cursor && !cursor) throw httpError(400, { error: 'Invalid cursor' });
+  const first = await openingPost(thread._id);
+  const { order, filter: after } = helpfulPageQuery(cursor);
+  const results = await ForumPost.find({ ...filter, ...after, _id: { $ne: first?._id } }).sort(order).limit(limit + 1).select('-revisions');
+  const replies = results.slice(0, limit);
+  const last = replies[replies.length - 1];
+  return {
+    sort,
+    posts: !cursor && first ? [first, ...replies] : replies,
+    nextCursor: results.length > limit ? encodeHelpfulCursor(last) : null,
+  };
+}
+
+/**
+ * A thread with one page of its posts. Posts newer than the viewer's last read are marked unread, and the
+ * visit is recorded up to the newest post on the page. The first page also carries the accepted answer.
+ */
+async function getThread(threadId, userId, userRole, query = {}) {
   const thread = await ForumThread.findOne({ _id: threadId, removed: false });
   if (!thread) throw httpError(404, { error: 'Thread not found' });
   if (thread.groupId) {
     const group = await Group.findById(thread.groupId).lean();
-    if (!canViewGroupForum(group, userId, userRole)) throw httpError(403, { error: 'Not authorized to view this thread' });
+    if (!(await canViewGroupForum(group, userId, userRole))) throw httpError(403, { error: 'Not authorized to view this thread' });
   }
-  const posts = await ForumPost.find({ threadId: thread._id, removed: false }).sort({ createdAt: 1 });
-  const postsResponse = await Promise.all(posts.map(buildForumPostResponse));
-  const threadResponse = await buildThreadResponse(thread, userId);
-  return { thread: threadResponse, posts: postsResponse };
+  const { sort, posts, nextCursor } = await loadThreadPosts(thread, query);
+  const accepted = thread.acceptedPostId && !query.cursor
+    ? await ForumPost.findOne({ _id: thread.acceptedPostId, removed: false }).select('-revisions')
+    : null;
+
+  // The response shows unread state from before this visit
+  const [threadResponse, previousVisit] = await Promise.all([
+    buildThreadResponse(thread, userId),
+    ForumThreadVisit.findOne({ userId, threadId: thread._id }).lean(),
+  ]);
+  const newest = posts.reduce((max, p) => (!max || p.createdAt > max ? p.createdAt : max), null);
+  await recordThreadVisit(thread._id, userId, newest);
+  if (newest && newest >= thread.lastActivityAt) await clearPendingReplies(thread._id, userId);
+
+  const shown = accepted ? [...posts, accepted] : posts;
+  const viewerReactions = await getViewerReactions(userId, 'forum_post', shown.map(p => p._id));
+  const toResponse = async (p) => ({
+    ...(await buildForumPostResponse(p, viewerReactions.get(p._id) || [])),
+    accepted: p._id === thread.acceptedPostId,
+    unread: p.authorId !== userId && (!previousVisit || p.createdAt > previousVisit.lastReadAt),
+  });
+  return {
+    thread: threadResponse,
+    acceptedAnswer: accepted ? await toResponse(accepted) : null,
+    posts: await Promise.all(posts.map(toResponse)),
+    sort,
+    nextCursor,
+  };
 }
 
 async function replyToThread(threadId, body, userId, userRole) {
   const content = sanitizeInput(body.content || '');
   if (!content) throw httpError(400, { error: 'Content is required' });
 
-  const analysis = analyzeTextForModeration(content);
-  const userConfirmed = !!body.userConfirmedModeration;
-  if (analysis.alertRequired && !userConfirmed) {
-    throw httpError(409, { error: 'moderation_confirmation_required', message: 'This post may contain PHI, spam, or promotional content. This post will be monitored. Are you sure you want to post?', analysis });
-  }
-  const isPendingReview = analysis.alertRequired && userConfirmed;
+  const screening = screenForumContent(content, !!body.userConfirmedModeration);
 
   const thread = await ForumThread.findOne({ _id: threadId, removed: false });
   if (!thread) throw httpError(404, { error: 'Thread not found' });
   if (thread.groupId) {
     const group = await Group.findById(thread.groupId).lean();
-    if (!canViewGroupForum(group, userId, userRole)) throw httpError(403, { error: 'Not authorized to reply to this thread' });
+    if (!(await canViewGroupForum(group, userId, userRole))) throw httpError(403, { error: 'Not authorized to reply to this thread' });
   }
+  if (thread.locked) throw httpError(403, { error: 'This thread is locked', lockedAt: thread.lockedAt, lockReason: thread.lockReason });
 
   const repliedToUserId = body.repliedToUserId || null;
   if (repliedToUserId) {
@@ -128,38 +350,378 @@ async function replyToThread(threadId, body, userId, userRole) {
   }
 
   const now = new Date();
-  const newPost = await ForumPost.create({ _id: uuidv4(), threadId: thread._id, authorId: userId, content, repliedToUserId, createdAt: now, updatedAt: now, removed: false, moderation: { status: isPendingReview ? 'PENDING_REVIEW' : 'ALLOW', analysis, flaggedAt: isPendingReview ? now : null, flaggedBy: isPendingReview ? userId : null } });
+  const newPost = await ForumPost.create({ _id: uuidv4(), threadId: thread._id, authorId: userId, content, repliedToUserId, createdAt: now, updatedAt: now, removed: false, moderation: moderationRecord(screening, userId, now) });
 
-  thread.updatedAt = now;
-  await thread.save();
-  notifyForumReply(userId, thread.creatorId, thread._id, newPost._id, repliedToUserId).catch(err => console.error('Error creating forum reply notifications:', err));
-  await checkBadgesAfterPost(userId, userRole);
+  await ForumThread.updateOne({ _id: thread._id }, {
+    $inc: { replyCount: 1 },
+    $set: { lastReplyId: newPost._id, lastReplyAuthorId: userId, lastReplyAt: now, lastActivityAt: now, updatedAt: now },
+  });
+  await recordThreadVisit(thread._id, userId, now);
+  // Replying watches the thread (unless the user muted it)
+  await ensureSubscription(thread._id, userId, 'replied');
+  announceReply(thread._id, newPost._id, userId, repliedToUserId, now).catch(err => console.error('Error creating forum reply notifications:', err));
+  // Also evaluates badge rules
+  processUserAction(userId, 'forum_reply', { postId: newPost._id, threadId: thread._id }).catch(err => console.error('Error processing gamification for forum reply:', err));
 
   const response = await buildForumPostResponse(newPost);
   return { _statusCode: 201, post: response };
 }
 
-async function removeThread(threadId, userId) {
+async function removeThread(threadId, userId, userRole) {
   const thread = await ForumThread.findById(threadId);
   if (!thread) throw httpError(404, { error: 'Thread not found' });
+  const group = thread.groupId ? await Group.findById(thread.groupId).lean() : null;
+  if (!(await canModerateForum(group, userId, userRole))) throw httpError(403, { error: 'Only forum moderators can remove this thread' });
   thread.removed = true;
   thread.removedBy = userId;
   thread.removedAt = new Date();
+  recordThreadAction(thread, 'remove', userId);
   await thread.save();
   return { success: true };
 }
 
-async function editPost(postId, content, userId) {
-  const sanitized = sanitizeInput(content || '');
-  if (!sanitized) throw httpError(400, { error: 'Content is required' });
+async function setThreadPinned(threadId, pinned, userId, userRole) {
+  const { thread } = await loadManagedThread(threadId, userId, userRole);
+  if (thread.pinned === pinned) throw httpError(409, { error: pinned ? 'Thread is already pinned' : 'Thread is not pinned' });
+  const now = new Date();
+  Object.assign(thread, { pinned, pinnedBy: pinned ? userId : null, pinnedAt: pinned ? now : null });
+  recordThreadAction(thread, pinned ? 'pin' : 'unpin', userId);
+  await thread.save();
+  return { thread: await buildThreadResponse(thread, userId) };
+}
+
+/**
+ * Locked threads accept no new replies; existing posts stay visible
+ */
+async function setThreadLocked(threadId, locked, body, userId, userRole) {
+  const { thread } = await loadManagedThread(threadId, userId, userRole);
+  if (thread.locked === locked) throw httpError(409, { error: locked ? 'Thread is already locked' : 'Thread is not locked' });
+  const reason = locked ? sanitizeInput(body.reason || '') : '';
+  Object.assign(thread, { locked, lockedBy: locked ? userId : null, lockedAt: locked ? new Date() : null, lockReason: reason });
+  recordThreadAction(thread, locked ? 'lock' : 'unlock', userId, reason ? { reason } : null);
+  await thread.save();
+  return { thread: await buildThreadResponse(thread, userId) };
+}
+
+/**
+ * Move a thread to a category (categoryId null clears it) and/or replace its tags
+ */
+async function categorizeThread(threadId, body, userId, userRole) {
+  if (body.categoryId === undefined && body.tags === undefined) throw httpError(400, { error: 'Provide categoryId or tags' });
+  const { thread } = await loadManagedThread(threadId, userId, userRole);
+  const details = {};
+  if (body.categoryId !== undefined) {
+    const category = await resolveCategory(thread.groupId, body.categoryId);
+    details.categoryId = { from: thread.categoryId, to: category?._id || null };
+    thread.categoryId = category?._id || null;
+  }
+  if (body.tags !== undefined) {
+    const tags = normalizeTags(body.tags);
+    if (!tags) throw httpError(400, { error: 'tags must be a list of up to 5 short labels' });
+    details.tags = { from: [...thread.tags], to: tags };
+    thread.tags = tags;
+  }
+  recordThreadAction(thread, 'categorize', userId, details);
+  await thread.save();
+  return { thread: await buildThreadResponse(thread, userId) };
+}
+
+/**
+ * helpful_content tokens for a reply's author, once per reply whether it was accepted or voted up.
+ * The timestamp claim stops repeat votes from re-running the award.
+ */
+async function rewardHelpfulReply(post, reason) {
+  const claimed = await ForumPost.updateOne({ _id: post._id, helpfulRewardedAt: null }, { helpfulRewardedAt: new Date() });
+  if (!claimed.modifiedCount) return null;
+  return processUserAction(post.authorId, 'helpful_content', { postId: post._id, threadId: post.threadId, reason }, {
+    idempotencyKey: `helpful_content:forum_post:${post._id}`,
+  });
+}
+
+/**
+ * Mark a reply as the thread's answer; the thread creator or a forum admin can do this.
+ * Accepting another reply replaces the previous answer.
+ */
+async function acceptAnswer(threadId, postId, userId, userRole) {
+  const thread = await ForumThread.findOne({ _id: threadId, removed: false });
+  if (!thread) throw httpError(404, { error: 'Thread not found' });
+  const group = thread.groupId ? await Group.findById(thread.groupId).lean() : null;
+  if (thread.creatorId !== userId && !(await canManageForum(group, userId, userRole))) {
+    throw httpError(403, { error: 'Only the thread creator or a forum admin can accept an answer' });
+  }
+
+  const post = await ForumPost.findOne({ _id: postId, threadId: thread._id, removed: false });
+  if (!post) throw httpError(404, { error: 'Post not found in this thread' });
+  const first = await openingPost(thread._id);
+  if (first && first._id === post._id) throw httpError(400, { error: 'The opening post cannot be the answer' });
+  if (thread.acceptedPostId === post._id) throw httpError(409, { error: 'This reply is already the accepted answer' });
+
+  recordThreadAction(thread, 'accept', userId, { postId: post._id, previousPostId: thread.acceptedPostId });
+  Object.assign(thread, { acceptedPostId: post._id, acceptedBy: userId, acceptedAt: new Date() });
+  await thread.save();
+
+  // Accepting your own reply earns nothing
+  if (post.authorId !== userId) {
+    rewardHelpfulReply(post, 'accepted').catch(err => console.error('Error awarding helpful content tokens:', err));
+    notifyForumAnswerAccepted(post.authorId, userId, thread._id, post._id).catch(err => console.error('Error creating answer accepted notification:', err));
+  }
+  return { thread: await buildThreadResponse(thread, userId) };
+}
+
+async function unacceptAnswer(threadId, userId, userRole) {
+  const thread = await ForumThread.findOne({ _id: threadId, removed: false });
+  if (!thread) throw httpError(404, { error: 'Thread not found' });
+  const group = thread.groupId ? await Group.findById(thread.groupId).lean() : null;
+  if (thread.creatorId !== userId && !(await canManageForum(group, userId, userRole))) {
+    throw httpError(403, { error: 'Only the thread creator or a forum admin can change the accepted answer' });
+  }
+  if (!thread.acceptedPostId) throw httpError(409, { error: 'This thread has no accepted answer' });
+
+  recordThreadAction(thread, 'unaccept', userId, { postId: thread.acceptedPostId });
+  Object.assign(thread, { acceptedPostId: null, acceptedBy: null, acceptedAt: null });
+  await thread.save();
+  return { thread: await buildThreadResponse(thread, userId) };
+}
+
+async function loadViewableThread(threadId, userId, userRole) {
+  const thread = await ForumThread.findOne({ _id: threadId, removed: false });
+  if (!thread) throw httpError(404, { error: 'Thread not found' });
+  if (thread.groupId) {
+    const group = await Group.findById(thread.groupId).lean();
+    if (!(await canViewGroupForum(group, userId, userRole))) throw httpError(403, { error: 'Not authorized to view this thread' });
+  }
+  return thread;
+}
+
+/**
+ * Watch a thread (batched reply notifications) or mute it (no notifications, even when replied to)
+ */
+async function setThreadSubscription(threadId, body, userId, userRole) {
+  const state = body.state || 'watching';
+  if (!SUBSCRIPTION_STATES.includes(state)) throw httpError(400, { error: `state must be one of: ${SUBSCRIPTION_STATES.join(', ')}` });
+  const thread = await loadViewableThread(threadId, userId, userRole);
+  const subscription = await setSubscriptionState(thread._id, userId, state);
+  return { threadId: thread._id, subscription: subscription.state };
+}
+
+/**
+ * Stop watching without muting; replying to the thread again watches it again
+ */
+async function unsubscribeThread(threadId, userId) {
+  const removed = await ForumThreadSubscription.deleteOne({ userId, threadId });
+  if (!removed.deletedCount) throw httpError(404, { error: 'Not subscribed to this thread' });
+  return { threadId, subscription: null };
+}
+
+/**
+ * Threads the user watches (or, with state=muted, has muted), most recently active first,
+ * with how many posts from others they haven't read
+ */
+async function getSubscriptions(userId, query = {}) {
+  const state = query.state || 'watching';
+  if (!SUBSCRIPTION_STATES.includes(state)) throw httpError(400, { error: `state must be one of: ${SUBSCRIPTION_STATES.join(', ')}` });
+  const cursor = query.cursor ? decodeThreadCursor('activity', query.cursor) : null;
+  if (query.cursor && !cursor) throw httpError(400, { error: 'Invalid cursor' });
+  const limit = Math.min(parsePositiveInt(query.limit, DEFAULT_THREAD_PAGE_SIZE), MAX_THREAD_PAGE_SIZE);
+
+  const subscriptions = await ForumThreadSubscription.find({ userId, state }).select('threadId').lean();
+  const { order, filter } = threadPageQuery('activity', cursor);
+  const results = await ForumThread.find({ _id: { $in: subscriptions.map(s => s.threadId) }, removed: false, ...filter })
+    .sort(order)
+    .limit(limit + 1)
+    .select('-history')
+    .lean();
+  const hasMore = results.length > limit;
+  const page = hasMore ? results.slice(0, limit) : results;
+
+  const visits = await ForumThreadVisit.find({ userId, threadId: { $in: page.map(t => t._id) } }).select('threadId lastReadAt').lean();
+  const lastRead = new Map(visits.map(v => [v.threadId, v.lastReadAt]));
+  const [responses, unreadCounts] = await Promise.all([
+    buildThreadResponses(page, userId),
+    Promise.all(page.map(t => ForumPost.countDocuments({
+      threadId: t._id,
+      removed: false,
+      authorId: { $ne: userId },
+      createdAt: { $gt: lastRead.get(t._id) || new Date(0) },
+    }))),
+  ]);
+
+  return {
+    threads: responses.map((t, i) => ({ ...t, unreadCount: unreadCounts[i] })),
+    state,
+    nextCursor: hasMore ? encodeThreadCursor('activity', page[page.length - 1]) : null,
+  };
+}
+
+async function getThreadHistory(threadId, userId, userRole) {
+  const { thread } = await loadManagedThread(threadId, userId, userRole);
+  await thread.populate('history.actorId', 'name role');
+  const history = thread.history.map((h) => ({
+    action: h.action,
+    actor: h.actorId ? { id: h.actorId._id, name: h.actorId.name, role: h.actorId.role } : null,
+    at: h.at,
+    details: h.details,
+  }));
+  return { threadId: thread._id, history: history.reverse() };
+}
+
+async function listCategories(groupIdParam, userId, userRole) {
+  const { groupId } = await loadForumGroup(groupIdParam, userId, userRole);
+  const categories = await ForumCategory.find({ groupId }).sort({ order: 1, name: 1 }).lean();
+  const counts = await ForumThread.aggregate([
+    { $match: { groupId, removed: false, categoryId: { $in: categories.map((c) => c._id) } } },
+    { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map((c) => [c._id, c.count]));
+  return { categories: categories.map(({ _id, __v, ...c }) => ({ ...c, id: _id, threadCount: countMap.get(_id) || 0 })) };
+}
+
+function categoryFields(body, current = {}) {
+  const name = body.name !== undefined ? sanitizeInput(body.name || '') : current.name;
+  if (!name) throw httpError(400, { error: 'Category name is required' });
+  if (name.length > MAX_CATEGORY_NAME_LENGTH) throw httpError(400, { error: `Category name cannot exceed ${MAX_CATEGORY_NAME_LENGTH} characters` });
+  const slug = slugify(name);
+  if (!slug) throw httpError(400, { error: 'Category name needs letters or numbers' });
+  const order = body.order !== undefined ? parseInt(body.order, 10) || 0 : current.order || 0;
+  const description = body.description !== undefined ? sanitizeInput(body.description || '') : current.description || '';
+  return { name, slug, order, description };
+}
+
+async function createCategory(groupIdParam, body, userId, userRole) {
+  const { groupId, group } = await loadForumGroup(groupIdParam, userId, userRole);
+  if (groupId && !group) throw httpError(404, { error: 'Group not found' });
+  if (!(await canManageForum(group, userId, userRole))) throw httpError(403, { error: 'Only forum admins can manage categories' });
+  const now = new Date();
+  try {
+    const category = await ForumCategory.create({ _id: uuidv4(), groupId, ...categoryFields(body), createdBy: userId, createdAt: now, updatedAt: now });
+    return { _statusCode: 201, category: category.toObject() };
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'A category with this name already exists' });
+    throw err;
+  }
+}
+
+async function loadManagedCategory(categoryId, userId, userRole) {
+  const category = await ForumCategory.findById(categoryId);
+  if (!category) throw httpError(404, { error: 'Category not found' });
+  const group = category.groupId ? await Group.findById(category.groupId).lean() : null;
+  if (!(await canManageForum(group, userId, userRole))) throw httpError(403, { error: 'Only forum admins can manage categories' });
+  return category;
+}
+
+async function updateCategory(categoryId, body, userId, userRole) {
+  const category = await loadManagedCategory(categoryId, userId, userRole);
+  Object.assign(category, categoryFields(body, category), { updatedBy: userId, updatedAt: new Date() });
+  try {
+    await category.save();
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'A category with this name already exists' });
+    throw err;
+  }
+  return { category: category.toObject() };
+}
+
+/**
+ * Delete a category; its threads become uncategorised, recorded in each thread's history
+ */
+async function deleteCategory(categoryId, userId, userRole) {
+  const category = await loadManagedCategory(categoryId, userId, userRole);
+  const entry = { action: 'categorize', actorId: userId, at: new Date(), details: { categoryId: { from: category._id, to: null }, categoryDeleted: true } };
+  const result = await ForumThread.updateMany({ categoryId: category._id }, { $set: { categoryId: null }, $push: { history: entry } });
+  await category.deleteOne();
+  return { success: true, threadsUncategorized: result.modifiedCount };
+}
+
+/**
+ * Move the post's current content into its revisions before it is replaced, dropping the oldest past the cap
+ */
+function archiveCurrentVersion(post) {
+  post.revisions.push({
+    content: post.content,
+    moderation: post.moderation,
+    editedBy: post.editedBy || post.authorId,
+    editedAt: post.editedAt || post.createdAt,
+    restoredFrom: post.restoredFrom,
+  });
+  trimRevisions(post);
+}
+
+/**
+ * Edits go through the same moderation as new replies, so flagged text can't be edited in afterwards.
+ * The replaced text is kept as a revision.
+ */
+async function editPost(postId, body, userId) {
+  const content = sanitizeInput(body.content || '');
+  if (!content) throw httpError(400, { error: 'Content is required' });
   const post = await ForumPost.findOne({ _id: postId, removed: false });
   if (!post) throw httpError(404, { error: 'Post not found' });
   if (post.authorId !== userId) throw httpError(403, { error: 'Not authorized to edit this post' });
-  post.content = sanitized;
-  post.updatedAt = new Date();
+  if (content === post.content) return { post: await buildForumPostResponse(post), pendingReview: post.moderation?.status === 'PENDING_REVIEW' };
+
+  const screening = screenForumContent(content, !!body.userConfirmedModeration);
+  const now = new Date();
+  archiveCurrentVersion(post);
+  Object.assign(post, { content, moderation: moderationRecord(screening, userId, now), editedAt: now, editedBy: userId, restoredFrom: null, updatedAt: now });
+  post.markModified('moderation');
   await post.save();
-  const response = await buildForumPostResponse(post);
-  return { post: response };
+  return { post: await buildForumPostResponse(post), pendingReview: screening.isPendingReview };
+}
+
+/**
+ * A post with its revisions, for someone who can moderate the forum it was posted in
+ */
+async function loadPostForReview(postId, userId, userRole) {
+  const post = await ForumPost.findById(postId);
+  if (!post) throw httpError(404, { error: 'Post not found' });
+  const thread = await ForumThread.findById(post.threadId).select('groupId').lean();
+  const group = thread?.groupId ? await Group.findById(thread.groupId).lean() : null;
+  if (!(await canModerateForum(group, userId, userRole))) throw httpError(403, { error: 'Only forum moderators can review this post' });
+  return post;
+}
+
+async function getPostRevisions(postId, userId, userRole) {
+  const post = await loadPostForReview(postId, userId, userRole);
+  return { postId: post._id, threadId: post.threadId, authorId: post.authorId, versions: listVersions(post) };
+}
+
+/**
+ * Word diff between two versions; defaults to the previous version against the current one
+ */
+async function diffPostRevisions(postId, query = {}, userId, userRole) {
+  const post = await loadPostForReview(postId, userId, userRole);
+  const first = (post.droppedRevisions || 0) + 1;
+  const current = first + post.revisions.length;
+  const fromVersion = query.from !== undefined ? query.from : Math.max(current - 1, first);
+  const toVersion = query.to !== undefined ? query.to : current;
+  const from = findVersion(post, fromVersion);
+  const to = findVersion(post, toVersion);
+  if (!from || !to) throw httpError(404, { error: `Versions run from ${first} to ${current}` });
+  return { postId: post._id, from: from.version, to: to.version, changes: diffText(from.content, to.content) };
+}
+
+/**
+ * A moderator puts an earlier version back. Choosing it counts as reviewing it, so it is published as ALLOW.
+ */
+async function restorePostRevision(postId, version, moderatorId, userRole) {
+  const post = await loadPostForReview(postId, moderatorId, userRole);
+  if (post.removed) throw httpError(404, { error: 'Post not found' });
+  const target = findVersion(post, version);
+  if (!target) throw httpError(404, { error: 'Revision not found' });
+  if (target.current) throw httpError(409, { error: 'This is already the current version' });
+
+  const now = new Date();
+  archiveCurrentVersion(post);
+  Object.assign(post, {
+    content: target.content,
+    moderation: { ...(target.moderation || {}), status: 'ALLOW', reviewedAt: now, reviewedBy: moderatorId },
+    editedAt: now,
+    editedBy: moderatorId,
+    restoredFrom: target.version,
+    updatedAt: now,
+  });
+  post.markModified('moderation');
+  await post.save();
+  return { post: await buildForumPostResponse(post), versions: listVersions(post) };
 }
 
 async function deletePost(postId, userId) {
@@ -169,9 +731,66 @@ async function deletePost(postId, userId) {
   post.removed = true;
   post.removedAt = new Date();
   await post.save();
-  const thread = await ForumThread.findById(post.threadId);
-  if (thread) { thread.updatedAt = new Date(); await thread.save(); }
+  await ForumThread.updateOne({ _id: post.threadId }, { updatedAt: new Date() });
+  await refreshThreadStats(post.threadId);
   return { success: true };
 }
 
-module.exports = { getThreads, createThread, getThread, replyToThread, removeThread, editPost, deletePost };
+async function loadReactableForumPost(postId, userId, userRole) {
+  const post = await ForumPost.findOne({ _id: postId, removed: false }).select('threadId authorId').lean();
+  if (!post) throw httpError(404, { error: 'Post not found' });
+  const thread = await ForumThread.findOne({ _id: post.threadId, removed: false }).select('groupId').lean();
+  if (!thread) throw httpError(404, { error: 'Thread not found' });
+  if (thread.groupId) {
+    const group = await Group.findById(thread.groupId).lean();
+    if (!(await canViewGroupForum(group, userId, userRole))) throw httpError(403, { error: 'Not authorized to view this thread' });
+  }
+  return post;
+}
+
+async function reactToPost(postId, type, userId, userRole) {
+  const post = await loadReactableForumPost(postId, userId, userRole);
+  // 'helpful' is a vote that can earn tokens, so it can't be given to your own post
+  if (type === 'helpful' && post.authorId === userId) throw httpError(400, { error: 'You cannot mark your own post as helpful' });
+  const result = await toggleReaction({ userId, targetType: 'forum_post', targetId: post._id, type });
+  if (type === 'helpful' && result.reacted && result.reactionCounts.helpful >= HELPFUL_VOTE_THRESHOLD) {
+    rewardHelpfulReply(post, 'votes').catch(err => console.error('Error awarding helpful content tokens:', err));
+  }
+  if (result.reacted) {
+    notifyReaction(userId, post.authorId, { reactionType: type, targetType: 'forum_post', targetId: post._id, metadata: { threadId: post.threadId } }).catch(err => console.error('Error creating reaction notification:', err));
+  }
+  return result;
+}
+
+async function getPostReactions(postId, query, userId, userRole) {
+  const post = await loadReactableForumPost(postId, userId, userRole);
+  return listReactions('forum_post', post._id, query);
+}
+
+module.exports = {
+  getThreads,
+  createThread,
+  getThread,
+  replyToThread,
+  removeThread,
+  setThreadPinned,
+  setThreadLocked,
+  categorizeThread,
+  acceptAnswer,
+  unacceptAnswer,
+  setThreadSubscription,
+  unsubscribeThread,
+  getSubscriptions,
+  getThreadHistory,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  editPost,
+  getPostRevisions,
+  diffPostRevisions,
+  restorePostRevision,
+  deletePost,
+  reactToPost,
+  getPostReactions,
+};
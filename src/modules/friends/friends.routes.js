@@ -1,11 +1,12 @@
 const express = require('express');
 const { authenticate } = require('../../utils/auth');
+const rateLimit = require('../../middleware/rateLimiter');
 const ctrl = require('./friends.controller');
 
 const router = express.Router();
 
-router.post('/request/:username', authenticate, ctrl.sendFriendRequest);
-router.post('/request/id/:userId', authenticate, ctrl.sendFriendRequestById);
+router.post('/request/:username', authenticate, rateLimit('friendRequests'), ctrl.sendFriendRequest);
+router.post('/request/id/:userId', authenticate, rateLimit('friendRequests'), ctrl.sendFriendRequestById);
 router.put('/request/:requestId/accept', authenticate, ctrl.acceptFriendRequest);
 router.put('/request/:requestId/reject', authenticate, ctrl.rejectFriendRequest);
 router.delete('/request/:requestId', authenticate, ctrl.cancelFriendRequest);
@@ -13,6 +13,14 @@ async function getUserGamificationStats(req, res, next) {
   }
 }
 
+async function getMyTokenHistory(req, res, next) {
+  try {
+    return res.json(await svc.getMyTokenHistory(req.user.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
 async function getLeaderboardStats(req, res, next) {
   try {
     return res.json(await svc.getLeaderboardStats(req.user.id, req.query));
@@ -21,6 +29,38 @@ async function getLeaderboardStats(req, res, next) {
   }
 }
 
+async function getLeaderboardHistory(req, res, next) {
+  try {
+    return res.json(await svc.getLeaderboardHistory(req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function getRewards(req, res, next) {
+  try {
+    return res.json(await svc.getRewards());
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
+async function redeemReward(req, res, next) {
+  try {
+    const result = await svc.redeemReward(req.user.id, req.params.id, req.body);
+    const code = result._statusCode || 200; delete result._statusCode;
+    res.status(code).json(result);
+  } catch (e) { sendErr(res, e, next); }
+}
+
+async function getMyRedemptions(req, res, next) {
+  try {
+    return res.json(await svc.getMyRedemptions(req.user.id, req.query));
+  } catch (e) {
+    return sendErr(res, e, next);
+  }
+}
+
 async function awardTokensManually(req, res, next) {
   try {
     return res.json(await svc.awardTokensManually(req.user.id, req.user.role, req.body));
@@ -31,6 +71,11 @@ async function awardTokensManually(req, res, next) {
 
 module.exports = {
   getUserGamificationStats,
+  getMyTokenHistory,
   getLeaderboardStats,
+  getLeaderboardHistory,
+  getRewards,
+  redeemReward,
+  getMyRedemptions,
   awardTokensManually,
 };
@@ -1,12 +1,17 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const ctrl = require('./gamification.controller');
 
 const router = express.Router();
 
 router.get('/users/:userId/stats', authenticate, ctrl.getUserGamificationStats);
 router.get('/me/stats', authenticate, ctrl.getUserGamificationStats);
+router.get('/me/history', authenticate, ctrl.getMyTokenHistory);
+router.get('/me/redemptions', authenticate, ctrl.getMyRedemptions);
 router.get('/leaderboard', authenticate, ctrl.getLeaderboardStats);
-router.post('/award-tokens', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.awardTokensManually);
+router.get('/leaderboard/history', authenticate, ctrl.getLeaderboardHistory);
+router.get('/rewards', authenticate, ctrl.getRewards);
+router.post('/rewards/:id/redeem', authenticate, ctrl.redeemReward);
+router.post('/award-tokens', authenticate, requirePermission('tokens.award'), ctrl.awardTokensManually);
 
 module.exports = router;
@@ -1,24 +1,52 @@
-const { processUserAction, getUserStats, getLeaderboard } = require('../../services/tokenService');
+const { processUserAction, getUserStats, getTokenHistory, getLeaderboard } = require('../../services/tokenService');
+const { getLeaderboardSnapshots } = require('../../services/leaderboardSnapshotService');
+const rewardsService = require('../../services/rewardsService');
 const { httpError } = require('../../utils/httpError');
+const { can } = require('../../services/permissionService');
 
 async function getUserGamificationStats(targetUserId, requestingUserId) {
   const userId = targetUserId || requestingUserId;
   return await getUserStats(userId);
 }
 
+async function getMyTokenHistory(userId, query) {
+  return await getTokenHistory(userId, { cursor: query.cursor || null, limit: query.limit, action: query.action || null });
+}
+
 async function getLeaderboardStats(userId, query) {
   const limit = parseInt(query.limit || '10', 10);
   const page = parseInt(query.page || '1', 10);
   const period = query.period || 'all';
   const scope = query.scope || 'global';
   const search = query.search || '';
-  return await getLeaderboard({ limit, page, period, scope, userId, search });
+  const from = query.from || null;
+  const to = query.to || null;
+  return await getLeaderboard({ limit, page, period, from, to, scope, userId, search });
+}
+
+async function getLeaderboardHistory(query) {
+  const limit = Math.min(parseInt(query.limit || '10', 10), 52);
+  const page = parseInt(query.page || '1', 10);
+  const period = query.period || 'weekly';
+  return await getLeaderboardSnapshots({ period, page, limit });
+}
+
+async function getRewards() {
+  return await rewardsService.listRewards();
+}
+
+async function redeemReward(userId, rewardId, body) {
+  return await rewardsService.redeemReward(userId, rewardId, body);
+}
+
+async function getMyRedemptions(userId, query) {
+  return await rewardsService.getUserRedemptions(userId, { cursor: query.cursor || null, limit: query.limit });
 }
 
 async function awardTokensManually(requestingUserId, requestingUserRole, body) {
   const { userId, actionType, metadata } = body;
   if (!userId || !actionType) throw httpError(400, { error: 'userId and actionType are required' });
-  if (requestingUserRole !== 'admin-user' && requestingUserRole !== 'moderator-user') {
+  if (!(await can({ id: requestingUserId, role: requestingUserRole }, 'tokens.award'))) {
     throw httpError(403, { error: 'Only admins and moderators can manually award tokens' });
   }
   const result = await processUserAction(userId, actionType, {
@@ -34,4 +62,4 @@ async function awardTokensManually(requestingUserId, requestingUserRole, body) {
   };
 }
 
-module.exports = { getUserGamificationStats, getLeaderboardStats, awardTokensManually };
+module.exports = { getUserGamificationStats, getMyTokenHistory, getLeaderboardStats, getLeaderboardHistory, getRewards, redeemReward, getMyRedemptions, awardTokensManually };
@@ -7,6 +7,7 @@ const { sanitizeInput } = require('../../utils/moderation');
 const { toPublicUrl } = require('../../utils/publicUrl');
 const { emitGroupMessage, getIoInstance } = require('../../socket');
 const { httpError } = require('../../utils/httpError');
+const { can } = require('../../services/permissionService');
 
 function groupView(group, userId) {
   const g = group.toObject ? group.toObject() : group;
@@ -53,8 +54,8 @@ async function getGroups(userId, userRole, query) {
     ];
   }
 
-  // Admin users looking at the paginated admin view should see all groups
-  if (!(isPaginated && userRole === 'admin-user')) {
+  // The paginated admin view shows all groups to those who may see private ones
+  if (!(isPaginated && await can({ id: userId, role: userRole }, 'groups.viewPrivate'))) {
     const accessFilter = {
       $or: [
         { privacy: { $ne: 'hidden' } },
@@ -102,11 +103,9 @@ async function createGroup(body, userId, userRole) {
   if (parentGroupId) {
     const parentGroup = await Group.findById(parentGroupId);
     if (!parentGroup) throw httpError(404, { error: 'Parent group not found' });
-    const isOwner = parentGroup.ownerId === userId;
-    const isAdmin = parentGroup.adminIds && parentGroup.adminIds.includes(userId);
-    const isSiteAdmin = userRole === 'admin-user';
-    const isSiteMod = userRole === 'moderator-user';
-    if (!isOwner && !isAdmin && !isSiteAdmin && !isSiteMod) throw httpError(403, { error: 'Only group admins can create sub-groups' });
+    if (!(await can({ id: userId, role: userRole }, 'groups.manage', { group: parentGroup }))) {
+      throw httpError(403, { error: 'Only group admins can create sub-groups' });
+    }
   }
 
   const now = new Date();
@@ -145,7 +144,7 @@ async function getGroup(groupId, userId, userRole) {
 
   const view = groupView(group, userId);
   const isPrivate = group.privacy === 'private' || group.privacy === 'hidden';
-  const canSeeContent = !isPrivate || view.isMember || userRole === 'admin-user';
+  const canSeeContent = !isPrivate || view.isMember || await can({ id: userId, role: userRole }, 'groups.viewPrivate', { group });
   const postCount = canSeeContent ? await Post.countDocuments({ groupId: group._id, removed: false }) : 0;
 
   return { group: view, postCount, locked: !canSeeContent };
@@ -183,11 +182,9 @@ async function updateGroup(groupId, body, userId, userRole) {
   const group = await Group.findById(groupId);
   if (!group) throw httpError(404, { error: 'Group not found' });
 
-  const isOwner = group.ownerId === userId;
-  const isAdminOfGroup = group.adminIds && group.adminIds.includes(userId);
-  const isSiteAdmin = userRole === 'admin-user';
-  const isSiteMod = userRole === 'moderator-user';
-  if (!isOwner && !isAdminOfGroup && !isSiteAdmin && !isSiteMod) throw httpError(403, { error: 'Not authorized to update group' });
+  if (!(await can({ id: userId, role: userRole }, 'groups.manage', { group }))) {
+    throw httpError(403, { error: 'Not authorized to update group' });
+  }
 
   const name = typeof body.name === 'string' ? sanitizeInput(body.name.trim()) : undefined;
   const description = typeof body.description === 'string' ? sanitizeInput(body.description) : undefined;
@@ -1,12 +1,12 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const ctrl = require('./moderation.controller');
 
 const router = express.Router();
 
-router.get('/quarantine', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.getQuarantinedContent);
-router.post('/:type/:id/approve', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.approveContent);
-router.post('/:type/:id/reject', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.rejectContent);
-router.post('/:type/:id/request-edit', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.requestEdit);
+router.get('/quarantine', authenticate, requirePermission('moderation.review'), ctrl.getQuarantinedContent);
+router.post('/:type/:id/approve', authenticate, requirePermission('moderation.review'), ctrl.approveContent);
+router.post('/:type/:id/reject', authenticate, requirePermission('moderation.review'), ctrl.rejectContent);
+router.post('/:type/:id/request-edit', authenticate, requirePermission('moderation.review'), ctrl.requestEdit);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const Post = require('../../models/Post');
 const Comment = require('../../models/Comment');
 const Message = require('../../models/Message');
+const EventFeedback = require('../../models/EventFeedback');
 const User = require('../../models/User');
 const {
   sendContentApprovedEmailToAuthor,
@@ -9,12 +10,15 @@ const {
   sendContentRemovedEmailToReporter,
 } = require('../../services/emailService');
 const { httpError } = require('../../utils/httpError');
+const { clawbackRemovedContent } = require('../../services/clawbackService');
+const { awardFeedbackTokens } = require('../../services/eventAttendanceService');
 
 function getModel(type) {
   switch (type) {
     case 'post': return Post;
     case 'comment': return Comment;
     case 'message': return Message;
+    case 'feedback': return EventFeedback;
     default: return null;
   }
 }
@@ -65,9 +69,11 @@ async function getQuarantinedContent(contentType) {
     tasks.push(Comment.find({ 'moderation.status': 'QUARANTINE', removed: false }).lean().then(items => ({ type: 'comments', items })));
   if (contentType === 'all' || contentType === 'messages')
     tasks.push(Message.find({ 'moderation.status': 'QUARANTINE' }).lean().then(items => ({ type: 'messages', items })));
+  if (contentType === 'all' || contentType === 'feedback')
+    tasks.push(EventFeedback.find({ 'moderation.status': 'QUARANTINE', removed: false }).lean().then(items => ({ type: 'feedback', items })));
 
   const results = await Promise.all(tasks);
-  const quarantined = { posts: [], comments: [], messages: [] };
+  const quarantined = { posts: [], comments: [], messages: [], feedback: [] };
   results.forEach(r => { quarantined[r.type] = r.items.map(item => ({ ...item, id: item._id })); });
   return quarantined;
 }
@@ -84,9 +90,13 @@ async function approveContent(type, id, reviewerId) {
   item.visible = true;
   item.moderation.reviewedBy = reviewerId;
   item.moderation.reviewedAt = new Date();
+  item.markModified('moderation'); // Mixed path, nested changes aren't tracked
   await item.save(); // fixed: was called twice in original
 
   notifyApproval(item);
+  if (type === 'feedback') {
+    awardFeedbackTokens(item).catch(e => console.error('Failed to award survey tokens:', e));
+  }
   return { success: true, item: { ...item.toObject(), id: item._id } };
 }
 
@@ -102,9 +112,11 @@ async function rejectContent(type, id, reviewerId) {
   item.moderation.status = 'REJECT';
   item.moderation.reviewedBy = reviewerId;
   item.moderation.reviewedAt = new Date();
+  item.markModified('moderation'); // Mixed path, nested changes aren't tracked
   await item.save(); // fixed: was called twice in original
 
   notifyRejection(item);
+  if (type === 'post' || type === 'comment') clawbackRemovedContent(type, item, reviewerId, 'Violation of Community Guidelines');
   return { success: true };
 }
 
@@ -120,6 +132,7 @@ async function requestEdit(type, id, reviewerId, reason) {
   item.moderation.editReason = reason;
   item.moderation.reviewedBy = reviewerId;
   item.moderation.reviewedAt = new Date();
+  item.markModified('moderation');
   await item.save();
 
   return { success: true, item: { ...item.toObject(), id: item._id } };
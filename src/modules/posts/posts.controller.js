@@ -1,5 +1,6 @@
 
 const postsService = require('./posts.service');
+const { can } = require('../../services/permissionService');
 
 const { getAllBlockedUserIds } = require('../../utils/messaging');
 const { decodeCursor, parsePositiveInt } = require('../../services/posts/cursor');
@@ -12,7 +13,7 @@ function sendServiceError(res, err, next) {
 
 async function getPosts(req, res, next) {
   try {
-    const isPaginatedAdmin = req.query.page && ['admin-user', 'moderator-user'].includes(req.user.role);
+    const isPaginatedAdmin = req.query.page && await can(req.user, 'moderation.review');
     if (isPaginatedAdmin) {
       const page = Math.max(parseInt(req.query.page || '1', 10), 1);
       const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 100);
@@ -76,6 +77,42 @@ async function likePost(req, res, next) {
   }
 }
 
+async function reactToPost(req, res, next) {
+  try {
+    const result = await postsService.reactToPost(req.user.id, req.user.role, req.params.id, req.body.type);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function getPostReactions(req, res, next) {
+  try {
+    const result = await postsService.getPostReactions(req.user.id, req.user.role, req.params.id, req.query);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function reactToComment(req, res, next) {
+  try {
+    const result = await postsService.reactToComment(req.user.id, req.user.role, req.params.id, req.params.commentId, req.body.type);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function getCommentReactions(req, res, next) {
+  try {
+    const result = await postsService.getCommentReactions(req.user.id, req.user.role, req.params.id, req.params.commentId, req.query);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
 async function reportPost(req, res, next) {
   try {
     const result = await postsService.reportPost(req.user.id, req.user.role, req.params.id, req.body.reason);
@@ -96,7 +133,22 @@ async function removePost(req, res, next) {
 
 async function getPostComments(req, res, next) {
   try {
-    const result = await postsService.getPostComments(req.user.id, req.user.role, req.params.id);
+    const result = await postsService.getPostComments(req.user.id, req.user.role, req.params.id, req.query);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function getCommentReplies(req, res, next) {
+  try {
+    const result = await postsService.getCommentReplies(
+      req.user.id,
+      req.user.role,
+      req.params.id,
+      req.params.commentId,
+      req.query,
+    );
     res.json(result);
   } catch (err) {
     sendServiceError(res, err, next);
@@ -112,6 +164,33 @@ async function addPostComment(req, res, next) {
   }
 }
 
+async function updatePostComment(req, res, next) {
+  try {
+    const result = await postsService.updatePostComment(req.user.id, req.params.id, req.params.commentId, req.body);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function deletePostComment(req, res, next) {
+  try {
+    const result = await postsService.deletePostComment(req.user.id, req.user.role, req.params.id, req.params.commentId);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
+async function getCommentHistory(req, res, next) {
+  try {
+    const result = await postsService.getCommentHistory(req.user.id, req.user.role, req.params.id, req.params.commentId);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, next);
+  }
+}
+
 async function getFeedStats(req, res, next) {
   try {
     const result = await postsService.getFeedStats(req.user.id);
@@ -150,7 +229,7 @@ async function reviewPost(req, res, next) {
 
 async function getReportedPosts(req, res, next) {
   try {
-    const result = await postsService.getReportedPosts(req.user.role, req.query);
+    const result = await postsService.getReportedPosts(req.user.id, req.user.role, req.query);
     res.json(result);
   } catch (err) {
     sendServiceError(res, err, next);
@@ -161,10 +240,18 @@ module.exports = {
   getPosts,
   createPost,
   likePost,
+  reactToPost,
+  getPostReactions,
+  reactToComment,
+  getCommentReactions,
   reportPost,
   removePost,
   getPostComments,
+  getCommentReplies,
   addPostComment,
+  updatePostComment,
+  deletePostComment,
+  getCommentHistory,
   getFeedStats,
   getPostById,
   updatePost,
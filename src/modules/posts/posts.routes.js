@@ -1,6 +1,7 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const responseCache = require('../../middleware/responseCache');
+const rateLimit = require('../../middleware/rateLimiter');
 const postsController = require('./posts.controller');
 
 const router = express.Router();
@@ -9,23 +10,39 @@ router.get('/', authenticate, responseCache(10), postsController.getPosts);
 
 router.get('/feed-stats', authenticate, responseCache(30), postsController.getFeedStats);
 
-router.get('/reported', authenticate, requireRole(['admin-user', 'moderator-user']), postsController.getReportedPosts);
+router.get('/reported', authenticate, requirePermission('moderation.review'), postsController.getReportedPosts);
 
-router.post('/', authenticate, postsController.createPost);
+router.post('/', authenticate, rateLimit('content'), postsController.createPost);
 
 router.post('/:id/like', authenticate, postsController.likePost);
 
+router.post('/:id/reactions', authenticate, postsController.reactToPost);
+
+router.get('/:id/reactions', authenticate, postsController.getPostReactions);
+
 router.post('/:id/report', authenticate, postsController.reportPost);
 
 router.post('/:id/remove', authenticate, postsController.removePost);
 
 router.put('/:postId', authenticate, postsController.updatePost);
 
-router.put('/:postId/review', authenticate, requireRole(['admin-user', 'moderator-user']), postsController.reviewPost);
+router.put('/:postId/review', authenticate, requirePermission('moderation.review'), postsController.reviewPost);
 
 router.get('/:id/comments', authenticate, responseCache(5), postsController.getPostComments);
 
-router.post('/:id/comments', authenticate, postsController.addPostComment);
+router.get('/:id/comments/:commentId/replies', authenticate, responseCache(5), postsController.getCommentReplies);
+
+router.post('/:id/comments', authenticate, rateLimit('content'), postsController.addPostComment);
+
+router.put('/:id/comments/:commentId', authenticate, postsController.updatePostComment);
+
+router.delete('/:id/comments/:commentId', authenticate, postsController.deletePostComment);
+
+router.get('/:id/comments/:commentId/history', authenticate, postsController.getCommentHistory);
+
+router.post('/:id/comments/:commentId/reactions', authenticate, postsController.reactToComment);
+
+router.get('/:id/comments/:commentId/reactions', authenticate, postsController.getCommentReactions);
 
 router.get('/:id', authenticate, postsController.getPostById);
 
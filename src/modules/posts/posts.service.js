@@ -5,17 +5,20 @@ const Comment = require('../../models/Comment');
 const Group = require('../../models/Group');
 const { sanitizeInput, analyzeTextForModeration } = require('../../utils/moderation');
 const { scan: moderationScan } = require('../../services/moderationService');
-const { checkForBadges } = require('../../utils/badges');
-const { notifyPostComment, notifyPostLike, notifyGroupPost } = require('../../utils/notifications');
+const { notifyPostComment, notifyReaction, notifyGroupPost } = require('../../utils/notifications');
 const { processUserAction } = require('../../services/tokenService');
+const { clawbackRemovedContent } = require('../../services/clawbackService');
 const { sendModerationAlert } = require('../../services/emailService');
 const { toPublicUrl } = require('../../utils/publicUrl');
-const { decodeCursor, encodeCursor } = require('../../services/posts/cursor');
+const { decodeCursor, encodeCursor, parsePositiveInt } = require('../../services/posts/cursor');
 const {
   buildPostResponse,
   buildPostResponsesBulk,
+  buildCommentResponse,
   canViewGroupPost,
 } = require('../../services/posts/postResponseBuilder');
+const { toggleReaction, listReactions, getViewerReactions } = require('../../services/reactionService');
+const { can } = require('../../services/permissionService');
 const { httpError } = require('../../utils/httpError');
 
 async function createPost(userId, userRole, body) {
@@ -50,7 +53,8 @@ async function createPost(userId, userRole, body) {
       targetGroup.adminIds?.includes(userId) ||
       targetGroup.ownerId === userId;
 
-    if (targetGroup.privacy !== 'public' && !isMember && userRole !== 'admin-user') {
+    if (targetGroup.privacy !== 'public' && !isMember
+      && !(await can({ id: userId, role: userRole }, 'groups.viewPrivate', { group: targetGroup }))) {
       throw httpError(403, { error: 'Not a member of this private group' });
     }
   }
@@ -118,14 +122,6 @@ async function createPost(userId, userRole, body) {
     );
   }
 
-  const [postsCount, commentsCount] = await Promise.all([
-    Post.countDocuments({ authorId: userId, removed: false }),
-    Comment.countDocuments({ authorId: userId, removed: false }),
-  ]);
-  checkForBadges(userId, { postsCount, commentsCount, role: userRole }).catch((err) =>
-    console.error('Badge check error:', err),
-  );
-
   const response = await buildPostResponse(newPost, userId);
   return { post: response };
 }
@@ -149,7 +145,7 @@ async function likePost(userId, postId) {
       processUserAction(post.authorId, 'receive_like', { postId: post._id, likerId: userId }).catch((err) =>
         console.error('Error processing gamification for receive_like:', err),
       );
-      notifyPostLike(userId, post.authorId, post._id, true).catch((err) =>
+      notifyReaction(userId, post.authorId, { reactionType: 'like', targetType: 'post', targetId: post._id }).catch((err) =>
         console.error('Error creating like notification:', err),
       );
     }
@@ -162,6 +158,65 @@ async function likePost(userId, postId) {
   return { post: response };
 }
 
+async function loadReactablePost(userId, userRole, postId) {
+  const post = await Post.findOne({ _id: postId, removed: false });
+  if (!post) throw httpError(404, { error: 'Post not found' });
+
+  if (post.groupId) {
+    const group = await Group.findById(post.groupId).lean();
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
+      throw httpError(403, { error: 'Not authorized to view this post' });
+    }
+  }
+
+  return post;
+}
+
+async function reactToPost(userId, userRole, postId, type) {
+  const post = await loadReactablePost(userId, userRole, postId);
+  const result = await toggleReaction({ userId, targetType: 'post', targetId: post._id, type });
+
+  if (result.reacted) {
+    notifyReaction(userId, post.authorId, { reactionType: type, targetType: 'post', targetId: post._id }).catch((err) =>
+      console.error('Error creating reaction notification:', err),
+    );
+  }
+
+  return result;
+}
+
+async function getPostReactions(userId, userRole, postId, query) {
+  const post = await loadReactablePost(userId, userRole, postId);
+  return listReactions('post', post._id, query);
+}
+
+async function reactToComment(userId, userRole, postId, commentId, type) {
+  const post = await loadReactablePost(userId, userRole, postId);
+  const comment = await Comment.findOne({ _id: commentId, postId: post._id, removed: false }).select('authorId').lean();
+  if (!comment) throw httpError(404, { error: 'Comment not found' });
+
+  const result = await toggleReaction({ userId, targetType: 'comment', targetId: comment._id, type });
+
+  if (result.reacted) {
+    notifyReaction(userId, comment.authorId, {
+      reactionType: type,
+      targetType: 'comment',
+      targetId: comment._id,
+      metadata: { postId: post._id },
+    }).catch((err) => console.error('Error creating reaction notification:', err));
+  }
+
+  return result;
+}
+
+async function getCommentReactions(userId, userRole, postId, commentId, query) {
+  const post = await loadReactablePost(userId, userRole, postId);
+  const exists = await Comment.exists({ _id: commentId, postId: post._id, removed: false });
+  if (!exists) throw httpError(404, { error: 'Comment not found' });
+
+  return listReactions('comment', commentId, query);
+}
+
 async function reportPost(userId, userRole, postId, reason) {
   const sanitizedReason = sanitizeInput(reason || 'Not specified');
   const post = await Post.findOne({ _id: postId, removed: false });
@@ -169,7 +224,7 @@ async function reportPost(userId, userRole, postId, reason) {
 
   if (post.groupId) {
     const group = await Group.findById(post.groupId).lean();
-    if (!canViewGroupPost(post, group, userId, userRole)) {
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
       throw httpError(403, { error: 'Not authorized to report this post' });
     }
   }
@@ -188,8 +243,9 @@ async function removePost(userId, userRole, postId) {
   if (!post) throw httpError(404, { error: 'Post not found' });
 
   const isAuthor = post.authorId.toString() === userId;
-  const isAdmin = ['admin-user', 'moderator-user'].includes(userRole);
-  if (!isAuthor && !isAdmin) throw httpError(403, { error: 'Not authorized to remove this post' });
+  if (!isAuthor && !(await can({ id: userId, role: userRole }, 'posts.remove.any', { groupId: post.groupId }))) {
+    throw httpError(403, { error: 'Not authorized to remove this post' });
+  }
 
   if (post.mediaUrl) {
     const storageService = require('../../services/storageService');
@@ -202,51 +258,74 @@ async function removePost(userId, userRole, postId) {
   post.mediaUrl = null;
   await post.save();
 
+  // Authors deleting their own posts keep their tokens; moderator removals reverse them
+  if (!isAuthor) clawbackRemovedContent('post', post, userId);
+
   return { success: true };
 }
 
-async function getPostComments(userId, userRole, postId) {
+async function listCommentsPage(userId, postId, parentCommentId, query) {
+  const limit = Math.min(parsePositiveInt(query?.limit, 20), 100);
+  const cursor = query?.cursor ? decodeCursor(query.cursor) : null;
+
+  const filter = { postId, parentCommentId, removed: false, visible: true };
+  if (cursor) {
+    filter.$or = [
+      { createdAt: { $gt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $gt: cursor.id } },
+    ];
+  }
+
+  const comments = await Comment.find(filter)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate('authorId', 'name role avatarUrl')
+    .lean();
+
+  const hasMore = comments.length > limit;
+  const page = hasMore ? comments.slice(0, limit) : comments;
+  const last = page[page.length - 1];
+  const viewerReactions = await getViewerReactions(userId, 'comment', page.map((c) => c._id));
+
+  return {
+    comments: page.map((c) => buildCommentResponse(c, viewerReactions.get(c._id) || [])),
+    nextCursor: hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+    hasMore,
+  };
+}
+
+async function getPostComments(userId, userRole, postId, query) {
   const post = await Post.findById(postId);
-  if (!post) return [];
+  if (!post) return { comments: [], nextCursor: null, hasMore: false };
 
   if (post.groupId) {
     const group = await Group.findById(post.groupId).lean();
-    if (!canViewGroupPost(post, group, userId, userRole)) {
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
       throw httpError(403, { error: 'Not authorized to view comments for this post' });
     }
   }
 
-  const comments = await Comment.find({ postId, removed: false, visible: true })
-    .sort({ createdAt: 1 })
-    .populate('authorId', 'name role avatarUrl')
-    .lean();
-
-  return comments.map((c) => ({
-    ...c,
-    id: c._id,
-    author: c.authorId
-      ? {
-        id: c.authorId._id,
-        name: c.authorId.name,
-        role: c.authorId.role,
-        avatarUrl: toPublicUrl(c.authorId.avatarUrl),
-      }
-      : null,
-  }));
+  return listCommentsPage(userId, postId, null, query);
 }
 
-async function addPostComment(userId, userRole, postId, body) {
-  const content = sanitizeInput(body.content || '');
-  const parentCommentId = body.parentCommentId || null;
+async function getCommentReplies(userId, userRole, postId, commentId, query) {
+  const post = await Post.findById(postId);
+  if (!post) throw httpError(404, { error: 'Post not found' });
 
-  if (!content) throw httpError(400, { error: 'Content is required' });
+  if (post.groupId) {
+    const group = await Group.findById(post.groupId).lean();
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
+      throw httpError(403, { error: 'Not authorized to view comments for this post' });
+    }
+  }
 
-  const moderationResult = await moderationScan({
-    text: content,
-    userId,
-    context: { type: 'comment', postId },
-  });
+  const parent = await Comment.exists({ _id: commentId, postId, removed: false });
+  if (!parent) throw httpError(404, { error: 'Comment not found' });
+
+  return listCommentsPage(userId, postId, commentId, query);
+}
 
+function assertCommentAllowed(moderationResult) {
   if (moderationResult.status === 'REJECT') {
     throw httpError(400, {
       error: 'content_rejected',
@@ -271,17 +350,40 @@ async function addPostComment(userId, userRole, postId, body) {
       reason: 'Comment contains potentially problematic content',
     });
   }
+}
+
+async function addPostComment(userId, userRole, postId, body) {
+  const content = sanitizeInput(body.content || '');
+  const parentCommentId = body.parentCommentId || null;
+
+  if (!content) throw httpError(400, { error: 'Content is required' });
+
+  const moderationResult = await moderationScan({
+    text: content,
+    userId,
+    context: { type: 'comment', postId },
+  });
+
+  assertCommentAllowed(moderationResult);
 
   const post = await Post.findOne({ _id: postId, removed: false });
   if (!post) throw httpError(404, { error: 'Post not found' });
 
   if (post.groupId) {
     const group = await Group.findById(post.groupId).lean();
-    if (!canViewGroupPost(post, group, userId, userRole)) {
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
       throw httpError(403, { error: 'Not authorized to comment on this post' });
     }
   }
 
+  let parentComment = null;
+  if (parentCommentId) {
+    parentComment = await Comment.findOne({ _id: parentCommentId, removed: false }).select('postId authorId').lean();
+    if (!parentComment || parentComment.postId !== postId) {
+      throw httpError(400, { error: 'Invalid parent comment' });
+    }
+  }
+
   const now = new Date();
   const newComment = await Comment.create({
     _id: uuidv4(),
@@ -301,42 +403,169 @@ async function addPostComment(userId, userRole, postId, body) {
     visible: true,
   });
 
-  // Performance Optimization: increment denormalized count
-  await Post.updateOne({ _id: postId }, { $inc: { commentCount: 1 } });
+  // Performance Optimization: increment denormalized counts
+  await Promise.all([
+    Post.updateOne({ _id: postId }, { $inc: { commentCount: 1 } }),
+    parentComment ? Comment.updateOne({ _id: parentComment._id }, { $inc: { replyCount: 1 } }) : null,
+  ]);
 
   processUserAction(userId, 'create_comment', { postId, commentId: newComment.id }).catch((err) =>
     console.error('Error processing gamification for comment creation:', err),
   );
 
-  notifyPostComment(userId, post.authorId, post._id, newComment._id).catch((err) =>
+  notifyPostComment(userId, post.authorId, post._id, newComment._id, parentComment?.authorId).catch((err) =>
     console.error('Error creating comment notification:', err),
   );
 
-  const [postsCount, commentsCount] = await Promise.all([
-    Post.countDocuments({ authorId: userId, removed: false }),
-    Comment.countDocuments({ authorId: userId, removed: false }),
-  ]);
-  checkForBadges(userId, { postsCount, commentsCount, role: userRole }).catch((err) =>
-    console.error('Badge check error:', err),
-  );
-
   await newComment.populate('authorId', 'name role avatarUrl');
+  return { comment: buildCommentResponse(newComment.toObject({ transform: false })) };
+}
+
+async function updatePostComment(userId, postId, commentId, body) {
+  const content = sanitizeInput(body.content || '');
+  if (!content) throw httpError(400, { error: 'Content is required' });
+
+  const comment = await Comment.findOne({ _id: commentId, postId, removed: false });
+  if (!comment) throw httpError(404, { error: 'Comment not found' });
+  if (comment.authorId !== userId) throw httpError(403, { error: 'Not authorized to edit this comment' });
+
+  if (content === comment.content) {
+    await comment.populate('authorId', 'name role avatarUrl');
+    return { comment: buildCommentResponse(comment.toObject({ transform: false })) };
+  }
+
+  const moderationResult = await moderationScan({
+    text: content,
+    userId,
+    context: { type: 'comment_edit', postId, commentId },
+  });
+
+  assertCommentAllowed(moderationResult);
+
+  const now = new Date();
+  comment.editHistory.push({ content: comment.content, editedAt: now });
+  comment.content = content;
+  comment.editedAt = now;
+  comment.updatedAt = now;
+  comment.moderation = {
+    status: moderationResult.status,
+    scores: moderationResult.scores,
+    flags: moderationResult.flags,
+    detectedSpans: moderationResult.detectedSpans,
+    scannedAt: moderationResult.timestamp,
+  };
+  await comment.save();
+
+  await comment.populate('authorId', 'name role avatarUrl');
+  const viewerReactions = await getViewerReactions(userId, 'comment', [comment._id]);
+  return { comment: buildCommentResponse(comment.toObject({ transform: false }), viewerReactions.get(comment._id) || []) };
+}
+
+/**
+ * Every version of a comment, oldest first with the current text last. Its author can see the history;
+ * so can moderators, also after the comment was removed.
+ */
+async function getCommentHistory(userId, userRole, postId, commentId) {
+  const comment = await Comment.findOne({ _id: commentId, postId })
+    .select('authorId content createdAt editedAt editHistory removed')
+    .lean();
+  if (!comment) throw httpError(404, { error: 'Comment not found' });
+
+  const isAuthor = comment.authorId === userId && !comment.removed;
+  if (!isAuthor) {
+    const user = { id: userId, role: userRole };
+    const post = await Post.findById(postId).select('groupId').lean();
+    const allowed = await can(user, 'moderation.review')
+      || await can(user, 'comments.remove.any', { groupId: post?.groupId });
+    if (!allowed && comment.removed) throw httpError(404, { error: 'Comment not found' });
+    if (!allowed) throw httpError(403, { error: 'Not authorized to view this comment\'s history' });
+  }
+
+  // Each history entry is the text an edit replaced, stamped with that edit; a version was written when
+  // the one before it was replaced
+  const history = comment.editHistory || [];
+  const previous = history.map((entry, i) => ({
+    version: i + 1,
+    content: entry.content,
+    writtenAt: i === 0 ? comment.createdAt : history[i - 1].editedAt,
+    current: false,
+  }));
+
   return {
-    comment: {
-      ...newComment.toObject(),
-      id: newComment._id,
-      author: newComment.authorId
-        ? {
-          id: newComment.authorId._id,
-          name: newComment.authorId.name,
-          role: newComment.authorId.role,
-          avatarUrl: toPublicUrl(newComment.authorId.avatarUrl),
-        }
-        : null,
-    },
+    commentId: comment._id,
+    removed: !!comment.removed,
+    versions: [...previous, {
+      version: previous.length + 1,
+      content: comment.content,
+      writtenAt: comment.editedAt || comment.createdAt,
+      current: true,
+    }],
   };
 }
 
+/**
+ * Ids of the live replies below the given comments, at every depth
+ */
+async function collectReplyIds(commentIds) {
+  const replyIds = [];
+  let parents = commentIds;
+  while (parents.length) {
+    const replies = await Comment.find({ parentCommentId: { $in: parents }, removed: false }).select('_id').lean();
+    parents = replies.map((r) => r._id);
+    replyIds.push(...parents);
+  }
+  return replyIds;
+}
+
+/**
+ * Remove a comment together with its replies, which would otherwise be left without a thread to show in
+ */
+async function deletePostComment(userId, userRole, postId, commentId) {
+  const comment = await Comment.findOne({ _id: commentId, postId }).select('authorId parentCommentId removed').lean();
+  if (!comment || comment.removed) throw httpError(404, { error: 'Comment not found' });
+
+  const isAuthor = comment.authorId === userId;
+  if (!isAuthor) {
+    const post = await Post.findById(postId).select('groupId').lean();
+    if (!(await can({ id: userId, role: userRole }, 'comments.remove.any', { groupId: post?.groupId }))) {
+      throw httpError(403, { error: 'Not authorized to delete this comment' });
+    }
+  }
+
+  const now = new Date();
+  // Guard on removed: false so concurrent deletes only decrement counts once
+  const result = await Comment.updateOne(
+    { _id: commentId, removed: false },
+    { removed: true, removedBy: userId, removedAt: now, updatedAt: now },
+  );
+
+  if (result.modifiedCount) {
+    const replyIds = await collectReplyIds([commentId]);
+    const replies = replyIds.length
+      ? await Comment.updateMany(
+        { _id: { $in: replyIds }, removed: false },
+        { removed: true, removedBy: userId, removedAt: now, updatedAt: now },
+      )
+      : { modifiedCount: 0 };
+    const removedCount = 1 + replies.modifiedCount;
+
+    await Promise.all([
+      Post.updateOne(
+        { _id: postId },
+        [{ $set: { commentCount: { $max: [{ $subtract: ['$commentCount', removedCount] }, 0] } } }],
+        { updatePipeline: true },
+      ),
+      comment.parentCommentId
+        ? Comment.updateOne({ _id: comment.parentCommentId, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } })
+        : null,
+    ]);
+    if (!isAuthor) clawbackRemovedContent('comment', { _id: commentId, authorId: comment.authorId }, userId);
+    return { success: true, removedReplies: replies.modifiedCount };
+  }
+
+  return { success: true, removedReplies: 0 };
+}
+
 async function getFeedStats(userId) {
   const smartFeedService = require('../../services/smartFeedService');
   const stats = await smartFeedService.getFeedStats(userId);
@@ -371,7 +600,7 @@ async function getPostById(userId, userRole, postId) {
 
   if (post.groupId) {
     const group = await Group.findById(post.groupId).lean();
-    if (!canViewGroupPost(post, group, userId, userRole)) {
+    if (!(await canViewGroupPost(post, group, userId, userRole))) {
       throw httpError(403, { error: 'Not authorized to view this post' });
     }
   }
@@ -447,7 +676,7 @@ async function reviewPost(userId, userRole, postId, action) {
   if (!['approve', 'reject'].includes(action)) {
     throw httpError(400, { error: 'Action must be either "approve" or "reject"' });
   }
-  if (!['admin-user', 'moderator-user'].includes(userRole)) {
+  if (!(await can({ id: userId, role: userRole }, 'moderation.review'))) {
     throw httpError(403, { error: 'Only moderators and admins can review posts' });
   }
 
@@ -487,8 +716,8 @@ async function reviewPost(userId, userRole, postId, action) {
   };
 }
 
-async function getReportedPosts(userRole, query) {
-  if (!['admin-user', 'moderator-user'].includes(userRole)) {
+async function getReportedPosts(userId, userRole, query) {
+  if (!(await can({ id: userId, role: userRole }, 'moderation.review'))) {
     throw httpError(403, { error: 'Access denied' });
   }
 
@@ -575,10 +804,18 @@ async function getReportedPosts(userRole, query) {
 module.exports = {
   createPost,
   likePost,
+  reactToPost,
+  getPostReactions,
+  reactToComment,
+  getCommentReactions,
   reportPost,
   removePost,
   getPostComments,
+  getCommentReplies,
   addPostComment,
+  updatePostComment,
+  deletePostComment,
+  getCommentHistory,
   getFeedStats,
   getPostById,
   updatePost,
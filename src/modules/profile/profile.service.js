@@ -6,6 +6,7 @@ const { toPublicUrl } = require('../../utils/publicUrl');
 const { getAllBlockedUserIds } = require('../../utils/messaging');
 const storageService = require('../../services/storageService');
 const { httpError } = require('../../utils/httpError');
+const { isValidTimeZone } = require('../../utils/streaks');
 
 async function getFriendStatus(currentUserId, otherUserId) {
   if (!currentUserId || !otherUserId || String(currentUserId) === String(otherUserId)) {
@@ -81,7 +82,7 @@ async function ensureUsername(userId) {
 
 async function getProfileByUsername(username, currentUserId) {
   const user = await User.findOne({ username })
-    .select('username name bio avatarUrl coverPhotoUrl location disease healthInterests role roleType followersCount followingCount createdAt')
+    .select('username name bio avatarUrl coverPhotoUrl location disease healthInterests flair role roleType followersCount followingCount createdAt')
     .lean();
 
   if (!user) throw httpError(404, { error: 'Profile not found' });
@@ -108,6 +109,7 @@ async function getProfileByUsername(username, currentUserId) {
     location: user.location || '',
     disease: user.disease || '',
     healthInterests: user.healthInterests || [],
+    flair: user.flair?.text || '',
     role: user.role,
     roleType: user.roleType,
     isModerator: user.role === 'moderator-user',
@@ -124,7 +126,7 @@ async function getProfileByUsername(username, currentUserId) {
 
 async function getProfileById(userId, currentUserId) {
   let user = await User.findById(userId)
-    .select('username name email bio avatarUrl coverPhotoUrl location disease healthInterests role roleType followersCount followingCount createdAt')
+    .select('username name email bio avatarUrl coverPhotoUrl location disease healthInterests flair role roleType followersCount followingCount createdAt')
     .lean();
 
   if (!user) throw httpError(404, { error: 'Profile not found' });
@@ -142,7 +144,7 @@ async function getProfileById(userId, currentUserId) {
     }
 
     user = await User.findById(userId)
-      .select('username name email bio avatarUrl coverPhotoUrl location disease healthInterests role roleType followersCount followingCount createdAt')
+      .select('username name email bio avatarUrl coverPhotoUrl location disease healthInterests flair role roleType followersCount followingCount createdAt')
       .lean();
 
     if (!user) throw httpError(404, { error: 'Profile not found' });
@@ -166,6 +168,7 @@ async function getProfileById(userId, currentUserId) {
     location: user.location || '',
     disease: user.disease || '',
     healthInterests: user.healthInterests || [],
+    flair: user.flair?.text || '',
     role: user.role,
     roleType: user.roleType,
     isModerator: user.role === 'moderator-user',
@@ -181,7 +184,7 @@ async function getProfileById(userId, currentUserId) {
 }
 
 async function updateProfile(userId, body) {
-  const { name, bio, location, disease, healthInterests, avatarUrl, coverPhotoUrl, username } = body || {};
+  const { name, bio, location, disease, healthInterests, avatarUrl, coverPhotoUrl, username, timezone } = body || {};
 
   const user = await User.findById(userId);
   if (!user) throw httpError(404, { error: 'User not found' });
@@ -203,6 +206,10 @@ async function updateProfile(userId, body) {
   if (location !== undefined) user.location = location;
   if (disease !== undefined) user.disease = disease;
   if (healthInterests !== undefined) user.healthInterests = healthInterests;
+  if (timezone !== undefined) {
+    if (timezone && !isValidTimeZone(timezone)) throw httpError(400, { error: 'Invalid time zone' });
+    user.timezone = timezone || '';
+  }
 
   if (avatarUrl !== undefined && avatarUrl !== user.avatarUrl) {
     if (user.avatarUrl) await storageService.deleteFile(user.avatarUrl);
@@ -229,6 +236,7 @@ async function updateProfile(userId, body) {
       location: user.location,
       disease: user.disease,
       healthInterests: user.healthInterests,
+      timezone: user.timezone,
       role: user.role,
       roleType: user.roleType,
       followersCount: user.followersCount,
@@ -482,6 +490,8 @@ async function getUserComments(username, query) {
 
   const transformedComments = comments.map((c) => {
     const commentObj = c.toObject();
+    commentObj.edited = !!commentObj.editedAt;
+    delete commentObj.editHistory;
     if (commentObj.authorId) {
       commentObj.author = commentObj.authorId;
       delete commentObj.authorId;
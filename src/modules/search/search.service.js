@@ -4,6 +4,7 @@ const FriendRequest = require('../../models/FriendRequest');
 const { sanitizeUser } = require('../../utils/auth');
 const { SimpleTtlCache } = require('../../utils/simpleTtlCache');
 const { getAllBlockedUserIds } = require('../../utils/messaging');
+const { can } = require('../../services/permissionService');
 
 const suggestedUsersCache = new SimpleTtlCache({ defaultTtlMs: 30000, maxEntries: 5000 });
 
@@ -78,18 +79,19 @@ async function searchAll(queryStr, type, userId, userRole) {
 
   matchedUsers = await attachFriendStatus(matchedUsers, userId);
 
+  const visible = await Promise.all(matchedGroups.map(async group => {
+    if (group.privacy === 'hidden') {
+      if (!userId) return false;
+      const isMember =
+        group.members?.some(id => id === userId || (id._id && id._id.toString() === userId)) ||
+        group.adminIds?.some(id => id === userId || (id._id && id._id.toString() === userId)) ||
+        group.ownerId === userId || (group.ownerId && group.ownerId._id && group.ownerId._id.toString() === userId);
+      if (!isMember) return can({ id: userId, role: userRole }, 'groups.viewPrivate', { group });
+    }
+    return true;
+  }));
   matchedGroups = matchedGroups
-    .filter(group => {
-      if (group.privacy === 'hidden') {
-        if (!userId) return false;
-        const isMember =
-          group.members?.some(id => id === userId || (id._id && id._id.toString() === userId)) ||
-          group.adminIds?.some(id => id === userId || (id._id && id._id.toString() === userId)) ||
-          group.ownerId === userId || (group.ownerId && group.ownerId._id && group.ownerId._id.toString() === userId);
-        if (!isMember && userRole !== 'admin-user') return false;
-      }
-      return true;
-    })
+    .filter((group, i) => visible[i])
     .map(group => groupView(group, userId));
 
   return { users: matchedUsers, groups: matchedGroups, query: queryStr };
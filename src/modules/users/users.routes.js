@@ -1,10 +1,10 @@
 const express = require('express');
-const { authenticate, requireRole } = require('../../utils/auth');
+const { authenticate, requirePermission } = require('../../utils/auth');
 const ctrl = require('./users.controller');
 
 const router = express.Router();
 
-router.get('/', authenticate, requireRole(['admin-user', 'moderator-user']), ctrl.getUsers);
+router.get('/', authenticate, requirePermission('users.list'), ctrl.getUsers);
 router.put('/me', authenticate, ctrl.updateMyProfile);
 router.post('/me/avatar', authenticate, ctrl.uploadAvatar);
 router.delete('/me/avatar', authenticate, ctrl.removeAvatar);
@@ -5,7 +5,9 @@ const { listBadgesForUser } = require('../../utils/badges');
 const { blockUser, unblockUser, getBlockedUsers } = require('../../utils/messaging');
 const { toPublicUrl } = require('../../utils/publicUrl');
 const storageService = require('../../services/storageService');
+const { setSuspended } = require('../../services/suspensionService');
 const { httpError } = require('../../utils/httpError');
+const { can } = require('../../services/permissionService');
 
 function normalizeEmail(email) { return String(email || '').trim().toLowerCase(); }
 
@@ -40,7 +42,8 @@ async function updateMyProfile(userId, body) {
 }
 
 async function updateUser(targetId, body, requesterId, requesterRole) {
-  if (requesterId !== targetId && requesterRole !== 'admin-user') throw httpError(403, { error: 'Forbidden' });
+  const requester = { id: requesterId, role: requesterRole };
+  if (requesterId !== targetId && !(await can(requester, 'users.manage'))) throw httpError(403, { error: 'Forbidden' });
 
   const user = await User.findById(targetId);
   if (!user) throw httpError(404, { error: 'User not found' });
@@ -60,15 +63,22 @@ async function updateUser(targetId, body, requesterId, requesterRole) {
       user.email = newEmail;
     }
   }
-  if (requesterRole === 'admin-user' && body.suspended !== undefined) user.suspended = body.suspended;
 
   user.updatedAt = new Date();
   await user.save();
+
+  // Suspending also signs the user out and emails them, so it goes through the suspension service
+  if (typeof body.suspended === 'boolean' && body.suspended !== user.suspended && await can(requester, 'users.suspend')) {
+    const updated = await setSuspended(user._id, body.suspended, requesterId, body);
+    return { user: sanitizeUser(updated.toObject()) };
+  }
   return { user: sanitizeUser(user.toObject()) };
 }
 
 async function getUserBadges(requesterId, requesterRole, targetId) {
-  if (requesterId !== targetId && requesterRole !== 'admin-user') throw httpError(403, { error: 'Forbidden' });
+  if (requesterId !== targetId && !(await can({ id: requesterId, role: requesterRole }, 'users.manage'))) {
+    throw httpError(403, { error: 'Forbidden' });
+  }
   return await listBadgesForUser(targetId);
 }
 
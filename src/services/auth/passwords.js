@@ -0,0 +1,78 @@
+/**
+ * Passwords for the local auth provider: strength rules, bcrypt hashing and reset tokens.
+ * The rules mirror the default Cognito password policy so both providers accept the same passwords.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores anything past 72 bytes
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60);
+
+// Compared against when the email is unknown, so a miss takes as long as a wrong password. It uses the same
+// cost as real hashes and is made on first use rather than blocking startup.
+let _dummyHash = null;
+
+function dummyHash() {
+  if (!_dummyHash) _dummyHash = bcrypt.hash('not-a-real-password', BCRYPT_ROUNDS);
+  return _dummyHash;
+}
+
+/**
+ * Reasons a password is too weak; an empty list means it is acceptable
+ */
+function passwordProblems(password, { email = '', name = '' } = {}) {
+  const value = typeof password === 'string' ? password : '';
+  const problems = [];
+  if (value.length < MIN_PASSWORD_LENGTH) problems.push(`Use at least ${MIN_PASSWORD_LENGTH} characters`);
+  if (Buffer.byteLength(value, 'utf8') > MAX_PASSWORD_BYTES) problems.push(`Use at most ${MAX_PASSWORD_BYTES} bytes`);
+  if (!/[a-z]/.test(value)) problems.push('Include a lowercase letter');
+  if (!/[A-Z]/.test(value)) problems.push('Include an uppercase letter');
+  if (!/\d/.test(value)) problems.push('Include a number');
+  if (!/[^A-Za-z0-9]/.test(value)) problems.push('Include a symbol');
+  if (/^\s|\s$/.test(value)) problems.push('Do not start or end with a space');
+
+  const lower = value.toLowerCase();
+  const emailName = String(email).split('@')[0].toLowerCase();
+  const personal = [emailName, ...emailName.split(/[^a-z0-9]+/), ...String(name).toLowerCase().split(/\s+/)]
+    .filter((part) => part.length >= 3);
+  if (personal.some((part) => lower.includes(part))) problems.push('Do not include your name or email');
+  return problems;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Check a password against a stored hash; users without one (e.g. created through Cognito) never match
+ */
+async function verifyPassword(password, passwordHash) {
+  const matches = await bcrypt.compare(String(password || ''), passwordHash || await dummyHash());
+  return matches && !!passwordHash;
+}
+
+/**
+ * A reset token for the email link. Only its SHA-256 is stored, so a database leak can't be used to reset passwords.
+ */
+function generateResetToken(now = new Date()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashResetToken(token), expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000) };
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_BYTES,
+  RESET_TOKEN_TTL_MINUTES,
+  passwordProblems,
+  hashPassword,
+  verifyPassword,
+  generateResetToken,
+  hashResetToken,
+};
@@ -0,0 +1,52 @@
+const { httpError } = require('../../utils/httpError');
+
+/**
+ * Suspension terms. A suspension has a reason and either an end (`until`) or no end, in which case it lasts
+ * until an admin lifts it.
+ */
+
+const MAX_REASON_LENGTH = 500;
+const MAX_SUSPENSION_DAYS = 5 * 365;
+
+/**
+ * Reason and end of a suspension from an admin request body: `until` as an ISO date-time or `durationHours`.
+ * Neither means indefinite.
+ */
+function parseSuspensionTerms(body = {}, now = new Date()) {
+  const reason = body.reason === undefined || body.reason === null ? '' : String(body.reason).trim();
+  if (reason.length > MAX_REASON_LENGTH) throw httpError(400, { error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+
+  let until = null;
+  if (body.until !== undefined && body.until !== null && body.until !== '') {
+    until = new Date(body.until);
+    if (Number.isNaN(until.getTime())) throw httpError(400, { error: 'until must be an ISO date-time' });
+  } else if (body.durationHours !== undefined && body.durationHours !== null && body.durationHours !== '') {
+    const hours = Number(body.durationHours);
+    if (!Number.isFinite(hours) || hours <= 0) throw httpError(400, { error: 'durationHours must be a positive number' });
+    until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  if (until) {
+    if (until <= now) throw httpError(400, { error: 'A timed suspension must end in the future' });
+    if (until.getTime() - now.getTime() > MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000) {
+      throw httpError(400, { error: `A timed suspension can last at most ${MAX_SUSPENSION_DAYS} days; leave the end out to suspend indefinitely` });
+    }
+  }
+  return { reason, until };
+}
+
+/**
+ * Whether a user (or a cached { suspended, until } state) is suspended right now
+ */
+function isSuspensionActive(state, now = new Date()) {
+  if (!state?.suspended) return false;
+  const until = state.until ?? state.suspension?.until ?? null;
+  return !until || new Date(until) > now;
+}
+
+module.exports = {
+  MAX_REASON_LENGTH,
+  MAX_SUSPENSION_DAYS,
+  parseSuspensionTerms,
+  isSuspensionActive,
+};
@@ -0,0 +1,274 @@
+const BadgeDefinition = require('../models/BadgeDefinition');
+const Gamification = require('../models/Gamification');
+const TokenLedger = require('../models/TokenLedger');
+const User = require('../models/User');
+const { mintBadgeNFT } = require('./tokenService');
+const { validateCriteria, collectFactRequirements, evaluateCriteria, referencesActions, longestStreak, countKey, streakKey } = require('../utils/badgeRules');
+const { resolveTimeZone } = require('../utils/streaks');
+const { sanitizeInput } = require('../utils/moderation');
+const { httpError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BACKFILL_BATCH_SIZE = 100;
+// A running backfill records progress after every batch; one silent for this long died with its process
+const BACKFILL_STALE_MS = Number(process.env.BADGE_BACKFILL_STALE_MINUTES || 15) * 60 * 1000;
+
+/**
+ * Load the facts required by a set of rules for one user
+ */
+async function loadFacts(userId, requirements, { role, actionCounts, timeZone }) {
+  const now = Date.now();
+  const facts = { role, counts: {}, streaks: {} };
+
+  await Promise.all([
+    ...requirements.counts.map(async ({ actionType, windowDays }) => {
+      const key = countKey(actionType, windowDays);
+      if (!windowDays) {
+        facts.counts[key] = actionCounts?.[actionType] || 0;
+        return;
+      }
+      facts.counts[key] = await TokenLedger.countDocuments({
+        userId,
+        action: actionType,
+        tokens: { $gt: 0 },
+        createdAt: { $gte: new Date(now - windowDays * DAY_MS) },
+      });
+    }),
+    ...requirements.streaks.map(async (key) => {
+      const match = { userId, tokens: { $gt: 0 } };
+      if (key !== streakKey(null)) match.action = key;
+      const days = await TokenLedger.aggregate([
+        { $match: match },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone || 'UTC' } } } },
+      ]);
+      facts.streaks[key] = longestStreak(days.map((d) => d._id));
+    }),
+  ]);
+
+  return facts;
+}
+
+async function loadFactsForCriteria(userId, criteriaList, gamification, role) {
+  const requirements = collectFactRequirements(criteriaList);
+  let userRole = role;
+  if (requirements.needsRole && userRole === undefined) {
+    const user = await User.findById(userId).select('role').lean();
+    userRole = user?.role;
+  }
+
+  return loadFacts(userId, requirements, {
+    role: userRole,
+    actionCounts: gamification?.actionCounts,
+    timeZone: resolveTimeZone(gamification?.loginStreak?.timeZone),
+  });
+}
+
+/**
+ * Badge definitions the user now qualifies for but does not hold yet
+ */
+async function findEligibleBadges(userId, { role, definitions } = {}) {
+  const [defs, gamification] = await Promise.all([
+    definitions || BadgeDefinition.find({ active: { $ne: false } }).lean(),
+    Gamification.findOne({ userId }).select('badges actionCounts loginStreak').lean(),
+  ]);
+
+  const owned = new Set((gamification?.badges || []).map((b) => b.badgeId));
+  const pending = defs.filter((d) => d.criteria && !owned.has(d.badgeId));
+  if (!pending.length) return [];
+
+  const facts = await loadFactsForCriteria(userId, pending.map((d) => d.criteria), gamification, role);
+
+  return pending
+    .filter((d) => evaluateCriteria(d.criteria, facts))
+    .map((d) => ({ badgeId: d.badgeId, badgeDefinition: d }));
+}
+
+/**
+ * Evaluate all active rules for a user and mint any newly earned badges
+ */
+async function evaluateBadges(userId, options = {}) {
+  const eligible = await findEligibleBadges(userId, options);
+  const minted = [];
+
+  for (const eligibleBadge of eligible) {
+    try {
+      const badge = await mintBadgeNFT(userId, eligibleBadge.badgeId);
+      minted.push({ ...eligibleBadge, minted: badge });
+    } catch (error) {
+      console.error(`Error minting badge ${eligibleBadge.badgeId} for user ${userId}:`, error);
+    }
+  }
+
+  return minted;
+}
+
+/**
+ * Re-check held badges that count any of the given actions (after a clawback) and remove those no longer met.
+ * Windowed and streak rules are not re-checked. Returns the removed badges with their original mint dates.
+ */
+async function revokeUnearnedBadges(userId, actionTypes) {
+  const gamification = await Gamification.findOne({ userId }).select('badges actionCounts loginStreak').lean();
+  const held = gamification?.badges || [];
+  if (!held.length) return [];
+
+  const definitions = await BadgeDefinition.find({ badgeId: { $in: held.map((b) => b.badgeId) } }).lean();
+  const affected = definitions.filter((d) => d.criteria && referencesActions(d.criteria, actionTypes));
+  if (!affected.length) return [];
+
+  const facts = await loadFactsForCriteria(userId, affected.map((d) => d.criteria), gamification);
+  const revoked = [];
+
+  for (const definition of affected) {
+    if (evaluateCriteria(definition.criteria, facts, { lenientWindows: true })) continue;
+
+    const pulled = await Gamification.updateOne(
+      { userId, 'badges.badgeId': definition.badgeId },
+      { $pull: { badges: { badgeId: definition.badgeId } }, $set: { updatedAt: new Date() } }
+    );
+    if (pulled.modifiedCount) {
+      const badge = held.find((b) => b.badgeId === definition.badgeId);
+      revoked.push({ badgeId: definition.badgeId, mintedAt: badge?.mintedAt || null });
+    }
+  }
+
+  return revoked;
+}
+
+function buildDefinitionFields(body, partial = false) {
+  const fields = {};
+
+  if (!partial) {
+    const badgeId = String(body.badgeId || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{2,50}$/.test(badgeId)) throw httpError(400, { error: 'badgeId must be 2-50 lowercase letters, numbers or dashes' });
+    fields.badgeId = badgeId;
+  }
+  if (!partial || body.name !== undefined) {
+    const name = sanitizeInput(body.name || '');
+    if (!name) throw httpError(400, { error: 'Name is required' });
+    fields.name = name;
+  }
+  if (!partial || body.criteria !== undefined) {
+    fields.criteria = validateCriteria(body.criteria);
+  }
+  if (body.description !== undefined) fields.description = sanitizeInput(body.description || '');
+  if (body.imageUrl !== undefined) fields.imageUrl = String(body.imageUrl || '');
+  if (body.tokenReward !== undefined) {
+    const reward = Number(body.tokenReward);
+    if (!Number.isInteger(reward) || reward < 0) throw httpError(400, { error: 'tokenReward must be a non-negative integer' });
+    fields.tokenReward = reward;
+  }
+  if (body.isNFT !== undefined) fields.isNFT = !!body.isNFT;
+  if (body.active !== undefined) fields.active = !!body.active;
+
+  return fields;
+}
+
+async function listBadgeDefinitions() {
+  const badges = await BadgeDefinition.find({}).sort({ createdAt: 1 }).lean();
+  return { badges: badges.map(({ _id, __v, ...rest }) => rest) };
+}
+
+async function createBadgeDefinition(adminId, body) {
+  const fields = buildDefinitionFields(body);
+  if (await BadgeDefinition.exists({ badgeId: fields.badgeId })) {
+    throw httpError(409, { error: 'A badge with this badgeId already exists' });
+  }
+
+  const now = new Date();
+  const badge = await BadgeDefinition.create({ ...fields, createdBy: adminId, createdAt: now, updatedAt: now });
+  const backfill = await startBackfill(badge.badgeId);
+  return { badge: badge.toObject(), backfill };
+}
+
+async function updateBadgeDefinition(badgeId, body) {
+  const fields = buildDefinitionFields(body, true);
+  const badge = await BadgeDefinition.findOneAndUpdate({ badgeId }, { ...fields, updatedAt: new Date() }, { new: true });
+  if (!badge) throw httpError(404, { error: 'Badge not found' });
+
+  // Changed rules may now match users who already have the history
+  const backfill = fields.criteria && badge.active !== false ? await startBackfill(badgeId) : null;
+  return { badge: badge.toObject(), backfill };
+}
+
+/**
+ * Retire a badge: it stops being awarded, users who earned it keep it
+ */
+async function deactivateBadgeDefinition(badgeId) {
+  const badge = await BadgeDefinition.findOneAndUpdate({ badgeId }, { active: false, updatedAt: new Date() }, { new: true });
+  if (!badge) throw httpError(404, { error: 'Badge not found' });
+  return { success: true, badge: badge.toObject() };
+}
+
+async function runBackfill(badgeId) {
+  const definition = await BadgeDefinition.findOne({ badgeId }).lean();
+  const progress = { status: 'running', startedAt: definition.lastBackfill?.startedAt || new Date(), heartbeatAt: new Date(), evaluated: 0, awarded: 0 };
+
+  try {
+    const cursor = User.find({}).select('_id role').lean().cursor({ batchSize: BACKFILL_BATCH_SIZE });
+    for await (const user of cursor) {
+      const earned = await evaluateBadges(user._id, { role: user.role, definitions: [definition] });
+      progress.evaluated += 1;
+      progress.awarded += earned.length;
+
+      if (progress.evaluated % BACKFILL_BATCH_SIZE === 0) {
+        progress.heartbeatAt = new Date();
+        await BadgeDefinition.updateOne({ badgeId }, { lastBackfill: progress });
+      }
+    }
+    progress.status = 'completed';
+  } catch (err) {
+    console.error(`Badge backfill failed for ${badgeId}:`, err);
+    progress.status = 'failed';
+    progress.error = err.message;
+  }
+
+  progress.completedAt = new Date();
+  await BadgeDefinition.updateOne({ badgeId }, { lastBackfill: progress });
+  console.log(`[GAMIFICATION] Backfill ${badgeId}: ${progress.status}, evaluated ${progress.evaluated}, awarded ${progress.awarded}`);
+  return progress;
+}
+
+/**
+ * Evaluate one badge against every existing user in the background. A run left 'running' by a restart is
+ * taken over once it has gone BACKFILL_STALE_MS without progress.
+ */
+async function startBackfill(badgeId) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - BACKFILL_STALE_MS);
+  const lastBackfill = { status: 'running', startedAt: now, heartbeatAt: now, evaluated: 0, awarded: 0 };
+  const claimed = await BadgeDefinition.findOneAndUpdate(
+    {
+      badgeId,
+      active: { $ne: false },
+      $or: [
+        { 'lastBackfill.status': { $ne: 'running' } },
+        { 'lastBackfill.heartbeatAt': { $lt: staleBefore } },
+        // Runs claimed before heartbeats were recorded
+        { 'lastBackfill.heartbeatAt': { $exists: false }, 'lastBackfill.startedAt': { $lt: staleBefore } },
+      ],
+    },
+    { lastBackfill },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const badge = await BadgeDefinition.findOne({ badgeId }).select('active lastBackfill').lean();
+    if (!badge) throw httpError(404, { error: 'Badge not found' });
+    if (badge.active === false) throw httpError(400, { error: 'Badge is not active' });
+    throw httpError(409, { error: 'A backfill is already running for this badge' });
+  }
+
+  runBackfill(badgeId).catch((err) => console.error(`Badge backfill crashed for ${badgeId}:`, err));
+  return lastBackfill;
+}
+
+module.exports = {
+  findEligibleBadges,
+  evaluateBadges,
+  revokeUnearnedBadges,
+  listBadgeDefinitions,
+  createBadgeDefinition,
+  updateBadgeDefinition,
+  deactivateBadgeDefinition,
+  startBackfill,
+};
@@ -40,4 +40,27 @@ async function invalidatePattern(pattern) {
   await redis.safeDelPattern(pattern);
 }
 
-module.exports = { getOrSet, invalidate, invalidatePattern };
+// Outlives any cached response, so a generation never falls back to one whose responses are still cached
+const RESPONSE_GENERATION_TTL = 24 * 60 * 60;
+
+function responseGenerationKey(principal) {
+  return `rc:gen:${principal}`;
+}
+
+/**
+ * Current response cache generation of a user (by user id or Cognito sub); part of their cache keys
+ * in middleware/responseCache
+ */
+async function getResponseGeneration(principal) {
+  return (await redis.safeGet(responseGenerationKey(principal))) || '0';
+}
+
+/**
+ * Stop serving a user's cached responses, e.g. once their sessions are revoked: new keys use the next generation
+ * and the old entries expire on their own.
+ */
+async function bumpResponseGeneration(principal) {
+  await redis.safeIncr(responseGenerationKey(principal), RESPONSE_GENERATION_TTL);
+}
+
+module.exports = { getOrSet, invalidate, invalidatePattern, getResponseGeneration, bumpResponseGeneration };
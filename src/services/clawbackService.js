@@ -0,0 +1,179 @@
+const { v4: uuidv4 } = require('uuid');
+const Clawback = require('../models/Clawback');
+const Gamification = require('../models/Gamification');
+const TokenLedger = require('../models/TokenLedger');
+const { recordLedgerEntry } = require('./tokenService');
+const { evaluateBadges, revokeUnearnedBadges } = require('./badgeService');
+const { sanitizeInput } = require('../utils/moderation');
+const { httpError } = require('../utils/httpError');
+
+// Awards earned by the author because of a piece of content, and the metadata field linking them to it
+const CLAWBACK_SOURCES = {
+  post: { field: 'postId', actions: ['create_post', 'receive_like', 'receive_comment'] },
+  comment: { field: 'commentId', actions: ['create_comment'] },
+};
+
+function adjustActionCount(userId, action, delta) {
+  const filter = { userId };
+  if (delta < 0) filter[`actionCounts.${action}`] = { $gt: 0 };
+  return Gamification.updateOne(filter, { $inc: { [`actionCounts.${action}`]: delta } });
+}
+
+// The first clawback of an item keeps the original key; one after an override of it needs a fresh key per award
+function clawbackKey(entryId, round) {
+  return round > 1 ? `clawback:${entryId}:${round}` : `clawback:${entryId}`;
+}
+
+/**
+ * Write a clawback ledger entry, or find the one an earlier, interrupted attempt already wrote.
+ * `fresh` is false for the latter, so side effects tied to the write aren't repeated.
+ */
+async function reverseEntry(userId, original, round, metadata) {
+  const idempotencyKey = clawbackKey(original._id, round);
+  const result = await recordLedgerEntry({ userId, action: 'clawback', tokens: -original.tokens, metadata, idempotencyKey });
+  if (result.entry) return { entry: result.entry, fresh: true };
+  return { entry: await TokenLedger.findOne({ idempotencyKey }).lean(), fresh: false };
+}
+
+/**
+ * Reverse the tokens a removed post or comment earned its author, then drop badges that no longer hold.
+ * The ledger entries are written first, keyed on the awards they reverse, and the Clawback record last, so
+ * a retry after a crash part way finishes the job instead of finding a record and stopping. Content removed
+ * again after an admin overrode its clawback is clawed back again.
+ */
+async function clawbackContentAwards({ contentType, contentId, authorId, moderatorId = null, reason = '' }) {
+  const source = CLAWBACK_SOURCES[contentType];
+  if (!source || !authorId) return null;
+  if (await Clawback.exists({ contentType, contentId, status: 'applied' })) return null; // Already clawed back
+
+  const awards = await TokenLedger.find({
+    userId: authorId,
+    action: { $in: source.actions },
+    tokens: { $gt: 0 },
+    [`metadata.${source.field}`]: contentId,
+  }).lean();
+  if (!awards.length) return null;
+
+  const round = 1 + await Clawback.countDocuments({ contentType, contentId, status: 'overridden' });
+  const clawbackId = uuidv4();
+  const entries = [];
+  for (const award of awards) {
+    const { entry, fresh } = await reverseEntry(authorId, award, round, {
+      clawbackId,
+      originalEntryId: award._id,
+      originalAction: award.action,
+      [source.field]: contentId,
+      reason,
+    });
+    if (!entry) continue;
+    if (fresh) await adjustActionCount(authorId, award.action, -1);
+    entries.push({ entryId: entry._id, originalEntryId: award._id, originalAction: award.action, tokens: award.tokens });
+  }
+
+  const revokedBadges = await revokeUnearnedBadges(authorId, source.actions);
+  for (const badge of revokedBadges) {
+    const bonus = await TokenLedger.findOne({ idempotencyKey: `badge_earned:${authorId}:${badge.badgeId}` }).lean();
+    if (!bonus) continue;
+    const { entry } = await reverseEntry(authorId, bonus, round, {
+      clawbackId, originalEntryId: bonus._id, originalAction: 'badge_earned', badgeId: badge.badgeId, reason,
+    });
+    if (entry) entries.push({ entryId: entry._id, originalEntryId: bonus._id, originalAction: 'badge_earned', tokens: bonus.tokens });
+  }
+
+  const now = new Date();
+  const fields = { entries, revokedBadges, totalTokens: entries.reduce((sum, e) => sum + e.tokens, 0), updatedAt: now };
+  const filter = { contentType, contentId, status: 'applied' };
+  const insert = { _id: clawbackId, userId: authorId, moderatorId, reason, createdAt: now };
+  let clawback;
+  try {
+    clawback = await Clawback.findOneAndUpdate(filter, { $set: fields, $setOnInsert: insert }, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // A concurrent attempt created it first; both wrote the same ledger entries
+    clawback = await Clawback.findOneAndUpdate(filter, { $set: fields }, { new: true });
+  }
+
+  console.log(`[GAMIFICATION] Clawed back ${clawback.totalTokens} tokens from ${authorId} for removed ${contentType} ${contentId}`);
+  return clawback;
+}
+
+/**
+ * Fire-and-forget wrapper for moderation paths
+ */
+function clawbackRemovedContent(contentType, item, moderatorId, reason = 'Removed by moderation') {
+  if (!item) return;
+  clawbackContentAwards({ contentType, contentId: item._id, authorId: item.authorId, moderatorId, reason }).catch((err) =>
+    console.error(`Error clawing back awards for ${contentType} ${item._id}:`, err)
+  );
+}
+
+async function listClawbacks(query) {
+  const page = Math.max(parseInt(query?.page || '1', 10), 1);
+  const limit = Math.min(Math.max(parseInt(query?.limit || '25', 10), 1), 100);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (query?.status) filter.status = String(query.status);
+  if (query?.userId) filter.userId = String(query.userId);
+  if (query?.contentType) filter.contentType = String(query.contentType);
+
+  const [items, total] = await Promise.all([
+    Clawback.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('userId', 'name email').lean(),
+    Clawback.countDocuments(filter),
+  ]);
+
+  return {
+    items: items.map(({ _id, __v, userId, ...rest }) => {
+      const user = userId && typeof userId === 'object' ? userId : null;
+      return { id: _id, ...rest, userId: user ? user._id : userId, user: user ? { id: user._id, name: user.name, email: user.email } : null };
+    }),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+/**
+ * Undo a clawback: credit every reversed entry back, restore action counts and revoked badges
+ */
+async function overrideClawback(id, adminId, body = {}) {
+  const now = new Date();
+  const reason = sanitizeInput(body.reason || '');
+  const clawback = await Clawback.findOneAndUpdate(
+    { _id: id, status: 'applied' },
+    { status: 'overridden', overriddenBy: adminId, overriddenAt: now, overrideReason: reason, updatedAt: now },
+    { new: true }
+  );
+  if (!clawback) {
+    const exists = await Clawback.exists({ _id: id });
+    if (!exists) throw httpError(404, { error: 'Clawback not found' });
+    throw httpError(409, { error: 'Clawback has already been overridden' });
+  }
+
+  for (const entry of clawback.entries) {
+    const result = await recordLedgerEntry({
+      userId: clawback.userId,
+      action: 'clawback_reversal',
+      tokens: entry.tokens,
+      metadata: { clawbackId: clawback._id, clawbackEntryId: entry.entryId, originalEntryId: entry.originalEntryId, reason, overriddenBy: adminId },
+      idempotencyKey: `clawback_reversal:${entry.entryId}`,
+    });
+    if (result.entry && entry.originalAction !== 'badge_earned') {
+      await adjustActionCount(clawback.userId, entry.originalAction, 1);
+    }
+  }
+
+  // Badge bonuses were credited back above, so restore the badges without minting (which would pay again)
+  for (const badge of clawback.revokedBadges) {
+    await Gamification.updateOne(
+      { userId: clawback.userId, 'badges.badgeId': { $ne: badge.badgeId } },
+      { $push: { badges: { badgeId: badge.badgeId, minted: true, mintedAt: badge.mintedAt || now, nftTokenId: null, nftContractAddress: null } } }
+    );
+  }
+
+  await evaluateBadges(clawback.userId);
+  return { clawback: clawback.toObject() };
+}
+
+module.exports = { clawbackContentAwards, clawbackRemovedContent, listClawbacks, overrideClawback };
@@ -1,12 +1,13 @@
+const { can } = require('../permissionService');
 
-function isEditorOrAdmin(diseasePage, userId, userRole) {
-  return (
-    diseasePage?.editors?.includes(userId) ||
-    userRole === 'admin-user' ||
-    userRole === 'moderator-user'
-  );
+/**
+ * Who can edit a disease page and its resources, events and featured posts: its editors, and anyone
+ * with diseasePages.edit for the page or site-wide
+ */
+function canEditDiseasePage(diseasePage, userId, userRole) {
+  return can({ id: userId, role: userRole }, 'diseasePages.edit', { diseasePage });
 }
 
 module.exports = {
-  isEditorOrAdmin,
+  canEditDiseasePage,
 };
@@ -3,7 +3,7 @@ const Group = require('../../models/Group');
 const Post = require('../../models/Post');
 const Event = require('../../models/Event');
 const { toPublicUrl } = require('../../utils/publicUrl');
-const { isEditorOrAdmin } = require('./permissions');
+const { canEditDiseasePage } = require('./permissions');
 
 async function buildDiseasePageResponse(diseasePage, currentUserId, userRole) {
   const linkedGroupIds = Array.isArray(diseasePage.linkedGroupIds) ? diseasePage.linkedGroupIds : [];
@@ -27,9 +27,12 @@ async function buildDiseasePageResponse(diseasePage, currentUserId, userRole) {
       : Promise.resolve([]),
     Event.find({
       diseasePageSlug: diseasePage.slug,
-      eventDate: { $gte: new Date() },
+      $or: [
+        { recurrence: null, endsAt: { $gt: new Date() } },
+        { recurrence: { $ne: null }, $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gt: new Date() } }] },
+      ],
     })
-      .sort({ eventDate: 1 })
+      .sort({ startsAt: 1 })
       .populate('createdBy', 'name role')
       .lean(),
   ]);
@@ -47,6 +50,10 @@ async function buildDiseasePageResponse(diseasePage, currentUserId, userRole) {
     title: e.title,
     description: e.description,
     eventDate: e.eventDate,
+    eventTime: e.eventTime,
+    timeZone: e.timeZone,
+    startsAt: e.startsAt,
+    endsAt: e.endsAt,
     location: e.location,
     eventType: e.eventType,
     registrationUrl: e.registrationUrl,
@@ -62,7 +69,7 @@ async function buildDiseasePageResponse(diseasePage, currentUserId, userRole) {
     linkedGroups: linkedGroups || [],
     featuredPosts: featuredPosts || [],
     events: diseaseEvents || [],
-    isEditor: isEditorOrAdmin(diseasePage, currentUserId, userRole),
+    isEditor: await canEditDiseasePage(diseasePage, currentUserId, userRole),
   };
 }
 
@@ -91,7 +98,7 @@ async function buildDiseasePageSummaryResponses(diseasePages, currentUserId, use
 
   const followingSlugSet = new Set(followingRows.map((r) => String(r.diseasePageSlug)));
 
-  return diseasePages.map((dp) => {
+  return Promise.all(diseasePages.map(async (dp) => {
     const linkedGroupIds = Array.isArray(dp.linkedGroupIds) ? dp.linkedGroupIds : [];
 
     return {
@@ -103,9 +110,9 @@ async function buildDiseasePageSummaryResponses(diseasePages, currentUserId, use
       linkedGroups: linkedGroupIds.map((id) => ({ id })),
       featuredPosts: [],
       events: [],
-      isEditor: isEditorOrAdmin(dp, currentUserId, userRole),
+      isEditor: await canEditDiseasePage(dp, currentUserId, userRole),
     };
-  });
+  }));
 }
 
 module.exports = {
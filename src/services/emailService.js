@@ -1,4 +1,6 @@
 const nodemailer = require('nodemailer');
+const { formatInZone } = require('../utils/zonedTime');
+const { buildOccurrence } = require('./events/occurrences');
 
 function getEmailConfigSummary() {
   const portRaw = process.env.SMTP_PORT || '587';
@@ -200,6 +202,39 @@ async function sendWelcomeEmail(user) {
   return sendEmail({ to: email, subject, html: content });
 }
 
+/**
+ * Send Password Reset Email
+ * Trigger: A user of the local auth provider asks to reset their password
+ */
+async function sendPasswordResetEmail({ user, token, expiresAt }) {
+  if (!user || !user.email) return;
+
+  const subject = 'Reset your Winsights Social password';
+  const link = `${process.env.CLIENT_URL || '#'}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000);
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          We received a request to reset your password. The link below works once and expires in ${minutes} minutes.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${link}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">Reset Password</a>
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          If you didn't ask for this, you can ignore this email; your password won't change.<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
 /**
  * Send Friend Request Email
  * Trigger: When User A sends a friend request to User B
@@ -507,12 +542,264 @@ async function sendRoleUpdateEmail({ user, newRole }) {
   return sendEmail({ to: email, subject, html });
 }
 
+/**
+ * Send Waitlist Offer Email
+ * Trigger: A seat frees up and the next person on an event waitlist is offered it
+ */
+async function sendWaitlistOfferEmail({ user, event, occurrenceDate, confirmBy }) {
+  if (!user || !user.email) return;
+
+  const { startsAt } = occurrenceDate ? buildOccurrence(event, occurrenceDate) : event;
+  const when = startsAt ? formatInZone(new Date(startsAt), user.timezone || event.timeZone) : occurrenceDate || event.eventDate;
+  const subject = `A seat is available: ${event.title}`;
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Good news, ${user.name}!</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          A seat has opened up for <strong>${event.title}</strong> on ${when}.
+        </p>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          We are holding it for you until <strong>${new Date(confirmBy).toUTCString()}</strong>. After that it passes to the next person on the waitlist.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL || '#'}/events/${event._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">Confirm My Seat</a>
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Best regards,<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Event Reminder Email
+ * Trigger: The reminder scheduler reaches one of the configured offsets before an attendee's event starts
+ */
+async function sendEventReminderEmail({ user, event, occurrenceDate, startsAt, location }) {
+  if (!user || !user.email) return;
+
+  const subject = `Reminder: ${event.title} is coming up`;
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          This is a reminder that <strong>${event.title}</strong> starts soon.
+        </p>
+        <div style="background-color: #F3F4F6; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+           <p style="margin: 0 0 8px 0; font-size: 16px;"><strong>When:</strong> ${formatInZone(new Date(startsAt), user.timezone || event.timeZone)}</p>
+           <p style="margin: 0; font-size: 16px;"><strong>Where:</strong> ${location || (event.eventType === 'virtual' ? 'Online' : 'See event details')}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL || '#'}/events/${event._id}${occurrenceDate ? `?occurrence=${occurrenceDate}` : ''}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">View Event</a>
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          You can turn off event emails in your notification settings.<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Event Change Email
+ * Trigger: An event (or one occurrence) an attendee registered for is cancelled or has its date, time or location changed
+ */
+async function sendEventChangeEmail({ user, event, occurrenceDate, cancelled, changes = [], reason }) {
+  if (!user || !user.email) return;
+
+  const when = occurrenceDate ? ` on ${occurrenceDate}` : '';
+  const labels = { eventDate: 'Date', eventTime: 'Time', timeZone: 'Time zone', location: 'Location' };
+  const subject = cancelled ? `Cancelled: ${event.title}` : `Updated: ${event.title}`;
+  const details = cancelled
+    ? `<p style="margin: 0; font-size: 16px;"><strong>Cancelled</strong>${reason ? `: ${reason}` : ''}</p>`
+    : changes.map((c) => `<p style="margin: 0 0 8px 0; font-size: 16px;"><strong>${labels[c.field] || c.field}:</strong> ${c.to || 'To be confirmed'} <span style="color: #9CA3AF; text-decoration: line-through;">${c.from || ''}</span></p>`).join('');
+
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          ${cancelled ? `Unfortunately <strong>${event.title}</strong>${when} has been cancelled.` : `<strong>${event.title}</strong>${when} has been updated.`}
+        </p>
+        <div style="background-color: #F3F4F6; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+           ${details}
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL || '#'}/events${cancelled && !occurrenceDate ? '' : `/${event._id}`}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">${cancelled && !occurrenceDate ? 'Browse Events' : 'View Event'}</a>
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Best regards,<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Forum Reply Digest Email
+ * Trigger: The forum digest sweep finds new replies in threads the user watches (threads: [{ threadId, threadTitle, count, postId }])
+ */
+async function sendForumReplyDigestEmail({ user, threads = [] }) {
+  if (!user || !user.email || !threads.length) return;
+
+  const total = threads.reduce((sum, t) => sum + t.count, 0);
+  const subject = threads.length === 1
+    ? `${total === 1 ? 'New reply' : `${total} new replies`} in "${threads[0].threadTitle}"`
+    : `${total} new replies in threads you follow`;
+  const items = threads
+    .map((t) => `<p style="margin: 0 0 8px 0; font-size: 16px;"><a href="${process.env.CLIENT_URL || '#'}/forums/threads/${t.threadId}" style="color: #4F46E5;">${t.threadTitle}</a>: ${t.count} new ${t.count === 1 ? 'reply' : 'replies'}</p>`)
+    .join('');
+
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          There are new replies in forum threads you follow.
+        </p>
+        <div style="background-color: #F3F4F6; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+           ${items}
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Mute a thread to stop hearing about it, or turn off forum reply emails in your notification settings.<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Suspension Email
+ * Trigger: An admin suspends the user's account (until is null for an indefinite suspension)
+ */
+async function sendSuspensionEmail({ user, reason, until }) {
+  if (!user || !user.email) return;
+
+  const subject = 'Your Winsights Social account has been suspended';
+  const ends = until
+    ? `The suspension ends on ${new Date(until).toUTCString()}.`
+    : 'The suspension stays in place until a moderator lifts it.';
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          Your account has been suspended, so you can't sign in, post or send messages for now. ${ends}
+        </p>
+        <div style="background-color: #F3F4F6; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+           <p style="margin: 0; font-size: 16px;"><strong>Reason:</strong> ${reason || 'Not given'}</p>
+        </div>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          If you think this is a mistake, sign in to send an appeal. An administrator will review it.
+        </p>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Best regards,<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Suspension Lifted Email
+ * Trigger: An admin lifts the suspension, or a timed suspension ends (expired)
+ */
+async function sendSuspensionLiftedEmail({ user, expired = false }) {
+  if (!user || !user.email) return;
+
+  const subject = 'Your Winsights Social account is active again';
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          ${expired ? 'Your suspension has ended' : 'An administrator has lifted your suspension'}, and you can sign in again.
+        </p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.CLIENT_URL || '#'}/login" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 16px;">Sign In</a>
+        </div>
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Best regards,<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
+/**
+ * Send Suspension Appeal Decision Email
+ * Trigger: An admin approves (suspension lifted) or rejects the user's appeal
+ */
+async function sendSuspensionAppealDecisionEmail({ user, approved, note }) {
+  if (!user || !user.email) return;
+
+  const subject = approved ? 'Your appeal was approved' : 'Your appeal was reviewed';
+  const outcome = approved
+    ? 'We reviewed your appeal and lifted the suspension. You can sign in again.'
+    : 'We reviewed your appeal and the suspension stays in place.';
+  const html = `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+      <div style="text-align: center; margin-bottom: 24px;">
+        <h1 style="color: #4F46E5; font-size: 24px; margin: 0;">Winsights Social</h1>
+      </div>
+      <div style="background-color: #ffffff; padding: 20px;">
+        <h2 style="color: #111827; margin-top: 0;">Hi ${user.name},</h2>
+        <p style="font-size: 16px; line-height: 1.5; color: #4B5563;">
+          ${outcome}
+        </p>
+        ${note ? `<div style="background-color: #F3F4F6; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #4F46E5;">
+           <p style="margin: 0; font-size: 16px;"><strong>Note from the reviewer:</strong> ${note}</p>
+        </div>` : ''}
+        <p style="font-size: 14px; color: #6B7280; margin-top: 24px; border-top: 1px solid #eee; padding-top: 20px;">
+          Best regards,<br/>The Winsights Team
+        </p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail({ to: user.email, subject, html });
+}
+
 module.exports = {
   sendEmail,
   sendTestEmail,
   verifyEmailTransport,
   getEmailConfigSummary,
   sendWelcomeEmail,
+  sendPasswordResetEmail,
   sendModerationAlert,
   sendFriendRequestEmail,
   sendFriendRequestAcceptedEmail,
@@ -521,5 +808,12 @@ module.exports = {
   sendContentApprovedEmailToReporter,
   sendContentApprovedEmailToReporter,
   sendContentApprovedEmailToAuthor,
-  sendRoleUpdateEmail
+  sendRoleUpdateEmail,
+  sendWaitlistOfferEmail,
+  sendEventReminderEmail,
+  sendEventChangeEmail,
+  sendForumReplyDigestEmail,
+  sendSuspensionEmail,
+  sendSuspensionLiftedEmail,
+  sendSuspensionAppealDecisionEmail
 };
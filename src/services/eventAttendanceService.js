@@ -0,0 +1,273 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const EventAttendance = require('../models/EventAttendance');
+const EventFeedback = require('../models/EventFeedback');
+const User = require('../models/User');
+const { isOccurrenceDate } = require('../utils/recurrence');
+const { buildOccurrence, occurrenceAttendees } = require('./events/occurrences');
+const {
+  generateCheckInCode,
+  normalizeCode,
+  occurrenceSchedule,
+  checkInWindow,
+  isCheckInOpen,
+  isFeedbackOpen,
+  summarizeRatings,
+} = require('./events/attendance');
+const { scan: moderationScan } = require('./moderationService');
+const { processUserAction } = require('./tokenService');
+const { sanitizeInput } = require('../utils/moderation');
+const { httpError } = require('../utils/httpError');
+
+const MAX_FEEDBACK_LENGTH = 2000;
+
+/**
+ * Load an event and check the occurrence being referred to: series need an occurrenceDate, one-off events must not have one
+ */
+async function loadEventOccurrence(eventId, occurrenceDate) {
+  const event = await Event.findById(eventId).lean();
+  if (!event) throw httpError(404, { error: 'Event not found' });
+
+  if (event.recurrence) {
+    if (!occurrenceDate) throw httpError(400, { error: 'occurrenceDate is required for recurring events' });
+    if (!isOccurrenceDate(event.eventDate, event.recurrence, occurrenceDate)) throw httpError(404, { error: 'Occurrence not found' });
+    if (buildOccurrence(event, occurrenceDate).cancelled) throw httpError(400, { error: 'This occurrence has been cancelled' });
+  } else if (occurrenceDate) {
+    throw httpError(400, { error: 'This event does not repeat' });
+  }
+
+  return { event, occurrenceDate: occurrenceDate || null, schedule: occurrenceSchedule(event, occurrenceDate) };
+}
+
+/**
+ * The code attendees enter to check themselves in. rotate issues a new one (e.g. after it was shared too widely).
+ */
+async function getCheckInCode(eventId, { occurrenceDate = null, rotate = false } = {}) {
+  const { event, schedule } = await loadEventOccurrence(eventId, occurrenceDate);
+
+  let code = event.checkInCode;
+  if (!code || rotate) {
+    code = generateCheckInCode();
+    await Event.updateOne({ _id: event._id }, { checkInCode: code });
+  }
+  return { code, occurrenceDate, ...schedule, ...checkInWindow(schedule) };
+}
+
+async function recordAttendance({ eventId, occurrenceDate, userId, method, checkedInBy }) {
+  try {
+    const attendance = await EventAttendance.create({
+      _id: uuidv4(), eventId, occurrenceDate, userId, method, checkedInBy, checkedInAt: new Date(),
+    });
+    return { attendance, created: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const attendance = await EventAttendance.findOne({ eventId, occurrenceDate, userId });
+    return { attendance, created: false };
+  }
+}
+
+/**
+ * Attendee check-in with the organiser's code, only while the check-in window is open
+ */
+async function checkIn(eventId, userId, body = {}) {
+  const { event, occurrenceDate, schedule } = await loadEventOccurrence(eventId, body.occurrenceDate || null);
+
+  if (!occurrenceAttendees(event, occurrenceDate).includes(userId)) {
+    throw httpError(403, { error: 'Only registered attendees can check in' });
+  }
+  if (!isCheckInOpen(schedule)) {
+    throw httpError(400, { error: 'Check-in is not open for this event', ...checkInWindow(schedule) });
+  }
+  if (!event.checkInCode || normalizeCode(body.code) !== event.checkInCode) {
+    throw httpError(400, { error: 'Invalid check-in code' });
+  }
+
+  const { attendance, created } = await recordAttendance({ eventId: event._id, occurrenceDate, userId, method: 'code', checkedInBy: userId });
+  return {
+    _statusCode: created ? 201 : 200,
+    message: created ? 'Checked in' : 'Already checked in',
+    attendance: attendance.toObject(),
+  };
+}
+
+/**
+ * Organiser marks someone as attended (or not). Walk-ins who never registered can be marked too.
+ */
+async function markAttendance(eventId, organiserId, body = {}) {
+  const { event, occurrenceDate } = await loadEventOccurrence(eventId, body.occurrenceDate || null);
+  if (!body.userId) throw httpError(400, { error: 'userId is required' });
+
+  if (body.attended === false) {
+    const removed = await EventAttendance.deleteOne({ eventId: event._id, occurrenceDate, userId: body.userId });
+    if (!removed.deletedCount) throw httpError(404, { error: 'No attendance recorded for this user' });
+    return { message: 'Attendance removed', userId: body.userId, occurrenceDate };
+  }
+
+  const user = await User.exists({ _id: body.userId });
+  if (!user) throw httpError(404, { error: 'User not found' });
+
+  const { attendance } = await recordAttendance({
+    eventId: event._id, occurrenceDate, userId: body.userId, method: 'organiser', checkedInBy: organiserId,
+  });
+  return { message: 'Attendance recorded', attendance: attendance.toObject() };
+}
+
+/**
+ * Registered vs attended for one event or occurrence, with the feedback summary
+ */
+async function getAttendanceReport(eventId, query = {}) {
+  const { event, occurrenceDate, schedule } = await loadEventOccurrence(eventId, query.occurrenceDate || null);
+  const registered = occurrenceAttendees(event, occurrenceDate);
+
+  const [records, ratings] = await Promise.all([
+    EventAttendance.find({ eventId: event._id, occurrenceDate }).lean(),
+    EventFeedback.find({ eventId: event._id, occurrenceDate, removed: false, visible: true }).select('rating').lean(),
+  ]);
+  const byUser = new Map(records.map((r) => [r.userId, r]));
+  const userIds = [...new Set([...registered, ...byUser.keys()])];
+  const users = await User.find({ _id: { $in: userIds } }).select('name email').lean();
+  const userMap = new Map(users.map((u) => [u._id, u]));
+
+  const attendees = userIds.map((id) => {
+    const record = byUser.get(id);
+    const user = userMap.get(id);
+    return {
+      user: user ? { id: user._id, name: user.name, email: user.email } : { id },
+      registered: registered.includes(id),
+      attended: !!record,
+      method: record?.method || null,
+      checkedInAt: record?.checkedInAt || null,
+    };
+  });
+
+  const attendedRegistered = attendees.filter((a) => a.registered && a.attended).length;
+  return {
+    eventId: event._id,
+    occurrenceDate,
+    ...schedule,
+    registeredCount: registered.length,
+    attendedCount: records.length,
+    noShowCount: registered.length - attendedRegistered,
+    walkInCount: records.length - attendedRegistered,
+    attendanceRate: registered.length ? Math.round((attendedRegistered / registered.length) * 100) / 100 : null,
+    attendees,
+    feedback: summarizeRatings(ratings.map((f) => f.rating)),
+  };
+}
+
+/**
+ * survey_completion tokens, once per attendee per event occurrence
+ */
+function awardFeedbackTokens(feedback) {
+  const occurrence = feedback.occurrenceDate || 'event';
+  return processUserAction(feedback.authorId, 'survey_completion', { eventId: feedback.eventId, feedbackId: feedback._id }, {
+    idempotencyKey: `survey_completion:${feedback.authorId}:event:${feedback.eventId}:${occurrence}`,
+  });
+}
+
+/**
+ * Post-event survey from someone who attended. The comment is scanned like a post comment:
+ * rejected text is refused, quarantined feedback waits for a moderator before it counts or earns tokens.
+ */
+async function submitFeedback(eventId, userId, body = {}) {
+  const { event, occurrenceDate, schedule } = await loadEventOccurrence(eventId, body.occurrenceDate || null);
+
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) throw httpError(400, { error: 'rating must be a whole number from 1 to 5' });
+  const content = sanitizeInput(body.comment || '');
+  if (content.length > MAX_FEEDBACK_LENGTH) throw httpError(400, { error: `comment cannot exceed ${MAX_FEEDBACK_LENGTH} characters` });
+
+  if (!isFeedbackOpen(schedule.startsAt)) throw httpError(400, { error: 'Feedback is open from the start of the event for a limited time' });
+  const attended = await EventAttendance.exists({ eventId: event._id, occurrenceDate, userId });
+  if (!attended) throw httpError(403, { error: 'Only people who checked in can leave feedback' });
+
+  let moderation = { status: 'ALLOW' };
+  if (content) {
+    const result = await moderationScan({ text: content, userId, context: { type: 'event_feedback', eventId: event._id } });
+    if (result.status === 'REJECT') {
+      throw httpError(400, {
+        error: 'content_rejected',
+        message: 'This feedback cannot be published. It violates our community guidelines.',
+        flags: result.flags,
+      });
+    }
+    moderation = {
+      status: result.status,
+      scores: result.scores,
+      flags: result.flags,
+      detectedSpans: result.detectedSpans,
+      scannedAt: result.timestamp,
+    };
+  }
+
+  const now = new Date();
+  let feedback;
+  try {
+    feedback = await EventFeedback.create({
+      _id: uuidv4(),
+      eventId: event._id,
+      occurrenceDate,
+      authorId: userId,
+      rating,
+      content,
+      moderation,
+      visible: moderation.status !== 'QUARANTINE',
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'You have already left feedback for this event' });
+    throw err;
+  }
+
+  const pendingReview = moderation.status === 'QUARANTINE';
+  const reward = pendingReview ? null : await awardFeedbackTokens(feedback);
+  return {
+    _statusCode: 201,
+    feedback: feedback.toObject(),
+    pendingReview,
+    tokensAwarded: reward?.tokensAwarded || 0,
+  };
+}
+
+/**
+ * Organiser view of feedback. Quarantined comments show up only in the moderation queue.
+ */
+async function listFeedback(eventId, query = {}) {
+  const event = await Event.exists({ _id: eventId });
+  if (!event) throw httpError(404, { error: 'Event not found' });
+
+  const page = Math.max(parseInt(query.page || '1', 10), 1);
+  const limit = Math.min(Math.max(parseInt(query.limit || '25', 10), 1), 100);
+  const filter = { eventId, removed: false, visible: true };
+  if (query.occurrenceDate !== undefined) filter.occurrenceDate = query.occurrenceDate || null;
+
+  const [items, total, ratings] = await Promise.all([
+    EventFeedback.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate('authorId', 'name').lean(),
+    EventFeedback.countDocuments(filter),
+    EventFeedback.find(filter).select('rating').lean(),
+  ]);
+
+  return {
+    items: items.map(({ _id, __v, authorId, moderation, ...rest }) => ({
+      ...rest,
+      id: _id,
+      author: authorId && typeof authorId === 'object' ? { id: authorId._id, name: authorId.name } : null,
+    })),
+    summary: summarizeRatings(ratings.map((f) => f.rating)),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = {
+  getCheckInCode,
+  checkIn,
+  markAttendance,
+  getAttendanceReport,
+  submitFeedback,
+  listFeedback,
+  awardFeedbackTokens,
+};
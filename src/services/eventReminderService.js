@@ -0,0 +1,175 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const EventReminder = require('../models/EventReminder');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { todayKey, occurrenceAttendees, listOccurrences } = require('./events/occurrences');
+const { REMINDER_OFFSETS, dueReminderOffset } = require('./events/reminders');
+const { occurrenceInstants } = require('../utils/eventSchedule');
+const { dayKeyInZone } = require('../utils/streaks');
+const { addDays } = require('../utils/recurrence');
+const { notifyEventReminder, notifyEventChange } = require('../utils/notifications');
+const { sendEventReminderEmail, sendEventChangeEmail } = require('./emailService');
+
+const SWEEP_INTERVAL_MS = Number(process.env.EVENT_REMINDER_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+const DAY_MS = 24 * 60 * 60 * 1000;
+let _reminderTimer = null;
+
+/**
+ * Users who turned off emailEventReminders (no stored preference means opted in)
+ */
+async function emailOptOuts(userIds) {
+  if (!userIds.length) return new Set();
+  const prefs = await NotificationPreference.find({ userId: { $in: userIds }, emailEventReminders: false }).select('userId').lean();
+  return new Set(prefs.map((p) => p.userId));
+}
+
+async function emailRecipients(userIds) {
+  const optedOut = await emailOptOuts(userIds);
+  const wanted = userIds.filter((id) => !optedOut.has(id));
+  if (!wanted.length) return [];
+  return User.find({ _id: { $in: wanted } }).select('name email timezone').lean();
+}
+
+/**
+ * Starts to remind about between two instants: the event itself, or each scheduled occurrence of a series
+ */
+function upcomingStarts(event, now, horizon) {
+  if (!event.recurrence) {
+    const { startsAt } = occurrenceInstants(event, event.eventDate);
+    return [{ occurrenceDate: null, startsAt, location: event.location }];
+  }
+  // Local dates in the event's zone, padded by a day either side
+  const from = addDays(dayKeyInZone(now, event.timeZone), -1);
+  const to = addDays(dayKeyInZone(horizon, event.timeZone), 1);
+  return listOccurrences(event, { from, to, includeCancelled: false });
+}
+
+/**
+ * Claim a reminder before sending it. The unique index means only one sweep (or server) can send it,
+ * and a restart never repeats reminders that were already recorded.
+ */
+async function claimReminder(fields) {
+  try {
+    const res = await EventReminder.updateOne(fields, { $setOnInsert: { _id: uuidv4(), sentAt: new Date() } }, { upsert: true });
+    return res.upsertedCount > 0;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function sendReminders(event, start, startsAt, offsetMinutes) {
+  const attendees = occurrenceAttendees(event, start.occurrenceDate);
+  if (!attendees.length) return 0;
+
+  const key = { eventId: event._id, occurrenceDate: start.occurrenceDate, offsetMinutes, startsAt };
+  const already = await EventReminder.find({ ...key, userId: { $in: attendees } }).select('userId').lean();
+  const sent = new Set(already.map((r) => r.userId));
+  const pending = attendees.filter((id) => !sent.has(id));
+  if (!pending.length) return 0;
+
+  const claimed = [];
+  for (const userId of pending) {
+    if (await claimReminder({ ...key, userId })) claimed.push(userId);
+  }
+
+  const reminder = { occurrenceDate: start.occurrenceDate, startsAt };
+  for (const userId of claimed) {
+    notifyEventReminder(userId, event, reminder).catch((err) =>
+      console.error('Error creating event reminder notification:', err),
+    );
+  }
+
+  const users = await emailRecipients(claimed);
+  for (const user of users) {
+    try {
+      await sendEventReminderEmail({ user, event, ...reminder, location: start.location });
+      await EventReminder.updateOne({ ...key, userId: user._id }, { emailed: true });
+    } catch (err) {
+      console.error(`Error sending event reminder email to ${user._id}:`, err);
+    }
+  }
+
+  return claimed.length;
+}
+
+/**
+ * Send every reminder that is due. Starts are recomputed from the current event each sweep, so edits made
+ * after a reminder was due are picked up, and unregistered users are no longer reminded.
+ */
+async function sendDueReminders(now = new Date()) {
+  if (!REMINDER_OFFSETS.length) return 0;
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0] * 60 * 1000);
+  const events = await Event.find({
+    $or: [
+      { recurrence: null, startsAt: { $gt: now, $lte: horizon } },
+      // Rescheduled occurrences may start after the series' last date
+      { recurrence: { $ne: null }, startsAt: { $lte: new Date(horizon.getTime() + DAY_MS) }, $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gte: now } }] },
+    ],
+  })
+    .select('title eventDate eventTime timeZone durationMinutes allDay location eventType attendees recurrence occurrences')
+    .lean();
+
+  let sent = 0;
+  for (const event of events) {
+    for (const start of upcomingStarts(event, now, horizon)) {
+      const { startsAt } = start;
+      const offsetMinutes = dueReminderOffset(startsAt, now);
+      if (offsetMinutes === null) continue;
+
+      sent += await sendReminders(event, start, startsAt, offsetMinutes).catch((err) => {
+        console.error(`Event reminders failed for event ${event._id}:`, err);
+        return 0;
+      });
+    }
+  }
+  return sent;
+}
+
+function startEventReminderJob() {
+  if (_reminderTimer) return;
+  const run = () => sendDueReminders().catch((err) => console.error('Event reminder sweep failed:', err));
+  _reminderTimer = setInterval(run, SWEEP_INTERVAL_MS);
+  if (_reminderTimer.unref) _reminderTimer.unref(); // don't keep process alive
+}
+
+async function deliverEventChange(event, userIds, change) {
+  if (!userIds.length) return;
+
+  userIds.forEach((userId) => {
+    notifyEventChange(userId, event, change).catch((err) =>
+      console.error('Error creating event change notification:', err),
+    );
+  });
+
+  const users = await emailRecipients(userIds);
+  for (const user of users) {
+    await sendEventChangeEmail({ user, event, ...change }).catch((err) =>
+      console.error(`Error sending event change email to ${user._id}:`, err),
+    );
+  }
+}
+
+/**
+ * Tell attendees an event or occurrence was cancelled or moved (fire-and-forget).
+ * change: { occurrenceDate, cancelled, changes: [{ field, from, to }], reason }
+ * Without an occurrenceDate on a series, everyone registered for any upcoming occurrence is told.
+ */
+function announceEventChange(event, change) {
+  if (!change.cancelled && !change.changes?.length) return;
+
+  let userIds;
+  if (change.occurrenceDate || !event.recurrence) {
+    userIds = occurrenceAttendees(event, change.occurrenceDate || null);
+  } else {
+    const today = todayKey(event.timeZone);
+    const upcoming = (event.occurrences || []).filter((o) => (o.eventDate || o.date) >= today);
+    userIds = [...new Set([...(event.attendees || []), ...upcoming.flatMap((o) => o.attendees || [])])];
+  }
+
+  deliverEventChange(event, userIds, change).catch((err) => console.error(`Event change notifications failed for event ${event._id}:`, err));
+}
+
+module.exports = { sendDueReminders, startEventReminderJob, announceEventChange };
@@ -0,0 +1,77 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { expireOffers, promoteWaitlist } = require('./events/waitlist');
+const { notifyWaitlistOffer } = require('../utils/notifications');
+const { sendWaitlistOfferEmail } = require('./emailService');
+const { httpError } = require('../utils/httpError');
+
+const MAX_SAVE_ATTEMPTS = 5;
+const EXPIRY_INTERVAL_MS = Number(process.env.EVENT_WAITLIST_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+let _expiryTimer = null;
+
+/**
+ * Let each newly offered user know a seat is held for them
+ */
+function announceOffers(event, offers) {
+  offers.forEach((entry) => {
+    const offer = { occurrenceDate: entry.occurrenceDate, confirmBy: entry.confirmBy };
+    notifyWaitlistOffer(entry.userId, event, offer).catch((err) =>
+      console.error('Error creating waitlist offer notification:', err),
+    );
+    User.findById(entry.userId).select('name email timezone').lean()
+      .then((user) => sendWaitlistOfferEmail({ user, event, ...offer }))
+      .catch((err) => console.error('Error sending waitlist offer email:', err));
+  });
+}
+
+/**
+ * Apply a synchronous change to an event and save it. Expired offers are dropped and free seats offered
+ * to the waitlist around the change. Saves use optimistic concurrency: when another request saved the
+ * event first the whole read-modify-save is retried, so seats are never oversubscribed.
+ */
+async function mutateEvent(eventId, mutate) {
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt += 1) {
+    const event = await Event.findById(eventId);
+    if (!event) throw httpError(404, { error: 'Event not found' });
+
+    const now = new Date();
+    expireOffers(event, now);
+    const offers = promoteWaitlist(event, now);
+    const result = mutate(event, now);
+    offers.push(...promoteWaitlist(event, now));
+
+    try {
+      await event.save();
+    } catch (err) {
+      if (err.name === 'VersionError') continue;
+      throw err;
+    }
+
+    announceOffers(event, offers);
+    return { event, result };
+  }
+  throw httpError(409, { error: 'The event is busy, please try again' });
+}
+
+/**
+ * Pass on seats whose confirm-by deadline has passed
+ */
+async function expireWaitlistOffers() {
+  const events = await Event.find({ waitlist: { $elemMatch: { status: 'offered', confirmBy: { $lte: new Date() } } } })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of events) {
+    await mutateEvent(_id, () => null).catch((err) => console.error(`Waitlist expiry failed for event ${_id}:`, err));
+  }
+  return events.length;
+}
+
+function startWaitlistExpiryJob() {
+  if (_expiryTimer) return;
+  const run = () => expireWaitlistOffers().catch((err) => console.error('Waitlist expiry sweep failed:', err));
+  _expiryTimer = setInterval(run, EXPIRY_INTERVAL_MS);
+  if (_expiryTimer.unref) _expiryTimer.unref(); // don't keep process alive
+}
+
+module.exports = { mutateEvent, expireWaitlistOffers, startWaitlistExpiryJob };
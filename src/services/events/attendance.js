@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { buildOccurrence } = require('./occurrences');
+const { occurrenceInstants } = require('../../utils/eventSchedule');
+
+// Check-in and feedback rules
+
+const CHECK_IN_OPENS_BEFORE_MINUTES = 30;
+const CHECK_IN_CLOSES_AFTER_MINUTES = 30; // after the end
+const FEEDBACK_WINDOW_DAYS = 30;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 6;
+
+function generateCheckInCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Start and end of an event, or of one occurrence of a series (with any reschedule applied)
+ */
+function occurrenceSchedule(event, occurrenceDate) {
+  if (!occurrenceDate) return occurrenceInstants(event, event.eventDate);
+  const { startsAt, endsAt } = buildOccurrence(event, occurrenceDate);
+  return { startsAt, endsAt };
+}
+
+function checkInWindow({ startsAt, endsAt }) {
+  return {
+    opensAt: new Date(startsAt.getTime() - CHECK_IN_OPENS_BEFORE_MINUTES * 60 * 1000),
+    closesAt: new Date(endsAt.getTime() + CHECK_IN_CLOSES_AFTER_MINUTES * 60 * 1000),
+  };
+}
+
+function isCheckInOpen(schedule, now = new Date()) {
+  const { opensAt, closesAt } = checkInWindow(schedule);
+  return now >= opensAt && now <= closesAt;
+}
+
+function isFeedbackOpen(startsAt, now = new Date()) {
+  return now >= startsAt && now.getTime() <= startsAt.getTime() + FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Count, average and 1-5 distribution of ratings
+ */
+function summarizeRatings(ratings) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach((r) => { if (distribution[r] !== undefined) distribution[r] += 1; });
+  const count = ratings.length;
+  const average = count ? Math.round((ratings.reduce((sum, r) => sum + r, 0) / count) * 100) / 100 : null;
+  return { count, average, distribution };
+}
+
+module.exports = {
+  FEEDBACK_WINDOW_DAYS,
+  generateCheckInCode,
+  normalizeCode,
+  occurrenceSchedule,
+  checkInWindow,
+  isCheckInOpen,
+  isFeedbackOpen,
+  summarizeRatings,
+};
@@ -0,0 +1,283 @@
+const { expandOccurrences } = require('../../utils/recurrence');
+const { occurrenceInstants, eventTimeZone, DEFAULT_DURATION_MINUTES } = require('../../utils/eventSchedule');
+const { parseEventTime, localDateTime, zoneOffsetMinutes } = require('../../utils/zonedTime');
+
+// iCalendar (RFC 5545) output for events. Times are written in the event's zone (with a VTIMEZONE) or UTC,
+// all-day events and events without a usable time as dates.
+
+const PRODID = '-//Winsights Social//Events//EN';
+const UID_DOMAIN = 'events.winsights.social';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ZONE_YEARS = 5;
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into 75-octet chunks, continuation lines starting with a space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+function formatLocal(instant, timeZone) {
+  const { date, time } = localDateTime(instant, timeZone);
+  return `${formatDate(date)}T${time.replace(':', '')}00`;
+}
+
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+function formatUtcOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+function isAllDay(event, time) {
+  return event.allDay || !parseEventTime(time);
+}
+
+/**
+ * DTSTART-style value for an occurrence on dateKey at time: { params, value }.
+ * Timed events in a zone other than UTC are written as local time with a TZID.
+ */
+function startValue(event, dateKey, time = event.eventTime) {
+  if (isAllDay(event, time)) return { params: ';VALUE=DATE', value: formatDate(dateKey) };
+  const { startsAt } = occurrenceInstants(event, dateKey, time);
+  const zone = eventTimeZone(event);
+  if (zone === 'UTC') return { params: '', value: formatUtc(startsAt) };
+  return { params: `;TZID=${zone}`, value: formatLocal(startsAt, zone) };
+}
+
+/**
+ * DURATION line; all-day events default to one day so only longer ones need it
+ */
+function durationLine(event, start) {
+  if (start.params === ';VALUE=DATE') {
+    const days = Math.ceil((event.durationMinutes || 0) / (24 * 60));
+    return days > 1 ? `DURATION:P${days}D` : null;
+  }
+  return `DURATION:${formatDuration(event.durationMinutes || DEFAULT_DURATION_MINUTES)}`;
+}
+
+function buildRRule(rule, start) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  // UNTIL is a date for all-day series, otherwise a UTC time
+  if (rule.until) parts.push(`UNTIL=${start.params === ';VALUE=DATE' ? formatDate(rule.until) : `${formatDate(rule.until)}T235959Z`}`);
+  return parts.join(';');
+}
+
+function eventUrl(event) {
+  if (event.registrationUrl) return event.registrationUrl;
+  return process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/events/${event._id}` : null;
+}
+
+function eventDescription(event) {
+  const parts = [event.description];
+  if (event.registrationUrl) parts.push(`Registration: ${event.registrationUrl}`);
+  return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Properties shared by every VEVENT of an event; `start` is a startValue() result
+ */
+function veventLines(event, { uid, start, location, status, extra = [] }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || event.createdAt || new Date())}`,
+    `DTSTART${start.params}:${start.value}`,
+  ];
+  const duration = durationLine(event, start);
+  if (duration) lines.push(duration);
+  lines.push(...extra);
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  const description = eventDescription(event);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  const url = eventUrl(event);
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`SEQUENCE:${event.__v || 0}`);
+  if (status) lines.push(`STATUS:${status}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function occurrenceOf(event, date) {
+  return (event.occurrences || []).find((o) => o.date === date) || null;
+}
+
+/**
+ * VEVENTs for an event. A series is one RRULE with EXDATEs for cancelled dates and an override per
+ * rescheduled occurrence. `occurrenceDates` limits output to those occurrences, each as its own event.
+ */
+function buildEventComponents(event, { occurrenceDates = null } = {}) {
+  const uid = `${event._id}@${UID_DOMAIN}`;
+
+  if (!event.recurrence) {
+    return veventLines(event, { uid, start: startValue(event, event.eventDate), location: event.location });
+  }
+
+  if (occurrenceDates) {
+    return occurrenceDates.flatMap((date) => {
+      const occurrence = occurrenceOf(event, date);
+      return veventLines(event, {
+        uid: `${event._id}-${date}@${UID_DOMAIN}`,
+        start: startValue(event, occurrence?.eventDate || date, occurrence?.eventTime || event.eventTime),
+        location: occurrence?.location ?? event.location,
+        status: occurrence?.status === 'cancelled' ? 'CANCELLED' : null,
+      });
+    });
+  }
+
+  const start = startValue(event, event.eventDate);
+  const excluded = new Set(event.recurrence.exceptions || []);
+  (event.occurrences || []).filter((o) => o.status === 'cancelled').forEach((o) => excluded.add(o.date));
+  // DTSTART is always an instance in iCalendar; drop it when the rule itself would skip it
+  const [first] = expandOccurrences(event.eventDate, { ...event.recurrence, exceptions: [] }, { limit: 1 });
+  if (first !== event.eventDate) excluded.add(event.eventDate);
+
+  const extra = [`RRULE:${buildRRule(event.recurrence, start)}`];
+  [...excluded].sort().forEach((date) => {
+    extra.push(`EXDATE${start.params}:${startValue(event, date).value}`);
+  });
+
+  const lines = veventLines(event, { uid, start, location: event.location, extra });
+  (event.occurrences || [])
+    .filter((o) => o.status === 'rescheduled' && !excluded.has(o.date))
+    .forEach((o) => {
+      const original = startValue(event, o.date);
+      lines.push(...veventLines(event, {
+        uid,
+        start: startValue(event, o.eventDate || o.date, o.eventTime || event.eventTime),
+        location: o.location ?? event.location,
+        extra: [`RECURRENCE-ID${original.params}:${original.value}`],
+      }));
+    });
+  return lines;
+}
+
+/**
+ * UTC offset changes in a zone between two instants: [{ at, from, to }]. Offsets are sampled daily,
+ * then each change is narrowed down to the minute.
+ */
+function offsetTransitions(timeZone, from, to) {
+  const transitions = [];
+  let previous = from;
+  let previousOffset = zoneOffsetMinutes(previous, timeZone);
+  for (let t = from.getTime() + DAY_MS; t <= to.getTime(); t += DAY_MS) {
+    const offset = zoneOffsetMinutes(new Date(t), timeZone);
+    if (offset !== previousOffset) {
+      let low = previous.getTime();
+      let high = t;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (zoneOffsetMinutes(new Date(mid), timeZone) === previousOffset) low = mid;
+        else high = mid;
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+    }
+    previous = new Date(t);
+    previousOffset = offset;
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE for a zone covering the given years, built from the offsets the runtime knows about
+ */
+function timeZoneLines(timeZone, fromYear, toYear) {
+  const start = new Date(Date.UTC(fromYear, 0, 1));
+  const initial = zoneOffsetMinutes(start, timeZone);
+  const observance = (kind, dtstart, from, offset) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${dtstart}`,
+    `TZOFFSETFROM:${formatUtcOffset(from)}`,
+    `TZOFFSETTO:${formatUtcOffset(offset)}`,
+    `END:${kind}`,
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  lines.push(...observance('STANDARD', `${fromYear}0101T000000`, initial, initial));
+  offsetTransitions(timeZone, start, new Date(Date.UTC(toYear + 1, 0, 1))).forEach(({ at, from, to }) => {
+    // DTSTART is the local time just before the change
+    const local = formatUtc(new Date(at.getTime() + from * 60000)).replace('Z', '');
+    lines.push(...observance(to > from ? 'DAYLIGHT' : 'STANDARD', local, from, to));
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Zones referenced by TZID parameters and the years they are needed for: from the first DTSTART to the
+ * series' UNTIL, or a few years on for series without an end
+ */
+function referencedZones(components) {
+  const zones = new Map();
+  components.forEach((component) => {
+    const rrule = component.find((l) => l.startsWith('RRULE:'));
+    const until = rrule && /UNTIL=(\d{4})/.exec(rrule);
+    component.forEach((line) => {
+      const match = /;TZID=([^:;]+):(\d{4})/.exec(line);
+      if (!match) return;
+      const year = Number(match[2]);
+      let last = year;
+      if (until) last = Number(until[1]);
+      else if (rrule) last = year + MAX_ZONE_YEARS;
+      const range = zones.get(match[1]) || { from: year, to: last };
+      range.from = Math.min(range.from, year);
+      range.to = Math.min(Math.max(range.to, last), range.from + MAX_ZONE_YEARS);
+      zones.set(match[1], range);
+    });
+  });
+  return zones;
+}
+
+/**
+ * A VCALENDAR document from lists of VEVENT lines, with a VTIMEZONE for every zone they use
+ */
+function buildCalendar(components, { name = null } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  referencedZones(components).forEach(({ from, to }, zone) => lines.push(...timeZoneLines(zone, from, to)));
+  components.forEach((component) => lines.push(...component));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { escapeText, foldLine, buildEventComponents, buildCalendar };
@@ -0,0 +1,103 @@
+const { expandOccurrences, isOccurrenceDate, addDays } = require('../../utils/recurrence');
+const { occurrenceInstants, timingAt } = require('../../utils/eventSchedule');
+const { dayKeyInZone } = require('../../utils/streaks');
+
+// Occurrence views of an Event document (plain or hydrated); recurrence rules live in utils/recurrence
+
+/**
+ * Today's date in a zone (an event's, so dates compare with its local eventDate)
+ */
+function todayKey(timeZone = 'UTC') {
+  return dayKeyInZone(new Date(), timeZone);
+}
+
+function findOccurrence(event, date) {
+  return (event.occurrences || []).find((o) => o.date === date) || null;
+}
+
+/**
+ * Everyone seated at an occurrence: series registrations plus that occurrence's own
+ */
+function occurrenceAttendees(event, occurrenceDate) {
+  const own = occurrenceDate ? findOccurrence(event, occurrenceDate)?.attendees || [] : [];
+  return [...new Set([...(event.attendees || []), ...own])];
+}
+
+/**
+ * Stored entry for an occurrence, created on first change or registration
+ */
+function getOrAddOccurrence(event, date) {
+  let occurrence = findOccurrence(event, date);
+  if (!occurrence) {
+    event.occurrences.push({ date, status: 'scheduled', attendees: [] });
+    occurrence = event.occurrences[event.occurrences.length - 1];
+  }
+  return occurrence;
+}
+
+/**
+ * One occurrence of a series, with any cancellation or reschedule applied
+ */
+function buildOccurrence(event, date) {
+  const override = findOccurrence(event, date);
+  const status = override?.status || 'scheduled';
+  const eventDate = override?.eventDate || date;
+  const eventTime = override?.eventTime || event.eventTime;
+  const { startsAt, endsAt } = occurrenceInstants(event, eventDate, eventTime);
+  return {
+    occurrenceDate: date,
+    eventDate,
+    eventTime,
+    startsAt,
+    endsAt,
+    location: override?.location ?? event.location,
+    status,
+    cancelled: status === 'cancelled',
+    rescheduled: status === 'rescheduled',
+    reason: override?.reason || '',
+    timing: timingAt(startsAt, endsAt),
+    attendeesCount: (event.attendees || []).length + (override?.attendees || []).length,
+  };
+}
+
+/**
+ * Occurrences of a recurring event whose effective date falls in [from, to], by effective date
+ */
+function listOccurrences(event, { from = null, to = null, limit, includeCancelled = true } = {}) {
+  const inWindow = (key) => (!from || key >= from) && (!to || key <= to);
+  // Changed occurrences may be filtered out or moved, so expand enough dates to still fill the limit
+  const changed = (event.occurrences || []).filter((o) => o.status !== 'scheduled').length;
+  const dates = new Set(expandOccurrences(event.eventDate, event.recurrence, { from, to, limit: limit ? limit + changed : undefined }));
+
+  // Occurrences rescheduled into the window from outside it
+  (event.occurrences || [])
+    .filter((o) => o.status === 'rescheduled' && o.eventDate && inWindow(o.eventDate))
+    .filter((o) => isOccurrenceDate(event.eventDate, event.recurrence, o.date))
+    .forEach((o) => dates.add(o.date));
+
+  const occurrences = [...dates]
+    .map((date) => buildOccurrence(event, date))
+    .filter((o) => inWindow(o.eventDate) && (includeCancelled || !o.cancelled))
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  return limit ? occurrences.slice(0, limit) : occurrences;
+}
+
+/**
+ * The occurrence in progress, or else the next one to start; null once the series is over
+ */
+function nextOccurrence(event) {
+  const from = addDays(todayKey(event.timeZone), -1);
+  const candidates = listOccurrences(event, { from, limit: 5, includeCancelled: false });
+  return candidates.find((o) => o.timing !== 'past') || null;
+}
+
+module.exports = {
+  todayKey,
+  findOccurrence,
+  occurrenceAttendees,
+  getOrAddOccurrence,
+  buildOccurrence,
+  listOccurrences,
+  nextOccurrence,
+};
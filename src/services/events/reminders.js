@@ -0,0 +1,43 @@
+// Reminder timing for events
+
+const DEFAULT_OFFSETS_HOURS = '24,1';
+const SCHEDULE_FIELDS = ['eventDate', 'eventTime', 'timeZone', 'location'];
+
+/**
+ * Parse a comma-separated list of hours before the start ('24,1') into minutes, largest first
+ */
+function parseReminderOffsets(value) {
+  const minutes = String(value || '')
+    .split(',')
+    .map((h) => Math.round(Number(h.trim()) * 60))
+    .filter((m) => Number.isFinite(m) && m > 0);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+const REMINDER_OFFSETS = parseReminderOffsets(process.env.EVENT_REMINDER_OFFSETS_HOURS || DEFAULT_OFFSETS_HOURS);
+
+/**
+ * The reminder that should go out now: the closest offset whose send time has passed.
+ * Earlier reminders that were missed (e.g. the event was created an hour before it starts) are skipped.
+ */
+function dueReminderOffset(startsAt, now = new Date(), offsets = REMINDER_OFFSETS) {
+  if (!startsAt || now >= startsAt) return null;
+  const due = offsets.filter((minutes) => startsAt.getTime() - minutes * 60 * 1000 <= now.getTime());
+  return due.length ? Math.min(...due) : null;
+}
+
+/**
+ * Schedule fields that differ between two versions of an event or occurrence
+ */
+function scheduleChanges(before, after) {
+  return SCHEDULE_FIELDS
+    .filter((field) => (before[field] || '') !== (after[field] || ''))
+    .map((field) => ({ field, from: before[field] || null, to: after[field] || null }));
+}
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseReminderOffsets,
+  dueReminderOffset,
+  scheduleChanges,
+};
@@ -0,0 +1,120 @@
+const { findOccurrence, getOrAddOccurrence, buildOccurrence, nextOccurrence } = require('./occurrences');
+const { occurrenceInstants, timingAt } = require('../../utils/eventSchedule');
+
+/**
+ * Seat accounting and waitlist promotion on an Event document. Everything here mutates the
+ * document in memory only; eventWaitlistService saves it with optimistic concurrency.
+ *
+ * A registration scope is an occurrence date, or null for a one-off event / a whole series.
+ * Series registrations and offers hold a seat at every occurrence.
+ */
+
+const CONFIRM_WINDOW_HOURS = Number(process.env.EVENT_WAITLIST_CONFIRM_HOURS || 24);
+
+function sameScope(a, b) {
+  return (a || null) === (b || null);
+}
+
+function offeredEntries(event, occurrenceDate) {
+  return (event.waitlist || []).filter((w) => w.status === 'offered' && sameScope(w.occurrenceDate, occurrenceDate));
+}
+
+function occurrenceOccupancy(event, date) {
+  return (findOccurrence(event, date)?.attendees || []).length + offeredEntries(event, date).length;
+}
+
+/**
+ * Seats held in a scope: confirmed attendees plus outstanding offers
+ */
+function seatsTaken(event, occurrenceDate = null) {
+  const series = (event.attendees || []).length + offeredEntries(event, null).length;
+  if (occurrenceDate) return series + occurrenceOccupancy(event, occurrenceDate);
+
+  // A series seat must be free at the busiest occurrence
+  const dates = new Set([
+    ...(event.occurrences || []).map((o) => o.date),
+    ...(event.waitlist || []).filter((w) => w.status === 'offered' && w.occurrenceDate).map((w) => w.occurrenceDate),
+  ]);
+  return series + Math.max(0, ...[...dates].map((date) => occurrenceOccupancy(event, date)));
+}
+
+function hasSeat(event, occurrenceDate = null) {
+  return !event.maxAttendees || seatsTaken(event, occurrenceDate) < event.maxAttendees;
+}
+
+/**
+ * Open for registration until it (or, for a series, its last occurrence) has ended
+ */
+function isBookable(event, occurrenceDate) {
+  if (occurrenceDate) {
+    const occurrence = buildOccurrence(event, occurrenceDate);
+    return !occurrence.cancelled && occurrence.timing !== 'past';
+  }
+  if (event.recurrence) return nextOccurrence(event) !== null;
+  const { startsAt, endsAt } = occurrenceInstants(event, event.eventDate);
+  return timingAt(startsAt, endsAt) !== 'past';
+}
+
+function findWaitlistEntry(event, userId, occurrenceDate) {
+  return (event.waitlist || []).find((w) => w.userId === userId && sameScope(w.occurrenceDate, occurrenceDate)) || null;
+}
+
+function waitlistPosition(event, userId, occurrenceDate) {
+  const waiting = (event.waitlist || []).filter((w) => w.status === 'waiting' && sameScope(w.occurrenceDate, occurrenceDate));
+  const index = waiting.findIndex((w) => w.userId === userId);
+  return index === -1 ? null : index + 1;
+}
+
+function removeWaitlistEntries(event, predicate) {
+  const removed = (event.waitlist || []).filter(predicate);
+  if (removed.length) event.waitlist = event.waitlist.filter((w) => !predicate(w));
+  return removed;
+}
+
+/**
+ * Drop offers whose confirm-by deadline has passed, freeing their seats
+ */
+function expireOffers(event, now = new Date()) {
+  return removeWaitlistEntries(event, (w) => w.status === 'offered' && w.confirmBy && new Date(w.confirmBy) <= now);
+}
+
+/**
+ * Offer free seats to waiting users in join order. Returns the entries that received an offer.
+ */
+function promoteWaitlist(event, now = new Date()) {
+  const offers = [];
+  for (const entry of event.waitlist || []) {
+    if (entry.status !== 'waiting') continue;
+    if (!isBookable(event, entry.occurrenceDate) || !hasSeat(event, entry.occurrenceDate)) continue;
+    entry.status = 'offered';
+    entry.offeredAt = now;
+    entry.confirmBy = new Date(now.getTime() + CONFIRM_WINDOW_HOURS * 60 * 60 * 1000);
+    offers.push(entry);
+  }
+  return offers;
+}
+
+function addAttendee(event, userId, occurrenceDate) {
+  if (occurrenceDate) {
+    getOrAddOccurrence(event, occurrenceDate).attendees.push(userId);
+    return;
+  }
+
+  event.attendees.push(userId);
+  // Single-occurrence registrations and waitlist places are covered by the series registration now
+  (event.occurrences || []).forEach((o) => { o.attendees = o.attendees.filter((id) => id !== userId); });
+  removeWaitlistEntries(event, (w) => w.userId === userId && w.occurrenceDate && w.status === 'waiting');
+}
+
+module.exports = {
+  CONFIRM_WINDOW_HOURS,
+  seatsTaken,
+  hasSeat,
+  isBookable,
+  findWaitlistEntry,
+  waitlistPosition,
+  removeWaitlistEntries,
+  expireOffers,
+  promoteWaitlist,
+  addAttendee,
+};
@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const ForumThread = require('../models/ForumThread');
+const ForumThreadSubscription = require('../models/ForumThreadSubscription');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { notifyForumReply, notifyForumReplyDigests } = require('../utils/notifications');
+const { sendForumReplyDigestEmail } = require('./emailService');
+
+const SWEEP_INTERVAL_MS = Number(process.env.FORUM_DIGEST_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+// Replies keep collecting for this long after the first one before the digest goes out
+const DIGEST_WINDOW_MS = Number(process.env.FORUM_DIGEST_WINDOW_MINUTES || 15) * 60 * 1000;
+const MAX_DIGESTS_PER_SWEEP = 500;
+const CLEARED = { pendingCount: 0, pendingSince: null, firstPendingPostId: null };
+let _digestTimer = null;
+
+/**
+ * Watch a thread without overriding an earlier choice, so a muted thread stays muted
+ */
+async function ensureSubscription(threadId, userId, source) {
+  const now = new Date();
+  try {
+    await ForumThreadSubscription.updateOne(
+      { userId, threadId },
+      { $setOnInsert: { _id: uuidv4(), state: 'watching', source, createdAt: now, updatedAt: now } },
+      { upsert: true },
+    );
+  } catch (err) {
+    // Concurrent upsert already created it
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * Watch or mute a thread. Muting drops replies already queued for the next digest.
+ */
+async function setSubscriptionState(threadId, userId, state) {
+  const now = new Date();
+  const update = { $set: { state, updatedAt: now }, $setOnInsert: { _id: uuidv4(), source: 'manual', createdAt: now } };
+  if (state === 'muted') Object.assign(update.$set, CLEARED);
+  return ForumThreadSubscription.findOneAndUpdate({ userId, threadId }, update, { upsert: true, new: true }).lean();
+}
+
+/**
+ * The user has read the thread to the end, so queued replies no longer need a digest
+ */
+function clearPendingReplies(threadId, userId) {
+  return ForumThreadSubscription.updateOne({ userId, threadId, pendingCount: { $gt: 0 } }, { $set: CLEARED });
+}
+
+/**
+ * Tell people about a new reply: whoever it answers directly (unless they muted the thread) straight away,
+ * everyone else watching through their next digest.
+ */
+async function announceReply(threadId, postId, authorId, repliedToUserId = null, now = new Date()) {
+  const exclude = [authorId];
+  if (repliedToUserId && repliedToUserId !== authorId) {
+    const muted = await ForumThreadSubscription.exists({ userId: repliedToUserId, threadId, state: 'muted' });
+    if (!muted) {
+      await notifyForumReply(authorId, repliedToUserId, threadId, postId);
+      exclude.push(repliedToUserId);
+    }
+  }
+
+  const watchers = { threadId, state: 'watching', userId: { $nin: exclude } };
+  await ForumThreadSubscription.updateMany(watchers, { $inc: { pendingCount: 1 } });
+  // The first reply since the last digest starts the collection window
+  await ForumThreadSubscription.updateMany({ ...watchers, pendingSince: null }, { $set: { pendingSince: now, firstPendingPostId: postId } });
+}
+
+/**
+ * Users who turned off emailForumReplies (no stored preference means opted in)
+ */
+async function emailOptOuts(userIds) {
+  if (!userIds.length) return new Set();
+  const prefs = await NotificationPreference.find({ userId: { $in: userIds }, emailForumReplies: false }).select('userId').lean();
+  return new Set(prefs.map((p) => p.userId));
+}
+
+async function emailDigests(digests) {
+  const userIds = [...new Set(digests.map((d) => d.userId))];
+  const optedOut = await emailOptOuts(userIds);
+  const wanted = userIds.filter((id) => !optedOut.has(id));
+  if (!wanted.length) return;
+
+  const users = await User.find({ _id: { $in: wanted } }).select('name email').lean();
+  for (const user of users) {
+    await sendForumReplyDigestEmail({ user, threads: digests.filter((d) => d.userId === user._id) }).catch((err) =>
+      console.error(`Error sending forum reply digest to ${user._id}:`, err),
+    );
+  }
+}
+
+/**
+ * Send every digest whose collection window has passed: one in-app notification per watched thread,
+ * and one email per user covering all of their threads.
+ */
+async function sendForumReplyDigests(now = new Date()) {
+  const cutoff = new Date(now.getTime() - DIGEST_WINDOW_MS);
+  const due = await ForumThreadSubscription.find({ pendingCount: { $gt: 0 }, pendingSince: { $lte: cutoff }, state: 'watching' })
+    .select('_id')
+    .limit(MAX_DIGESTS_PER_SWEEP)
+    .lean();
+
+  // Claiming resets the queue, so no digest goes out twice and replies arriving now start the next one
+  const claimed = [];
+  for (const { _id } of due) {
+    const sub = await ForumThreadSubscription.findOneAndUpdate({ _id, pendingCount: { $gt: 0 } }, { $set: { ...CLEARED, lastNotifiedAt: now } }).lean();
+    if (sub) claimed.push(sub);
+  }
+  if (!claimed.length) return 0;
+
+  const threads = await ForumThread.find({ _id: { $in: [...new Set(claimed.map((s) => s.threadId))] }, removed: false }).select('title').lean();
+  const titles = new Map(threads.map((t) => [t._id, t.title]));
+  const digests = claimed
+    .filter((s) => titles.has(s.threadId))
+    .map((s) => ({ userId: s.userId, threadId: s.threadId, threadTitle: titles.get(s.threadId), count: s.pendingCount, postId: s.firstPendingPostId }));
+  if (!digests.length) return 0;
+
+  await notifyForumReplyDigests(digests);
+  await emailDigests(digests);
+  return digests.length;
+}
+
+function startForumDigestJob() {
+  if (_digestTimer) return;
+  const run = () => sendForumReplyDigests().catch((err) => console.error('Forum reply digest sweep failed:', err));
+  _digestTimer = setInterval(run, SWEEP_INTERVAL_MS);
+  if (_digestTimer.unref) _digestTimer.unref(); // don't keep process alive
+}
+
+module.exports = {
+  ensureSubscription,
+  setSubscriptionState,
+  clearPendingReplies,
+  announceReply,
+  sendForumReplyDigests,
+  startForumDigestJob,
+};
@@ -0,0 +1,32 @@
+// Forum categories and thread tags
+
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+const MAX_CATEGORY_NAME_LENGTH = 50;
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Tags as stored on threads: slugged, unique, at most MAX_TAGS. Returns null when the input isn't a list of strings.
+ */
+function normalizeTags(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input) || input.some((t) => typeof t !== 'string')) return null;
+  const tags = [...new Set(input.map((t) => slugify(t).slice(0, MAX_TAG_LENGTH)).filter(Boolean))];
+  return tags.length > MAX_TAGS ? null : tags;
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_CATEGORY_NAME_LENGTH,
+  slugify,
+  normalizeTags,
+};
@@ -0,0 +1,22 @@
+const { can } = require('../permissionService');
+
+/**
+ * Who can pin, lock and categorise threads: anyone with forums.manage for the group (its owner and admins
+ * have it there), or site-wide for every forum; the global forum has no group
+ */
+function canManageForum(group, userId, userRole) {
+  return can({ id: userId, role: userRole }, 'forums.manage', group ? { group } : null);
+}
+
+/**
+ * Who can remove threads and review or restore post revisions: forums.moderate for the thread's group
+ * (its owner and admins have it there), or site-wide
+ */
+function canModerateForum(group, userId, userRole) {
+  return can({ id: userId, role: userRole }, 'forums.moderate', group ? { group } : null);
+}
+
+module.exports = {
+  canManageForum,
+  canModerateForum,
+};
@@ -0,0 +1,115 @@
+/**
+ * Forum post revisions. A post keeps the versions it replaced in `revisions`; version numbers start at 1
+ * for the original text and the current content is always the latest version. Only the latest
+ * MAX_REVISIONS earlier versions are kept; `droppedRevisions` counts the older ones so numbers don't shift.
+ */
+
+const MAX_REVISIONS = Number(process.env.FORUM_MAX_POST_REVISIONS || 50);
+
+// Word diffs compare every pair of tokens; beyond this the diff falls back to whole lines
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Every version of a post, oldest first, with the current content last
+ */
+function listVersions(post) {
+  const offset = post.droppedRevisions || 0;
+  const previous = (post.revisions || []).map((r, i) => ({
+    version: offset + i + 1,
+    content: r.content,
+    moderation: r.moderation || null,
+    editedBy: r.editedBy || null,
+    editedAt: r.editedAt,
+    restoredFrom: r.restoredFrom ?? null,
+    current: false,
+  }));
+  return [...previous, {
+    version: offset + previous.length + 1,
+    content: post.content,
+    moderation: post.moderation || null,
+    editedBy: post.editedBy || post.authorId || null,
+    editedAt: post.editedAt || post.createdAt,
+    restoredFrom: post.restoredFrom ?? null,
+    current: true,
+  }];
+}
+
+function findVersion(post, version) {
+  const number = Number(version);
+  const first = (post.droppedRevisions || 0) + 1;
+  if (!Number.isInteger(number) || number < first) return null;
+  return listVersions(post)[number - first] || null;
+}
+
+/**
+ * Drop the oldest revisions beyond `max`, counting them in droppedRevisions
+ */
+function trimRevisions(post, max = MAX_REVISIONS) {
+  const excess = post.revisions.length - max;
+  if (excess <= 0) return 0;
+  post.revisions.splice(0, excess);
+  post.droppedRevisions = (post.droppedRevisions || 0) + excess;
+  return excess;
+}
+
+function tokenize(text, byLine) {
+  return byLine ? String(text).split(/(?<=\n)/) : String(text).split(/(\s+)/).filter(Boolean);
+}
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Differences between two texts as [{ type: 'equal' | 'insert' | 'delete', text }], by word
+ * (or by line for very long posts). Joining the equal and delete parts gives `before`; equal and insert give `after`.
+ */
+function diffText(before = '', after = '') {
+  let a = tokenize(before, false);
+  let b = tokenize(after, false);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = tokenize(before, true);
+    b = tokenize(after, true);
+  }
+
+  // Longest common subsequence lengths of the suffixes a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      pushPart(parts, 'delete', a[i]);
+      i += 1;
+    } else {
+      pushPart(parts, 'insert', b[j]);
+      j += 1;
+    }
+  }
+  for (; i < a.length; i += 1) pushPart(parts, 'delete', a[i]);
+  for (; j < b.length; j += 1) pushPart(parts, 'insert', b[j]);
+  return parts;
+}
+
+module.exports = {
+  MAX_REVISIONS,
+  listVersions,
+  findVersion,
+  trimRevisions,
+  diffText,
+};
@@ -0,0 +1,118 @@
+// Sorting, cursors and unread state for forum thread lists and replies
+
+const THREAD_SORTS = {
+  newest: 'createdAt',
+  activity: 'lastActivityAt',
+  replies: 'replyCount',
+};
+const DEFAULT_THREAD_SORT = 'activity';
+
+function parseThreadSort(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_THREAD_SORT;
+  return THREAD_SORTS[value] ? value : null;
+}
+
+/**
+ * Cursors carry the sort value of the last thread served plus its id, so ties stay in a stable order
+ */
+function encodeThreadCursor(sort, thread) {
+  const field = THREAD_SORTS[sort];
+  const value = thread[field] instanceof Date ? thread[field].toISOString() : thread[field];
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id: thread._id }), 'utf8').toString('base64');
+}
+
+/**
+ * Decoded cursor for this sort, or null when it is malformed or was issued for another sort
+ */
+function decodeThreadCursor(sort, cursor) {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (s !== sort || !id || typeof id !== 'string') return null;
+    if (sort === 'replies') return Number.isFinite(v) ? { value: v, id } : null;
+    const date = new Date(v);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mongo sort and the filter selecting threads after a cursor (descending on the sort field, then id)
+ */
+function threadPageQuery(sort, cursor = null) {
+  const field = THREAD_SORTS[sort];
+  const order = { [field]: -1, _id: -1 };
+  if (!cursor) return { order, filter: {} };
+  return {
+    order,
+    filter: { $or: [{ [field]: { $lt: cursor.value } }, { [field]: cursor.value, _id: { $lt: cursor.id } }] },
+  };
+}
+
+/**
+ * Reply order in a thread: oldest first, or most helpful first (then oldest)
+ */
+const POST_SORTS = ['oldest', 'helpful'];
+
+function parsePostSort(value) {
+  if (value === undefined || value === null || value === '') return 'oldest';
+  return POST_SORTS.includes(value) ? value : null;
+}
+
+function encodeHelpfulCursor(post) {
+  const payload = { v: Number(post.reactionCounts?.helpful) || 0, c: new Date(post.createdAt).toISOString(), id: post._id };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64');
+}
+
+function decodeHelpfulCursor(cursor) {
+  try {
+    const { v, c, id } = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    const createdAt = new Date(c);
+    if (!Number.isFinite(v) || !id || typeof id !== 'string' || Number.isNaN(createdAt.getTime())) return null;
+    return { helpful: v, createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mongo sort and the filter selecting replies after a helpful-sort cursor
+ */
+function helpfulPageQuery(cursor = null) {
+  const order = { 'reactionCounts.helpful': -1, createdAt: 1, _id: 1 };
+  if (!cursor) return { order, filter: {} };
+  return {
+    order,
+    filter: {
+      $or: [
+        { 'reactionCounts.helpful': { $lt: cursor.helpful } },
+        { 'reactionCounts.helpful': cursor.helpful, createdAt: { $gt: cursor.createdAt } },
+        { 'reactionCounts.helpful': cursor.helpful, createdAt: cursor.createdAt, _id: { $gt: cursor.id } },
+      ],
+    },
+  };
+}
+
+/**
+ * A thread is unread when something was posted after the user last read it (never-opened threads are unread)
+ */
+function isThreadUnread(thread, visit) {
+  if (!visit) return true;
+  const lastActivity = thread.lastActivityAt || thread.createdAt;
+  return !!lastActivity && new Date(lastActivity) > new Date(visit.lastReadAt);
+}
+
+module.exports = {
+  THREAD_SORTS,
+  DEFAULT_THREAD_SORT,
+  parseThreadSort,
+  encodeThreadCursor,
+  decodeThreadCursor,
+  threadPageQuery,
+  POST_SORTS,
+  parsePostSort,
+  encodeHelpfulCursor,
+  decodeHelpfulCursor,
+  helpfulPageQuery,
+  isThreadUnread,
+};
@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const LeaderboardSnapshot = require('../models/LeaderboardSnapshot');
+const { getLeaderboard } = require('./tokenService');
+const { previousPeriodRange } = require('../utils/leaderboardPeriods');
+const { httpError } = require('../utils/httpError');
+
+const SNAPSHOT_SIZE = Number(process.env.LEADERBOARD_SNAPSHOT_SIZE || 25);
+const SNAPSHOT_INTERVAL_MS = Number(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS || 60 * 60 * 1000);
+
+let _snapshotTimer = null;
+
+/**
+ * Store a snapshot for the most recently closed weekly and monthly periods, if missing.
+ * Safe to run from several instances: the unique index rejects duplicates.
+ */
+async function snapshotClosedPeriods(now = new Date()) {
+  const created = [];
+
+  for (const period of ['weekly', 'monthly']) {
+    const range = previousPeriodRange(period, now);
+    const exists = await LeaderboardSnapshot.exists({ period, periodStart: range.start });
+    if (exists) continue;
+
+    const standings = await getLeaderboard({ limit: SNAPSHOT_SIZE, page: 1, period: 'custom', from: range.start, to: range.end });
+
+    try {
+      const snapshot = await LeaderboardSnapshot.create({
+        _id: uuidv4(),
+        period,
+        periodStart: range.start,
+        periodEnd: range.end,
+        entries: standings.leaderboard.map((row) => ({
+          rank: row.rank,
+          userId: row.userId,
+          name: row.name,
+          totalTokens: row.totalTokens,
+          badgeCount: row.badgeCount,
+        })),
+        participantCount: standings.total,
+        createdAt: new Date(),
+      });
+      created.push(snapshot);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * List stored snapshots, newest period first
+ */
+async function getLeaderboardSnapshots({ period = 'weekly', page = 1, limit = 10 }) {
+  if (!['weekly', 'monthly'].includes(period)) {
+    throw httpError(400, { error: 'Invalid period. Must be one of: weekly, monthly' });
+  }
+
+  const skip = (page - 1) * limit;
+  const [snapshots, total] = await Promise.all([
+    LeaderboardSnapshot.find({ period }).sort({ periodStart: -1 }).skip(skip).limit(limit),
+    LeaderboardSnapshot.countDocuments({ period }),
+  ]);
+
+  return { snapshots: snapshots.map((s) => s.toObject()), total, page, limit };
+}
+
+function startLeaderboardSnapshotJob() {
+  if (_snapshotTimer) return;
+  const run = () => snapshotClosedPeriods().catch((err) => console.error('Leaderboard snapshot failed:', err));
+  setTimeout(run, 30 * 1000).unref();
+  _snapshotTimer = setInterval(run, SNAPSHOT_INTERVAL_MS);
+  if (_snapshotTimer.unref) _snapshotTimer.unref(); // don't keep process alive
+}
+
+module.exports = {
+  snapshotClosedPeriods,
+  getLeaderboardSnapshots,
+  startLeaderboardSnapshotJob,
+};
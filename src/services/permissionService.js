@@ -0,0 +1,181 @@
+const { v4: uuidv4 } = require('uuid');
+const RolePermission = require('../models/RolePermission');
+const PermissionGrant = require('../models/PermissionGrant');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const DiseasePage = require('../models/DiseasePage');
+const cache = require('./cacheService');
+const {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  checkPermission,
+  validatePermissionList,
+} = require('../utils/permissions');
+const { httpError } = require('../utils/httpError');
+
+const GRANTS_CACHE_TTL = Number(process.env.AUTH_CACHE_TTL || 120);
+// Role mappings are read on almost every check, so each process keeps them this long; edits on another server
+// show up here within this window
+const ROLE_MAP_TTL_MS = 30 * 1000;
+let _roleMap = null;
+let _roleMapLoadedAt = 0;
+
+function grantsKey(userId) {
+  return `perm:grants:${userId}`;
+}
+
+async function getRolePermissionMap() {
+  if (_roleMap && Date.now() - _roleMapLoadedAt < ROLE_MAP_TTL_MS) return _roleMap;
+  const stored = await RolePermission.find({}).lean();
+  const map = { ...DEFAULT_ROLE_PERMISSIONS };
+  stored.forEach((doc) => { map[doc._id] = doc.permissions; });
+  _roleMap = map;
+  _roleMapLoadedAt = Date.now();
+  return map;
+}
+
+function getUserGrants(userId) {
+  return cache.getOrSet(grantsKey(userId), () =>
+    PermissionGrant.find({ userId }).select('permission scopeType scopeId').lean(), GRANTS_CACHE_TTL);
+}
+
+/**
+ * Whether `user` ({ id, role }, e.g. req.user) may do `permission`, optionally on a resource:
+ * { group }, { groupId }, { diseasePage } or { diseasePageId }.
+ */
+async function can(user, permission, resource = null) {
+  const subject = user ? { id: user.id || user._id, role: user.role } : null;
+  if (!subject?.id) return checkPermission({ user: null }, permission, resource);
+
+  const rolePermissions = (await getRolePermissionMap())[subject.role] || [];
+  if (checkPermission({ user: subject, rolePermissions }, permission, resource)) return true;
+  const grants = await getUserGrants(subject.id);
+  return grants.length > 0 && checkPermission({ user: subject, rolePermissions, grants }, permission, resource);
+}
+
+/**
+ * The permission catalogue and what each role currently has
+ */
+async function listRolePermissions() {
+  const stored = new Map((await RolePermission.find({}).lean()).map((doc) => [doc._id, doc]));
+  return {
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+      scopes: Object.keys(SCOPED_PERMISSIONS).filter((type) => SCOPED_PERMISSIONS[type].includes(name)),
+    })),
+    roles: ROLES.map((role) => {
+      const doc = stored.get(role);
+      return {
+        role,
+        permissions: doc ? doc.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+        isDefault: !doc,
+        updatedBy: doc?.updatedBy || null,
+        updatedAt: doc?.updatedAt || null,
+      };
+    }),
+  };
+}
+
+async function setRolePermissions(role, body, adminId) {
+  if (!ROLES.includes(role)) throw httpError(404, { error: 'Role not found' });
+  const permissions = body?.permissions;
+  const problem = validatePermissionList(permissions);
+  if (problem) throw httpError(400, { error: problem });
+  // Otherwise nobody could change permissions again
+  if (role === 'admin-user' && !permissions.includes('permissions.manage')) {
+    throw httpError(400, { error: 'Admins must keep permissions.manage' });
+  }
+
+  await RolePermission.updateOne(
+    { _id: role },
+    { permissions: [...new Set(permissions)], updatedBy: adminId, updatedAt: new Date() },
+    { upsert: true },
+  );
+  _roleMap = null;
+  return listRolePermissions();
+}
+
+async function resetRolePermissions(role) {
+  if (!ROLES.includes(role)) throw httpError(404, { error: 'Role not found' });
+  await RolePermission.deleteOne({ _id: role });
+  _roleMap = null;
+  return listRolePermissions();
+}
+
+function grantResponse(grant) {
+  const { _id, __v, ...rest } = grant;
+  return { id: _id, ...rest };
+}
+
+async function listUserGrants(userId) {
+  const user = await User.findById(userId).select('role').lean();
+  if (!user) throw httpError(404, { error: 'User not found' });
+  const [roleMap, grants] = await Promise.all([
+    getRolePermissionMap(),
+    PermissionGrant.find({ userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+  return { role: user.role, rolePermissions: roleMap[user.role] || [], grants: grants.map(grantResponse) };
+}
+
+/**
+ * Scope of a new grant; disease pages may be given by slug
+ */
+async function resolveGrantScope(permission, scopeType, scopeId) {
+  if (!scopeType) return { scopeType: null, scopeId: null };
+  if (!SCOPED_PERMISSIONS[scopeType]) throw httpError(400, { error: 'scopeType must be group or diseasePage' });
+  if (!SCOPED_PERMISSIONS[scopeType].includes(permission)) {
+    throw httpError(400, { error: `${permission} can't be limited to a ${scopeType}` });
+  }
+  if (!scopeId) throw httpError(400, { error: 'scopeId is required with scopeType' });
+
+  const target = scopeType === 'group'
+    ? await Group.findById(scopeId).select('_id').lean()
+    : await DiseasePage.findOne({ $or: [{ _id: scopeId }, { slug: scopeId }] }).select('_id').lean();
+  if (!target) throw httpError(404, { error: scopeType === 'group' ? 'Group not found' : 'Disease page not found' });
+  return { scopeType, scopeId: target._id };
+}
+
+async function grantPermission(userId, body, adminId) {
+  const { permission, note } = body || {};
+  if (!PERMISSIONS[permission]) throw httpError(400, { error: 'Unknown permission' });
+  const user = await User.exists({ _id: userId });
+  if (!user) throw httpError(404, { error: 'User not found' });
+  const scope = await resolveGrantScope(permission, body.scopeType || null, body.scopeId || null);
+
+  try {
+    const grant = await PermissionGrant.create({
+      _id: uuidv4(),
+      userId,
+      permission,
+      ...scope,
+      note: note ? String(note).trim() : '',
+      grantedBy: adminId,
+      createdAt: new Date(),
+    });
+    await cache.invalidate(grantsKey(userId));
+    return { grant: grantResponse(grant.toObject({ transform: false })) };
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'The user already has this permission' });
+    throw err;
+  }
+}
+
+async function revokeGrant(userId, grantId) {
+  const removed = await PermissionGrant.findOneAndDelete({ _id: grantId, userId }).lean();
+  if (!removed) throw httpError(404, { error: 'Grant not found' });
+  await cache.invalidate(grantsKey(userId));
+  return { success: true };
+}
+
+module.exports = {
+  can,
+  listRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  listUserGrants,
+  grantPermission,
+  revokeGrant,
+};
@@ -3,6 +3,28 @@ const { parsePositiveInt, encodeCursor } = require('./cursor');
 const { getDiseaseFollowerIdsCached } = require('./diseaseFollowerCache');
 const { attachAuthorsToPosts, buildPostResponsesBulk } = require('./postResponseBuilder');
 
+const FEATURED_POST_SLOTS = 3;
+
+/**
+ * Put currently featured (boosted) public posts at the top of the first page of the home feed
+ */
+async function withFeaturedPosts(posts, blockedUserIds = []) {
+  const query = { removed: false, visible: true, groupId: null, featuredUntil: { $gt: new Date() } };
+  if (blockedUserIds && blockedUserIds.length > 0) {
+    query.authorId = { $nin: blockedUserIds };
+  }
+
+  const featured = await Post.find(query)
+    .sort({ featuredUntil: -1 })
+    .limit(FEATURED_POST_SLOTS)
+    .select('-reports -moderation')
+    .lean();
+  if (!featured.length) return posts;
+
+  const featuredIds = new Set(featured.map((p) => p._id));
+  return [...featured, ...posts.filter((p) => !featuredIds.has(p._id))];
+}
+
 /**
  * Get filtered posts (by group or disease page)
  * NOTE: maintains existing controller behavior (writes response directly)
@@ -104,7 +126,7 @@ async function getSmartFeedPosts(req, res, next, options = {}) {
         .select('-reports -moderation')
         .lean();
 
-      fallbackPosts = await attachAuthorsToPosts(fallbackPosts);
+      fallbackPosts = await attachAuthorsToPosts(await withFeaturedPosts(fallbackPosts, blockedUserIds));
 
       const batch = await buildPostResponsesBulk(fallbackPosts, req.user.id, req.user.role);
       return res.json({
@@ -116,7 +138,8 @@ async function getSmartFeedPosts(req, res, next, options = {}) {
     }
 
     // Avoid re-querying Posts by id (smartFeedService already fetched them).
-    const orderedPosts = await attachAuthorsToPosts(feedResult.posts);
+    const pagePosts = cursor ? feedResult.posts : await withFeaturedPosts(feedResult.posts, blockedUserIds);
+    const orderedPosts = await attachAuthorsToPosts(pagePosts);
     const batch = await buildPostResponsesBulk(orderedPosts, req.user.id, req.user.role);
 
     const nextCursor = feedResult.nextCursor
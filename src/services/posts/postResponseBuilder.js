@@ -3,6 +3,8 @@ const User = require('../../models/User');
 const Group = require('../../models/Group');
 const { toPublicUrl } = require('../../utils/publicUrl');
 const { encodeCursor } = require('./cursor');
+const { normalizeReactionCounts, getViewerReactions } = require('../reactionService');
+const { can } = require('../permissionService');
 
 async function attachAuthorsToPosts(posts) {
   if (!posts || posts.length === 0) return posts;
@@ -22,7 +24,7 @@ async function attachAuthorsToPosts(posts) {
   if (authorIds.length === 0) return posts;
 
   const authors = await User.find({ _id: { $in: authorIds } })
-    .select('_id name role avatarUrl')
+    .select('_id name role avatarUrl flair')
     .lean();
 
   const authorMap = new Map(authors.map((a) => [a._id, a]));
@@ -37,10 +39,14 @@ async function attachAuthorsToPosts(posts) {
   return posts;
 }
 
+function isFeatured(post, now = new Date()) {
+  return !!post.featuredUntil && new Date(post.featuredUntil) > now;
+}
+
 /**
  * Check if user can view a group post based on group privacy
  */
-function canViewGroupPost(post, group, userId, userRole) {
+async function canViewGroupPost(post, group, userId, userRole) {
   if (!post.groupId) return true;
   if (!group) return false; // If post has groupId but group not found/loaded
   if (group.privacy === 'public') return true;
@@ -52,23 +58,24 @@ function canViewGroupPost(post, group, userId, userRole) {
     group.ownerId === userId;
 
   if (group.privacy === 'private' || group.privacy === 'hidden') {
-    return isMember || userRole === 'admin-user';
+    return isMember || can({ id: userId, role: userRole }, 'groups.viewPrivate', { group });
   }
   return true;
 }
 
 /**
- * Build post response with enriched data (author, likes, comments, group)
+ * Build post response with enriched data (author, likes, reactions, comments, group)
  */
 async function buildPostResponse(post, currentUserId) {
   // Ensure author is populated
   if (!post.authorId || !post.authorId.name) {
-    await post.populate('authorId', 'name role avatarUrl');
+    await post.populate('authorId', 'name role avatarUrl flair');
   }
 
   const likeList = post.likes || [];
   const likedByCurrentUser = likeList.includes(currentUserId);
   const commentCount = await Comment.countDocuments({ postId: post._id, removed: false });
+  const viewerReactions = await getViewerReactions(currentUserId, 'post', [post._id]);
 
   let group = null;
   if (post.groupId) {
@@ -92,26 +99,56 @@ async function buildPostResponse(post, currentUserId) {
         name: post.authorId.name,
         role: post.authorId.role,
         avatarUrl: toPublicUrl(post.authorId.avatarUrl),
+        flair: post.authorId.flair?.text || '',
       }
       : null,
     mediaUrl: toPublicUrl(post.mediaUrl),
+    featured: isFeatured(post),
     likeCount: likeList.length,
     likedByCurrentUser,
+    reactionCounts: normalizeReactionCounts(post.reactionCounts),
+    viewerReactions: viewerReactions.get(post._id) || [],
     commentCount,
     group,
   };
 }
 
+/**
+ * Build comment response (author, reply count, reactions, edited marker). Edit history stays server-side.
+ */
+function buildCommentResponse(comment, viewerReactions = []) {
+  const { editHistory, ...rest } = comment;
+  const authorObj = rest.authorId && typeof rest.authorId === 'object' ? rest.authorId : null;
+
+  return {
+    ...rest,
+    id: rest._id || rest.id,
+    replyCount: rest.replyCount || 0,
+    reactionCounts: normalizeReactionCounts(rest.reactionCounts),
+    viewerReactions,
+    edited: !!rest.editedAt,
+    author: authorObj
+      ? {
+        id: authorObj._id,
+        name: authorObj.name,
+        role: authorObj.role,
+        avatarUrl: toPublicUrl(authorObj.avatarUrl),
+      }
+      : null,
+  };
+}
+
 async function buildPostResponsesBulk(posts, currentUserId, currentUserRole) {
   if (!posts.length) return [];
 
   const postIds = posts.map((p) => p._id);
   const groupIds = [...new Set(posts.map((p) => p.groupId).filter(Boolean))];
 
-  const [groupsMeta] = await Promise.all([
+  const [groupsMeta, viewerReactions] = await Promise.all([
     groupIds.length
       ? Group.find({ _id: { $in: groupIds } }).select('name privacy ownerId').lean()
       : Promise.resolve([]),
+    getViewerReactions(currentUserId, 'post', postIds),
   ]);
 
   const nonPublicGroupIds = groupsMeta
@@ -141,7 +178,7 @@ async function buildPostResponsesBulk(posts, currentUserId, currentUserRole) {
   for (const post of posts) {
     if (post.groupId) {
       const group = groupsMap[post.groupId];
-      if (!canViewGroupPost(post, group, currentUserId, currentUserRole)) continue;
+      if (!(await canViewGroupPost(post, group, currentUserId, currentUserRole))) continue;
     }
 
     const { __v, _id, authorId, likes = [], ...rest } = post;
@@ -163,11 +200,15 @@ async function buildPostResponsesBulk(posts, currentUserId, currentUserRole) {
             name: authorObj.name,
             role: authorObj.role,
             avatarUrl: toPublicUrl(authorObj.avatarUrl),
+            flair: authorObj.flair?.text || '',
           }
           : null,
         mediaUrl: toPublicUrl(rest.mediaUrl),
+        featured: isFeatured(post),
         likeCount: likeList.length,
         likedByCurrentUser: likeList.includes(currentUserId),
+        reactionCounts: normalizeReactionCounts(rest.reactionCounts),
+        viewerReactions: viewerReactions.get(_id) || [],
         commentCount: post.commentCount || 0, // Direct use of denormalized field
         group: groupDoc
           ? {
@@ -189,4 +230,5 @@ module.exports = {
   canViewGroupPost,
   buildPostResponse,
   buildPostResponsesBulk,
+  buildCommentResponse,
 };
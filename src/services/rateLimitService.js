@@ -0,0 +1,182 @@
+const User = require('../models/User');
+const redis = require('./redisClient');
+const { POLICIES, LOGIN_LOCKOUT, ACCOUNT_LOCKOUT, lockoutSeconds, tightestBucket } = require('../utils/rateLimits');
+const { httpError } = require('../utils/httpError');
+
+// Throttled principals are recorded here until their window resets, for the admin view
+const THROTTLED_PREFIX = 'ratelimit:throttled:';
+
+function bucketKey(policyName, kind, id) {
+  return `ratelimit:${policyName}:${kind}:${id}`;
+}
+
+// Failures and locks are per account and client IP, so strangers can't lock an account out for everyone.
+// Without an IP these are the account-wide counter and lock, which only trip at ACCOUNT_LOCKOUT's higher bar.
+function failuresKey(email, ip = null) {
+  return ip ? `auth:login-failures:${email}:${ip}` : `auth:login-failures:${email}`;
+}
+
+function lockKey(email, ip = null) {
+  return ip ? `auth:login-lock:${email}:${ip}` : `auth:login-lock:${email}`;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function recordThrottled({ policy, kind, id, count, limit, retryAfter }) {
+  const until = new Date(Date.now() + retryAfter * 1000);
+  await redis.safeSet(
+    `${THROTTLED_PREFIX}${policy}:${kind}:${id}`,
+    JSON.stringify({ policy, kind, id, count, limit, until }),
+    Math.max(retryAfter, 1),
+  );
+}
+
+/**
+ * Count a request against a policy for each principal ({ ip, userId }) and return the bucket that decides
+ * the response: { limit, count, resetSeconds, limited }
+ */
+async function consume(policyName, { ip, userId }) {
+  const policy = POLICIES[policyName];
+  const principals = [];
+  if (policy.ip && ip) principals.push({ kind: 'ip', id: ip, limit: policy.ip });
+  if (policy.user && userId) principals.push({ kind: 'user', id: userId, limit: policy.user });
+  if (!principals.length) return null;
+
+  const buckets = await Promise.all(principals.map(async (p) => {
+    const { count, ttlMs } = await redis.safeIncr(bucketKey(policyName, p.kind, p.id), policy.windowSeconds);
+    return { ...p, count, resetSeconds: Math.max(Math.ceil(ttlMs / 1000), 1) };
+  }));
+  const bucket = tightestBucket(buckets);
+  const limited = bucket.count > bucket.limit;
+  // Record the first rejection of the window only
+  if (bucket.count === bucket.limit + 1) {
+    await recordThrottled({ policy: policyName, kind: bucket.kind, id: bucket.id, count: bucket.count, limit: bucket.limit, retryAfter: bucket.resetSeconds });
+  }
+  return { ...bucket, limited };
+}
+
+async function readLock(key) {
+  const raw = await redis.safeGet(key);
+  if (!raw) return null;
+  try {
+    const lock = JSON.parse(raw);
+    const retryAfter = Math.ceil((new Date(lock.until).getTime() - Date.now()) / 1000);
+    return retryAfter > 0 ? { ...lock, retryAfter } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The lock keeping this client out of the account: its own, or the account-wide one (scope 'account')
+ */
+async function getLoginLockout(email, ip) {
+  const account = normalizeEmail(email);
+  const [clientLock, accountLock] = await Promise.all([
+    readLock(lockKey(account, ip || 'unknown')),
+    readLock(lockKey(account)),
+  ]);
+  if (clientLock && (!accountLock || clientLock.retryAfter >= accountLock.retryAfter)) return { ...clientLock, scope: 'client' };
+  return accountLock ? { ...accountLock, scope: 'account' } : null;
+}
+
+/**
+ * Reject a login from a client locked out of the account after repeated failures, whatever the password
+ */
+async function assertLoginAllowed(email, ip) {
+  const lock = email ? await getLoginLockout(email, ip) : null;
+  if (!lock) return;
+  const err = httpError(429, {
+    error: 'Too many failed sign-in attempts. Try again later or reset your password.',
+    retryAfter: lock.retryAfter,
+  });
+  err.retryAfter = lock.retryAfter;
+  throw err;
+}
+
+/**
+ * Count a failed login for the client and for the account; from each threshold on, every further failure
+ * locks the client (or, past the account-wide bar, every client) out for twice as long
+ */
+async function recordLoginFailure(email, ip) {
+  const account = normalizeEmail(email);
+  if (!account) return null;
+  const client = ip || 'unknown';
+  const [clientFailures, accountFailures] = await Promise.all([
+    redis.safeIncr(failuresKey(account, client), LOGIN_LOCKOUT.failureWindowSeconds),
+    redis.safeIncr(failuresKey(account), ACCOUNT_LOCKOUT.failureWindowSeconds),
+  ]);
+
+  let lock = null;
+  const accountSeconds = lockoutSeconds(accountFailures.count, ACCOUNT_LOCKOUT);
+  if (accountSeconds) {
+    const until = new Date(Date.now() + accountSeconds * 1000);
+    await redis.safeSet(lockKey(account), JSON.stringify({ until, failures: accountFailures.count }), accountSeconds);
+    await recordThrottled({ policy: 'loginLockout', kind: 'account', id: account, count: accountFailures.count, limit: ACCOUNT_LOCKOUT.threshold, retryAfter: accountSeconds });
+    if (accountFailures.count === ACCOUNT_LOCKOUT.threshold) {
+      console.warn(`[AUTH] ${account} locked for all clients after ${accountFailures.count} failed logins; possible distributed guessing`);
+    }
+    lock = { until, failures: accountFailures.count, scope: 'account' };
+  }
+
+  const seconds = lockoutSeconds(clientFailures.count);
+  if (seconds) {
+    const until = new Date(Date.now() + seconds * 1000);
+    await redis.safeSet(lockKey(account, client), JSON.stringify({ until, failures: clientFailures.count }), seconds);
+    await recordThrottled({ policy: 'loginLockout', kind: 'client', id: `${account}:${client}`, count: clientFailures.count, limit: LOGIN_LOCKOUT.threshold, retryAfter: seconds });
+    if (!lock || until > lock.until) lock = { until, failures: clientFailures.count, scope: 'client' };
+  }
+  return lock;
+}
+
+async function clearLoginFailures(email, ip) {
+  const account = normalizeEmail(email);
+  if (!account) return;
+  const client = ip || 'unknown';
+  await redis.safeDel(failuresKey(account, client));
+  await redis.safeDel(lockKey(account, client));
+  await redis.safeDel(`${THROTTLED_PREFIX}loginLockout:client:${account}:${client}`);
+  // The owner got in, so earlier failures elsewhere were not a reason to keep counting toward the account lock
+  await redis.safeDel(failuresKey(account));
+}
+
+/**
+ * Principals currently being throttled or locked out, latest release last
+ */
+async function listThrottled() {
+  const keys = await redis.safeKeysWithPrefix(THROTTLED_PREFIX);
+  const now = Date.now();
+  const entries = [];
+  for (const key of keys) {
+    const raw = await redis.safeGet(key);
+    if (!raw) continue;
+    try {
+      const entry = JSON.parse(raw);
+      const retryAfter = Math.ceil((new Date(entry.until).getTime() - now) / 1000);
+      if (retryAfter > 0) entries.push({ ...entry, retryAfter });
+    } catch { }
+  }
+
+  const userIds = entries.filter((e) => e.kind === 'user').map((e) => e.id);
+  const users = userIds.length ? await User.find({ _id: { $in: userIds } }).select('name email').lean() : [];
+  const byId = new Map(users.map((u) => [u._id, { id: u._id, name: u.name, email: u.email }]));
+
+  return {
+    backend: redis.isReady() ? 'redis' : 'memory',
+    policies: POLICIES,
+    items: entries
+      .map((e) => ({ ...e, user: e.kind === 'user' ? byId.get(e.id) || null : null }))
+      .sort((a, b) => new Date(a.until) - new Date(b.until)),
+  };
+}
+
+module.exports = {
+  consume,
+  getLoginLockout,
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  listThrottled,
+};
@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const Reaction = require('../models/Reaction');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const ForumPost = require('../models/ForumPost');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { toPublicUrl } = require('../utils/publicUrl');
+const { httpError } = require('../utils/httpError');
+const { encodeCursor, decodeCursor, parsePositiveInt } = require('./posts/cursor');
+
+const REACTION_TYPES = ['hug', 'strength', 'same_here', 'helpful'];
+
+const TARGET_MODELS = {
+  post: Post,
+  comment: Comment,
+  forum_post: ForumPost,
+  message: Message,
+};
+
+/**
+ * Fill in zero counts so clients always get every reaction type
+ */
+function normalizeReactionCounts(counts) {
+  const result = {};
+  for (const type of REACTION_TYPES) {
+    result[type] = Math.max(Number(counts?.[type]) || 0, 0);
+  }
+  return result;
+}
+
+function assertReactionType(type) {
+  if (!REACTION_TYPES.includes(type)) {
+    throw httpError(400, { error: `Invalid reaction type. Must be one of: ${REACTION_TYPES.join(', ')}` });
+  }
+}
+
+/**
+ * Toggle a reaction for a user. Counts are kept on the target document (reactionCounts.<type>).
+ * Access checks are the caller's responsibility.
+ */
+async function toggleReaction({ userId, targetType, targetId, type }) {
+  assertReactionType(type);
+  const Model = TARGET_MODELS[targetType];
+
+  const removed = await Reaction.deleteOne({ targetType, targetId, userId, type });
+  let reacted = false;
+
+  if (removed.deletedCount) {
+    await Model.updateOne({ _id: targetId, [`reactionCounts.${type}`]: { $gt: 0 } }, { $inc: { [`reactionCounts.${type}`]: -1 } });
+  } else {
+    try {
+      await Reaction.create({ _id: uuidv4(), targetType, targetId, userId, type, createdAt: new Date() });
+      await Model.updateOne({ _id: targetId }, { $inc: { [`reactionCounts.${type}`]: 1 } });
+    } catch (err) {
+      // Concurrent duplicate request already added this reaction
+      if (err.code !== 11000) throw err;
+    }
+    reacted = true;
+  }
+
+  const target = await Model.findById(targetId).select('reactionCounts').lean();
+  const viewerReactions = await getViewerReactions(userId, targetType, [targetId]);
+
+  return {
+    type,
+    reacted,
+    reactionCounts: normalizeReactionCounts(target?.reactionCounts),
+    viewerReactions: viewerReactions.get(targetId) || [],
+  };
+}
+
+/**
+ * Map of targetId -> reaction types the user has given
+ */
+async function getViewerReactions(userId, targetType, targetIds) {
+  const map = new Map();
+  if (!userId || !targetIds.length) return map;
+
+  const rows = await Reaction.find({ targetType, targetId: { $in: targetIds }, userId })
+    .select('targetId type')
+    .lean();
+
+  for (const row of rows) {
+    if (!map.has(row.targetId)) map.set(row.targetId, []);
+    map.get(row.targetId).push(row.type);
+  }
+  return map;
+}
+
+/**
+ * List who reacted to a target, newest first, optionally filtered by type
+ */
+async function listReactions(targetType, targetId, query) {
+  const limit = Math.min(parsePositiveInt(query?.limit, 20), 100);
+  const cursor = query?.cursor ? decodeCursor(query.cursor) : null;
+
+  const filter = { targetType, targetId };
+  if (query?.type) {
+    assertReactionType(query.type);
+    filter.type = query.type;
+  }
+  if (cursor) {
+    filter.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+    ];
+  }
+
+  const [rows, target] = await Promise.all([
+    Reaction.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean(),
+    TARGET_MODELS[targetType].findById(targetId).select('reactionCounts').lean(),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  const userIds = [...new Set(page.map((r) => r.userId))];
+  const users = userIds.length
+    ? await User.find({ _id: { $in: userIds } }).select('name role avatarUrl').lean()
+    : [];
+  const userMap = new Map(users.map((u) => [u._id, u]));
+
+  return {
+    reactions: page.map((r) => {
+      const u = userMap.get(r.userId);
+      return {
+        id: r._id,
+        type: r.type,
+        createdAt: r.createdAt,
+        user: u ? { id: u._id, name: u.name, role: u.role, avatarUrl: toPublicUrl(u.avatarUrl) } : null,
+      };
+    }),
+    reactionCounts: normalizeReactionCounts(target?.reactionCounts),
+    nextCursor: hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+    hasMore,
+  };
+}
+
+module.exports = {
+  REACTION_TYPES,
+  normalizeReactionCounts,
+  toggleReaction,
+  getViewerReactions,
+  listReactions,
+};
@@ -6,6 +6,7 @@ let client = null;
 let ready = false;
 let usingFallback = false;
 
+// Entries honour the same TTL they were given for Redis, so a fallback read is never staler than a Redis one
 class LRUMap {
   constructor(max = 5000) {
     this.max = max;
@@ -13,18 +14,19 @@ class LRUMap {
   }
   get(key) {
     if (!this.cache.has(key)) return undefined;
-    const v = this.cache.get(key);
+    const entry = this.cache.get(key);
     this.cache.delete(key);
-    this.cache.set(key, v);
-    return v;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) return undefined;
+    this.cache.set(key, entry);
+    return entry.value;
   }
-  set(key, value) {
+  set(key, value, ttlSeconds) {
     if (this.cache.has(key)) this.cache.delete(key);
     else if (this.cache.size >= this.max) {
       const first = this.cache.keys().next().value;
       this.cache.delete(first);
     }
-    this.cache.set(key, value);
+    this.cache.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
   }
   del(key) { this.cache.delete(key); }
   clear() { this.cache.clear(); }
@@ -80,7 +82,7 @@ async function safeGet(key) {
 }
 
 async function safeSet(key, value, ttlSeconds) {
-  fallbackLRU.set(key, value);
+  fallbackLRU.set(key, value, ttlSeconds);
   if (!ready) return;
   try {
     if (ttlSeconds) {
@@ -108,6 +110,50 @@ async function safeDelPattern(pattern) {
   } catch { }
 }
 
+/**
+ * Increment a counter that expires ttlSeconds after its first increment. Returns { count, ttlMs }.
+ * The fallback keeps the window's expiry with the count, since incrementing must not extend it.
+ */
+async function safeIncr(key, ttlSeconds) {
+  if (ready) {
+    try {
+      const [[, count], [, ttlMs]] = await client.multi().incr(key).pttl(key).exec();
+      if (ttlMs >= 0) return { count, ttlMs };
+      await client.pexpire(key, ttlSeconds * 1000);
+      return { count, ttlMs: ttlSeconds * 1000 };
+    } catch { }
+  }
+
+  const now = Date.now();
+  let entry = null;
+  try { entry = JSON.parse(fallbackLRU.get(key) || 'null'); } catch { }
+  if (!entry || entry.expiresAt <= now) entry = { count: 0, expiresAt: now + ttlSeconds * 1000 };
+  entry.count += 1;
+  fallbackLRU.set(key, JSON.stringify(entry), ttlSeconds);
+  return { count: entry.count, ttlMs: entry.expiresAt - now };
+}
+
+/**
+ * Keys starting with prefix (at most `limit`)
+ */
+async function safeKeysWithPrefix(prefix, limit = 1000) {
+  if (ready) {
+    try {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        keys.push(...batch);
+        cursor = next;
+      } while (cursor !== '0' && keys.length < limit);
+      return keys.slice(0, limit);
+    } catch { }
+  }
+  return [...fallbackLRU.cache.keys()]
+    .filter((key) => key.startsWith(prefix) && fallbackLRU.get(key) !== undefined)
+    .slice(0, limit);
+}
+
 function isReady() { return ready; }
 function isFallback() { return usingFallback; }
 
@@ -119,6 +165,8 @@ module.exports = {
   safeSet,
   safeDel,
   safeDelPattern,
+  safeIncr,
+  safeKeysWithPrefix,
   isReady,
   isFallback,
 };
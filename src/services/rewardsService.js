@@ -0,0 +1,460 @@
+const { v4: uuidv4 } = require('uuid');
+const Reward = require('../models/Reward');
+const Redemption = require('../models/Redemption');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const TokenLedger = require('../models/TokenLedger');
+const { recordLedgerEntry, getUserGamification } = require('./tokenService');
+const { notifyRedemptionUpdate } = require('../utils/notifications');
+const { sanitizeInput } = require('../utils/moderation');
+const { toPublicUrl } = require('../utils/publicUrl');
+const { httpError } = require('../utils/httpError');
+const { transitionQuery } = require('../utils/redemptions');
+const { encodeCursor, decodeCursor, parsePositiveInt } = require('./posts/cursor');
+
+const REWARD_CATEGORIES = ['profile_flair', 'featured_post_boost', 'charity_donation'];
+// Categories that take effect as soon as they are paid for; charity donations wait for an admin
+const AUTO_FULFILLED_CATEGORIES = ['profile_flair', 'featured_post_boost'];
+const DEFAULT_BOOST_HOURS = 24;
+const MAX_BOOST_HOURS = 24 * 30;
+const MAX_FLAIR_LENGTH = 40;
+// A redemption still 'processing' after this long was interrupted (e.g. by a restart) and is settled by the sweep
+const RECONCILE_AFTER_MS = Number(process.env.REDEMPTION_RECONCILE_AFTER_MINUTES || 10) * 60 * 1000;
+const RECONCILE_INTERVAL_MS = Number(process.env.REDEMPTION_RECONCILE_INTERVAL_MS || 5 * 60 * 1000);
+let _reconcileTimer = null;
+
+function formatReward(reward) {
+  const obj = reward.toObject ? reward.toObject() : { ...reward, id: reward._id };
+  delete obj._id;
+  delete obj.__v;
+  return { ...obj, imageUrl: toPublicUrl(obj.imageUrl) };
+}
+
+function formatRedemption(redemption) {
+  const obj = redemption.toObject ? redemption.toObject() : { ...redemption, id: redemption._id };
+  delete obj._id;
+  delete obj.__v;
+  return obj;
+}
+
+/**
+ * Validate admin input for a reward. `partial` allows omitting fields on update.
+ */
+function buildRewardFields(body, partial = false) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = sanitizeInput(body.name || '');
+    if (!name) throw httpError(400, { error: 'Name is required' });
+    fields.name = name;
+  }
+  if (body.description !== undefined) fields.description = sanitizeInput(body.description || '');
+  if (!partial || body.category !== undefined) {
+    if (!REWARD_CATEGORIES.includes(body.category)) {
+      throw httpError(400, { error: `Invalid category. Must be one of: ${REWARD_CATEGORIES.join(', ')}` });
+    }
+    fields.category = body.category;
+  }
+  if (!partial || body.cost !== undefined) {
+    const cost = Number(body.cost);
+    if (!Number.isInteger(cost) || cost <= 0) throw httpError(400, { error: 'Cost must be a positive whole number of tokens' });
+    fields.cost = cost;
+  }
+  if (body.stock !== undefined) {
+    const stock = body.stock === null ? null : Number(body.stock);
+    if (stock !== null && (!Number.isInteger(stock) || stock < 0)) throw httpError(400, { error: 'Stock must be a non-negative whole number or null' });
+    fields.stock = stock;
+  }
+  if (body.imageUrl !== undefined) fields.imageUrl = String(body.imageUrl || '');
+  if (body.details !== undefined) fields.details = body.details && typeof body.details === 'object' ? body.details : {};
+  if (body.active !== undefined) fields.active = !!body.active;
+
+  return fields;
+}
+
+async function listRewards({ includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { active: true };
+  const rewards = await Reward.find(filter).sort({ cost: 1, createdAt: 1 });
+  return { rewards: rewards.map(formatReward) };
+}
+
+async function createReward(adminId, body) {
+  const now = new Date();
+  const reward = await Reward.create({
+    _id: uuidv4(),
+    ...buildRewardFields(body),
+    createdBy: adminId,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return { reward: formatReward(reward) };
+}
+
+async function updateReward(id, body) {
+  const fields = buildRewardFields(body, true);
+  const reward = await Reward.findByIdAndUpdate(id, { ...fields, updatedAt: new Date() }, { new: true, runValidators: true });
+  if (!reward) throw httpError(404, { error: 'Reward not found' });
+  return { reward: formatReward(reward) };
+}
+
+/**
+ * Rewards are retired rather than deleted so redemption history keeps pointing at them
+ */
+async function deactivateReward(id) {
+  const reward = await Reward.findByIdAndUpdate(id, { active: false, updatedAt: new Date() }, { new: true });
+  if (!reward) throw httpError(404, { error: 'Reward not found' });
+  return { success: true, reward: formatReward(reward) };
+}
+
+// Unlimited rewards (stock null) are left alone
+async function releaseStock(rewardId) {
+  await Reward.updateOne({ _id: rewardId, stock: { $ne: null } }, { $inc: { stock: 1 } });
+}
+
+/**
+ * Move a redemption along its lifecycle (utils/redemptions); null when its status no longer allows the action
+ */
+function transitionRedemption(redemptionId, action, fields = {}, now = new Date()) {
+  const { filter, update } = transitionQuery(redemptionId, action, fields, now);
+  return Redemption.findOneAndUpdate(filter, update, { new: true });
+}
+
+function debitKey(redemptionId) {
+  return `redeem:${redemptionId}`;
+}
+
+function boostMs(redemption) {
+  const hours = Number(redemption.reward?.details?.boostHours);
+  const valid = Number.isFinite(hours) && hours > 0 ? Math.min(hours, MAX_BOOST_HOURS) : DEFAULT_BOOST_HOURS;
+  return valid * 60 * 60 * 1000;
+}
+
+/**
+ * Apply what a fulfilled reward does: set the user's flair, or extend the boosted post's featured window.
+ * Callers claim the redemption (pending -> fulfilled) first so a boost is never added twice.
+ */
+async function applyRewardEffect(redemption, now = new Date()) {
+  const category = redemption.reward?.category;
+  if (category === 'profile_flair') {
+    const text = sanitizeInput(String(redemption.reward.details?.flair || redemption.reward.name || '')).slice(0, MAX_FLAIR_LENGTH);
+    await User.updateOne(
+      { _id: redemption.userId },
+      { flair: { text, redemptionId: redemption._id, grantedAt: now }, updatedAt: now }
+    );
+  } else if (category === 'featured_post_boost' && redemption.targetId) {
+    // Boosts stack: a post that is already featured is featured for longer
+    await Post.updateOne(
+      { _id: redemption.targetId },
+      [{ $set: { featuredUntil: { $add: [{ $max: [{ $ifNull: ['$featuredUntil', now] }, now] }, boostMs(redemption)] } } }],
+      { updatePipeline: true }
+    );
+  }
+}
+
+/**
+ * Take back a refunded reward's effect. Flair is only cleared if it is still the one this redemption bought.
+ */
+async function undoRewardEffect(redemption, now = new Date()) {
+  const category = redemption.reward?.category;
+  if (category === 'profile_flair') {
+    await User.updateOne(
+      { _id: redemption.userId, 'flair.redemptionId': redemption._id },
+      { flair: { text: '', redemptionId: null, grantedAt: null }, updatedAt: now }
+    );
+  } else if (category === 'featured_post_boost' && redemption.targetId) {
+    const until = { $subtract: ['$featuredUntil', boostMs(redemption)] };
+    await Post.updateOne(
+      { _id: redemption.targetId, featuredUntil: { $gt: now } },
+      [{ $set: { featuredUntil: { $cond: [{ $gt: [until, now] }, until, null] } } }],
+      { updatePipeline: true }
+    );
+  }
+}
+
+/**
+ * Fulfil a paid-for flair or boost straight away. Other categories are returned unchanged, still pending.
+ */
+async function fulfilAutomatically(redemption) {
+  if (!AUTO_FULFILLED_CATEGORIES.includes(redemption.reward?.category)) return redemption;
+  const now = new Date();
+  const fulfilled = await transitionRedemption(redemption._id, 'fulfil', { fulfilledAt: now, fulfilmentNote: 'Applied automatically' }, now);
+  if (!fulfilled) return redemption;
+  await applyRewardEffect(fulfilled, now);
+  return fulfilled;
+}
+
+/**
+ * Mark a redemption that was never paid for as failed and give back its stock
+ */
+async function failRedemption(redemption, reason) {
+  const failed = await transitionRedemption(redemption._id, 'fail', { failureReason: reason });
+  if (failed?.stockReserved) await releaseStock(failed.rewardId);
+  return failed;
+}
+
+/**
+ * Spend tokens on a reward. MongoDB runs here without a replica set, so there are no transactions; instead
+ * the redemption is written first as 'processing', then stock is reserved and the balance debited with
+ * guarded atomic updates, and only then does it become 'pending'. A failed step undoes the earlier ones,
+ * and a crash part way is settled by reconcileRedemptions from what the ledger shows.
+ * A client idempotencyKey makes retries return the first redemption.
+ */
+async function redeemReward(userId, rewardId, body = {}) {
+  const reward = await Reward.findOne({ _id: rewardId, active: true }).lean();
+  if (!reward) throw httpError(404, { error: 'Reward not found' });
+
+  let targetId = null;
+  if (reward.category === 'featured_post_boost') {
+    if (!body.postId) throw httpError(400, { error: 'postId is required for a featured post boost' });
+    const post = await Post.exists({ _id: body.postId, authorId: userId, removed: false });
+    if (!post) throw httpError(400, { error: 'You can only boost your own posts' });
+    targetId = body.postId;
+  }
+
+  const idempotencyKey = body.idempotencyKey ? String(body.idempotencyKey) : undefined;
+  if (idempotencyKey) {
+    const existing = await Redemption.findOne({ userId, idempotencyKey });
+    if (existing) return previousRedemption(userId, existing);
+  }
+
+  const now = new Date();
+  let redemption;
+  try {
+    redemption = await Redemption.create({
+      _id: uuidv4(),
+      userId,
+      rewardId: reward._id,
+      reward: { name: reward.name, category: reward.category, details: reward.details || {} },
+      cost: reward.cost,
+      targetId,
+      status: 'processing',
+      idempotencyKey,
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'This redemption is already being processed' });
+    throw err;
+  }
+
+  if (reward.stock !== null && reward.stock !== undefined) {
+    const reserved = await Reward.updateOne({ _id: reward._id, active: true, stock: { $gt: 0 } }, { $inc: { stock: -1 } });
+    if (!reserved.modifiedCount) {
+      await failRedemption(redemption, 'Out of stock');
+      throw httpError(409, { error: 'Reward is out of stock' });
+    }
+    await Redemption.updateOne({ _id: redemption._id }, { stockReserved: true });
+  }
+
+  const debit = await recordLedgerEntry({
+    userId,
+    action: 'reward_redemption',
+    tokens: -reward.cost,
+    metadata: { rewardId: reward._id, rewardName: reward.name, redemptionId: redemption._id },
+    idempotencyKey: debitKey(redemption._id),
+    requireBalance: true,
+  });
+
+  if (debit.insufficientFunds || debit.duplicate) {
+    await failRedemption(redemption, debit.duplicate ? 'Already processed' : 'Insufficient tokens');
+    if (debit.duplicate) throw httpError(409, { error: 'This redemption is already being processed' });
+    const gamification = await getUserGamification(userId);
+    throw httpError(400, { error: 'Insufficient tokens', balance: gamification.totalTokens, cost: reward.cost });
+  }
+
+  const paid = await transitionRedemption(redemption._id, 'pay', { ledgerEntryId: debit.entry._id });
+  if (!paid) {
+    // The sweep gave up on this redemption while it was being paid for
+    await refundDebit(redemption, 'Redemption expired before it was paid for');
+    throw httpError(409, { error: 'Redemption timed out; your tokens have been returned' });
+  }
+
+  // The tokens are spent either way; a pending flair or boost left by a failure here is retried by the sweep
+  const settled = await fulfilAutomatically(paid).catch((err) => {
+    console.error('Error applying reward:', err);
+    return paid;
+  });
+
+  return { _statusCode: 201, redemption: formatRedemption(settled), balance: debit.newTotal };
+}
+
+async function previousRedemption(userId, redemption) {
+  if (redemption.status === 'processing') throw httpError(409, { error: 'This redemption is already being processed' });
+  const gamification = await getUserGamification(userId);
+  return { redemption: formatRedemption(redemption), balance: gamification.totalTokens };
+}
+
+function refundDebit(redemption, reason) {
+  return recordLedgerEntry({
+    userId: redemption.userId,
+    action: 'reward_refund',
+    tokens: redemption.cost,
+    metadata: { rewardId: redemption.rewardId, redemptionId: redemption._id, reason },
+    idempotencyKey: `refund:${redemption._id}`,
+  });
+}
+
+/**
+ * Settle redemptions left 'processing' by a crash: one whose debit reached the ledger is paid for and
+ * becomes 'pending'; one without a debit fails and returns its stock. A crash between reserving stock and
+ * recording that on the redemption can still lose one unit of stock, but never tokens.
+ * Paid-for flair and boosts still pending (e.g. the process stopped before applying them) are fulfilled.
+ */
+async function reconcileRedemptions(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RECONCILE_AFTER_MS);
+  const stuck = await Redemption.find({ status: 'processing', createdAt: { $lte: cutoff } })
+    .limit(200)
+    .lean();
+  let settled = 0;
+  for (const redemption of stuck) {
+    const debit = await TokenLedger.findOne({ idempotencyKey: debitKey(redemption._id) }).select('_id').lean();
+    const updated = debit
+      ? await transitionRedemption(redemption._id, 'pay', { ledgerEntryId: debit._id })
+      : await failRedemption(redemption, 'Interrupted before payment');
+    if (updated) settled += 1;
+  }
+
+  const unapplied = await Redemption.find({
+    status: 'pending',
+    'reward.category': { $in: AUTO_FULFILLED_CATEGORIES },
+    updatedAt: { $lte: cutoff },
+  })
+    .limit(200)
+    .lean();
+  for (const redemption of unapplied) {
+    const fulfilled = await fulfilAutomatically(redemption);
+    if (fulfilled.status === 'fulfilled') settled += 1;
+  }
+  if (settled) console.log(`[REWARDS] Reconciled ${settled} interrupted redemption(s)`);
+  return settled;
+}
+
+function startRedemptionReconcileJob() {
+  if (_reconcileTimer) return;
+  const run = () => reconcileRedemptions().catch((err) => console.error('Redemption reconciliation failed:', err));
+  _reconcileTimer = setInterval(run, RECONCILE_INTERVAL_MS);
+  if (_reconcileTimer.unref) _reconcileTimer.unref(); // don't keep process alive
+}
+
+async function getUserRedemptions(userId, { cursor = null, limit = 20 } = {}) {
+  const pageSize = Math.min(parsePositiveInt(limit, 20), 100);
+  const decoded = cursor ? decodeCursor(cursor) : null;
+
+  const filter = { userId };
+  if (decoded) {
+    filter.$or = [
+      { createdAt: { $lt: decoded.createdAt } },
+      { createdAt: decoded.createdAt, _id: { $lt: decoded.id } },
+    ];
+  }
+
+  const rows = await Redemption.find(filter).sort({ createdAt: -1, _id: -1 }).limit(pageSize + 1).lean();
+  const hasMore = rows.length > pageSize;
+  const page = hasMore ? rows.slice(0, pageSize) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    redemptions: page.map(formatRedemption),
+    nextCursor: hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+    hasMore,
+  };
+}
+
+async function listRedemptions(query) {
+  const page = Math.max(parseInt(query?.page || '1', 10), 1);
+  const limit = Math.min(Math.max(parseInt(query?.limit || '25', 10), 1), 100);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (query?.status) filter.status = String(query.status);
+  if (query?.userId) filter.userId = String(query.userId);
+
+  const [items, total] = await Promise.all([
+    Redemption.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('userId', 'name email').lean(),
+    Redemption.countDocuments(filter),
+  ]);
+
+  return {
+    items: items.map((r) => {
+      const user = r.userId && typeof r.userId === 'object' ? r.userId : null;
+      return { ...formatRedemption(r), userId: user ? user._id : r.userId, user: user ? { id: user._id, name: user.name, email: user.email } : null };
+    }),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+async function fulfilRedemption(id, adminId, body = {}) {
+  const now = new Date();
+  const redemption = await transitionRedemption(id, 'fulfil', {
+    fulfilledBy: adminId,
+    fulfilledAt: now,
+    fulfilmentNote: sanitizeInput(body.note || ''),
+  }, now);
+  if (!redemption) {
+    const exists = await Redemption.exists({ _id: id });
+    if (!exists) throw httpError(404, { error: 'Redemption not found' });
+    throw httpError(409, { error: 'Only pending redemptions can be fulfilled' });
+  }
+  await applyRewardEffect(redemption, now);
+
+  notifyRedemptionUpdate(redemption.userId, redemption).catch((err) =>
+    console.error('Error creating redemption notification:', err),
+  );
+
+  return { redemption: formatRedemption(redemption) };
+}
+
+/**
+ * Refund a redemption: writes a reversing ledger entry, returns the item to stock and takes back any
+ * flair or boost it applied
+ */
+async function refundRedemption(id, adminId, body = {}) {
+  const now = new Date();
+  const reason = sanitizeInput(body.reason || '');
+  const redemption = await transitionRedemption(id, 'refund', { refundedBy: adminId, refundedAt: now, refundReason: reason }, now);
+  if (!redemption) {
+    const exists = await Redemption.exists({ _id: id });
+    if (!exists) throw httpError(404, { error: 'Redemption not found' });
+    throw httpError(409, { error: 'Only pending or fulfilled redemptions can be refunded' });
+  }
+
+  const credit = await recordLedgerEntry({
+    userId: redemption.userId,
+    action: 'reward_refund',
+    tokens: redemption.cost,
+    metadata: { rewardId: redemption.rewardId, redemptionId: redemption._id, reason, refundedBy: adminId },
+    idempotencyKey: `refund:${redemption._id}`,
+  });
+
+  if (credit.entry) {
+    redemption.refundLedgerEntryId = credit.entry._id;
+    await redemption.save();
+  }
+
+  await releaseStock(redemption.rewardId);
+  if (redemption.fulfilledAt) await undoRewardEffect(redemption, now);
+
+  notifyRedemptionUpdate(redemption.userId, redemption).catch((err) =>
+    console.error('Error creating redemption notification:', err),
+  );
+
+  return { redemption: formatRedemption(redemption) };
+}
+
+module.exports = {
+  REWARD_CATEGORIES,
+  listRewards,
+  createReward,
+  updateReward,
+  deactivateReward,
+  redeemReward,
+  getUserRedemptions,
+  listRedemptions,
+  fulfilRedemption,
+  refundRedemption,
+  reconcileRedemptions,
+  startRedemptionReconcileJob,
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const cache = require('./cacheService');
+const redis = require('./redisClient');
+const { httpError } = require('../utils/httpError');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// Revocations are written straight to the cache, so they apply at once through Redis. While Redis is down
+// each server caches in memory, and another server can keep accepting a revoked token for up to this long.
+const REVOCATION_CACHE_TTL = Number(process.env.AUTH_CACHE_TTL || 120);
+// Tokens from before sessions lasted 7 days, so user-wide revocations are cached at least that long
+const LEGACY_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function sessionStateKey(sessionId) {
+  return `auth:session:${sessionId}`;
+}
+
+function revokedBeforeKey(userId) {
+  return `auth:revoked-before:${userId}`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Refresh tokens are '<sessionId>.<secret>'; only the secret's hash is stored
+ */
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || extra !== undefined) return null;
+  return { sessionId, secretHash: hashSecret(secret) };
+}
+
+async function createSession(userId, client = {}) {
+  const now = new Date();
+  const _id = uuidv4();
+  const { refreshToken, refreshTokenHash } = newRefreshToken(_id);
+  const session = await Session.create({
+    _id,
+    userId,
+    refreshTokenHash,
+    ip: client.ip || '',
+    userAgent: client.userAgent || '',
+    browser: client.browser,
+    os: client.os,
+    device: client.device,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return { session, refreshToken };
+}
+
+/**
+ * Stop serving the user's cached GET responses (middleware/responseCache), which are looked up before
+ * the token is checked. Cognito tokens carry the sub rather than our user id, so both are bumped.
+ */
+async function expireCachedResponses(userId) {
+  const user = await User.findById(userId).select('cognitoSub').lean();
+  await Promise.all([userId, user?.cognitoSub].filter(Boolean).map((principal) => cache.bumpResponseGeneration(principal)));
+}
+
+/**
+ * Drop sockets belonging to revoked sessions (or every socket of the user)
+ */
+function disconnectSockets(room) {
+  const { getIoInstance } = require('../socket');
+  const io = getIoInstance();
+  if (io) io.in(room).disconnectSockets(true);
+}
+
+/**
+ * Overwrite the cached state of the sessions rather than waiting for it to expire
+ */
+async function markRevoked(sessionIds) {
+  await Promise.all(sessionIds.map((id) =>
+    redis.safeSet(sessionStateKey(id), JSON.stringify({ active: false }), REVOCATION_CACHE_TTL)));
+  sessionIds.forEach((id) => disconnectSockets(`session:${id}`));
+}
+
+async function revokeSession(sessionId, reason) {
+  const revoked = await Session.findOneAndUpdate({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+    .select('userId')
+    .lean();
+  await markRevoked([sessionId]);
+  if (revoked) await expireCachedResponses(revoked.userId);
+  return !!revoked;
+}
+
+/**
+ * Exchange a refresh token for a new one on the same session. Only the latest token of a live session is
+ * accepted; any other secret for it is one that was rotated away (or never issued), so the token is treated
+ * as stolen and the session ends, however many rotations back it was.
+ */
+async function rotateRefreshToken(refreshToken, client = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw httpError(401, { error: 'Invalid refresh token' });
+
+  const now = new Date();
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    throw httpError(401, { error: 'Session expired or revoked' });
+  }
+  if (parsed.secretHash !== session.refreshTokenHash) {
+    await revokeSession(session._id, 'reuse_detected');
+    throw httpError(401, { error: 'Refresh token was already used; the session has been signed out' });
+  }
+
+  const next = newRefreshToken(session._id);
+  // Conditional on the current hash so two concurrent refreshes can't both succeed; the loser was valid
+  // when read, so it gets a plain 401 rather than ending the session
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: parsed.secretHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastUsedAt: now,
+        ...(client.ip ? { ip: client.ip } : {}),
+      },
+    },
+    { new: true },
+  );
+  if (!updated) throw httpError(401, { error: 'Invalid refresh token' });
+  return { session: updated, refreshToken: next.refreshToken };
+}
+
+/**
+ * Sign a user out everywhere: every session ends, and tokens without a session (older local tokens,
+ * Cognito tokens) issued before now stop working.
+ */
+async function revokeAllSessions(userId, reason) {
+  const now = new Date();
+  const active = await Session.find({ userId, revokedAt: null }).select('_id').lean();
+  await Session.updateMany({ userId, revokedAt: null }, { revokedAt: now, revokedReason: reason });
+  await User.updateOne({ _id: userId }, { sessionsRevokedAt: now });
+
+  await redis.safeSet(revokedBeforeKey(userId), JSON.stringify(now.getTime()), LEGACY_TOKEN_TTL_SECONDS);
+  await markRevoked(active.map((s) => s._id));
+  await expireCachedResponses(userId);
+  disconnectSockets(`user:${userId}`);
+  return active.length;
+}
+
+/**
+ * Whether an access token has been revoked. Lookups are cached, and revocations write the cache directly,
+ * so most requests never reach the database.
+ */
+async function isAccessTokenRevoked({ id, sid, iat }) {
+  if (sid) {
+    const state = await cache.getOrSet(sessionStateKey(sid), async () => {
+      const session = await Session.findById(sid).select('revokedAt').lean();
+      return { active: !!session && !session.revokedAt };
+    }, REVOCATION_CACHE_TTL);
+    return !state.active;
+  }
+
+  if (!id || !iat) return false;
+  const revokedBefore = await cache.getOrSet(revokedBeforeKey(id), async () => {
+    const user = await User.findById(id).select('sessionsRevokedAt').lean();
+    return user?.sessionsRevokedAt ? user.sessionsRevokedAt.getTime() : 0;
+  }, REVOCATION_CACHE_TTL);
+  // iat has whole seconds; a token issued in the same second as the revocation is kept
+  return iat < Math.floor(revokedBefore / 1000);
+}
+
+/**
+ * Drop a user's open sockets without ending their sessions; reconnecting goes through the usual checks
+ */
+function disconnectUserSockets(userId) {
+  disconnectSockets(`user:${userId}`);
+}
+
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return sessions.map((s) => ({
+    id: s._id,
+    ip: s.ip,
+    browser: s.browser,
+    os: s.os,
+    device: s.device,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    current: s._id === currentSessionId,
+  }));
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  disconnectUserSockets,
+  expireCachedResponses,
+  isAccessTokenRevoked,
+  listSessions,
+};
@@ -0,0 +1,86 @@
+const Gamification = require('../models/Gamification');
+const User = require('../models/User');
+const { getUserGamification, processUserAction } = require('./tokenService');
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  dayKeyInZone,
+  streakMultiplier,
+  advanceStreak,
+} = require('../utils/streaks');
+
+// userId -> { dayKey, timeZone } of the last day already recorded by this process,
+// so authenticated requests after the first one of the day skip the database
+const recordedToday = new Map();
+const MAX_TRACKED_USERS = 10000;
+
+function rememberRecorded(userId, dayKey, timeZone) {
+  recordedToday.delete(userId);
+  if (recordedToday.size >= MAX_TRACKED_USERS) {
+    recordedToday.delete(recordedToday.keys().next().value);
+  }
+  recordedToday.set(userId, { dayKey, timeZone });
+}
+
+/**
+ * Count today as an active day for the user and award the daily_login bonus once per calendar day,
+ * scaled by the streak multiplier. clientTimeZone is only used when the user has not set one.
+ * Returns null when today was already recorded.
+ */
+async function recordDailyLogin(userId, { timeZone: clientTimeZone } = {}) {
+  const now = new Date();
+  const cached = recordedToday.get(userId);
+  if (cached && dayKeyInZone(now, cached.timeZone) === cached.dayKey) return null;
+
+  const user = await User.findById(userId).select('timezone').lean();
+  if (!user) return null;
+
+  let timeZone = user.timezone;
+  if (!isValidTimeZone(timeZone) && isValidTimeZone(clientTimeZone)) {
+    timeZone = clientTimeZone;
+    await User.updateOne({ _id: userId, timezone: user.timezone || '' }, { timezone: clientTimeZone });
+  }
+  timeZone = resolveTimeZone(timeZone);
+
+  const todayKey = dayKeyInZone(now, timeZone);
+  const gamification = await getUserGamification(userId);
+  const previous = gamification.loginStreak || {};
+  const next = advanceStreak(previous, todayKey);
+  if (!next) {
+    rememberRecorded(userId, todayKey, timeZone);
+    return null;
+  }
+
+  // Award before advancing the streak: the day's key makes a repeat award a no-op, and a failed award
+  // leaves the day unrecorded so the next request tries again instead of losing the bonus
+  const multiplier = streakMultiplier(next.current);
+  const result = await processUserAction(
+    userId,
+    'daily_login',
+    { day: todayKey, streak: next.current, multiplier },
+    { idempotencyKey: `daily_login:${userId}:${todayKey}`, multiplier }
+  );
+  if (result.error) return null;
+
+  // Guard on the previous day so concurrent requests advance the streak only once
+  const updated = await Gamification.updateOne(
+    { userId, 'loginStreak.lastActiveDay': previous.lastActiveDay || null },
+    { $set: { loginStreak: { ...next, timeZone }, updatedAt: now } }
+  );
+  rememberRecorded(userId, todayKey, timeZone);
+  if (!updated.modifiedCount) return null;
+
+  return { streak: next, multiplier, ...result };
+}
+
+/**
+ * Fire-and-forget wrapper for the authenticate middleware and socket connections
+ */
+function trackDailyLogin(userId, timeZone) {
+  if (!userId) return;
+  recordDailyLogin(String(userId), { timeZone }).catch((err) =>
+    console.error(`Error recording daily login for ${userId}:`, err)
+  );
+}
+
+module.exports = { recordDailyLogin, trackDailyLogin };
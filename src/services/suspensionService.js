@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const SuspensionAppeal = require('../models/SuspensionAppeal');
+const cache = require('./cacheService');
+const { disconnectUserSockets, expireCachedResponses } = require('./sessionService');
+const { sendSuspensionEmail, sendSuspensionLiftedEmail, sendSuspensionAppealDecisionEmail } = require('./emailService');
+const { parseSuspensionTerms, isSuspensionActive } = require('./auth/suspensions');
+const { httpError } = require('../utils/httpError');
+
+// Appeal tokens get their own key and audience, so one can never pass for an access token
+const APPEAL_TOKEN_SECRET = process.env.SUSPENSION_APPEAL_TOKEN_SECRET
+  || crypto.createHmac('sha256', process.env.JWT_SECRET || 'winsights-dev-secret').update('suspension-appeal').digest('hex');
+const APPEAL_TOKEN_AUDIENCE = 'suspension-appeal';
+const SUSPENSION_CACHE_TTL = Number(process.env.AUTH_CACHE_TTL || 120);
+const SWEEP_INTERVAL_MS = Number(process.env.SUSPENSION_SWEEP_INTERVAL_MS || 60 * 1000);
+// Suspended users can't sign in, so the appeal endpoint accepts this token from the 403 instead
+const APPEAL_TOKEN_TTL = process.env.SUSPENSION_APPEAL_TOKEN_TTL || '7d';
+const MAX_APPEAL_LENGTH = 2000;
+const CLEARED = { reason: '', suspendedBy: null, suspendedAt: null, until: null };
+let _expiryTimer = null;
+
+function suspensionKey(userId) {
+  return `auth:suspension:${userId}`;
+}
+
+/**
+ * What a suspended user is told about their suspension
+ */
+function publicSuspension(user) {
+  const s = user.suspension || {};
+  return { reason: s.reason || '', suspendedAt: s.suspendedAt || null, until: s.until || null };
+}
+
+function createAppealToken(userId) {
+  return jwt.sign({ sub: userId, purpose: 'suspension_appeal' }, APPEAL_TOKEN_SECRET, {
+    audience: APPEAL_TOKEN_AUDIENCE,
+    expiresIn: APPEAL_TOKEN_TTL,
+  });
+}
+
+/**
+ * 403 body for a suspended user, with a token for sending an appeal
+ */
+function suspendedResponse(userId, suspension) {
+  return {
+    error: 'Account suspended',
+    suspension,
+    appealToken: createAppealToken(userId),
+  };
+}
+
+function suspendedError(userId, suspension) {
+  return httpError(403, suspendedResponse(userId, suspension));
+}
+
+/**
+ * The user's current suspension ({ reason, suspendedAt, until }) or null. Checked on every authenticated
+ * request, so the lookup is cached; a timed suspension found to have ended is lifted on the spot.
+ */
+async function getActiveSuspension(userId, now = new Date()) {
+  if (!userId) return null;
+  const state = await cache.getOrSet(suspensionKey(userId), async () => {
+    const user = await User.findById(userId).select('suspended suspension').lean();
+    return user?.suspended ? { suspended: true, ...publicSuspension(user) } : { suspended: false };
+  }, SUSPENSION_CACHE_TTL);
+
+  if (!state?.suspended) return null;
+  if (!isSuspensionActive(state, now)) {
+    liftSuspension(userId, { expired: true }).catch((err) => console.error(`Error lifting expired suspension of ${userId}:`, err));
+    return null;
+  }
+  const { suspended, ...suspension } = state;
+  return suspension;
+}
+
+/**
+ * Suspend a user (or change the terms of an existing suspension). Open sockets are dropped. Sessions are
+ * kept, so the user's next request gets the 403 with an appeal token rather than a bare 401, and they are
+ * signed in again once the suspension ends.
+ */
+async function suspendUser(userId, adminId, body = {}) {
+  const now = new Date();
+  const { reason, until } = parseSuspensionTerms(body, now);
+  if (userId === adminId) throw httpError(400, { error: 'You cannot suspend yourself' });
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { suspended: true, suspension: { reason, suspendedBy: adminId || null, suspendedAt: now, until }, updatedAt: now },
+    { new: true },
+  );
+  if (!user) throw httpError(404, { error: 'User not found' });
+
+  await cache.invalidate(suspensionKey(userId));
+  await expireCachedResponses(user._id);
+  disconnectUserSockets(user._id);
+
+  sendSuspensionEmail({ user, reason, until })
+    .catch((err) => console.error(`Error sending suspension email to ${user._id}:`, err));
+  return user;
+}
+
+/**
+ * Lift a suspension. `expired` marks the automatic lift at the end of a timed suspension; `notify: false`
+ * skips the email when the caller sends its own.
+ */
+async function liftSuspension(userId, { expired = false, notify = true } = {}) {
+  const filter = { _id: userId, suspended: true };
+  // An expiry must not undo a suspension an admin has since extended
+  if (expired) filter['suspension.until'] = { $ne: null, $lte: new Date() };
+
+  const user = await User.findOneAndUpdate(filter, { suspended: false, suspension: CLEARED, updatedAt: new Date() }, { new: true });
+  await cache.invalidate(suspensionKey(userId));
+  if (!user) return null;
+
+  // Nothing left to appeal
+  await SuspensionAppeal.updateMany(
+    { userId, status: 'pending' },
+    { status: 'approved', reviewedAt: new Date(), reviewNote: expired ? 'Suspension ended' : 'Suspension lifted', updatedAt: new Date() },
+  );
+
+  if (notify) {
+    sendSuspensionLiftedEmail({ user, expired })
+      .catch((err) => console.error(`Error sending suspension lifted email to ${user._id}:`, err));
+  }
+  return user;
+}
+
+/**
+ * Suspend or reinstate from an admin's `suspended` flag
+ */
+async function setSuspended(userId, suspended, adminId, body = {}) {
+  if (suspended) return suspendUser(userId, adminId, body);
+  const user = await liftSuspension(userId);
+  if (user) return user;
+  const current = await User.findById(userId);
+  if (!current) throw httpError(404, { error: 'User not found' });
+  return current;
+}
+
+async function liftExpiredSuspensions(now = new Date()) {
+  const expired = await User.find({ suspended: true, 'suspension.until': { $ne: null, $lte: now } }).select('_id').limit(500).lean();
+  let lifted = 0;
+  for (const { _id } of expired) {
+    if (await liftSuspension(_id, { expired: true })) lifted += 1;
+  }
+  return lifted;
+}
+
+function startSuspensionExpiryJob() {
+  if (_expiryTimer) return;
+  const run = () => liftExpiredSuspensions().catch((err) => console.error('Suspension expiry sweep failed:', err));
+  _expiryTimer = setInterval(run, SWEEP_INTERVAL_MS);
+  if (_expiryTimer.unref) _expiryTimer.unref(); // don't keep process alive
+}
+
+function appealResponse(appeal) {
+  const { _id, __v, ...rest } = appeal;
+  return { id: _id, ...rest };
+}
+
+/**
+ * A suspended user's appeal, authorised by the appeal token from their 403 response
+ */
+async function submitAppeal(body = {}) {
+  const { appealToken } = body;
+  const message = String(body.message || '').trim();
+  if (!appealToken) throw httpError(400, { error: 'appealToken is required' });
+  if (!message) throw httpError(400, { error: 'Tell us why the suspension should be lifted' });
+  if (message.length > MAX_APPEAL_LENGTH) throw httpError(400, { error: `message must be at most ${MAX_APPEAL_LENGTH} characters` });
+
+  let payload;
+  try {
+    payload = jwt.verify(appealToken, APPEAL_TOKEN_SECRET, { audience: APPEAL_TOKEN_AUDIENCE });
+  } catch {
+    throw httpError(401, { error: 'Appeal link is invalid or has expired; sign in again to get a new one' });
+  }
+  if (payload.purpose !== 'suspension_appeal') throw httpError(401, { error: 'Appeal link is invalid or has expired; sign in again to get a new one' });
+
+  const user = await User.findById(payload.sub).select('suspended suspension').lean();
+  if (!user || !isSuspensionActive(user)) throw httpError(409, { error: 'This account is not suspended' });
+
+  const now = new Date();
+  try {
+    const appeal = await SuspensionAppeal.create({
+      _id: uuidv4(),
+      userId: user._id,
+      message,
+      suspension: user.suspension,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return { appeal: appealResponse(appeal.toObject({ transform: false })) };
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, { error: 'An appeal is already waiting for review' });
+    throw err;
+  }
+}
+
+async function listAppeals(query) {
+  const page = Math.max(parseInt(query?.page || '1', 10), 1);
+  const limit = Math.min(Math.max(parseInt(query?.limit || '25', 10), 1), 100);
+  const skip = (page - 1) * limit;
+
+  const filter = { status: String(query?.status || 'pending') };
+  if (query?.userId) filter.userId = String(query.userId);
+
+  // Pending appeals are answered oldest first
+  const sort = filter.status === 'pending' ? { createdAt: 1 } : { reviewedAt: -1 };
+  const [items, total] = await Promise.all([
+    SuspensionAppeal.find(filter).sort(sort).skip(skip).limit(limit).populate('userId', 'name email').lean(),
+    SuspensionAppeal.countDocuments(filter),
+  ]);
+
+  return {
+    items: items.map(({ userId, ...rest }) => {
+      const user = userId && typeof userId === 'object' ? userId : null;
+      return { ...appealResponse(rest), userId: user ? user._id : userId, user: user ? { id: user._id, name: user.name, email: user.email } : null };
+    }),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+/**
+ * Approve (lift the suspension) or reject a pending appeal and tell the user
+ */
+async function reviewAppeal(appealId, adminId, status, body = {}) {
+  const note = String(body.note || '').trim();
+  const now = new Date();
+  const appeal = await SuspensionAppeal.findOneAndUpdate(
+    { _id: appealId, status: 'pending' },
+    { status, reviewedBy: adminId, reviewedAt: now, reviewNote: note, updatedAt: now },
+    { new: true },
+  ).lean();
+  if (!appeal) {
+    const exists = await SuspensionAppeal.exists({ _id: appealId });
+    throw httpError(exists ? 409 : 404, { error: exists ? 'Appeal has already been reviewed' : 'Appeal not found' });
+  }
+
+  const user = status === 'approved'
+    ? (await liftSuspension(appeal.userId, { notify: false })) || (await User.findById(appeal.userId))
+    : await User.findById(appeal.userId);
+  if (user) {
+    sendSuspensionAppealDecisionEmail({ user, approved: status === 'approved', note })
+      .catch((err) => console.error(`Error sending appeal decision email to ${user._id}:`, err));
+  }
+  return { appeal: appealResponse(appeal) };
+}
+
+module.exports = {
+  getActiveSuspension,
+  suspendedResponse,
+  suspendedError,
+  suspendUser,
+  liftSuspension,
+  setSuspended,
+  liftExpiredSuspensions,
+  startSuspensionExpiryJob,
+  submitAppeal,
+  listAppeals,
+  reviewAppeal,
+};
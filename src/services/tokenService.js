@@ -1,9 +1,13 @@
 const { v4: uuidv4 } = require('uuid');
 const Gamification = require('../models/Gamification');
+const TokenLedger = require('../models/TokenLedger');
 const BadgeDefinition = require('../models/BadgeDefinition');
 const User = require('../models/User');
 const FriendRequest = require('../models/FriendRequest');
 const { toPublicUrl } = require('../utils/publicUrl');
+const { resolvePeriodRange, rankForScore } = require('../utils/leaderboardPeriods');
+const { summarizeStreak } = require('../utils/streaks');
+const { encodeCursor, decodeCursor, parsePositiveInt } = require('./posts/cursor');
 
 // Token values per action type (configurable)
 const TOKEN_REWARDS = {
@@ -46,7 +50,6 @@ async function getUserGamification(userId) {
       $setOnInsert: {
         userId,
         totalTokens: 0,
-        tokenHistory: [],
         badges: [],
         actionCounts: {
           create_post: 0,
@@ -65,95 +68,127 @@ async function getUserGamification(userId) {
   return gamification;
 }
 
+// Actions rewarded at most once per post, whoever triggers them (blocks like/unlike cycles)
+const ONCE_PER_POST_ACTIONS = ['like_post', 'receive_like', 'receive_comment'];
+
+// Metadata fields identifying the entity an award is for, most specific first
+const IDEMPOTENCY_ENTITY_KEYS = ['commentId', 'postId', 'eventId', 'groupId', 'badgeId'];
+
 /**
- * Award tokens to a user for an action
+ * Derive an idempotency key so retrying the same action for the same entity cannot double-award
  */
-async function awardTokens(userId, actionType, metadata = {}) {
-  const tokenAmount = TOKEN_REWARDS[actionType] || 0;
-  if (tokenAmount === 0) {
-    return { tokens: 0, newTotal: 0 };
+function deriveIdempotencyKey(userId, actionType, metadata = {}) {
+  if (metadata.manuallyAwarded) return null;
+  if (ONCE_PER_POST_ACTIONS.includes(actionType) && metadata.postId) {
+    return `${actionType}:${userId}:post:${metadata.postId}`;
   }
+  const entityKey = IDEMPOTENCY_ENTITY_KEYS.find((k) => metadata[k]);
+  return entityKey ? `${actionType}:${userId}:${entityKey}:${metadata[entityKey]}` : null;
+}
 
-  const gamification = await getUserGamification(userId);
+/**
+ * Append a ledger entry and apply it to the balance atomically.
+ * Returns { duplicate: true } when the idempotency key was already recorded.
+ * With requireBalance, a debit that would overdraw returns { insufficientFunds: true } and records nothing.
+ */
+async function recordLedgerEntry({ userId, action, tokens, metadata = {}, idempotencyKey = null, countAction = false, requireBalance = false }) {
+  await getUserGamification(userId);
 
-  // Check for duplicate actions to prevent exploitation (like/unlike cycles)
-  if (metadata.postId && (actionType === 'like_post' || actionType === 'receive_like' || actionType === 'receive_comment')) {
-    const alreadyRewarded = gamification.tokenHistory.some(
-      h => h.action === actionType && h.metadata && String(h.metadata.postId) === String(metadata.postId)
-    );
-    if (alreadyRewarded) {
-      return { tokens: 0, newTotal: gamification.totalTokens, message: 'Already rewarded for this item' };
-    }
+  const now = new Date();
+  const inc = { totalTokens: tokens };
+  if (countAction) inc[`actionCounts.${action}`] = 1;
+
+  // Debits move the balance first, guarded so it can never go negative
+  const debitFirst = requireBalance && tokens < 0;
+  if (debitFirst) {
+    const debited = await Gamification.findOneAndUpdate(
+      { userId, totalTokens: { $gte: -tokens } },
+      { $inc: inc, $set: { updatedAt: now } },
+      { new: true }
+    ).select('totalTokens').lean();
+    if (!debited) return { insufficientFunds: true };
   }
 
-  // Check for general spam protection (e.g., same action within 5 seconds)
-  if (gamification.tokenHistory.length > 0) {
-    const lastAction = gamification.tokenHistory[gamification.tokenHistory.length - 1];
-    const timeSinceLast = new Date() - new Date(lastAction.timestamp);
-    if (lastAction.action === actionType && timeSinceLast < 5000) {
-      return { tokens: 0, newTotal: gamification.totalTokens, message: 'Please wait before earning more points for this action' };
+  let entry;
+  try {
+    entry = await TokenLedger.create({
+      _id: uuidv4(),
+      userId,
+      action,
+      tokens,
+      idempotencyKey: idempotencyKey || undefined,
+      metadata,
+      createdAt: now,
+    });
+  } catch (err) {
+    if (debitFirst) {
+      await Gamification.updateOne({ userId }, { $inc: { totalTokens: -tokens } });
     }
+    if (err.code === 11000) return { duplicate: true };
+    throw err;
   }
 
-  // Update action count (actionCounts is a plain object, not a Map)
-  const currentCount = gamification.actionCounts[actionType] || 0;
-  gamification.actionCounts[actionType] = currentCount + 1;
-  gamification.markModified('actionCounts'); // Tell Mongoose the object changed
+  const updated = debitFirst
+    ? await Gamification.findOne({ userId }).select('totalTokens').lean()
+    : await Gamification.findOneAndUpdate(
+      { userId },
+      { $inc: inc, $set: { updatedAt: now } },
+      { new: true }
+    ).select('totalTokens').lean();
 
-  // Award tokens
-  gamification.totalTokens = (gamification.totalTokens || 0) + tokenAmount;
+  return { duplicate: false, entry, newTotal: updated?.totalTokens || 0 };
+}
 
-  // Add to history
-  gamification.tokenHistory.push({
-    id: uuidv4(),
+/**
+ * Award tokens to a user for an action
+ */
+async function awardTokens(userId, actionType, metadata = {}, options = {}) {
+  // options.multiplier scales the base reward (e.g. login streak bonuses)
+  const tokenAmount = Math.round((TOKEN_REWARDS[actionType] || 0) * (options.multiplier || 1));
+  if (tokenAmount === 0) {
+    return { tokens: 0, newTotal: 0 };
+  }
+
+  const idempotencyKey = options.idempotencyKey || deriveIdempotencyKey(userId, actionType, metadata);
+
+  if (idempotencyKey && await TokenLedger.exists({ idempotencyKey })) {
+    const gamification = await getUserGamification(userId);
+    return { tokens: 0, newTotal: gamification.totalTokens, message: 'Already rewarded for this item' };
+  }
+
+  // General spam protection (e.g., same action within 5 seconds)
+  const recent = await TokenLedger.exists({ userId, action: actionType, createdAt: { $gt: new Date(Date.now() - 5000) } });
+  if (recent) {
+    const gamification = await getUserGamification(userId);
+    return { tokens: 0, newTotal: gamification.totalTokens, message: 'Please wait before earning more points for this action' };
+  }
+
+  const result = await recordLedgerEntry({
+    userId,
     action: actionType,
     tokens: tokenAmount,
-    timestamp: new Date(),
     metadata,
+    idempotencyKey,
+    countAction: true,
   });
 
-  gamification.updatedAt = new Date();
-  await gamification.save();
+  if (result.duplicate) {
+    const gamification = await getUserGamification(userId);
+    return { tokens: 0, newTotal: gamification.totalTokens, message: 'Already rewarded for this item' };
+  }
 
   return {
     tokens: tokenAmount,
-    newTotal: gamification.totalTokens,
+    newTotal: result.newTotal,
   };
 }
 
 /**
- * Check if user is eligible for any badges
+ * Check if user is eligible for any badges (rules live in BadgeDefinition.criteria, see badgeService)
  */
 async function checkBadgeEligibility(userId) {
-  const [userGamification, badgeDefinitions] = await Promise.all([
-    getUserGamification(userId),
-    BadgeDefinition.find({}).lean(),
-  ]);
-
-  const earnedBadges = [];
-
-  for (const badgeDef of badgeDefinitions) {
-    const { badgeId, criteria } = badgeDef;
-    const { actionType, threshold } = criteria || {};
-
-    if (!actionType || !threshold) continue;
-
-    // Check if user already has this badge
-    const hasBadge = userGamification.badges?.some((b) => b.badgeId === badgeId);
-    if (hasBadge) continue;
-
-    // Check if user meets threshold (actionCounts is a plain object)
-    const actionCount = userGamification.actionCounts[actionType] || 0;
-    if (actionCount >= threshold) {
-      // User is eligible for this badge
-      earnedBadges.push({
-        badgeId,
-        badgeDefinition: badgeDef,
-      });
-    }
-  }
-
-  return earnedBadges;
+  const { findEligibleBadges } = require('./badgeService');
+  return findEligibleBadges(userId);
 }
 
 /**
@@ -182,23 +217,27 @@ async function mintBadgeNFT(userId, badgeId) {
     nftContractAddress: null, // Will be set when actually minted on-chain
   };
 
+  // Guard on badgeId so concurrent mints only add the badge once
+  const added = await Gamification.updateOne(
+    { userId, 'badges.badgeId': { $ne: badgeId } },
+    { $push: { badges: newBadge }, $set: { updatedAt: now } }
+  );
+  if (!added.modifiedCount) {
+    const current = await Gamification.findOne({ userId }).select('badges').lean();
+    return current?.badges?.find((b) => b.badgeId === badgeId) || newBadge;
+  }
+
   // Award bonus tokens for earning badge
   if (badgeDef.tokenReward) {
-    gamification.totalTokens = (gamification.totalTokens || 0) + badgeDef.tokenReward;
-    gamification.tokenHistory.push({
-      id: uuidv4(),
+    await recordLedgerEntry({
+      userId,
       action: 'badge_earned',
       tokens: badgeDef.tokenReward,
-      timestamp: now,
       metadata: { badgeId, badgeName: badgeDef.name },
+      idempotencyKey: `badge_earned:${userId}:${badgeId}`,
     });
   }
 
-  gamification.badges.push(newBadge);
-  gamification.updatedAt = now;
-
-  await gamification.save();
-
   // TODO: In future, trigger actual NFT minting on blockchain here
   // For MVP, we just track it off-chain
   console.log(`[GAMIFICATION] Badge ${badgeId} minted (off-chain) for user ${userId}`);
@@ -209,28 +248,14 @@ async function mintBadgeNFT(userId, badgeId) {
 /**
  * Process user action and award tokens/badges
  */
-async function processUserAction(userId, actionType, metadata = {}) {
+async function processUserAction(userId, actionType, metadata = {}, options = {}) {
   try {
-    // Award tokens
-    const tokenResult = await awardTokens(userId, actionType, metadata);
-
-    // Check for badge eligibility
-    const eligibleBadges = await checkBadgeEligibility(userId);
-
-    // Mint eligible badges
-    const mintedBadges = [];
-    for (const eligibleBadge of eligibleBadges) {
-      try {
-        const minted = await mintBadgeNFT(userId, eligibleBadge.badgeId);
-        mintedBadges.push({
-          badgeId: eligibleBadge.badgeId,
-          badgeDefinition: eligibleBadge.badgeDefinition,
-          minted,
-        });
-      } catch (error) {
-        console.error(`Error minting badge ${eligibleBadge.badgeId} for user ${userId}:`, error);
-      }
-    }
+    // Award tokens (options.idempotencyKey overrides the key derived from metadata)
+    const tokenResult = await awardTokens(userId, actionType, metadata, options);
+
+    // Evaluate badge rules and mint anything newly earned
+    const { evaluateBadges } = require('./badgeService');
+    const mintedBadges = await evaluateBadges(userId);
 
     return {
       tokensAwarded: tokenResult.tokens,
@@ -253,8 +278,11 @@ async function processUserAction(userId, actionType, metadata = {}) {
  * Get user gamification stats
  */
 async function getUserStats(userId) {
-  const userGamification = await getUserGamification(userId);
-  const badgeDefinitions = await BadgeDefinition.find({}).lean();
+  const [userGamification, badgeDefinitions, recentHistory] = await Promise.all([
+    getUserGamification(userId),
+    BadgeDefinition.find({}).lean(),
+    TokenLedger.find({ userId }).sort({ createdAt: -1, _id: -1 }).limit(20).lean(),
+  ]);
 
   // Enrich badges with badge definitions
   const enrichedBadges = (userGamification.badges || []).map((badge) => {
@@ -270,20 +298,95 @@ async function getUserStats(userId) {
     totalTokens: userGamification.totalTokens || 0,
     badges: enrichedBadges,
     actionCounts: userGamification.actionCounts || {},
-    tokenHistory: userGamification.tokenHistory?.slice(-20) || [], // Last 20 entries
+    streak: summarizeStreak(userGamification.loginStreak),
+    // Last 20 entries, oldest first
+    tokenHistory: recentHistory.reverse().map((h) => ({
+      id: h._id,
+      action: h.action,
+      tokens: h.tokens,
+      timestamp: h.createdAt,
+      metadata: h.metadata,
+    })),
+  };
+}
+
+/**
+ * Paginated ledger history for a user, newest first, optionally filtered by action type(s)
+ */
+async function getTokenHistory(userId, { cursor = null, limit = 20, action = null } = {}) {
+  const pageSize = Math.min(parsePositiveInt(limit, 20), 100);
+  const decoded = cursor ? decodeCursor(cursor) : null;
+
+  const filter = { userId };
+  const actions = action ? String(action).split(',').map((a) => a.trim()).filter(Boolean) : [];
+  if (actions.length === 1) filter.action = actions[0];
+  if (actions.length > 1) filter.action = { $in: actions };
+  if (decoded) {
+    filter.$or = [
+      { createdAt: { $lt: decoded.createdAt } },
+      { createdAt: decoded.createdAt, _id: { $lt: decoded.id } },
+    ];
+  }
+
+  const rows = await TokenLedger.find(filter).sort({ createdAt: -1, _id: -1 }).limit(pageSize + 1).lean();
+  const hasMore = rows.length > pageSize;
+  const page = hasMore ? rows.slice(0, pageSize) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    entries: page.map(({ _id, __v, idempotencyKey, ...rest }) => ({ id: _id, ...rest })),
+    nextCursor: hasMore && last ? encodeCursor(last.createdAt, last._id) : null,
+    hasMore,
   };
 }
 
-// ... existing code ...
+/**
+ * Aggregation stages summing ledger entries inside [start, end) per user
+ */
+function periodTotalsStages(match, range) {
+  return [
+    { $match: { ...match, createdAt: { $gte: range.start, $lt: range.end } } },
+    { $group: { _id: '$userId', totalTokens: { $sum: '$tokens' } } },
+    { $match: { totalTokens: { $gt: 0 } } },
+  ];
+}
+
+/**
+ * Build a score -> rank lookup over the ranking population (ties share a rank)
+ */
+async function getRankLookup(rankingMatch, range, scores) {
+  if (!scores.length) return () => null;
+
+  if (!range.start) {
+    // totalTokens is indexed, so one count per distinct score stays cheap
+    const distinct = [...new Set(scores)];
+    const counts = await Promise.all(
+      distinct.map((score) => Gamification.countDocuments({ ...rankingMatch, totalTokens: { $gt: score } }))
+    );
+    const rankMap = new Map(distinct.map((score, i) => [score, counts[i] + 1]));
+    return (score) => rankMap.get(score);
+  }
+
+  const buckets = await TokenLedger.aggregate([
+    ...periodTotalsStages(rankingMatch, range),
+    { $match: { totalTokens: { $gt: Math.min(...scores) } } },
+    { $group: { _id: '$totalTokens', count: { $sum: 1 } } },
+  ]);
+  const scoreBuckets = buckets.map((b) => ({ score: b._id, count: b.count }));
+  return (score) => rankForScore(score, scoreBuckets);
+}
 
 /**
- * Get leaderboard with pagination, search, and scope
+ * Get leaderboard with pagination, search, scope and period (all, weekly, monthly, custom from/to).
+ * Ranks are computed across the whole scope, so they stay correct while searching or paging.
  */
-async function getLeaderboard({ limit = 10, page = 1, period = 'all', scope = 'global', userId = null, search = '' }) {
+async function getLeaderboard({ limit = 10, page = 1, period = 'all', from = null, to = null, scope = 'global', userId = null, search = '' }) {
+  const range = resolvePeriodRange(period, { from, to });
   const skip = (page - 1) * limit;
-  let userFilter = {};
+  const periodInfo = { period: range.period, periodStart: range.start, periodEnd: range.end };
 
   // 1. Handle "Friends" scope
+  let scopeUserIds = null;
   if (scope === 'friends' && userId) {
     const friendships = await FriendRequest.find({
       status: 'accepted',
@@ -294,91 +397,108 @@ async function getLeaderboard({ limit = 10, page = 1, period = 'all', scope = 'g
       String(f.from) === String(userId) ? String(f.to) : String(f.from)
     );
 
-    // Include self in friends leaderboard? Usually yes to compare rank.
+    // Include self so the user can compare against friends
     if (!friendIds.includes(String(userId))) {
       friendIds.push(String(userId));
     }
 
-    userFilter._id = { $in: friendIds };
+    scopeUserIds = friendIds;
   }
 
-  // 2. Handle Search
+  // 2. Handle Search (narrows the listing, not the ranking population)
+  let targetUserIds = scopeUserIds;
   if (search) {
-    const searchRegex = new RegExp(search, 'i');
-    const searchConditions = [
-      { name: searchRegex },
-      { username: searchRegex },
-      { email: searchRegex }
-    ];
+    const searchRegex = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const userFilter = { $or: [{ name: searchRegex }, { username: searchRegex }, { email: searchRegex }] };
+    if (scopeUserIds) userFilter._id = { $in: scopeUserIds };
 
-    if (userFilter._id) {
-      // Combine with existing ID filter
-      userFilter = {
-        $and: [
-          { _id: userFilter._id },
-          { $or: searchConditions }
-        ]
-      };
-    } else {
-      userFilter = { $or: searchConditions };
-    }
-  }
-
-  // If we have filters on Users (search or friends), we first find matching User IDs
-  let targetUserIds = null;
-  if (Object.keys(userFilter).length > 0) {
     const users = await User.find(userFilter).select('_id').lean();
     targetUserIds = users.map(u => u._id);
+  }
 
-    if (targetUserIds.length === 0) {
-      return { leaderboard: [], total: 0, page, limit };
+  const rankingMatch = scopeUserIds ? { userId: { $in: scopeUserIds } } : {};
+  const listMatch = targetUserIds ? { userId: { $in: targetUserIds } } : {};
+
+  // 3. Fetch the requested page
+  let rows = [];
+  let total = 0;
+  if (!targetUserIds || targetUserIds.length) {
+    if (!range.start) {
+      const [count, docs] = await Promise.all([
+        Gamification.countDocuments(listMatch),
+        Gamification.find(listMatch).sort({ totalTokens: -1, userId: 1 }).skip(skip).limit(limit).lean(),
+      ]);
+      total = count;
+      rows = docs.map(doc => ({ userId: doc.userId, totalTokens: doc.totalTokens || 0, badgeCount: (doc.badges || []).length, loginStreak: doc.loginStreak }));
+    } else {
+      const [result] = await TokenLedger.aggregate([
+        ...periodTotalsStages(listMatch, range),
+        { $sort: { totalTokens: -1, _id: 1 } },
+        { $facet: { rows: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'n' }] } },
+      ]);
+      total = result?.total[0]?.n || 0;
+      const pageRows = result?.rows || [];
+      const gamificationDocs = pageRows.length
+        ? await Gamification.find({ userId: { $in: pageRows.map(r => r._id) } }).select('userId badges loginStreak').lean()
+        : [];
+      const docMap = new Map(gamificationDocs.map(d => [d.userId, d]));
+      rows = pageRows.map(r => ({
+        userId: r._id,
+        totalTokens: r.totalTokens,
+        badgeCount: (docMap.get(r._id)?.badges || []).length,
+        loginStreak: docMap.get(r._id)?.loginStreak,
+      }));
     }
   }
 
-  // 3. Build Gamification Query
-  const query = {};
-  if (targetUserIds) {
-    query.userId = { $in: targetUserIds };
+  // 4. Current user's own standing in the ranking population
+  let currentUserScore = null;
+  const inScope = userId && (!scopeUserIds || scopeUserIds.includes(String(userId)));
+  if (inScope) {
+    if (!range.start) {
+      const own = await Gamification.findOne({ userId }).select('totalTokens').lean();
+      currentUserScore = own ? own.totalTokens || 0 : null;
+    } else {
+      const [own] = await TokenLedger.aggregate(periodTotalsStages({ userId }, range));
+      currentUserScore = own ? own.totalTokens : null;
+    }
   }
 
-  // Get Total Count
-  const total = await Gamification.countDocuments(query);
+  const scores = rows.map(r => r.totalTokens);
+  if (currentUserScore !== null) scores.push(currentUserScore);
+  const rankOf = await getRankLookup(rankingMatch, range, scores);
 
-  // Get Data
-  const gamificationDocs = await Gamification.find(query)
-    .sort({ totalTokens: -1 })
-    .skip(skip)
-    .limit(limit)
-    .lean();
+  const currentUser = currentUserScore !== null
+    ? { userId, rank: rankOf(currentUserScore), totalTokens: currentUserScore }
+    : null;
 
-  if (!gamificationDocs.length) {
-    return { leaderboard: [], total, page, limit };
+  if (!rows.length) {
+    return { leaderboard: [], total, page, limit, ...periodInfo, currentUser };
   }
 
-  // 4. Populate User Details
-  const userIds = gamificationDocs.map(doc => doc.userId);
+  // 5. Populate User Details
+  const userIds = rows.map(r => r.userId);
   const users = await User.find({ _id: { $in: userIds } }).lean();
   const userMap = new Map(users.map(u => [String(u._id), u]));
 
-  // Calculate Global Rank (Wait, this is paginated, so 'rank' is just index + skip + 1)
-  // But if searching/filtering, rank should ideally be the global rank.
-  // Calculating true global rank for search/filter results is expensive (requires count of all users with more tokens).
-  // For MVP: Simple display rank (skip + index + 1) relative to the current list.
-
-  const leaderboard = gamificationDocs.map((doc, index) => {
-    const userDetails = userMap.get(doc.userId);
+  const now = new Date();
+  const leaderboard = rows.map((row) => {
+    const userDetails = userMap.get(row.userId);
+    const streak = summarizeStreak(row.loginStreak, now);
     return {
-      rank: skip + index + 1, // Relative rank in the filtered list
-      userId: doc.userId,
-      totalTokens: doc.totalTokens || 0,
-      badgeCount: (doc.badges || []).length,
+      rank: rankOf(row.totalTokens),
+      userId: row.userId,
+      totalTokens: row.totalTokens,
+      badgeCount: row.badgeCount,
+      currentStreak: streak.current,
+      longestStreak: streak.longest,
       name: userDetails?.name || 'Unknown User',
       avatarUrl: toPublicUrl(userDetails?.avatarUrl),
       username: userDetails?.username || null,
     };
   });
 
-  return { leaderboard, total, page, limit };
+  return { leaderboard, total, page, limit, ...periodInfo, currentUser };
 }
 
 module.exports = {
@@ -387,6 +507,9 @@ module.exports = {
   mintBadgeNFT,
   processUserAction,
   getUserStats,
+  getTokenHistory,
+  recordLedgerEntry,
+  deriveIdempotencyKey,
   getLeaderboard,
   getUserGamification,
   TOKEN_REWARDS,
@@ -1,7 +1,8 @@
-const jwt = require('jsonwebtoken');
 const Conversation = require('./models/Conversation');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'winsights-dev-secret';
+const { trackDailyLogin } = require('./services/streakService');
+const { isAccessTokenRevoked } = require('./services/sessionService');
+const { getActiveSuspension } = require('./services/suspensionService');
+const { verifyAccessToken } = require('./utils/auth');
 
 // Store active connections: userId -> socketId
 const userSockets = new Map();
@@ -108,6 +109,13 @@ function initializeSocket(server) {
           });
         }
 
+        if (await isAccessTokenRevoked({ id: dbUser._id, iat: payload.iat })) {
+          return next(new Error('Authentication error: Session revoked'));
+        }
+        if (await getActiveSuspension(dbUser._id)) {
+          return next(new Error('Authentication error: Account suspended'));
+        }
+
         socket.userId = dbUser._id.toString();
         socket.user = {
           id: dbUser._id.toString(),
@@ -118,7 +126,13 @@ function initializeSocket(server) {
 
       } else {
         // Local JWT
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = verifyAccessToken(token);
+        if (await isAccessTokenRevoked(decoded)) {
+          return next(new Error('Authentication error: Session revoked'));
+        }
+        if (await getActiveSuspension(decoded.id)) {
+          return next(new Error('Authentication error: Account suspended'));
+        }
         socket.userId = decoded.id;
         socket.user = decoded;
       }
@@ -141,6 +155,11 @@ function initializeSocket(server) {
 
     // Join user's personal room for direct messaging
     socket.join(`user:${userId}`);
+    // Revoking the session disconnects its sockets
+    if (socket.user?.sid) socket.join(`session:${socket.user.sid}`);
+
+    // A socket connection counts as a daily login too
+    trackDailyLogin(userId, socket.handshake.auth?.timezone);
 
     // Notify conversation participants that user came online
     await notifyUserPresence(io, userId, true);
@@ -3,31 +3,60 @@ const { authenticateHybrid } = require('./cognitoAuth');
 const { toPublicUrl } = require('./publicUrl');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'winsights-dev-secret';
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
 
-function generateToken(user) {
+/**
+ * Short-lived access token for a session (sid); the client renews it with the session's refresh token
+ */
+function generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id || user._id, role: user.role, email: user.email, name: user.name, createdAt: user.createdAt },
+    { id: user.id || user._id, sid: sessionId, role: user.role, email: user.email, name: user.name, createdAt: user.createdAt },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 }
 
 /**
- * Local JWT authentication middleware (original implementation)
+ * Verify a local access token. Other tokens signed by this server carry a `purpose` (or no user id) and are
+ * never accepted as a session.
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.purpose || !payload.id) throw new jwt.JsonWebTokenError('not an access token');
+  return payload;
+}
+
+/**
+ * Local JWT authentication middleware. Tokens of revoked sessions and suspended users are rejected.
  */
-function authenticateLocal(req, res, next) {
+async function authenticateLocal(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   const token = authHeader.replace('Bearer ', '');
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    payload = verifyAccessToken(token);
   } catch (error) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+
+  try {
+    const { isAccessTokenRevoked } = require('../services/sessionService');
+    if (await isAccessTokenRevoked(payload)) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    const { getActiveSuspension, suspendedResponse } = require('../services/suspensionService');
+    const suspension = await getActiveSuspension(payload.id);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(payload.id, suspension));
+    }
+  } catch (error) {
+    return next(error);
+  }
+  req.user = payload;
+  next();
 }
 
 /**
@@ -37,21 +66,38 @@ function authenticateLocal(req, res, next) {
 async function authenticate(req, res, next) {
   const authProvider = process.env.AUTH_PROVIDER || 'local';
 
+  // Count the first authenticated request of each day towards the login streak
+  const done = (err) => {
+    if (!err && req.user?.id) {
+      const { trackDailyLogin } = require('../services/streakService');
+      trackDailyLogin(req.user.id, req.headers['x-timezone']);
+    }
+    return next(err);
+  };
+
   if (authProvider === 'cognito') {
-    return authenticateHybrid(req, res, next);
+    return authenticateHybrid(req, res, done);
   }
 
   // Default to local authentication
-  return authenticateLocal(req, res, next);
+  return authenticateLocal(req, res, done);
 }
 
-function requireRole(roles = []) {
-  return (req, res, next) => {
+/**
+ * Allow the request only if the user has the permission (through their role or an unscoped grant)
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
+    try {
+      const { can } = require('../services/permissionService');
+      if (!(await can(req.user, permission))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+    } catch (error) {
+      return next(error);
     }
     next();
   };
@@ -59,7 +105,7 @@ function requireRole(roles = []) {
 
 function sanitizeUser(user) {
   // Ensure returned user has an `id` field for client consumption
-  const { passwordHash, _id, id, ...rest } = user;
+  const { passwordHash, calendarToken, sessionsRevokedAt, suspension, _id, id, ...rest } = user;
   const mapped = { ...rest, id: id || _id };
 
   // Normalize uploaded image paths to full URLs
@@ -107,8 +153,15 @@ async function optionalAuth(req, res, next) {
       }
     } else {
       // Local JWT auth
-      const payload = jwt.verify(token, JWT_SECRET);
-      req.user = payload;
+      const { isAccessTokenRevoked } = require('../services/sessionService');
+      const payload = verifyAccessToken(token);
+      req.user = (await isAccessTokenRevoked(payload)) ? null : payload;
+    }
+
+    // Suspended users browse as guests
+    if (req.user) {
+      const { getActiveSuspension } = require('../services/suspensionService');
+      if (await getActiveSuspension(req.user.id)) req.user = null;
     }
   } catch (error) {
     req.user = null;
@@ -117,4 +170,4 @@ async function optionalAuth(req, res, next) {
   next();
 }
 
-module.exports = { generateToken, authenticate, requireRole, sanitizeUser, optionalAuth };
+module.exports = { ACCESS_TOKEN_TTL_SECONDS, generateToken, verifyAccessToken, authenticate, requirePermission, sanitizeUser, optionalAuth };
@@ -0,0 +1,163 @@
+const { httpError } = require('./httpError');
+
+/**
+ * Badge criteria grammar (stored on BadgeDefinition.criteria):
+ *
+ *   { all: [criteria, ...] }   every child must pass
+ *   { any: [criteria, ...] }   at least one child must pass
+ *   { type: 'action_count', actionType, threshold, windowDays? }   ledger actions, optionally in the last N days
+ *   { type: 'streak', actionType?, days }   consecutive days (in the user's time zone) with the action, any action if omitted
+ *   { type: 'role', roles: [...] }
+ *
+ * The legacy shape { actionType, threshold } is read as an all-time action_count.
+ */
+
+const MAX_DEPTH = 4;
+const MAX_RULES = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeRule(rule) {
+  if (rule && !rule.type && !rule.all && !rule.any && rule.actionType) {
+    return { type: 'action_count', actionType: rule.actionType, threshold: rule.threshold };
+  }
+  return rule;
+}
+
+function isPositiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Throws a 400 describing the first problem found in a criteria tree
+ */
+function validateCriteria(criteria) {
+  let ruleCount = 0;
+
+  const visit = (node, depth, path) => {
+    if (depth > MAX_DEPTH) throw httpError(400, { error: `Criteria nested too deeply at ${path}` });
+    const rule = normalizeRule(node);
+    if (!rule || typeof rule !== 'object') throw httpError(400, { error: `Invalid criteria at ${path}` });
+
+    if (rule.all || rule.any) {
+      const children = rule.all || rule.any;
+      const key = rule.all ? 'all' : 'any';
+      if (!Array.isArray(children) || !children.length) throw httpError(400, { error: `${path}.${key} must be a non-empty array` });
+      children.forEach((child, i) => visit(child, depth + 1, `${path}.${key}[${i}]`));
+      return;
+    }
+
+    ruleCount += 1;
+    if (ruleCount > MAX_RULES) throw httpError(400, { error: `Criteria may contain at most ${MAX_RULES} rules` });
+
+    if (rule.type === 'action_count') {
+      if (!rule.actionType) throw httpError(400, { error: `${path}.actionType is required` });
+      if (!isPositiveInt(rule.threshold)) throw httpError(400, { error: `${path}.threshold must be a positive integer` });
+      if (rule.windowDays !== undefined && rule.windowDays !== null && !isPositiveInt(rule.windowDays)) {
+        throw httpError(400, { error: `${path}.windowDays must be a positive integer` });
+      }
+      return;
+    }
+    if (rule.type === 'streak') {
+      if (!isPositiveInt(rule.days)) throw httpError(400, { error: `${path}.days must be a positive integer` });
+      return;
+    }
+    if (rule.type === 'role') {
+      if (!Array.isArray(rule.roles) || !rule.roles.length) throw httpError(400, { error: `${path}.roles must be a non-empty array` });
+      return;
+    }
+    throw httpError(400, { error: `Unknown rule type at ${path}` });
+  };
+
+  visit(criteria, 0, 'criteria');
+  return criteria;
+}
+
+function countKey(actionType, windowDays) {
+  return `${actionType}:${windowDays || 'all'}`;
+}
+
+function streakKey(actionType) {
+  return actionType || '*';
+}
+
+/**
+ * List the facts a set of criteria trees needs, so they can be loaded in one pass
+ */
+function collectFactRequirements(criteriaList) {
+  const counts = new Map();
+  const streaks = new Set();
+  let needsRole = false;
+
+  const visit = (node) => {
+    const rule = normalizeRule(node);
+    if (!rule) return;
+    if (rule.all || rule.any) {
+      (rule.all || rule.any).forEach(visit);
+      return;
+    }
+    if (rule.type === 'action_count') counts.set(countKey(rule.actionType, rule.windowDays), { actionType: rule.actionType, windowDays: rule.windowDays || null });
+    if (rule.type === 'streak') streaks.add(streakKey(rule.actionType));
+    if (rule.type === 'role') needsRole = true;
+  };
+
+  criteriaList.forEach(visit);
+  return { counts: [...counts.values()], streaks: [...streaks], needsRole };
+}
+
+/**
+ * facts: { role, counts: { [countKey]: n }, streaks: { [streakKey]: longestDays } }
+ * lenientWindows treats windowed counts and streaks as met: once earned they cannot be re-checked later.
+ */
+function evaluateCriteria(criteria, facts, { lenientWindows = false } = {}) {
+  const rule = normalizeRule(criteria);
+  if (!rule) return false;
+
+  if (rule.all) return rule.all.every((child) => evaluateCriteria(child, facts, { lenientWindows }));
+  if (rule.any) return rule.any.some((child) => evaluateCriteria(child, facts, { lenientWindows }));
+
+  if (lenientWindows && (rule.type === 'streak' || (rule.type === 'action_count' && rule.windowDays))) return true;
+  if (rule.type === 'action_count') {
+    return (facts.counts?.[countKey(rule.actionType, rule.windowDays)] || 0) >= rule.threshold;
+  }
+  if (rule.type === 'streak') {
+    return (facts.streaks?.[streakKey(rule.actionType)] || 0) >= rule.days;
+  }
+  if (rule.type === 'role') {
+    return rule.roles.includes(facts.role);
+  }
+  return false;
+}
+
+/**
+ * Whether a criteria tree counts any of the given action types
+ */
+function referencesActions(criteria, actionTypes) {
+  const rule = normalizeRule(criteria);
+  if (!rule) return false;
+  if (rule.all || rule.any) return (rule.all || rule.any).some((child) => referencesActions(child, actionTypes));
+  return rule.type === 'action_count' && actionTypes.includes(rule.actionType);
+}
+
+/**
+ * Longest run of consecutive calendar days in a list of 'YYYY-MM-DD' keys
+ */
+function longestStreak(dayKeys) {
+  const days = [...new Set(dayKeys)].map((d) => Date.parse(`${d}T00:00:00Z`)).filter(Number.isFinite).sort((a, b) => a - b);
+  let longest = 0;
+  let current = 0;
+  for (let i = 0; i < days.length; i += 1) {
+    current = i > 0 && days[i] - days[i - 1] === DAY_MS ? current + 1 : 1;
+    if (current > longest) longest = current;
+  }
+  return longest;
+}
+
+module.exports = {
+  validateCriteria,
+  collectFactRequirements,
+  evaluateCriteria,
+  referencesActions,
+  longestStreak,
+  countKey,
+  streakKey,
+};
@@ -1,70 +1,53 @@
-const Badge = require('../models/Badge');
-//const BadgeDefinition = require('../models/BadgeDefinition');
-const User = require('../models/User');
-const { v4: uuidv4 } = require('uuid');
+const Gamification = require('../models/Gamification');
+const BadgeDefinition = require('../models/BadgeDefinition');
+const { mintBadgeNFT } = require('../services/tokenService');
+const { evaluateBadges } = require('../services/badgeService');
 
-// We likely used this BADGE_TYPES for some logic, but now definitions are in DB (or should be).
-// However, the seed script put specific definitions. 
-// For backward compat with existing logic in controllers, we will keep logic similar but read from DB if needed or keep static logic if that's what was requested (Migrate to Mongoose, but identical API).
-// The user asked to remove file based storage.
-// The previous logic had hardcoded criteria check here. We can keep it or query DB for definitions?
-// The seed script populated 'badgeDefinitions.json'.
-// Let's rely on the hardcoded checks for now as `checkForBadges` receives data from controllers. 
-// But `awardBadge` should use Mongoose.
+// Badges are defined by BadgeDefinition rules (src/utils/badgeRules.js) and held in Gamification.badges.
+// These helpers keep the older { type, name, awardedAt } badge shape for existing callers.
 
-const BADGE_TYPES = [
-  { key: 'first-post', name: 'First Post', criteria: { posts: 1 } },
-  { key: 'community-contributor', name: 'Community Contributor', criteria: { posts: 10 } },
-  { key: 'first-comment', name: 'First Comment', criteria: { comments: 1 } },
-  { key: 'moderator', name: 'Moderator', criteria: { role: 'moderator-user' } },
-];
+function toBadgeResponse(userId, badge, definition) {
+  return {
+    id: `${userId}:${badge.badgeId}`,
+    userId,
+    type: badge.badgeId,
+    name: definition?.name || badge.badgeId,
+    description: definition?.description || '',
+    imageUrl: definition?.imageUrl || '',
+    awardedAt: badge.mintedAt,
+  };
+}
 
 async function listBadgesForUser(userId) {
-  return Badge.find({ userId });
+  const gamification = await Gamification.findOne({ userId }).select('badges').lean();
+  const badges = gamification?.badges || [];
+  if (!badges.length) return [];
+
+  const definitions = await BadgeDefinition.find({ badgeId: { $in: badges.map((b) => b.badgeId) } }).lean();
+  const defMap = new Map(definitions.map((d) => [d.badgeId, d]));
+  return badges.map((b) => toBadgeResponse(userId, b, defMap.get(b.badgeId)));
 }
 
+/**
+ * Award a specific badge regardless of its rules. Returns null if already held.
+ */
 async function awardBadge(userId, badgeKey) {
-  const exists = await Badge.findOne({ userId, type: badgeKey });
-  if (exists) return null;
+  const existing = await Gamification.exists({ userId, 'badges.badgeId': badgeKey });
+  if (existing) return null;
 
-  const badgeConfig = BADGE_TYPES.find((b) => b.key === badgeKey);
-  // Also check DB definitions if needed, but for now fallback to config
-  // Or fetch definition name from DB? 
-  // Let's stick to simple migration.
-
-  if (!badgeConfig) return null;
-
-  const badge = await Badge.create({
-    _id: uuidv4(),
-    userId,
-    type: badgeKey,
-    name: badgeConfig.name,
-    awardedAt: new Date(),
-  });
+  const definition = await BadgeDefinition.findOne({ badgeId: badgeKey }).lean();
+  if (!definition) return null;
 
-  console.log(`Minting NFT badge '${badgeConfig.name}' for user ${userId} (simulated)`);
-  return badge;
+  const badge = await mintBadgeNFT(userId, badgeKey);
+  return toBadgeResponse(userId, badge, definition);
 }
 
-async function checkForBadges(userId, { postsCount = 0, commentsCount = 0, role }) {
-  const earned = [];
-  if (postsCount >= 1) {
-    const badge = await awardBadge(userId, 'first-post');
-    if (badge) earned.push(badge);
-  }
-  if (postsCount >= 10) {
-    const badge = await awardBadge(userId, 'community-contributor');
-    if (badge) earned.push(badge);
-  }
-  if (commentsCount >= 1) {
-    const badge = await awardBadge(userId, 'first-comment');
-    if (badge) earned.push(badge);
-  }
-  if (role === 'moderator-user') {
-    const badge = await awardBadge(userId, 'moderator');
-    if (badge) earned.push(badge);
-  }
-  return earned;
+/**
+ * Evaluate every active badge rule for the user, returning newly earned badges
+ */
+async function checkForBadges(userId, { role } = {}) {
+  const earned = await evaluateBadges(userId, { role });
+  return earned.map((e) => toBadgeResponse(userId, e.minted, e.badgeDefinition));
 }
 
-module.exports = { BADGE_TYPES, awardBadge, checkForBadges, listBadgesForUser };
+module.exports = { awardBadge, checkForBadges, listBadgesForUser };
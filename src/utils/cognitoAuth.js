@@ -224,6 +224,15 @@ async function authenticateHybrid(req, res, next) {
         });
       }
 
+      // Signing out everywhere also rejects Cognito tokens issued before it
+      const { isAccessTokenRevoked } = require('../services/sessionService');
+      if (await isAccessTokenRevoked({ id: dbUser._id, iat: payload.iat })) {
+        return res.status(401).json({ error: 'Session revoked' });
+      }
+      const { getActiveSuspension, suspendedResponse } = require('../services/suspensionService');
+      const suspension = await getActiveSuspension(dbUser._id);
+      if (suspension) return res.status(403).json(suspendedResponse(dbUser._id, suspension));
+
       req.user = {
         id: dbUser._id,
         role: dbUser.role,
@@ -238,16 +247,20 @@ async function authenticateHybrid(req, res, next) {
   }
 
   // Fall back to local JWT authentication
-  const jwt = require('jsonwebtoken');
-  const JWT_SECRET = process.env.JWT_SECRET || 'winsights-dev-secret';
+  const { verifyAccessToken } = require('./auth');
 
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
+    const payload = verifyAccessToken(token);
+    const { isAccessTokenRevoked } = require('../services/sessionService');
+    if (await isAccessTokenRevoked(payload)) return res.status(401).json({ error: 'Session revoked' });
+    const { getActiveSuspension, suspendedResponse } = require('../services/suspensionService');
+    const suspension = await getActiveSuspension(payload.id);
+    if (suspension) return res.status(403).json(suspendedResponse(payload.id, suspension));
     req.user = payload;
-    next();
   } catch (error) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  return next();
 }
 
 module.exports = {
@@ -0,0 +1,138 @@
+const { parseEventTime, normalizeEventTime, legacyZoneFromTime, zonedTimeToUtc, localDateTime, resolveTimeZone, isValidTimeZone } = require('./zonedTime');
+const { expandOccurrences, addDays, isDateKey } = require('./recurrence');
+const { httpError } = require('./httpError');
+
+/**
+ * Event timing. eventDate/eventTime are wall-clock values in the event's timeZone (recurrence expands on them);
+ * startsAt/endsAt are the matching UTC instants, derived on save and used for filtering and sorting.
+ */
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 14 * 24 * 60;
+const TIMING_FIELDS = ['eventDate', 'eventTime', 'timeZone', 'durationMinutes', 'allDay', 'startsAt', 'endsAt'];
+
+function eventTimeZone(event) {
+  return resolveTimeZone(event.timeZone);
+}
+
+/**
+ * Start and end instants for the event happening on dateKey at time (defaults to the event's own time)
+ */
+function occurrenceInstants(event, dateKey, time = event.eventTime) {
+  const zone = eventTimeZone(event);
+  const clock = event.allDay ? null : parseEventTime(time);
+  const startsAt = zonedTimeToUtc(dateKey, clock || { hours: 0, minutes: 0 }, zone);
+  if (!startsAt) return { startsAt: null, endsAt: null };
+
+  if (event.allDay || !clock) {
+    const days = Math.max(1, Math.ceil((event.durationMinutes || 24 * 60) / (24 * 60)));
+    return { startsAt, endsAt: zonedTimeToUtc(addDays(dateKey, days), { hours: 0, minutes: 0 }, zone) };
+  }
+  const duration = event.durationMinutes || DEFAULT_DURATION_MINUTES;
+  return { startsAt, endsAt: new Date(startsAt.getTime() + duration * 60000) };
+}
+
+/**
+ * Instants stored on the event: its (first) start and end, and when the last occurrence ends.
+ * seriesEndsAt is null for series without an end.
+ */
+function scheduleInstants(event) {
+  const { startsAt, endsAt } = occurrenceInstants(event, event.eventDate);
+  if (!event.recurrence) return { startsAt, endsAt, seriesEndsAt: endsAt };
+
+  const rule = event.recurrence.toObject ? event.recurrence.toObject() : event.recurrence;
+  let lastDate = null;
+  if (rule.until) lastDate = rule.until;
+  else if (rule.count) {
+    const dates = expandOccurrences(event.eventDate, { ...rule, exceptions: [] }, { limit: rule.count });
+    lastDate = dates[dates.length - 1] || event.eventDate;
+  }
+  if (!lastDate) return { startsAt, endsAt, seriesEndsAt: null };
+
+  // Occurrences moved past the last scheduled date extend the series
+  const moved = (event.occurrences || []).filter((o) => o.status === 'rescheduled' && o.eventDate).map((o) => o.eventDate);
+  const latest = [lastDate, ...moved].sort().pop();
+  const lastTime = (event.occurrences || []).find((o) => o.eventDate === latest && o.eventTime)?.eventTime || event.eventTime;
+  return { startsAt, endsAt, seriesEndsAt: occurrenceInstants(event, latest, lastTime).endsAt };
+}
+
+function parseInstant(value, field) {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) throw httpError(400, { error: `${field} must be an ISO date-time` });
+  return date;
+}
+
+/**
+ * Validate the timing part of a create/update body against the event's current values.
+ * Accepts eventDate + eventTime ('18:30', '6:30 PM') in timeZone, or startsAt as an ISO instant;
+ * the length comes from durationMinutes or endsAt. Returns { eventDate, eventTime, timeZone, durationMinutes, allDay }.
+ */
+function validateEventTiming(input, { current = {}, defaultTimeZone = 'UTC' } = {}) {
+  // Legacy free-text times may name their zone ('6:30 PM EST')
+  const timeZone = input.timeZone ?? current.timeZone ?? legacyZoneFromTime(input.eventTime) ?? resolveTimeZone(defaultTimeZone);
+  if (!isValidTimeZone(timeZone)) throw httpError(400, { error: 'timeZone must be an IANA time zone, e.g. Europe/London' });
+
+  let eventDate = input.eventDate ?? current.eventDate;
+  let eventTime = input.eventTime ?? current.eventTime ?? '';
+  // An ISO date-time in eventDate is treated as the start instant
+  let startsAt = input.startsAt !== undefined ? parseInstant(input.startsAt, 'startsAt') : null;
+  if (!startsAt && input.eventDate !== undefined && input.eventDate && !isDateKey(input.eventDate)) {
+    startsAt = parseInstant(input.eventDate, 'eventDate');
+  }
+  if (startsAt) {
+    const local = localDateTime(startsAt, timeZone);
+    eventDate = local.date;
+    eventTime = local.time;
+  }
+  if (!eventDate) throw httpError(400, { error: 'Event date is required' });
+  if (!isDateKey(eventDate)) throw httpError(400, { error: 'eventDate must be YYYY-MM-DD' });
+
+  const clock = normalizeEventTime(eventTime);
+  if (eventTime && !clock) throw httpError(400, { error: 'eventTime must be a time such as 18:30 or 6:30 PM' });
+  const allDay = input.allDay !== undefined ? !!input.allDay : (input.eventTime !== undefined || startsAt ? !clock : current.allDay ?? !clock);
+  eventTime = allDay ? '' : clock || '';
+
+  let durationMinutes = current.durationMinutes ?? DEFAULT_DURATION_MINUTES;
+  if (input.endsAt !== undefined) {
+    const start = occurrenceInstants({ eventTime, timeZone, allDay }, eventDate).startsAt;
+    durationMinutes = Math.round((parseInstant(input.endsAt, 'endsAt') - start) / 60000);
+  } else if (input.durationMinutes !== undefined) {
+    durationMinutes = Number(input.durationMinutes);
+  }
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+    throw httpError(400, { error: `The event must end after it starts and last at most ${MAX_DURATION_MINUTES / (24 * 60)} days` });
+  }
+
+  return { eventDate, eventTime, timeZone, durationMinutes, allDay };
+}
+
+function hasTimingChanges(input) {
+  return TIMING_FIELDS.some((field) => input[field] !== undefined);
+}
+
+function timingAt(startsAt, endsAt, now = new Date()) {
+  if (!startsAt) return 'past';
+  if (now < startsAt) return 'upcoming';
+  return endsAt && now < endsAt ? 'ongoing' : 'past';
+}
+
+/**
+ * The same start/end shown in the event's zone and in the viewer's zone
+ */
+function describeTimes(startsAt, endsAt, eventZone, viewerZone) {
+  if (!startsAt) return null;
+  const describe = (zone) => ({ start: localDateTime(startsAt, zone), end: endsAt ? localDateTime(endsAt, zone) : null });
+  return { event: describe(resolveTimeZone(eventZone)), viewer: describe(resolveTimeZone(viewerZone || eventZone)) };
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  eventTimeZone,
+  validateEventTiming,
+  hasTimingChanges,
+  occurrenceInstants,
+  scheduleInstants,
+  timingAt,
+  describeTimes,
+};
@@ -0,0 +1,102 @@
+const { httpError } = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_ALIASES = {
+  all: 'all',
+  week: 'weekly',
+  weekly: 'weekly',
+  month: 'monthly',
+  monthly: 'monthly',
+  custom: 'custom',
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Monday 00:00 UTC of the week containing date
+ */
+function startOfWeekUTC(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+  return new Date(d.getTime() - daysSinceMonday * DAY_MS);
+}
+
+/**
+ * First day of the month containing date, 00:00 UTC
+ */
+function startOfMonthUTC(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function parseDate(value, name) {
+  const d = value instanceof Date ? value : new Date(String(value));
+  if (Number.isNaN(d.getTime())) throw httpError(400, { error: `Invalid ${name} date` });
+  return d;
+}
+
+/**
+ * Resolve a leaderboard period into a half-open [start, end) range.
+ * 'all' has no bounds. A date-only `to` covers that whole day.
+ */
+function resolvePeriodRange(period = 'all', { from, to } = {}, now = new Date()) {
+  const normalized = PERIOD_ALIASES[String(period).toLowerCase()];
+  if (!normalized) {
+    throw httpError(400, { error: 'Invalid period. Must be one of: all, weekly, monthly, custom' });
+  }
+
+  if (normalized === 'all') return { period: 'all', start: null, end: null };
+
+  if (normalized === 'weekly') {
+    const start = startOfWeekUTC(now);
+    return { period: 'weekly', start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+
+  if (normalized === 'monthly') {
+    const start = startOfMonthUTC(now);
+    return { period: 'monthly', start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)) };
+  }
+
+  if (!from || !to) throw httpError(400, { error: 'from and to are required for a custom period' });
+  const start = parseDate(from, 'from');
+  let end = parseDate(to, 'to');
+  if (typeof to === 'string' && DATE_ONLY.test(to)) end = new Date(end.getTime() + DAY_MS);
+  if (start >= end) throw httpError(400, { error: 'from must be before to' });
+
+  return { period: 'custom', start, end };
+}
+
+/**
+ * Range of the most recently closed weekly or monthly period
+ */
+function previousPeriodRange(period, now = new Date()) {
+  const current = resolvePeriodRange(period, {}, now);
+  if (current.period === 'weekly') {
+    return { period: 'weekly', start: new Date(current.start.getTime() - 7 * DAY_MS), end: current.start };
+  }
+  if (current.period === 'monthly') {
+    const start = new Date(Date.UTC(current.start.getUTCFullYear(), current.start.getUTCMonth() - 1, 1));
+    return { period: 'monthly', start, end: current.start };
+  }
+  throw new Error(`Period ${period} has no previous range`);
+}
+
+/**
+ * Competition rank ("1224") for a score given counts of strictly higher scores.
+ * buckets: [{ score, count }] covering at least every score above the ones looked up.
+ */
+function rankForScore(score, buckets) {
+  let higher = 0;
+  for (const b of buckets) {
+    if (b.score > score) higher += b.count;
+  }
+  return higher + 1;
+}
+
+module.exports = {
+  startOfWeekUTC,
+  startOfMonthUTC,
+  resolvePeriodRange,
+  previousPeriodRange,
+  rankForScore,
+};
@@ -3,15 +3,19 @@ const User = require('../models/User');
 const NotificationPreference = require('../models/NotificationPreference');
 const Group = require('../models/Group');
 const { v4: uuidv4 } = require('uuid');
+const { formatInZone } = require('./zonedTime');
 
 /**
  * Notification types
  */
 const NOTIFICATION_TYPES = {
   COMMENT: 'comment',
+  COMMENT_REPLY: 'comment_reply',
   LIKE: 'like',
+  REACTION: 'reaction',
   GROUP_POST: 'group_post',
   FORUM_REPLY: 'forum_reply',
+  FORUM_ANSWER_ACCEPTED: 'forum_answer_accepted',
   EVENT_REMINDER: 'event_reminder',
   EVENT_REMINDER: 'event_reminder',
   PATIENT_HUB_TASK: 'patient_hub_task', // Cross-system notification
@@ -19,8 +23,15 @@ const NOTIFICATION_TYPES = {
   FRIEND_REQUEST_ACCEPTED: 'friend_request_accepted',
   DISEASE_PAGE_POST: 'disease_page_post',
   NEW_MESSAGE: 'new_message',
+  REWARD_FULFILLED: 'reward_fulfilled',
+  REWARD_REFUNDED: 'reward_refunded',
+  EVENT_WAITLIST_OFFER: 'event_waitlist_offer',
+  EVENT_UPDATED: 'event_updated',
+  EVENT_CANCELLED: 'event_cancelled',
 };
 
+const CHANGE_LABELS = { eventDate: 'date', eventTime: 'time', timeZone: 'time zone', location: 'location' };
+
 /**
  * Create a notification
  */
@@ -46,46 +57,89 @@ async function createNotification(userId, type, message, metadata = {}) {
 }
 
 /**
- * Create notification for post comment
+ * Create notifications for post comment (and the parent comment's author for replies)
  */
-async function notifyPostComment(commentAuthorId, postAuthorId, postId, commentId) {
-  if (commentAuthorId === postAuthorId) {
-    return null; // Don't notify self
+async function notifyPostComment(commentAuthorId, postAuthorId, postId, commentId, parentCommentAuthorId = null) {
+  const notifications = [];
+  const isReplyToOther = parentCommentAuthorId && parentCommentAuthorId !== commentAuthorId;
+
+  // Notify post author, unless they are the one being replied to (they get the reply notification instead)
+  if (commentAuthorId !== postAuthorId && !(isReplyToOther && parentCommentAuthorId === postAuthorId)) {
+    notifications.push(
+      await createNotification(
+        postAuthorId,
+        NOTIFICATION_TYPES.COMMENT,
+        'Someone commented on your post',
+        {
+          entityId: commentId,
+          entityType: 'comment',
+          metadata: { postId },
+        }
+      )
+    );
   }
 
-  return createNotification(
-    postAuthorId,
-    NOTIFICATION_TYPES.COMMENT,
-    'Someone commented on your post',
-    {
-      entityId: commentId,
-      entityType: 'comment',
-      metadata: { postId },
-    }
-  );
+  // Notify parent comment author
+  if (isReplyToOther) {
+    notifications.push(
+      await createNotification(
+        parentCommentAuthorId,
+        NOTIFICATION_TYPES.COMMENT_REPLY,
+        'Someone replied to your comment',
+        {
+          entityId: commentId,
+          entityType: 'comment',
+          metadata: { postId },
+        }
+      )
+    );
+  }
+
+  return notifications;
 }
 
+const REACTION_LABELS = {
+  hug: 'Hug',
+  strength: 'Strength',
+  same_here: 'Same here',
+  helpful: 'Helpful',
+};
+
+const REACTION_TARGET_LABELS = {
+  post: 'post',
+  comment: 'comment',
+  forum_post: 'forum reply',
+  message: 'message',
+};
+
 /**
- * Create notification for post like
+ * Create notification for a like or reaction on a user's content.
+ * Skipped for self-reactions, removals and users who turned reaction notifications off.
  */
-async function notifyPostLike(likeAuthorId, postAuthorId, postId, isLiking) {
-  if (!isLiking || likeAuthorId === postAuthorId) {
-    return null; // Don't notify if unliking or self-like
+async function notifyReaction(reactorId, recipientId, { reactionType, targetType, targetId, isAdding = true, metadata = {} }) {
+  if (!isAdding || !recipientId || reactorId === recipientId) {
+    return null; // Don't notify if removing or self-reaction
   }
 
   // Check user preferences
-  const prefs = await getUserNotificationPreferences(postAuthorId);
-  if (prefs && prefs.emailLikes === false) {
-    // skip email logic
+  const prefs = await getUserNotificationPreferences(recipientId);
+  if (prefs && prefs.notifyReactions === false) {
+    return null;
   }
 
+  const targetLabel = REACTION_TARGET_LABELS[targetType] || 'post';
+  const isLike = reactionType === 'like';
+
   return createNotification(
-    postAuthorId,
-    NOTIFICATION_TYPES.LIKE,
-    'Someone liked your post',
+    recipientId,
+    isLike ? NOTIFICATION_TYPES.LIKE : NOTIFICATION_TYPES.REACTION,
+    isLike
+      ? `Someone liked your ${targetLabel}`
+      : `Someone reacted with "${REACTION_LABELS[reactionType] || reactionType}" to your ${targetLabel}`,
     {
-      entityId: postId,
-      entityType: 'post',
+      entityId: targetId,
+      entityType: targetType,
+      metadata: { ...metadata, reactionType },
     }
   );
 }
@@ -123,44 +177,68 @@ async function notifyGroupPost(groupId, postId, postAuthorId) {
 }
 
 /**
- * Create notification for forum reply
+ * Notify someone a forum reply was addressed to them. Everyone else watching the thread hears
+ * about replies through the digest (notifyForumReplyDigests).
  */
-async function notifyForumReply(replyAuthorId, threadCreatorId, threadId, postId, repliedToUserId = null) {
-  const notifications = [];
+async function notifyForumReply(replyAuthorId, repliedToUserId, threadId, postId) {
+  if (!repliedToUserId || repliedToUserId === replyAuthorId) return null;
+  return createNotification(
+    repliedToUserId,
+    NOTIFICATION_TYPES.FORUM_REPLY,
+    'Someone replied to you in a forum thread',
+    {
+      entityId: postId,
+      entityType: 'forum_post',
+      metadata: { threadId },
+    }
+  );
+}
 
-  // Notify thread creator
-  if (replyAuthorId !== threadCreatorId) {
-    notifications.push(
-      await createNotification(
-        threadCreatorId,
-        NOTIFICATION_TYPES.FORUM_REPLY,
-        'Someone replied to your forum thread',
-        {
-          entityId: postId,
-          entityType: 'forum_post',
-          metadata: { threadId },
-        }
-      )
-    );
-  }
+/**
+ * One notification per watcher per thread summarising the replies since their last digest.
+ * digests: [{ userId, threadId, threadTitle, count, postId }] where postId is the first new reply
+ */
+async function notifyForumReplyDigests(digests) {
+  if (!digests.length) return [];
 
-  // Notify replied user
-  if (repliedToUserId && repliedToUserId !== replyAuthorId && repliedToUserId !== threadCreatorId) {
-    notifications.push(
-      await createNotification(
-        repliedToUserId,
-        NOTIFICATION_TYPES.FORUM_REPLY,
-        'Someone replied to you in a forum thread',
-        {
-          entityId: postId,
-          entityType: 'forum_post',
-          metadata: { threadId },
-        }
-      )
-    );
-  }
+  const now = new Date();
+  const docs = digests.map(d => ({
+    _id: uuidv4(),
+    userId: d.userId,
+    type: NOTIFICATION_TYPES.FORUM_REPLY,
+    message: d.count === 1 ? `New reply in "${d.threadTitle}"` : `${d.count} new replies in "${d.threadTitle}"`,
+    entityId: d.postId,
+    entityType: 'forum_post',
+    read: false,
+    createdAt: now,
+    metadata: { threadId: d.threadId, replyCount: d.count },
+  }));
 
-  return notifications;
+  const perUser = new Map();
+  digests.forEach(d => perUser.set(d.userId, (perUser.get(d.userId) || 0) + 1));
+  const results = await Promise.all([
+    Notification.insertMany(docs),
+    User.bulkWrite([...perUser].map(([userId, count]) => ({ updateOne: { filter: { _id: userId }, update: { $inc: { unreadCount: count } } } }))),
+  ]);
+
+  return results[0];
+}
+
+/**
+ * Tell a reply's author it was marked as the answer to a thread
+ */
+async function notifyForumAnswerAccepted(authorId, acceptedById, threadId, postId) {
+  if (authorId === acceptedById) return null;
+  return createNotification(
+    authorId,
+    NOTIFICATION_TYPES.FORUM_ANSWER_ACCEPTED,
+    'Your forum reply was marked as the answer',
+    {
+      entityId: postId,
+      entityType: 'forum_post',
+      metadata: { threadId },
+    }
+  );
 }
 
 /**
@@ -229,6 +307,83 @@ async function notifyNewMessage(senderId, recipientId, conversationId, messageCo
   );
 }
 
+/**
+ * Notify user that a reward redemption was fulfilled or refunded
+ */
+async function notifyRedemptionUpdate(userId, redemption) {
+  const refunded = redemption.status === 'refunded';
+  const rewardName = redemption.reward?.name || 'reward';
+
+  return createNotification(
+    userId,
+    refunded ? NOTIFICATION_TYPES.REWARD_REFUNDED : NOTIFICATION_TYPES.REWARD_FULFILLED,
+    refunded
+      ? `Your ${rewardName} redemption was refunded (${redemption.cost} tokens)`
+      : `Your ${rewardName} redemption has been fulfilled`,
+    {
+      entityId: redemption._id,
+      entityType: 'redemption',
+      metadata: { rewardId: redemption.rewardId, status: redemption.status },
+    }
+  );
+}
+
+/**
+ * Tell a waitlisted user a seat is being held for them until confirmBy
+ */
+async function notifyWaitlistOffer(userId, event, { occurrenceDate = null, confirmBy }) {
+  const when = occurrenceDate ? ` on ${occurrenceDate}` : '';
+  return createNotification(
+    userId,
+    NOTIFICATION_TYPES.EVENT_WAITLIST_OFFER,
+    `A seat opened up for ${event.title}${when}. Confirm by ${new Date(confirmBy).toUTCString()} to keep it`,
+    {
+      entityId: event._id,
+      entityType: 'event',
+      metadata: { occurrenceDate, confirmBy },
+    }
+  );
+}
+
+/**
+ * Remind an attendee that an event (or one occurrence of it) is about to start
+ */
+async function notifyEventReminder(userId, event, { occurrenceDate = null, startsAt }) {
+  return createNotification(
+    userId,
+    NOTIFICATION_TYPES.EVENT_REMINDER,
+    `Reminder: ${event.title} starts ${formatInZone(new Date(startsAt), event.timeZone)}`,
+    {
+      entityId: event._id,
+      entityType: 'event',
+      metadata: { occurrenceDate, startsAt },
+    }
+  );
+}
+
+/**
+ * Tell an attendee an event they registered for was cancelled or moved.
+ * changes: [{ field, from, to }] for eventDate, eventTime and location
+ */
+async function notifyEventChange(userId, event, { occurrenceDate = null, cancelled = false, changes = [], reason = '' }) {
+  const when = occurrenceDate ? ` on ${occurrenceDate}` : '';
+  const summary = changes.map((c) => `${CHANGE_LABELS[c.field] || c.field} is now ${c.to || 'unset'}`).join(', ');
+  const message = cancelled
+    ? `${event.title}${when} has been cancelled${reason ? `: ${reason}` : ''}`
+    : `${event.title}${when} has changed: ${summary}`;
+
+  return createNotification(
+    userId,
+    cancelled ? NOTIFICATION_TYPES.EVENT_CANCELLED : NOTIFICATION_TYPES.EVENT_UPDATED,
+    message,
+    {
+      entityId: event._id,
+      entityType: 'event',
+      metadata: { occurrenceDate, changes, reason },
+    }
+  );
+}
+
 /**
  * Create cross-system notification
  */
@@ -260,6 +415,7 @@ async function getUserNotificationPreferences(userId) {
     userId,
     emailComments: true,
     emailLikes: true,
+    notifyReactions: true,
     emailGroupPosts: true,
     emailForumReplies: true,
     emailEventReminders: true,
@@ -290,14 +446,20 @@ module.exports = {
   NOTIFICATION_TYPES,
   createNotification,
   notifyPostComment,
-  notifyPostLike,
+  notifyReaction,
   notifyGroupPost,
   notifyForumReply,
+  notifyForumReplyDigests,
+  notifyForumAnswerAccepted,
   notifyPatientHubTask,
   notifyFriendRequestReceived,
   notifyFriendRequestAccepted,
   notifyDiseasePagePost,
   notifyNewMessage,
+  notifyRedemptionUpdate,
+  notifyWaitlistOffer,
+  notifyEventReminder,
+  notifyEventChange,
   getUserNotificationPreferences,
   updateUserNotificationPreferences,
 };
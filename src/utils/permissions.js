@@ -0,0 +1,133 @@
+/**
+ * Named permissions and how they are granted. A user has a permission when:
+ *  - their role has it (roles default to DEFAULT_ROLE_PERMISSIONS; admins can edit the mapping),
+ *  - they hold a grant for it, either everywhere or scoped to one group or disease page, or
+ *  - their relationship to the resource gives it (group owners and admins, disease page editors).
+ */
+
+const PERMISSIONS = {
+  'users.list': 'List and search all users',
+  'users.manage': "Edit other users' profiles and roles",
+  'users.suspend': 'Suspend and reinstate users and review suspension appeals',
+  'analytics.view': 'View site statistics and analytics',
+  'moderation.review': 'Review reported and quarantined posts and comments',
+  'posts.remove.any': "Remove other people's posts",
+  'comments.remove.any': "Delete other people's comments",
+  'forums.manage': 'Pin, lock and categorise forum threads and manage forum categories',
+  'forums.moderate': 'Remove forum threads and view or restore forum post revisions',
+  'groups.create': 'Create top-level groups',
+  'groups.manage': 'Edit groups and create sub-groups',
+  'groups.delete': 'Delete groups',
+  'groups.viewPrivate': 'See private and hidden groups and their content without joining',
+  'diseasePages.create': 'Create disease pages',
+  'diseasePages.edit': 'Edit disease pages, their resources, events and featured posts',
+  'diseasePages.editors.manage': "Change a disease page's editors",
+  'diseasePages.delete': 'Delete disease pages',
+  'events.manage': 'Create and run events: schedules, waitlists, check-in, attendance and feedback',
+  'tokens.award': 'Award tokens manually',
+  'logs.view': 'View activity logs',
+  'logs.delete': 'Delete activity logs',
+  'email.manage': 'Check email delivery and send test emails',
+  'rewards.manage': 'Manage rewards and redemptions',
+  'badges.manage': 'Manage badge definitions',
+  'clawbacks.manage': 'Review and override token clawbacks',
+  'rateLimits.view': 'See who is being rate limited',
+  'permissions.manage': 'Edit role permissions and user grants',
+};
+
+// Permissions that can be granted for a single group or disease page
+const SCOPED_PERMISSIONS = {
+  group: ['posts.remove.any', 'comments.remove.any', 'forums.manage', 'forums.moderate', 'groups.manage', 'groups.viewPrivate'],
+  diseasePage: ['diseasePages.edit'],
+};
+
+const ROLES = ['admin-user', 'moderator-user', 'patient-user', 'caregiver-user', 'researcher-user'];
+
+const MODERATOR_PERMISSIONS = [
+  'users.list',
+  'moderation.review',
+  'posts.remove.any',
+  'comments.remove.any',
+  'forums.manage',
+  'forums.moderate',
+  'groups.create',
+  'groups.manage',
+  'groups.delete',
+  'diseasePages.create',
+  'diseasePages.edit',
+  'diseasePages.delete',
+  'events.manage',
+  'tokens.award',
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  'admin-user': Object.keys(PERMISSIONS),
+  'moderator-user': MODERATOR_PERMISSIONS,
+  'patient-user': [],
+  'caregiver-user': [],
+  'researcher-user': [],
+};
+
+// What a user's relationship to a resource gives them there
+const GROUP_ADMIN_PERMISSIONS = ['groups.manage', 'forums.manage', 'forums.moderate'];
+const DISEASE_PAGE_EDITOR_PERMISSIONS = ['diseasePages.edit'];
+
+/**
+ * The group and disease page a resource belongs to. Resources are { group }, { groupId },
+ * { diseasePage } or { diseasePageId }.
+ */
+function resourceScope(resource) {
+  if (!resource) return { groupId: null, diseasePageId: null };
+  const groupId = resource.group ? resource.group._id || resource.group.id : resource.groupId;
+  const diseasePageId = resource.diseasePage ? resource.diseasePage._id || resource.diseasePage.id : resource.diseasePageId;
+  return { groupId: groupId || null, diseasePageId: diseasePageId || null };
+}
+
+function relationshipPermissions(userId, resource) {
+  const granted = [];
+  const group = resource?.group;
+  if (group && (group.ownerId === userId || !!group.adminIds?.includes(userId))) granted.push(...GROUP_ADMIN_PERMISSIONS);
+  if (resource?.diseasePage?.editors?.includes(userId)) granted.push(...DISEASE_PAGE_EDITOR_PERMISSIONS);
+  return granted;
+}
+
+function grantApplies(grant, permission, scope) {
+  if (grant.permission !== permission) return false;
+  if (!grant.scopeType) return true;
+  if (grant.scopeType === 'group') return grant.scopeId === scope.groupId;
+  if (grant.scopeType === 'diseasePage') return grant.scopeId === scope.diseasePageId;
+  return false;
+}
+
+/**
+ * Whether a user has a permission, given their role's permissions and their grants
+ * ([{ permission, scopeType, scopeId }]). Without a resource only unscoped permissions count.
+ */
+function checkPermission({ user, rolePermissions = [], grants = [] }, permission, resource = null) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  if (!user?.id) return false;
+  if (rolePermissions.includes(permission)) return true;
+  if (relationshipPermissions(user.id, resource).includes(permission)) return true;
+  const scope = resourceScope(resource);
+  return grants.some((grant) => grantApplies(grant, permission, scope));
+}
+
+/**
+ * Validate a role's permission list from an admin request
+ */
+function validatePermissionList(permissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter((p) => !PERMISSIONS[p]);
+  if (unknown.length) return `Unknown permissions: ${unknown.join(', ')}`;
+  return null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  resourceScope,
+  checkPermission,
+  validatePermissionList,
+};
@@ -0,0 +1,79 @@
+/**
+ * Rate limit policies and the arithmetic around them. Each policy counts requests in a fixed window per
+ * client IP and, once the user is known, per user; a request over either limit is rejected.
+ */
+
+const POLICIES = {
+  // Every /api request, before authentication
+  api: { windowSeconds: 60, ip: Number(process.env.RATE_LIMIT_API_PER_MINUTE || 600) },
+  login: { windowSeconds: 15 * 60, ip: 30 },
+  register: { windowSeconds: 60 * 60, ip: 10 },
+  passwordReset: { windowSeconds: 60 * 60, ip: 10 },
+  // Posts, comments, forum threads and replies
+  content: { windowSeconds: 60, ip: 60, user: 10 },
+  messages: { windowSeconds: 60, ip: 120, user: 30 },
+  friendRequests: { windowSeconds: 60 * 60, ip: 60, user: 20 },
+};
+
+const LOGIN_LOCKOUT = {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+  baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60),
+  maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 60 * 60),
+  // Failures are forgotten this long after the first one, or at the next successful login
+  failureWindowSeconds: 24 * 60 * 60,
+};
+
+// Failed logins on one account from every client together. The bar is much higher than the per-client one,
+// so a guesser spreading attempts over many IPs is slowed down without one client locking out the owner
+const ACCOUNT_LOCKOUT = {
+  threshold: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD || 20),
+  baseSeconds: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_BASE_SECONDS || 5 * 60),
+  maxSeconds: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_MAX_SECONDS || 60 * 60),
+  failureWindowSeconds: 24 * 60 * 60,
+};
+
+/**
+ * Lockout after `failures` failed logins in a row: none below the threshold, then doubling from
+ * baseSeconds with every further failure, up to maxSeconds
+ */
+function lockoutSeconds(failures, { threshold, baseSeconds, maxSeconds } = LOGIN_LOCKOUT) {
+  if (failures < threshold) return 0;
+  return Math.min(baseSeconds * 2 ** (failures - threshold), maxSeconds);
+}
+
+/**
+ * The bucket that decides the response: one over its limit if any, otherwise the one with the least left.
+ * Buckets are { limit, count, resetSeconds }.
+ */
+function tightestBucket(buckets) {
+  return buckets.reduce((tightest, bucket) => {
+    if (!tightest) return bucket;
+    const left = bucket.limit - bucket.count;
+    const tightestLeft = tightest.limit - tightest.count;
+    if (left !== tightestLeft) return left < tightestLeft ? bucket : tightest;
+    return bucket.resetSeconds > tightest.resetSeconds ? bucket : tightest;
+  }, null);
+}
+
+/**
+ * RateLimit-* headers (IETF draft) for a bucket, plus Retry-After once it is over the limit
+ */
+function rateLimitHeaders(bucket, windowSeconds) {
+  const headers = {
+    'RateLimit-Limit': String(bucket.limit),
+    'RateLimit-Remaining': String(Math.max(bucket.limit - bucket.count, 0)),
+    'RateLimit-Reset': String(bucket.resetSeconds),
+    'RateLimit-Policy': `${bucket.limit};w=${windowSeconds}`,
+  };
+  if (bucket.count > bucket.limit) headers['Retry-After'] = String(bucket.resetSeconds);
+  return headers;
+}
+
+module.exports = {
+  POLICIES,
+  LOGIN_LOCKOUT,
+  ACCOUNT_LOCKOUT,
+  lockoutSeconds,
+  tightestBucket,
+  rateLimitHeaders,
+};
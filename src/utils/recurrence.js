@@ -0,0 +1,182 @@
+const { httpError } = require('./httpError');
+
+/**
+ * Event recurrence rules (a subset of iCalendar RRULE), working on 'YYYY-MM-DD' date keys:
+ *
+ *   { frequency: 'daily' | 'weekly' | 'monthly', interval, byDay, until, count, exceptions }
+ *
+ * byDay: weekly -> ['MO', 'TH']; monthly -> ['2TU'] (second Tuesday) or ['-1FR'] (last Friday).
+ * Monthly rules without byDay repeat on the start date's day of the month (months without it are skipped).
+ * count includes excepted dates, as RRULE COUNT does with EXDATE.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 500;
+const MAX_EXCEPTIONS = 500;
+const MAX_OCCURRENCES = 500; // Per expansion
+const MAX_PERIODS = 10000; // Safety bound on iterations
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BY_DAY_PATTERN = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+function parseDateKey(key) {
+  if (typeof key !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return null;
+  const date = new Date(`${key}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === key ? date : null;
+}
+
+function isDateKey(key) {
+  return parseDateKey(key) !== null;
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  return toDateKey(new Date(parseDateKey(key).getTime() + days * DAY_MS));
+}
+
+function parseByDay(token) {
+  const match = BY_DAY_PATTERN.exec(String(token).toUpperCase());
+  if (!match) return null;
+  return { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+}
+
+/**
+ * Normalise and validate a recurrence rule for an event starting on startKey. Returns null for "does not repeat".
+ */
+function validateRecurrence(input, startKey) {
+  if (!input) return null;
+  if (typeof input !== 'object') throw httpError(400, { error: 'Invalid recurrence rule' });
+  if (!isDateKey(startKey)) throw httpError(400, { error: 'Recurring events need an eventDate in YYYY-MM-DD format' });
+
+  const frequency = String(input.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw httpError(400, { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` });
+  }
+
+  const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw httpError(400, { error: `Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}` });
+  }
+
+  const byDay = [...new Set((input.byDay || []).map((d) => String(d).toUpperCase()))];
+  for (const token of byDay) {
+    const parsed = parseByDay(token);
+    if (!parsed) throw httpError(400, { error: `Invalid byDay value: ${token}` });
+    if (frequency === 'daily') throw httpError(400, { error: 'byDay is not supported for daily recurrence' });
+    if (frequency === 'weekly' && parsed.ordinal !== null) {
+      throw httpError(400, { error: 'Weekly byDay values cannot have an ordinal (use e.g. "TU")' });
+    }
+  }
+
+  const until = input.until || null;
+  if (until && (!isDateKey(until) || until < startKey)) {
+    throw httpError(400, { error: 'Recurrence until must be a YYYY-MM-DD date on or after the event date' });
+  }
+  const count = input.count === undefined || input.count === null ? null : Number(input.count);
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+    throw httpError(400, { error: `Recurrence count must be a whole number between 1 and ${MAX_COUNT}` });
+  }
+  if (until && count !== null) throw httpError(400, { error: 'Use either until or count, not both' });
+
+  const exceptions = [...new Set(input.exceptions || [])].sort();
+  if (exceptions.length > MAX_EXCEPTIONS) throw httpError(400, { error: `At most ${MAX_EXCEPTIONS} exceptions are allowed` });
+  if (exceptions.some((d) => !isDateKey(d))) throw httpError(400, { error: 'Recurrence exceptions must be YYYY-MM-DD dates' });
+
+  return { frequency, interval, byDay, until, count, exceptions };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function dateKeyFor(year, month, day) {
+  return toDateKey(new Date(Date.UTC(year, month, day)));
+}
+
+function monthlyDates(year, month, byDay, startDay) {
+  const total = daysInMonth(year, month);
+  if (!byDay.length) return startDay <= total ? [dateKeyFor(year, month, startDay)] : [];
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const days = new Set();
+  for (const token of byDay) {
+    const { ordinal, weekday } = parseByDay(token);
+    const firstMatch = 1 + ((weekday - firstWeekday + 7) % 7);
+    const matches = [];
+    for (let d = firstMatch; d <= total; d += 7) matches.push(d);
+    if (ordinal === null) matches.forEach((d) => days.add(d));
+    else {
+      const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+  return [...days].sort((a, b) => a - b).map((d) => dateKeyFor(year, month, d));
+}
+
+/**
+ * Candidate dates of one period (day, week or month) of the series, in order
+ */
+function periodDates(startKey, rule, period) {
+  const start = parseDateKey(startKey);
+
+  if (rule.frequency === 'daily') return [addDays(startKey, period * rule.interval)];
+
+  if (rule.frequency === 'weekly') {
+    // Weeks start on Monday (RRULE WKST default)
+    const weekStart = addDays(startKey, -((start.getUTCDay() + 6) % 7) + period * rule.interval * 7);
+    const weekdays = rule.byDay.length ? rule.byDay.map((d) => parseByDay(d).weekday) : [start.getUTCDay()];
+    return [...new Set(weekdays)]
+      .map((w) => (w + 6) % 7)
+      .sort((a, b) => a - b)
+      .map((offset) => addDays(weekStart, offset));
+  }
+
+  const monthIndex = start.getUTCMonth() + period * rule.interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  return monthlyDates(year, monthIndex % 12, rule.byDay, start.getUTCDate());
+}
+
+/**
+ * Occurrence date keys of a series inside [from, to] (both optional, inclusive), oldest first.
+ * A null rule means a single occurrence on startKey.
+ */
+function expandOccurrences(startKey, rule, { from = null, to = null, limit = MAX_OCCURRENCES } = {}) {
+  const inWindow = (key) => (!from || key >= from) && (!to || key <= to);
+  if (!rule) return isDateKey(startKey) && inWindow(startKey) ? [startKey] : [];
+
+  const exceptions = new Set(rule.exceptions || []);
+  const results = [];
+  let generated = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period += 1) {
+    for (const key of periodDates(startKey, rule, period)) {
+      if (key < startKey) continue;
+      if (rule.until && key > rule.until) return results;
+      if (to && key > to) return results;
+      generated += 1;
+      if (rule.count && generated > rule.count) return results;
+      if (exceptions.has(key) || !inWindow(key)) continue;
+      results.push(key);
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+function isOccurrenceDate(startKey, rule, key) {
+  return isDateKey(key) && expandOccurrences(startKey, rule, { from: key, to: key }).length === 1;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  isDateKey,
+  addDays,
+  validateRecurrence,
+  expandOccurrences,
+  isOccurrenceDate,
+};
@@ -0,0 +1,37 @@
+/**
+ * Redemption lifecycle: written 'processing', then 'pending' once paid for or 'failed' if it cannot be;
+ * pending ones are 'fulfilled', and pending or fulfilled ones can be 'refunded'.
+ */
+const REDEMPTION_STATUSES = ['processing', 'pending', 'fulfilled', 'refunded', 'failed'];
+
+const REDEMPTION_TRANSITIONS = {
+  pay: { from: ['processing'], to: 'pending' },
+  fail: { from: ['processing'], to: 'failed' },
+  fulfil: { from: ['pending'], to: 'fulfilled' },
+  refund: { from: ['pending', 'fulfilled'], to: 'refunded' },
+};
+
+function canTransition(status, action) {
+  return !!REDEMPTION_TRANSITIONS[action]?.from.includes(status);
+}
+
+/**
+ * Filter and update for a status change. The filter only matches a redemption the action can move, so
+ * of two concurrent changes only one applies.
+ */
+function transitionQuery(redemptionId, action, fields = {}, now = new Date()) {
+  const transition = REDEMPTION_TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown redemption action: ${action}`);
+  const { from, to } = transition;
+  return {
+    filter: { _id: redemptionId, status: from.length === 1 ? from[0] : { $in: from } },
+    update: { ...fields, status: to, updatedAt: now },
+  };
+}
+
+module.exports = {
+  REDEMPTION_STATUSES,
+  REDEMPTION_TRANSITIONS,
+  canTransition,
+  transitionQuery,
+};
@@ -0,0 +1,125 @@
+/**
+ * Who is making a request: client IP behind proxies and a coarse browser/OS/device from the User-Agent.
+ * Shared by the audit logger and session tracking.
+ */
+
+function getClientIp(req) {
+  // Try multiple headers for real IP (important for proxied requests)
+  const headers = [
+    'x-real-ip',
+    'x-forwarded-for',
+    'cf-connecting-ip', // Cloudflare
+    'x-client-ip',
+    'x-cluster-client-ip',
+    'forwarded-for',
+    'forwarded',
+    'true-client-ip', // Akamai
+  ];
+
+  for (const header of headers) {
+    const value = req.headers[header];
+    if (typeof value === 'string' && value.length > 0) {
+      // x-forwarded-for can have multiple IPs, take the first one
+      const ip = value.split(',')[0].trim();
+      // Skip localhost/private IPs if we can get a better one
+      if (ip && !isPrivateIp(ip)) {
+        return ip;
+      }
+    }
+  }
+
+  // Fallback to connection IP
+  const connectionIp = req.ip || req.connection?.remoteAddress || '';
+
+  // ::1 means localhost in IPv6
+  if (connectionIp === '::1' || connectionIp === '127.0.0.1') {
+    return 'localhost';
+  }
+
+  // ::ffff:127.0.0.1 is IPv4-mapped IPv6 for localhost
+  if (connectionIp.startsWith('::ffff:')) {
+    const ipv4 = connectionIp.slice(7);
+    if (ipv4 === '127.0.0.1') return 'localhost';
+    return ipv4;
+  }
+
+  return connectionIp;
+}
+
+/**
+ * The connection IP as Express resolved it, which only follows X-Forwarded-For through proxies allowed by
+ * the `trust proxy` setting. Unlike getClientIp it can't be chosen by the client, so anything that limits
+ * or locks out by IP uses this.
+ */
+function getTrustedIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress || '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+/**
+ * Express `trust proxy` value from TRUST_PROXY: unset or 'false' trusts nobody, 'true' trusts every hop,
+ * a number trusts that many hops and anything else is a list of addresses/subnets (e.g. 'loopback, 10.0.0.0/8')
+ */
+function parseTrustProxy(value) {
+  const setting = String(value ?? '').trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting;
+}
+
+function isPrivateIp(ip) {
+  if (!ip) return true;
+  if (ip === 'localhost' || ip === '::1' || ip === '127.0.0.1') return true;
+
+  // Check for private IPv4 ranges
+  const parts = ip.split('.').map(Number);
+  if (parts.length === 4) {
+    // 10.x.x.x
+    if (parts[0] === 10) return true;
+    // 172.16.x.x - 172.31.x.x
+    if (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) return true;
+    // 192.168.x.x
+    if (parts[0] === 192 && parts[1] === 168) return true;
+  }
+
+  return false;
+}
+
+function parseUserAgent(ua) {
+  if (!ua) return { browser: 'Unknown', os: 'Unknown', device: 'Unknown' };
+
+  let browser = 'Unknown';
+  let os = 'Unknown';
+  let device = 'Desktop';
+
+  // Browser detection
+  if (ua.includes('Firefox/')) browser = 'Firefox';
+  else if (ua.includes('Edg/')) browser = 'Edge';
+  else if (ua.includes('Chrome/')) browser = 'Chrome';
+  else if (ua.includes('Safari/') && !ua.includes('Chrome')) browser = 'Safari';
+  else if (ua.includes('Opera') || ua.includes('OPR/')) browser = 'Opera';
+
+  // OS detection
+  if (ua.includes('Windows')) os = 'Windows';
+  else if (ua.includes('Mac OS')) os = 'macOS';
+  else if (ua.includes('Linux')) os = 'Linux';
+  else if (ua.includes('Android')) os = 'Android';
+  else if (ua.includes('iPhone') || ua.includes('iPad')) os = 'iOS';
+
+  // Device detection
+  if (ua.includes('Mobile') || ua.includes('Android')) device = 'Mobile';
+  else if (ua.includes('iPad') || ua.includes('Tablet')) device = 'Tablet';
+
+  return { browser, os, device };
+}
+
+/**
+ * IP and device details stored with a session; the IP also keys login lockouts, so it must be the trusted one
+ */
+function describeClient(req) {
+  const userAgent = req.headers['user-agent'] || '';
+  return { ip: getTrustedIp(req), userAgent, ...parseUserAgent(userAgent) };
+}
+
+module.exports = { getClientIp, getTrustedIp, parseTrustProxy, isPrivateIp, parseUserAgent, describeClient };
@@ -0,0 +1,118 @@
+/**
+ * Calendar-day helpers for login streaks. Days are 'YYYY-MM-DD' keys in the user's IANA time zone.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escalating daily_login multipliers, highest first
+const STREAK_MULTIPLIERS = [
+  { days: 30, multiplier: 3 },
+  { days: 14, multiplier: 2.5 },
+  { days: 7, multiplier: 2 },
+  { days: 3, multiplier: 1.5 },
+];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+function dayKeyInZone(date, timeZone) {
+  return getFormatter(resolveTimeZone(timeZone)).format(date);
+}
+
+/**
+ * Whole days from dayKey a to dayKey b (positive when b is later)
+ */
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+function streakMultiplier(days) {
+  const tier = STREAK_MULTIPLIERS.find((t) => days >= t.days);
+  return tier ? tier.multiplier : 1;
+}
+
+/**
+ * Next multiplier tier above the given streak, or null at the top tier
+ */
+function nextStreakTier(days) {
+  const above = STREAK_MULTIPLIERS.filter((t) => t.days > days);
+  return above.length ? above[above.length - 1] : null;
+}
+
+/**
+ * Apply an activity day to a stored streak. Returns null when the day was already counted.
+ */
+function advanceStreak(streak, todayKey) {
+  const last = streak?.lastActiveDay || null;
+  if (last && daysBetween(last, todayKey) <= 0) return null;
+
+  const current = last && daysBetween(last, todayKey) === 1 ? (streak.current || 0) + 1 : 1;
+  return {
+    current,
+    longest: Math.max(streak?.longest || 0, current),
+    lastActiveDay: todayKey,
+  };
+}
+
+/**
+ * The streak as seen today: it only stays alive if the last active day was today or yesterday
+ */
+function currentStreak(streak, todayKey) {
+  if (!streak?.lastActiveDay) return 0;
+  return daysBetween(streak.lastActiveDay, todayKey) <= 1 ? streak.current || 0 : 0;
+}
+
+/**
+ * Streak state for API responses, evaluated against today in the streak's own time zone
+ */
+function summarizeStreak(loginStreak, now = new Date()) {
+  const timeZone = resolveTimeZone(loginStreak?.timeZone);
+  const todayKey = dayKeyInZone(now, timeZone);
+  const current = currentStreak(loginStreak, todayKey);
+
+  return {
+    current,
+    longest: loginStreak?.longest || 0,
+    lastActiveDay: loginStreak?.lastActiveDay || null,
+    activeToday: loginStreak?.lastActiveDay === todayKey,
+    timeZone,
+    multiplier: streakMultiplier(current),
+    nextTier: nextStreakTier(current),
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  STREAK_MULTIPLIERS,
+  isValidTimeZone,
+  resolveTimeZone,
+  dayKeyInZone,
+  daysBetween,
+  streakMultiplier,
+  nextStreakTier,
+  advanceStreak,
+  currentStreak,
+  summarizeStreak,
+};
@@ -0,0 +1,149 @@
+/**
+ * Wall-clock times in IANA time zones. Converts between a local 'YYYY-MM-DD' + 'HH:mm' in a zone and UTC instants.
+ */
+
+const { isValidTimeZone, resolveTimeZone } = require('./streaks');
+
+// Abbreviations seen in legacy free-text event times ('6:30 PM EST'), mapped to the zone they usually mean
+const LEGACY_ZONE_ABBREVIATIONS = {
+  UTC: 'UTC',
+  GMT: 'UTC',
+  BST: 'Europe/London',
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  ET: 'America/New_York',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  CT: 'America/Chicago',
+  MST: 'America/Denver',
+  MDT: 'America/Denver',
+  MT: 'America/Denver',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  PT: 'America/Los_Angeles',
+};
+
+const partFormatters = new Map();
+
+function getPartFormatter(timeZone) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return partFormatters.get(timeZone);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Hours and minutes from '18:30', '6:30 PM' or '6 pm EST'; null when there is no recognisable time
+ */
+function parseEventTime(value) {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i.exec(String(value || ''));
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (match[2] === undefined) {
+    return null; // a bare number is not a time
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/**
+ * A time as stored on events ('6:30 PM' -> '18:30'); null when unparseable
+ */
+function normalizeEventTime(value) {
+  const clock = parseEventTime(value);
+  return clock ? `${pad(clock.hours)}:${pad(clock.minutes)}` : null;
+}
+
+/**
+ * IANA zone for a trailing abbreviation in a legacy time string ('6:30 PM EST' -> 'America/New_York')
+ */
+function legacyZoneFromTime(value) {
+  const match = /\b([A-Z]{2,4})\s*$/.exec(String(value || '').trim());
+  return match ? LEGACY_ZONE_ABBREVIATIONS[match[1]] || null : null;
+}
+
+/**
+ * Minutes the zone is ahead of UTC at an instant (e.g. 60 for Europe/London in summer)
+ */
+function zoneOffsetMinutes(instant, timeZone) {
+  const parts = Object.fromEntries(getPartFormatter(timeZone).formatToParts(instant).map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant of a local date and time in a zone. Times skipped by a DST change move forward by the gap;
+ * repeated times resolve to the first of the two.
+ */
+function zonedTimeToUtc(dateKey, { hours = 0, minutes = 0 } = {}, timeZone = 'UTC') {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const local = Date.UTC(year, month - 1, day, hours, minutes);
+  if (Number.isNaN(local)) return null;
+
+  const zone = resolveTimeZone(timeZone);
+  const firstGuess = local - zoneOffsetMinutes(new Date(local), zone) * 60000;
+  const offset = zoneOffsetMinutes(new Date(firstGuess), zone);
+  const candidate = local - offset * 60000;
+  // In the repeated hour the earlier instant (previous offset) also maps to this wall time
+  const earlier = local - zoneOffsetMinutes(new Date(candidate - 3600000), zone) * 60000;
+  if (earlier < candidate && zoneOffsetMinutes(new Date(earlier), zone) * 60000 === local - earlier) return new Date(earlier);
+  return new Date(candidate);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Local date, time and UTC offset of an instant in a zone
+ */
+function localDateTime(instant, timeZone = 'UTC') {
+  const zone = resolveTimeZone(timeZone);
+  const offset = zoneOffsetMinutes(instant, zone);
+  const shifted = new Date(instant.getTime() + offset * 60000);
+  const date = shifted.toISOString().slice(0, 10);
+  const time = shifted.toISOString().slice(11, 16);
+  return { timeZone: zone, date, time, offset: formatOffset(offset), local: `${date}T${time}:00${formatOffset(offset)}` };
+}
+
+/**
+ * Human-readable date and time in a zone, e.g. '2 Mar 2026, 18:30 (Europe/London)'
+ */
+function formatInZone(instant, timeZone = 'UTC') {
+  const zone = resolveTimeZone(timeZone);
+  const text = new Intl.DateTimeFormat('en-GB', { timeZone: zone, dateStyle: 'medium', timeStyle: 'short' }).format(instant);
+  return `${text} (${zone})`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  parseEventTime,
+  normalizeEventTime,
+  legacyZoneFromTime,
+  zoneOffsetMinutes,
+  zonedTimeToUtc,
+  localDateTime,
+  formatInZone,
+};
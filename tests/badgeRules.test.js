@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCriteria, collectFactRequirements, evaluateCriteria, referencesActions, longestStreak } = require('../src/utils/badgeRules');
+
+test('legacy actionType/threshold criteria still evaluate', () => {
+  const criteria = { actionType: 'create_post', threshold: 1 };
+  assert.equal(evaluateCriteria(criteria, { counts: { 'create_post:all': 1 } }), true);
+  assert.equal(evaluateCriteria(criteria, { counts: {} }), false);
+});
+
+test('compound criteria combine windows, streaks and roles', () => {
+  const criteria = {
+    all: [
+      { type: 'action_count', actionType: 'forum_reply', threshold: 5, windowDays: 30 },
+      { any: [{ type: 'streak', days: 7 }, { type: 'role', roles: ['moderator-user'] }] },
+    ],
+  };
+  validateCriteria(criteria);
+
+  const requirements = collectFactRequirements([criteria]);
+  assert.deepEqual(requirements.counts, [{ actionType: 'forum_reply', windowDays: 30 }]);
+  assert.deepEqual(requirements.streaks, ['*']);
+  assert.equal(requirements.needsRole, true);
+
+  const facts = { role: 'patient-user', counts: { 'forum_reply:30': 6 }, streaks: { '*': 3 } };
+  assert.equal(evaluateCriteria(criteria, facts), false);
+  assert.equal(evaluateCriteria(criteria, { ...facts, role: 'moderator-user' }), true);
+});
+
+test('rejects malformed criteria', () => {
+  assert.throws(() => validateCriteria({ type: 'action_count', actionType: 'create_post', threshold: 0 }), (err) => err.status === 400);
+  assert.throws(() => validateCriteria({ all: [] }), (err) => err.status === 400);
+  assert.throws(() => validateCriteria({ type: 'mystery' }), (err) => err.status === 400);
+});
+
+test('longest streak counts consecutive days only', () => {
+  assert.equal(longestStreak(['2026-10-01', '2026-10-02', '2026-10-04', '2026-10-05', '2026-10-06', '2026-10-05']), 3);
+  assert.equal(longestStreak([]), 0);
+});
+
+test('clawback re-checks skip time-based rules and only target affected actions', () => {
+  const criteria = { all: [{ type: 'action_count', actionType: 'create_post', threshold: 5, windowDays: 7 }, { type: 'streak', days: 3 }] };
+  assert.equal(evaluateCriteria(criteria, { counts: {}, streaks: {} }), false);
+  assert.equal(evaluateCriteria(criteria, { counts: {}, streaks: {} }, { lenientWindows: true }), true);
+
+  assert.equal(referencesActions({ any: [{ actionType: 'create_post', threshold: 1 }] }, ['create_post']), true);
+  assert.equal(referencesActions({ type: 'role', roles: ['moderator-user'] }, ['create_post']), false);
+});
@@ -1,18 +1,57 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { checkForBadges, awardBadge } = require('../src/utils/badges');
-const { writeData } = require('../src/utils/dataStore');
+const { validateCriteria, evaluateCriteria, collectFactRequirements } = require('../src/utils/badgeRules');
+const definitions = require('../src/data/badgeDefinitions.json');
+const BadgeDefinition = require('../src/models/BadgeDefinition');
+const Gamification = require('../src/models/Gamification');
+const TokenLedger = require('../src/models/TokenLedger');
+const { evaluateBadges } = require('../src/services/badgeService');
+const { mintBadgeNFT } = require('../src/services/tokenService');
+const { fakeCollection } = require('./helpers/fakeModels');
 
-test('awards first post badge', async () => {
-  await writeData('badges.json', []);
-  const earned = await checkForBadges('user-1', { postsCount: 1, commentsCount: 0, role: 'patient-user' });
-  assert.ok(earned.find((b) => b.type === 'first-post'));
+const firstPost = definitions.find((d) => d.badgeId === 'first-post');
+
+// A user with `actionCounts` and no badges yet, against the seeded badge definitions
+function setup(t, actionCounts) {
+  fakeCollection(t, BadgeDefinition, definitions.map((d) => ({ ...d, active: true })));
+  const wallet = { userId: 'user-1', totalTokens: 0, badges: [], actionCounts };
+  fakeCollection(t, Gamification, [wallet]);
+  const ledger = fakeCollection(t, TokenLedger, [], { unique: ['idempotencyKey'] });
+  t.mock.method(TokenLedger, 'aggregate', async () => []); // No active days, so no streak badges
+  return { wallet, ledger };
+}
+
+test('seeded badge definitions are valid rules', () => {
+  definitions.forEach((d) => assert.doesNotThrow(() => validateCriteria(d.criteria), d.badgeId));
 });
 
-test('does not duplicate badges', async () => {
-  await writeData('badges.json', []);
-  await awardBadge('user-1', 'first-post');
-  const earned = await checkForBadges('user-1', { postsCount: 2, commentsCount: 0, role: 'patient-user' });
-  const firstPostBadges = earned.filter((b) => b.type === 'first-post');
-  assert.equal(firstPostBadges.length, 0);
+test('first post rule counts posts only', () => {
+  const { counts } = collectFactRequirements([firstPost.criteria]);
+  assert.deepEqual(counts, [{ actionType: 'create_post', windowDays: null }]);
+  assert.equal(evaluateCriteria(firstPost.criteria, { counts: { 'create_post:all': 1 } }), true);
+  assert.equal(evaluateCriteria(firstPost.criteria, { counts: { 'create_comment:all': 1 } }), false);
+});
+
+test('awards first post badge', async (t) => {
+  const { wallet } = setup(t, { create_post: 1 });
+
+  const earned = await evaluateBadges('user-1', { role: 'patient-user' });
+  assert.deepEqual(earned.map((b) => b.badgeId), ['first-post']);
+  assert.deepEqual(wallet.badges.map((b) => b.badgeId), ['first-post']);
+  assert.equal(wallet.totalTokens, firstPost.tokenReward);
+});
+
+test('does not duplicate badges', async (t) => {
+  const { wallet, ledger } = setup(t, { create_post: 1 });
+  await mintBadgeNFT('user-1', 'first-post');
+
+  wallet.actionCounts.create_post = 2;
+  const earned = await evaluateBadges('user-1', { role: 'patient-user' });
+  assert.equal(earned.filter((b) => b.badgeId === 'first-post').length, 0);
+
+  // Concurrent mints of the same badge add it, and pay its bonus, once
+  await Promise.all([mintBadgeNFT('user-1', 'first-post'), mintBadgeNFT('user-1', 'first-post')]);
+  assert.equal(wallet.badges.filter((b) => b.badgeId === 'first-post').length, 1);
+  assert.equal(ledger.filter((e) => e.action === 'badge_earned').length, 1);
+  assert.equal(wallet.totalTokens, firstPost.tokenReward);
 });
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const badgeService = require('../src/services/badgeService');
+const Clawback = require('../src/models/Clawback');
+const Gamification = require('../src/models/Gamification');
+const TokenLedger = require('../src/models/TokenLedger');
+const { fakeCollection } = require('./helpers/fakeModels');
+
+// Badge rules are covered elsewhere; here no badge is lost or regained
+test.mock.method(badgeService, 'revokeUnearnedBadges', async () => []);
+test.mock.method(badgeService, 'evaluateBadges', async () => []);
+const { clawbackContentAwards, overrideClawback } = require('../src/services/clawbackService');
+
+const REMOVAL = { contentType: 'post', contentId: 'p1', authorId: 'author', moderatorId: 'mod', reason: 'Spam' };
+
+function setup(t) {
+  const wallet = { userId: 'author', totalTokens: 20, badges: [], actionCounts: { create_post: 2, receive_like: 1 } };
+  fakeCollection(t, Gamification, [wallet]);
+  const ledger = fakeCollection(t, TokenLedger, [
+    { _id: 'e1', userId: 'author', action: 'create_post', tokens: 10, metadata: { postId: 'p1' } },
+    { _id: 'e2', userId: 'author', action: 'receive_like', tokens: 2, metadata: { postId: 'p1' } },
+    { _id: 'e3', userId: 'author', action: 'create_post', tokens: 8, metadata: { postId: 'p2' } },
+  ], { unique: ['idempotencyKey'] });
+  const clawbacks = fakeCollection(t, Clawback, []);
+  return { wallet, ledger, clawbacks };
+}
+
+test('a clawback reverses what the removed post earned, once', async (t) => {
+  const { wallet, ledger, clawbacks } = setup(t);
+
+  const clawback = await clawbackContentAwards(REMOVAL);
+  assert.equal(clawback.totalTokens, 12);
+  assert.deepEqual(clawback.entries.map((e) => e.originalEntryId), ['e1', 'e2']);
+  assert.equal(wallet.totalTokens, 8);
+  assert.deepEqual(wallet.actionCounts, { create_post: 1, receive_like: 0 });
+
+  assert.equal(await clawbackContentAwards(REMOVAL), null);
+  assert.equal(wallet.totalTokens, 8);
+  assert.equal(ledger.filter((e) => e.action === 'clawback').length, 2);
+  assert.equal(clawbacks.length, 1);
+});
+
+test('a clawback interrupted before its record is written is finished by the next attempt', async (t) => {
+  const { wallet, ledger, clawbacks } = setup(t);
+  Clawback.findOneAndUpdate.mock.mockImplementationOnce(() => {
+    throw new Error('process stopped');
+  });
+
+  await assert.rejects(clawbackContentAwards(REMOVAL), /process stopped/);
+  assert.equal(clawbacks.length, 0);
+  assert.equal(wallet.totalTokens, 8);
+
+  const clawback = await clawbackContentAwards(REMOVAL);
+  assert.equal(clawback.totalTokens, 12);
+  assert.equal(clawback.entries.length, 2);
+  assert.equal(wallet.totalTokens, 8); // The entries written before the stop were not charged twice
+  assert.deepEqual(wallet.actionCounts, { create_post: 1, receive_like: 0 });
+  assert.equal(ledger.filter((e) => e.action === 'clawback').length, 2);
+});
+
+test('an override gives the tokens back, and removing the content again claws them back again', async (t) => {
+  const { wallet, clawbacks } = setup(t);
+  const first = await clawbackContentAwards(REMOVAL);
+
+  const { clawback } = await overrideClawback(first._id, 'admin', { reason: 'Removed in error' });
+  assert.equal(clawback.status, 'overridden');
+  assert.equal(wallet.totalTokens, 20);
+  assert.deepEqual(wallet.actionCounts, { create_post: 2, receive_like: 1 });
+  await assert.rejects(overrideClawback(first._id, 'admin'), (err) => err.status === 409);
+
+  const second = await clawbackContentAwards(REMOVAL);
+  assert.notEqual(second._id, first._id);
+  assert.equal(second.totalTokens, 12);
+  assert.equal(wallet.totalTokens, 8);
+  assert.deepEqual(clawbacks.map((c) => c.status), ['overridden', 'applied']);
+});
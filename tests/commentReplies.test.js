@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const Reaction = require('../src/models/Reaction');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { encodeCursor, decodeCursor, parsePositiveInt } = require('../src/services/posts/cursor');
+const { getPostComments, getCommentReplies } = require('../src/modules/posts/posts.service');
+
+test('cursors round-trip the timestamp and id and reject anything else', () => {
+  const createdAt = new Date('2026-03-01T10:00:00Z');
+  assert.deepEqual(decodeCursor(encodeCursor(createdAt, 'c1')), { createdAt, id: 'c1' });
+  assert.deepEqual(decodeCursor(encodeCursor(createdAt.toISOString(), 'c1')), { createdAt, id: 'c1' });
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('yesterday|c1').toString('base64')), null);
+  assert.equal(decodeCursor(Buffer.from(`${createdAt.toISOString()}|`).toString('base64')), null);
+});
+
+test('parsePositiveInt falls back for missing, zero and negative values', () => {
+  assert.equal(parsePositiveInt('5', 20), 5);
+  assert.equal(parsePositiveInt(undefined, 20), 20);
+  assert.equal(parsePositiveInt('0', 20), 20);
+  assert.equal(parsePositiveInt('-3', 20), 20);
+  assert.equal(parsePositiveInt('abc', 20), 20);
+});
+
+function comment(_id, minute, parentCommentId = null, overrides = {}) {
+  const createdAt = new Date(Date.UTC(2026, 2, 1, 10, minute));
+  return { _id, postId: 'p1', authorId: 'u1', content: _id, parentCommentId, createdAt, removed: false, visible: true, ...overrides };
+}
+
+function thread(t) {
+  fakeCollection(t, Post, [{ _id: 'p1', authorId: 'u1', groupId: null, removed: false }]);
+  fakeCollection(t, Reaction, []);
+  fakeCollection(t, Comment, [
+    comment('top1', 0, null, { replyCount: 4 }),
+    comment('top2', 1),
+    comment('r1', 2, 'top1'),
+    // Two replies in the same minute are ordered by id
+    comment('r3', 3, 'top1'),
+    comment('r2', 3, 'top1'),
+    comment('r4', 4, 'top1'),
+    comment('gone', 5, 'top1', { removed: true }),
+  ]);
+}
+
+test('replies are paged oldest first with a cursor, apart from top-level comments', async (t) => {
+  thread(t);
+
+  const top = await getPostComments('viewer', 'patient-user', 'p1', {});
+  assert.deepEqual(top.comments.map((c) => c.id), ['top1', 'top2']);
+  assert.equal(top.comments[0].replyCount, 4);
+  assert.equal(top.hasMore, false);
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await getCommentReplies('viewer', 'patient-user', 'p1', 'top1', { limit: 2, cursor });
+    seen.push(page.comments.map((c) => c.id));
+    assert.equal(page.hasMore, !!page.nextCursor);
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, [['r1', 'r2'], ['r3', 'r4']]);
+});
+
+test('replies to a missing or removed comment are not found', async (t) => {
+  thread(t);
+  const status = (promise) => promise.then(() => 200, (err) => err.status);
+  assert.equal(await status(getCommentReplies('viewer', 'patient-user', 'p1', 'gone', {})), 404);
+  assert.equal(await status(getCommentReplies('viewer', 'patient-user', 'p2', 'top1', {})), 404);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const PermissionGrant = require('../src/models/PermissionGrant');
+const RolePermission = require('../src/models/RolePermission');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { buildCommentResponse } = require('../src/services/posts/postResponseBuilder');
+const { getCommentHistory, deletePostComment } = require('../src/modules/posts/posts.service');
+
+test('comment responses mark edits and leave the edit history out', () => {
+  const createdAt = new Date('2026-03-01T10:00:00Z');
+  const editedAt = new Date('2026-03-01T11:00:00Z');
+  const edited = buildCommentResponse({
+    _id: 'c1',
+    content: 'v2',
+    createdAt,
+    editedAt,
+    editHistory: [{ content: 'v1', editedAt }],
+    authorId: { _id: 'u1', name: 'Ada', role: 'patient-user', avatarUrl: null },
+  }, ['heart']);
+
+  assert.equal(edited.id, 'c1');
+  assert.equal(edited.edited, true);
+  assert.equal('editHistory' in edited, false);
+  assert.equal(edited.replyCount, 0);
+  assert.deepEqual(edited.viewerReactions, ['heart']);
+  assert.deepEqual(edited.author, { id: 'u1', name: 'Ada', role: 'patient-user', avatarUrl: '' });
+  assert.equal(buildCommentResponse({ _id: 'c2', content: 'v1', createdAt }).edited, false);
+});
+
+function comment(_id, parentCommentId = null, overrides = {}) {
+  return { _id, postId: 'p1', authorId: 'author', content: _id, parentCommentId, createdAt: new Date(), removed: false, ...overrides };
+}
+
+function post(t, comments) {
+  fakeCollection(t, RolePermission, []);
+  fakeCollection(t, PermissionGrant, []);
+  fakeCollection(t, Post, [{ _id: 'p1', authorId: 'someone', groupId: null, commentCount: comments.length }]);
+  return fakeCollection(t, Comment, comments);
+}
+
+test('the comment history lists every version, for the author only', async (t) => {
+  const first = new Date('2026-03-01T10:00:00Z');
+  const second = new Date('2026-03-01T11:00:00Z');
+  const third = new Date('2026-03-01T12:00:00Z');
+  post(t, [comment('c1', null, {
+    content: 'v3',
+    createdAt: first,
+    editedAt: third,
+    editHistory: [{ content: 'v1', editedAt: second }, { content: 'v2', editedAt: third }],
+  })]);
+
+  const { versions } = await getCommentHistory('author', 'patient-user', 'p1', 'c1');
+  assert.deepEqual(versions, [
+    { version: 1, content: 'v1', writtenAt: first, current: false },
+    { version: 2, content: 'v2', writtenAt: second, current: false },
+    { version: 3, content: 'v3', writtenAt: third, current: true },
+  ]);
+  await assert.rejects(getCommentHistory('reader', 'patient-user', 'p1', 'c1'), (err) => err.status === 403);
+});
+
+test('deleting a comment removes its replies at every depth and drops the counts to match', async (t) => {
+  const comments = post(t, [
+    comment('top', null, { replyCount: 1 }),
+    comment('c1', 'top', { replyCount: 2 }),
+    comment('r1', 'c1', { replyCount: 1 }),
+    comment('r2', 'c1'),
+    comment('rr1', 'r1'),
+    comment('old', 'c1', { removed: true }),
+  ]);
+
+  assert.deepEqual(await deletePostComment('author', 'patient-user', 'p1', 'c1'), { success: true, removedReplies: 3 });
+  const removed = comments.filter((c) => c.removed).map((c) => c._id).sort();
+  assert.deepEqual(removed, ['c1', 'old', 'r1', 'r2', 'rr1']);
+  assert.equal(comments.find((c) => c._id === 'top').replyCount, 0);
+  // The comment count goes down by the comment and its three live replies
+  const [, pipeline] = Post.updateOne.mock.calls.at(-1).arguments;
+  assert.deepEqual(pipeline[0].$set.commentCount, { $max: [{ $subtract: ['$commentCount', 4] }, 0] });
+
+  await assert.rejects(deletePostComment('author', 'patient-user', 'p1', 'c1'), (err) => err.status === 404);
+  await assert.rejects(deletePostComment('reader', 'patient-user', 'p1', 'top'), (err) => err.status === 403);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokenService = require('../src/services/tokenService');
+const Gamification = require('../src/models/Gamification');
+const User = require('../src/models/User');
+const { fakeCollection } = require('./helpers/fakeModels');
+
+// Stands in for the award; `failing` makes it report an error the way processUserAction does
+const awarded = new Set();
+let failing = false;
+test.mock.method(tokenService, 'processUserAction', async (userId, action, metadata, { idempotencyKey }) => {
+  if (failing) return { tokensAwarded: 0, totalTokens: 0, badgesEarned: [], error: 'ledger unavailable' };
+  const fresh = !awarded.has(idempotencyKey);
+  awarded.add(idempotencyKey);
+  return { tokensAwarded: fresh ? 5 : 0, totalTokens: awarded.size * 5, badgesEarned: [] };
+});
+const { recordDailyLogin } = require('../src/services/streakService');
+
+test('a failed daily bonus leaves the day unrecorded so the next request awards it', async (t) => {
+  fakeCollection(t, User, [{ _id: 'u1', timezone: 'UTC' }]);
+  const wallets = fakeCollection(t, Gamification, [{ userId: 'u1', totalTokens: 0, badges: [], actionCounts: {} }]);
+
+  failing = true;
+  assert.equal(await recordDailyLogin('u1'), null);
+  assert.equal(wallets[0].loginStreak, undefined);
+
+  failing = false;
+  const result = await recordDailyLogin('u1');
+  assert.equal(result.tokensAwarded, 5);
+  assert.equal(result.streak.current, 1);
+  assert.equal(wallets[0].loginStreak.current, 1);
+
+  assert.equal(await recordDailyLogin('u1'), null);
+  assert.equal(awarded.size, 1);
+});
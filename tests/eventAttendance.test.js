@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCheckInCode, normalizeCode, occurrenceSchedule, isCheckInOpen, isFeedbackOpen, summarizeRatings } = require('../src/services/events/attendance');
+
+test('check-in codes are short and forgiving to type', () => {
+  const code = generateCheckInCode();
+  assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.equal(normalizeCode(' ab-c 12x '), 'ABC12X');
+});
+
+test('check-in opens 30 minutes before the start and closes 30 minutes after the end', () => {
+  const event = { eventDate: '2026-03-02', eventTime: '18:00', timeZone: 'Europe/Paris', durationMinutes: 120, recurrence: { frequency: 'weekly' }, occurrences: [
+    { date: '2026-03-09', status: 'rescheduled', eventDate: '2026-03-10', eventTime: '19:00', attendees: [] },
+  ] };
+  const schedule = occurrenceSchedule(event, null);
+  const { startsAt } = schedule;
+  assert.equal(startsAt.toISOString(), '2026-03-02T17:00:00.000Z');
+  assert.equal(schedule.endsAt.toISOString(), '2026-03-02T19:00:00.000Z');
+  assert.equal(occurrenceSchedule(event, '2026-03-09').startsAt.toISOString(), '2026-03-10T18:00:00.000Z');
+
+  assert.equal(isCheckInOpen(schedule, new Date('2026-03-02T16:29:00Z')), false);
+  assert.equal(isCheckInOpen(schedule, new Date('2026-03-02T16:30:00Z')), true);
+  assert.equal(isCheckInOpen(schedule, new Date('2026-03-02T19:30:00Z')), true);
+  assert.equal(isCheckInOpen(schedule, new Date('2026-03-02T19:31:00Z')), false);
+
+  assert.equal(isFeedbackOpen(startsAt, new Date('2026-03-02T16:59:00Z')), false);
+  assert.equal(isFeedbackOpen(startsAt, new Date('2026-03-20T00:00:00Z')), true);
+  assert.equal(isFeedbackOpen(startsAt, new Date('2026-04-20T00:00:00Z')), false);
+});
+
+test('summarizeRatings reports count, average and distribution', () => {
+  assert.deepEqual(summarizeRatings([5, 4, 4, 1]), { count: 4, average: 3.5, distribution: { 1: 1, 2: 0, 3: 0, 4: 2, 5: 1 } });
+  assert.deepEqual(summarizeRatings([]), { count: 0, average: null, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReminderOffsets, dueReminderOffset, scheduleChanges } = require('../src/services/events/reminders');
+
+test('parseReminderOffsets reads hours into minutes, largest first', () => {
+  assert.deepEqual(parseReminderOffsets('1, 24,0.5,nope,1'), [1440, 60, 30]);
+  assert.deepEqual(parseReminderOffsets(''), []);
+});
+
+test('dueReminderOffset sends only the closest reminder that is due', () => {
+  const startsAt = new Date('2026-03-02T10:00:00Z');
+  const offsets = [1440, 60];
+
+  assert.equal(dueReminderOffset(startsAt, new Date('2026-03-01T09:00:00Z'), offsets), null);
+  assert.equal(dueReminderOffset(startsAt, new Date('2026-03-01T10:00:00Z'), offsets), 1440);
+  assert.equal(dueReminderOffset(startsAt, new Date('2026-03-02T09:30:00Z'), offsets), 60);
+  assert.equal(dueReminderOffset(startsAt, new Date('2026-03-02T10:00:00Z'), offsets), null);
+});
+
+test('scheduleChanges lists moved fields only', () => {
+  const before = { eventDate: '2026-03-02', eventTime: '10:00', location: 'Hall', title: 'A' };
+  assert.deepEqual(scheduleChanges(before, { ...before, title: 'B' }), []);
+  assert.deepEqual(scheduleChanges(before, { ...before, eventTime: '11:00' }), [{ field: 'eventTime', from: '10:00', to: '11:00' }]);
+});
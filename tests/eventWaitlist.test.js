@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seatsTaken, hasSeat, waitlistPosition, expireOffers, promoteWaitlist, addAttendee } = require('../src/services/events/waitlist');
+const { validateRecurrence } = require('../src/utils/recurrence');
+
+function makeEvent(overrides = {}) {
+  return { _id: 'e1', eventDate: '2999-01-05', eventTime: '18:00', maxAttendees: 2, attendees: [], occurrences: [], waitlist: [], recurrence: null, ...overrides };
+}
+
+test('offers hold seats until they expire', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const event = makeEvent({
+    attendees: ['a'],
+    waitlist: [
+      { userId: 'b', occurrenceDate: null, status: 'waiting' },
+      { userId: 'c', occurrenceDate: null, status: 'waiting' },
+    ],
+  });
+
+  const offers = promoteWaitlist(event, now);
+  assert.deepEqual(offers.map((o) => o.userId), ['b']);
+  assert.equal(seatsTaken(event), 2);
+  assert.equal(hasSeat(event), false);
+  assert.equal(waitlistPosition(event, 'c', null), 1);
+
+  const later = new Date(offers[0].confirmBy.getTime() + 1);
+  assert.deepEqual(expireOffers(event, later).map((o) => o.userId), ['b']);
+  assert.deepEqual(promoteWaitlist(event, later).map((o) => o.userId), ['c']);
+});
+
+test('series seats count against the busiest occurrence', () => {
+  const event = makeEvent({
+    recurrence: validateRecurrence({ frequency: 'weekly' }, '2999-01-05'),
+    attendees: ['a'],
+    occurrences: [{ date: '2999-01-12', status: 'scheduled', attendees: ['b'] }],
+  });
+
+  assert.equal(hasSeat(event, '2999-01-05'), true);
+  assert.equal(hasSeat(event, '2999-01-12'), false);
+  assert.equal(hasSeat(event, null), false);
+
+  addAttendee(event, 'b', null);
+  assert.deepEqual(event.attendees, ['a', 'b']);
+  assert.deepEqual(event.occurrences[0].attendees, []);
+});
+
+test('waiting users are skipped when their occurrence is cancelled', () => {
+  const event = makeEvent({
+    recurrence: validateRecurrence({ frequency: 'weekly' }, '2999-01-05'),
+    occurrences: [{ date: '2999-01-12', status: 'cancelled', attendees: [] }],
+    waitlist: [
+      { userId: 'b', occurrenceDate: '2999-01-12', status: 'waiting' },
+      { userId: 'c', occurrenceDate: '2999-01-19', status: 'waiting' },
+    ],
+  });
+
+  assert.deepEqual(promoteWaitlist(event).map((o) => o.userId), ['c']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, normalizeTags } = require('../src/services/forums/categories');
+const { checkPermission, DEFAULT_ROLE_PERMISSIONS } = require('../src/utils/permissions');
+const ForumCategory = require('../src/models/ForumCategory');
+const Group = require('../src/models/Group');
+const PermissionGrant = require('../src/models/PermissionGrant');
+const RolePermission = require('../src/models/RolePermission');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { createThread } = require('../src/modules/forums/forums.service');
+
+// What canManageForum asks: forums.manage, for the group when there is one
+function canManageForum(group, userId, userRole) {
+  const subject = { user: { id: userId, role: userRole }, rolePermissions: DEFAULT_ROLE_PERMISSIONS[userRole] || [] };
+  return checkPermission(subject, 'forums.manage', group ? { group } : null);
+}
+
+test('slugify makes URL-safe category and tag keys', () => {
+  assert.equal(slugify('  Diet & Nutrition '), 'diet-nutrition');
+  assert.equal(slugify('Café Talk'), 'cafe-talk');
+  assert.equal(slugify('!!!'), '');
+});
+
+test('normalizeTags dedupes and limits tags', () => {
+  assert.deepEqual(normalizeTags(['Sleep', 'sleep', ' New Diagnosis ']), ['sleep', 'new-diagnosis']);
+  assert.deepEqual(normalizeTags(undefined), []);
+  assert.equal(normalizeTags('sleep'), null);
+  assert.equal(normalizeTags(['a', 'b', 'c', 'd', 'e', 'f']), null);
+});
+
+test('group owners and admins manage their forum, site staff manage all', () => {
+  const group = { ownerId: 'owner', adminIds: ['admin'] };
+  assert.equal(canManageForum(group, 'owner', 'user'), true);
+  assert.equal(canManageForum(group, 'admin', 'user'), true);
+  assert.equal(canManageForum(group, 'member', 'user'), false);
+  assert.equal(canManageForum(null, 'member', 'user'), false);
+  assert.equal(canManageForum(null, 'mod', 'moderator-user'), true);
+});
+
+test('outsiders posting to a private forum are refused before its categories are looked up', async (t) => {
+  fakeCollection(t, RolePermission, []);
+  fakeCollection(t, PermissionGrant, []);
+  fakeCollection(t, Group, [{ _id: 'g1', name: 'Private', privacy: 'private', ownerId: 'owner', adminIds: [], members: [] }]);
+  fakeCollection(t, ForumCategory, [{ _id: 'c1', groupId: 'g1', name: 'Secret plans', slug: 'secret-plans' }]);
+  const post = (categoryId) => createThread('g1', { title: 'Hi', content: 'Hello', categoryId }, 'outsider', 'patient-user')
+    .then(() => 201, (err) => err.status);
+
+  assert.equal(await post('secret-plans'), 403);
+  assert.equal(await post('no-such-category'), 403);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ForumThread = require('../src/models/ForumThread');
+const ForumPost = require('../src/models/ForumPost');
+const Group = require('../src/models/Group');
+const PermissionGrant = require('../src/models/PermissionGrant');
+const RolePermission = require('../src/models/RolePermission');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { removeThread, getPostRevisions } = require('../src/modules/forums/forums.service');
+
+function forum(t, grants = []) {
+  fakeCollection(t, RolePermission, []);
+  fakeCollection(t, PermissionGrant, grants);
+  fakeCollection(t, Group, [
+    { _id: 'g1', name: 'Sleep', privacy: 'public', ownerId: 'owner', adminIds: [], members: [] },
+    { _id: 'g2', name: 'Diet', privacy: 'public', ownerId: 'someone', adminIds: [], members: [] },
+  ]);
+  const threads = fakeCollection(t, ForumThread, [
+    { _id: 't1', groupId: 'g1', title: 'Night waking', removed: false, history: [] },
+    { _id: 't2', groupId: 'g2', title: 'Meal plans', removed: false, history: [] },
+  ]);
+  fakeCollection(t, ForumPost, [{ _id: 'p1', threadId: 't1', authorId: 'member', content: 'v2', revisions: [{ content: 'v1' }], removed: false }]);
+  return threads;
+}
+
+const status = (promise) => promise.then(() => 200, (err) => err.status);
+
+test('a forums.moderate grant scoped to a group removes threads in that group only', async (t) => {
+  const threads = forum(t, [{ userId: 'scoped-mod', permission: 'forums.moderate', scopeType: 'group', scopeId: 'g1' }]);
+
+  assert.equal(await status(removeThread('t2', 'scoped-mod', 'patient-user')), 403);
+  assert.deepEqual(await removeThread('t1', 'scoped-mod', 'patient-user'), { success: true });
+  assert.equal(threads[0].removed, true);
+  assert.equal(threads[0].removedBy, 'scoped-mod');
+  assert.equal(threads[1].removed, false);
+});
+
+test('group owners review post revisions in their forum; other members cannot', async (t) => {
+  forum(t);
+
+  const { versions } = await getPostRevisions('p1', 'owner', 'patient-user');
+  assert.deepEqual(versions.map((v) => v.content), ['v1', 'v2']);
+  assert.equal(await status(getPostRevisions('p1', 'member', 'patient-user')), 403);
+  assert.equal(await status(getPostRevisions('p1', 'mod', 'moderator-user')), 200);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listVersions, findVersion, trimRevisions, diffText } = require('../src/services/forums/revisions');
+
+const post = {
+  authorId: 'u1',
+  content: 'third text',
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  editedAt: new Date('2026-03-03T10:00:00Z'),
+  editedBy: 'mod1',
+  restoredFrom: 1,
+  moderation: { status: 'ALLOW' },
+  revisions: [
+    { content: 'first text', editedBy: 'u1', editedAt: new Date('2026-03-01T10:00:00Z') },
+    { content: 'second text', editedBy: 'u1', editedAt: new Date('2026-03-02T10:00:00Z'), moderation: { status: 'PENDING_REVIEW' } },
+  ],
+};
+
+test('listVersions numbers earlier revisions from 1 and ends with the current content', () => {
+  const versions = listVersions(post);
+  assert.deepEqual(versions.map((v) => [v.version, v.content, v.current]), [[1, 'first text', false], [2, 'second text', false], [3, 'third text', true]]);
+  assert.equal(versions[2].editedBy, 'mod1');
+  assert.equal(versions[2].restoredFrom, 1);
+  assert.equal(findVersion(post, '2').content, 'second text');
+  assert.equal(findVersion(post, 4), null);
+  assert.equal(findVersion(post, 'x'), null);
+});
+
+test('a never-edited post has a single version written by its author', () => {
+  const [only] = listVersions({ authorId: 'u1', content: 'hi', createdAt: post.createdAt });
+  assert.deepEqual([only.version, only.editedBy, only.editedAt, only.current], [1, 'u1', post.createdAt, true]);
+});
+
+test('diffText marks inserted and deleted words and rebuilds both texts', () => {
+  const before = 'Call me on 555 1234 tomorrow';
+  const after = 'Call me tomorrow please';
+  const parts = diffText(before, after);
+  assert.equal(parts.filter((p) => p.type !== 'insert').map((p) => p.text).join(''), before);
+  assert.equal(parts.filter((p) => p.type !== 'delete').map((p) => p.text).join(''), after);
+  assert.ok(parts.some((p) => p.type === 'delete' && p.text.includes('555')));
+  assert.ok(parts.some((p) => p.type === 'insert' && p.text.includes('please')));
+  assert.deepEqual(diffText('same', 'same'), [{ type: 'equal', text: 'same' }]);
+});
+
+test('trimRevisions keeps the latest versions and their numbers', () => {
+  const edited = { ...post, revisions: [...post.revisions, { content: 'third text', editedAt: post.editedAt }] };
+  edited.content = 'fourth text';
+
+  assert.equal(trimRevisions(edited, 2), 1);
+  assert.equal(edited.droppedRevisions, 1);
+  assert.deepEqual(listVersions(edited).map((v) => [v.version, v.content]), [[2, 'second text'], [3, 'third text'], [4, 'fourth text']]);
+  assert.equal(findVersion(edited, 1), null);
+  assert.equal(findVersion(edited, 3).content, 'third text');
+  assert.equal(trimRevisions(edited, 2), 0);
+});
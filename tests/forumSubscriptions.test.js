@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notifications = require('../src/utils/notifications');
+const emailService = require('../src/services/emailService');
+const ForumThread = require('../src/models/ForumThread');
+const ForumThreadSubscription = require('../src/models/ForumThreadSubscription');
+const NotificationPreference = require('../src/models/NotificationPreference');
+const User = require('../src/models/User');
+const { fakeCollection } = require('./helpers/fakeModels');
+
+// The service keeps its own references, so these have to be in place before it is loaded
+const notifyForumReply = test.mock.method(notifications, 'notifyForumReply', async () => {});
+const notifyForumReplyDigests = test.mock.method(notifications, 'notifyForumReplyDigests', async () => {});
+const sendDigestEmail = test.mock.method(emailService, 'sendForumReplyDigestEmail', async () => {});
+const { setSubscriptionState, announceReply, sendForumReplyDigests } = require('../src/services/forumSubscriptionService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const AN_HOUR_AGO = new Date(NOW.getTime() - 60 * 60 * 1000);
+
+function subscription(userId, overrides = {}) {
+  return { _id: `sub-${userId}`, userId, threadId: 't1', state: 'watching', pendingCount: 0, pendingSince: null, firstPendingPostId: null, ...overrides };
+}
+
+function byUser(subs) {
+  return Object.fromEntries(subs.map((s) => [s.userId, s]));
+}
+
+test.beforeEach(() => {
+  notifyForumReply.mock.resetCalls();
+  notifyForumReplyDigests.mock.resetCalls();
+  sendDigestEmail.mock.resetCalls();
+});
+
+test('muting a thread drops the replies queued for its digest', async (t) => {
+  const subs = fakeCollection(t, ForumThreadSubscription, [
+    subscription('reader', { pendingCount: 3, pendingSince: AN_HOUR_AGO, firstPendingPostId: 'p1' }),
+  ]);
+
+  await setSubscriptionState('t1', 'reader', 'muted');
+  assert.deepEqual(
+    { state: subs[0].state, pendingCount: subs[0].pendingCount, pendingSince: subs[0].pendingSince },
+    { state: 'muted', pendingCount: 0, pendingSince: null },
+  );
+
+  await announceReply('t1', 'p2', 'author', null, NOW);
+  assert.equal(subs[0].pendingCount, 0);
+});
+
+test('announceReply notifies the replied-to user directly and queues everyone else except the author', async (t) => {
+  const subs = byUser(fakeCollection(t, ForumThreadSubscription, [subscription('author'), subscription('asker'), subscription('reader')]));
+
+  await announceReply('t1', 'p1', 'author', 'asker', NOW);
+  await announceReply('t1', 'p2', 'author', 'asker', new Date(NOW.getTime() + 1000));
+
+  assert.deepEqual(notifyForumReply.mock.calls.map((c) => c.arguments), [
+    ['author', 'asker', 't1', 'p1'],
+    ['author', 'asker', 't1', 'p2'],
+  ]);
+  assert.equal(subs.author.pendingCount, 0);
+  assert.equal(subs.asker.pendingCount, 0);
+  // The window starts at the first queued reply and the digest links to it
+  assert.deepEqual(
+    { count: subs.reader.pendingCount, since: subs.reader.pendingSince, postId: subs.reader.firstPendingPostId },
+    { count: 2, since: NOW, postId: 'p1' },
+  );
+});
+
+test('a replied-to user who muted the thread is neither notified nor queued', async (t) => {
+  const subs = byUser(fakeCollection(t, ForumThreadSubscription, [subscription('asker', { state: 'muted' }), subscription('reader')]));
+
+  await announceReply('t1', 'p1', 'author', 'asker', NOW);
+
+  assert.equal(notifyForumReply.mock.callCount(), 0);
+  assert.equal(subs.asker.pendingCount, 0);
+  assert.equal(subs.reader.pendingCount, 1);
+});
+
+test('each due digest is claimed exactly once, even by overlapping sweeps', async (t) => {
+  const subs = fakeCollection(t, ForumThreadSubscription, [
+    subscription('reader', { pendingCount: 2, pendingSince: AN_HOUR_AGO, firstPendingPostId: 'p1' }),
+    subscription('watcher', { pendingCount: 1, pendingSince: AN_HOUR_AGO, firstPendingPostId: 'p2' }),
+    subscription('recent', { pendingCount: 1, pendingSince: NOW, firstPendingPostId: 'p3' }),
+  ]);
+  fakeCollection(t, ForumThread, [{ _id: 't1', title: 'Managing fatigue', removed: false }]);
+  fakeCollection(t, NotificationPreference, []);
+  fakeCollection(t, User, [{ _id: 'reader', name: 'Reader', email: 'reader@example.com' }, { _id: 'watcher', name: 'Watcher', email: 'watcher@example.com' }]);
+
+  const sent = await Promise.all([sendForumReplyDigests(NOW), sendForumReplyDigests(NOW)]);
+  assert.equal(sent[0] + sent[1], 2);
+  assert.equal(await sendForumReplyDigests(NOW), 0);
+
+  const digests = notifyForumReplyDigests.mock.calls.flatMap((c) => c.arguments[0]);
+  assert.deepEqual(digests.map((d) => [d.userId, d.count, d.postId]).sort(), [['reader', 2, 'p1'], ['watcher', 1, 'p2']]);
+  assert.equal(subs[0].pendingCount, 0);
+  assert.equal(subs[2].pendingCount, 1); // Its window has not passed yet
+});
+
+test('digest emails skip users who turned off emailForumReplies', async (t) => {
+  fakeCollection(t, ForumThreadSubscription, [
+    subscription('reader', { pendingCount: 1, pendingSince: AN_HOUR_AGO, firstPendingPostId: 'p1' }),
+    subscription('quiet', { pendingCount: 1, pendingSince: AN_HOUR_AGO, firstPendingPostId: 'p1' }),
+  ]);
+  fakeCollection(t, ForumThread, [{ _id: 't1', title: 'Managing fatigue', removed: false }]);
+  fakeCollection(t, NotificationPreference, [{ userId: 'quiet', emailForumReplies: false }]);
+  fakeCollection(t, User, [{ _id: 'reader', name: 'Reader', email: 'reader@example.com' }, { _id: 'quiet', name: 'Quiet', email: 'quiet@example.com' }]);
+
+  assert.equal(await sendForumReplyDigests(NOW), 2);
+
+  assert.deepEqual(notifyForumReplyDigests.mock.calls[0].arguments[0].map((d) => d.userId), ['reader', 'quiet']);
+  assert.deepEqual(sendDigestEmail.mock.calls.map((c) => c.arguments[0].user._id), ['reader']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseThreadSort,
+  encodeThreadCursor,
+  decodeThreadCursor,
+  threadPageQuery,
+  parsePostSort,
+  encodeHelpfulCursor,
+  decodeHelpfulCursor,
+  helpfulPageQuery,
+  isThreadUnread,
+} = require('../src/services/forums/threadListing');
+
+test('parseThreadSort defaults to activity and rejects unknown sorts', () => {
+  assert.equal(parseThreadSort(undefined), 'activity');
+  assert.equal(parseThreadSort('replies'), 'replies');
+  assert.equal(parseThreadSort('popular'), null);
+});
+
+test('thread cursors round-trip and are tied to their sort', () => {
+  const thread = { _id: 't1', createdAt: new Date('2026-03-01T10:00:00Z'), lastActivityAt: new Date('2026-03-02T10:00:00Z'), replyCount: 7 };
+  const byActivity = decodeThreadCursor('activity', encodeThreadCursor('activity', thread));
+  assert.deepEqual(byActivity, { value: thread.lastActivityAt, id: 't1' });
+  assert.deepEqual(decodeThreadCursor('replies', encodeThreadCursor('replies', thread)), { value: 7, id: 't1' });
+  assert.equal(decodeThreadCursor('newest', encodeThreadCursor('activity', thread)), null);
+  assert.equal(decodeThreadCursor('newest', 'not-a-cursor'), null);
+});
+
+test('threadPageQuery continues after the cursor with an id tie-break', () => {
+  const { order, filter } = threadPageQuery('replies', { value: 7, id: 't1' });
+  assert.deepEqual(order, { replyCount: -1, _id: -1 });
+  assert.deepEqual(filter, { $or: [{ replyCount: { $lt: 7 } }, { replyCount: 7, _id: { $lt: 't1' } }] });
+  assert.deepEqual(threadPageQuery('newest').filter, {});
+});
+
+test('threads are unread until the newest post has been shown', () => {
+  const thread = { lastActivityAt: new Date('2026-03-02T10:00:00Z') };
+  assert.equal(isThreadUnread(thread, null), true);
+  assert.equal(isThreadUnread(thread, { lastReadAt: new Date('2026-03-02T09:00:00Z') }), true);
+  assert.equal(isThreadUnread(thread, { lastReadAt: new Date('2026-03-02T10:00:00Z') }), false);
+});
+
+test('parsePostSort defaults to oldest and rejects unknown sorts', () => {
+  assert.equal(parsePostSort(undefined), 'oldest');
+  assert.equal(parsePostSort('helpful'), 'helpful');
+  assert.equal(parsePostSort('newest'), null);
+});
+
+test('helpful cursors round-trip and page after equal vote counts by age', () => {
+  const post = { _id: 'p1', createdAt: new Date('2026-03-01T10:00:00Z'), reactionCounts: { helpful: 3 } };
+  const cursor = decodeHelpfulCursor(encodeHelpfulCursor(post));
+  assert.deepEqual(cursor, { helpful: 3, createdAt: post.createdAt, id: 'p1' });
+  assert.equal(decodeHelpfulCursor('not-a-cursor'), null);
+
+  const { order, filter } = helpfulPageQuery(cursor);
+  assert.deepEqual(order, { 'reactionCounts.helpful': -1, createdAt: 1, _id: 1 });
+  assert.equal(filter.$or.length, 3);
+  assert.deepEqual(filter.$or[0], { 'reactionCounts.helpful': { $lt: 3 } });
+  assert.deepEqual(helpfulPageQuery().filter, {});
+});
@@ -0,0 +1,175 @@
+/**
+ * In-memory stand-ins for the mongoose model statics the services call, so service logic can be tested
+ * without a database. Only the operators the tested services use are supported.
+ */
+
+// Like MongoDB, a path through an array ('badges.badgeId') gives the values from every element
+function getPath(doc, key) {
+  return key.split('.').reduce((obj, part) => {
+    if (obj == null) return undefined;
+    return Array.isArray(obj) && !/^\d+$/.test(part) ? obj.map((item) => item?.[part]) : obj[part];
+  }, doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((obj, part) => {
+    if (obj[part] == null) obj[part] = {};
+    return obj[part];
+  }, doc);
+  parent[last] = value;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((branch) => matches(doc, branch));
+    const value = getPath(doc, key);
+    if (cond && typeof cond === 'object' && !(cond instanceof Date) && !Array.isArray(cond)) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === '$in') return arg.includes(value);
+        if (op === '$nin') return !arg.includes(value);
+        if (op === '$ne') return Array.isArray(value) ? !value.includes(arg) : value !== arg && !(arg === null && value === undefined);
+        if (op === '$gt') return value != null && value > arg;
+        if (op === '$gte') return value != null && value >= arg;
+        if (op === '$lt') return value != null && value < arg;
+        if (op === '$lte') return value != null && value <= arg;
+        if (op === '$exists') return (value !== undefined) === arg;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    if (Array.isArray(value) && !Array.isArray(cond)) return value.includes(cond);
+    if (cond instanceof Date) return value instanceof Date && value.getTime() === cond.getTime();
+    return cond === null ? value == null : value === cond;
+  });
+}
+
+function applyUpdate(doc, update, inserting = false) {
+  const operators = Object.keys(update).some((k) => k.startsWith('$'));
+  for (const [key, value] of Object.entries((operators ? update.$set : update) || {})) setPath(doc, key, value);
+  if (inserting) Object.assign(doc, update.$setOnInsert);
+  for (const [key, by] of Object.entries(update.$inc || {})) setPath(doc, key, (getPath(doc, key) || 0) + by);
+  for (const [key, value] of Object.entries(update.$push || {})) setPath(doc, key, [...(getPath(doc, key) || []), value]);
+}
+
+function compareBy(order) {
+  return (a, b) => {
+    for (const [key, direction] of Object.entries(order)) {
+      const x = getPath(a, key);
+      const y = getPath(b, key);
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Chainable like a mongoose query and run when awaited; without lean() results come back with save().
+ * sort() and limit() apply to lists.
+ */
+function query(run, hydrate = (result) => result) {
+  let lean = false;
+  let order = null;
+  let max = 0;
+  const shape = (result) => {
+    if (!Array.isArray(result)) return result;
+    const sorted = order ? [...result].sort(compareBy(order)) : result;
+    return max ? sorted.slice(0, max) : sorted;
+  };
+  const q = {
+    select: () => q,
+    limit: (n) => {
+      max = n;
+      return q;
+    },
+    sort: (spec) => {
+      order = spec;
+      return q;
+    },
+    populate: () => q,
+    lean: () => {
+      lean = true;
+      return q;
+    },
+    then: (resolve, reject) => Promise.resolve().then(run).then(shape).then((r) => (lean ? r : hydrate(r))).then(resolve, reject),
+  };
+  return q;
+}
+
+/**
+ * Back a model with `docs` for the duration of test `t`; returns the array, which the fakes update in place.
+ * `unique` lists fields that, like a unique index, reject a second document with the same value.
+ */
+function fakeCollection(t, Model, docs = [], { unique = [] } = {}) {
+  const assertUnique = (fields) => {
+    const clash = ['_id', ...unique].some((key) => fields[key] != null && docs.some((d) => d[key] === fields[key]));
+    if (clash) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  };
+  const copy = (doc) => (doc ? structuredClone(doc) : doc);
+  const hydrate = (result) => {
+    const asDocument = (doc) => doc && Object.assign(doc, {
+      markModified() {},
+      toObject() {
+        const { markModified, save, toObject, ...fields } = this;
+        return structuredClone(fields);
+      },
+      async save() {
+        const { markModified, save, toObject, ...fields } = this;
+        const stored = docs.find((d) => d._id === this._id);
+        if (stored) Object.assign(stored, structuredClone(fields));
+        else docs.push(structuredClone(fields));
+        return this;
+      },
+    });
+    return Array.isArray(result) ? result.map(asDocument) : asDocument(result);
+  };
+  const upsert = (filter, update) => {
+    const doc = Object.fromEntries(Object.entries(filter).filter(([, cond]) => typeof cond !== 'object' || cond === null));
+    applyUpdate(doc, update, true);
+    assertUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+
+  t.mock.method(Model, 'find', (filter = {}) => query(() => docs.filter((d) => matches(d, filter)).map(copy), hydrate));
+  t.mock.method(Model, 'findOne', (filter = {}) => query(() => copy(docs.find((d) => matches(d, filter))), hydrate));
+  t.mock.method(Model, 'findById', (id) => query(() => copy(docs.find((d) => d._id === id)), hydrate));
+  t.mock.method(Model, 'exists', (filter) => query(() => (docs.some((d) => matches(d, filter)) ? { _id: docs.find((d) => matches(d, filter))._id } : null)));
+  t.mock.method(Model, 'countDocuments', (filter = {}) => query(() => docs.filter((d) => matches(d, filter)).length));
+  t.mock.method(Model, 'create', async (fields) => {
+    assertUnique(fields);
+    docs.push(structuredClone(fields));
+    return hydrate(copy(fields));
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    const hits = docs.filter((d) => matches(d, filter));
+    hits.forEach((d) => applyUpdate(d, update));
+    return { modifiedCount: hits.length };
+  });
+  t.mock.method(Model, 'updateOne', async (filter, update, options = {}) => {
+    const doc = docs.find((d) => matches(d, filter));
+    if (doc) applyUpdate(doc, update);
+    else if (options.upsert) upsert(filter, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(Model, 'deleteOne', async (filter) => {
+    const index = docs.findIndex((d) => matches(d, filter));
+    if (index !== -1) docs.splice(index, 1);
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const doc = docs.find((d) => matches(d, filter));
+    if (!doc) return options.upsert ? copy(upsert(filter, update)) : null;
+    const before = copy(doc);
+    applyUpdate(doc, update);
+    return options.new ? copy(doc) : before;
+  }, hydrate));
+  return docs;
+}
+
+module.exports = {
+  matches,
+  query,
+  fakeCollection,
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, buildEventComponents, buildCalendar } = require('../src/services/events/ical');
+
+const baseEvent = {
+  _id: 'evt-1',
+  title: 'Support group, weekly',
+  description: 'Bring a friend; all welcome',
+  eventDate: '2026-03-02',
+  eventTime: '6:30 PM EST',
+  location: 'Room 1',
+  registrationUrl: '',
+  recurrence: null,
+  occurrences: [],
+  updatedAt: new Date('2026-01-01T00:00:00Z'),
+};
+
+test('escapeText and foldLine follow RFC 5545', () => {
+  assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`).split('\r\n');
+  assert.ok(folded.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(folded.slice(1).every((line) => line.startsWith(' ')));
+});
+
+test('one-off events become a single timed VEVENT', () => {
+  const lines = buildEventComponents(baseEvent);
+  assert.ok(lines.includes('DTSTART:20260302T183000Z'));
+  assert.ok(lines.includes('DURATION:PT1H'));
+  assert.ok(lines.includes('SUMMARY:Support group\\, weekly'));
+
+  const allDay = buildEventComponents({ ...baseEvent, eventTime: 'TBD' });
+  assert.ok(allDay.includes('DTSTART;VALUE=DATE:20260302'));
+  assert.ok(!allDay.some((l) => l.startsWith('DURATION')));
+});
+
+test('series carry RRULE, EXDATEs and reschedule overrides', () => {
+  const event = {
+    ...baseEvent,
+    recurrence: { frequency: 'weekly', interval: 2, byDay: ['MO'], until: '2026-06-01', count: null, exceptions: ['2026-03-16'] },
+    occurrences: [
+      { date: '2026-03-30', status: 'cancelled', attendees: [] },
+      { date: '2026-04-13', status: 'rescheduled', eventDate: '2026-04-14', eventTime: null, location: null, attendees: [] },
+    ],
+  };
+  const lines = buildEventComponents(event);
+
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;UNTIL=20260601T235959Z'));
+  assert.ok(lines.includes('EXDATE:20260316T183000Z'));
+  assert.ok(lines.includes('EXDATE:20260330T183000Z'));
+  assert.ok(lines.includes('RECURRENCE-ID:20260413T183000Z'));
+  assert.ok(lines.includes('DTSTART:20260414T183000Z'));
+  assert.equal(lines.filter((l) => l === 'BEGIN:VEVENT').length, 2);
+
+  const only = buildEventComponents(event, { occurrenceDates: ['2026-04-13'] });
+  assert.ok(only.includes('UID:evt-1-2026-04-13@events.winsights.social'));
+  assert.ok(!only.some((l) => l.startsWith('RRULE')));
+});
+
+test('buildCalendar wraps components with CRLF line endings', () => {
+  const ics = buildCalendar([buildEventComponents(baseEvent)], { name: 'Mine' });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(ics.includes('X-WR-CALNAME:Mine\r\n'));
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePeriodRange, previousPeriodRange, rankForScore } = require('../src/utils/leaderboardPeriods');
+
+test('weekly period starts on Monday UTC', () => {
+  const range = resolvePeriodRange('weekly', {}, new Date('2026-10-18T15:00:00Z')); // Sunday
+  assert.equal(range.start.toISOString(), '2026-10-12T00:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-10-19T00:00:00.000Z');
+});
+
+test('previous monthly period crosses year boundary', () => {
+  const range = previousPeriodRange('monthly', new Date('2026-01-05T00:00:00Z'));
+  assert.equal(range.start.toISOString(), '2025-12-01T00:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('custom date-only range includes the end day', () => {
+  const range = resolvePeriodRange('custom', { from: '2026-10-01', to: '2026-10-31' });
+  assert.equal(range.end.toISOString(), '2026-11-01T00:00:00.000Z');
+});
+
+test('rejects unknown periods and inverted ranges', () => {
+  assert.throws(() => resolvePeriodRange('yearly'), (err) => err.status === 400);
+  assert.throws(() => resolvePeriodRange('custom', { from: '2026-10-05', to: '2026-10-01' }), (err) => err.status === 400);
+});
+
+test('tied scores share a rank', () => {
+  const buckets = [{ score: 50, count: 1 }, { score: 30, count: 2 }];
+  assert.equal(rankForScore(50, buckets), 1);
+  assert.equal(rankForScore(30, buckets), 2);
+  assert.equal(rankForScore(10, buckets), 4);
+});
@@ -0,0 +1,48 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  passwordProblems,
+  hashPassword,
+  verifyPassword,
+  generateResetToken,
+  hashResetToken,
+  RESET_TOKEN_TTL_MINUTES,
+} = require('../src/services/auth/passwords');
+
+test('passwordProblems accepts a strong password and lists each missing rule', () => {
+  assert.deepEqual(passwordProblems('Tr1cky!Pass'), []);
+  assert.deepEqual(passwordProblems('short'), [
+    'Use at least 8 characters',
+    'Include an uppercase letter',
+    'Include a number',
+    'Include a symbol',
+  ]);
+  assert.ok(passwordProblems(`Aa1!${'x'.repeat(70)}`).includes('Use at most 72 bytes'));
+  assert.ok(passwordProblems(' Tr1cky!Pass').includes('Do not start or end with a space'));
+  assert.deepEqual(passwordProblems(undefined).length, 5);
+});
+
+test('passwordProblems rejects passwords built from the name or email', () => {
+  assert.ok(passwordProblems('Maria2026!', { email: 'maria.lopez@example.com' }).includes('Do not include your name or email'));
+  assert.ok(passwordProblems('Lopez#2026a', { name: 'Maria Lopez' }).includes('Do not include your name or email'));
+  assert.deepEqual(passwordProblems('Tr1cky!Pass', { email: 'al@example.com', name: 'Al B' }), []);
+});
+
+test('verifyPassword matches only the hashed password and never matches a missing hash', async () => {
+  const hash = await hashPassword('Tr1cky!Pass');
+  assert.equal(await verifyPassword('Tr1cky!Pass', hash), true);
+  assert.equal(await verifyPassword('tr1cky!pass', hash), false);
+  assert.equal(await verifyPassword('not-a-real-password', null), false);
+});
+
+test('reset tokens are random, stored only as a hash and expire after the TTL', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  const a = generateResetToken(now);
+  const b = generateResetToken(now);
+  assert.notEqual(a.token, b.token);
+  assert.equal(a.tokenHash, hashResetToken(a.token));
+  assert.notEqual(a.tokenHash, a.token);
+  assert.equal(a.expiresAt.getTime() - now.getTime(), RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ROLE_PERMISSIONS,
+  checkPermission,
+  validatePermissionList,
+  resourceScope,
+} = require('../src/utils/permissions');
+
+const member = { id: 'u1', role: 'patient-user' };
+
+test('role permissions apply everywhere', () => {
+  const moderator = { user: { id: 'm1', role: 'moderator-user' }, rolePermissions: DEFAULT_ROLE_PERMISSIONS['moderator-user'] };
+  assert.equal(checkPermission(moderator, 'posts.remove.any'), true);
+  assert.equal(checkPermission(moderator, 'posts.remove.any', { groupId: 'g1' }), true);
+  assert.equal(checkPermission(moderator, 'logs.delete'), false);
+  assert.equal(checkPermission({ user: null, rolePermissions: DEFAULT_ROLE_PERMISSIONS['admin-user'] }, 'logs.view'), false);
+});
+
+test('scoped grants only apply to their group or disease page', () => {
+  const grants = [
+    { permission: 'groups.manage', scopeType: 'group', scopeId: 'g1' },
+    { permission: 'diseasePages.edit', scopeType: 'diseasePage', scopeId: 'dp1' },
+    { permission: 'logs.view', scopeType: null, scopeId: null },
+  ];
+  const subject = { user: member, grants };
+  assert.equal(checkPermission(subject, 'groups.manage', { groupId: 'g1' }), true);
+  assert.equal(checkPermission(subject, 'groups.manage', { group: { _id: 'g2' } }), false);
+  assert.equal(checkPermission(subject, 'groups.manage'), false);
+  assert.equal(checkPermission(subject, 'diseasePages.edit', { diseasePage: { _id: 'dp1' } }), true);
+  assert.equal(checkPermission(subject, 'logs.view'), true);
+});
+
+test('group owners, group admins and page editors get permissions on their resource', () => {
+  const group = { _id: 'g1', ownerId: 'owner', adminIds: ['u1'] };
+  assert.equal(checkPermission({ user: member }, 'groups.manage', { group }), true);
+  assert.equal(checkPermission({ user: member }, 'groups.delete', { group }), false);
+  assert.equal(checkPermission({ user: member }, 'diseasePages.edit', { diseasePage: { editors: ['u1'] } }), true);
+  assert.equal(checkPermission({ user: member }, 'diseasePages.edit', { diseasePage: { editors: [] } }), false);
+});
+
+test('unknown permissions are programming errors', () => {
+  assert.throws(() => checkPermission({ user: member }, 'posts.delete'), /Unknown permission/);
+  assert.equal(validatePermissionList(['logs.view', 'nope']), 'Unknown permissions: nope');
+  assert.equal(validatePermissionList('logs.view'), 'permissions must be an array');
+  assert.equal(validatePermissionList(['logs.view']), null);
+});
+
+test('resourceScope reads ids from documents or plain ids', () => {
+  assert.deepEqual(resourceScope({ group: { id: 'g1' } }), { groupId: 'g1', diseasePageId: null });
+  assert.deepEqual(resourceScope({ diseasePageId: 'dp1' }), { groupId: null, diseasePageId: 'dp1' });
+  assert.deepEqual(resourceScope(null), { groupId: null, diseasePageId: null });
+});
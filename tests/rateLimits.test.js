@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lockoutSeconds, tightestBucket, rateLimitHeaders } = require('../src/utils/rateLimits');
+
+const LOCKOUT = { threshold: 5, baseSeconds: 60, maxSeconds: 3600 };
+
+test('lockoutSeconds starts at the threshold and doubles up to the cap', () => {
+  assert.equal(lockoutSeconds(4, LOCKOUT), 0);
+  assert.equal(lockoutSeconds(5, LOCKOUT), 60);
+  assert.equal(lockoutSeconds(6, LOCKOUT), 120);
+  assert.equal(lockoutSeconds(8, LOCKOUT), 480);
+  assert.equal(lockoutSeconds(20, LOCKOUT), 3600);
+});
+
+test('tightestBucket picks the bucket with the least left, then the later reset', () => {
+  const ip = { kind: 'ip', limit: 60, count: 12, resetSeconds: 30 };
+  const user = { kind: 'user', limit: 10, count: 9, resetSeconds: 45 };
+  assert.equal(tightestBucket([ip, user]), user);
+  assert.equal(tightestBucket([{ ...ip, count: 59 }, { ...user, resetSeconds: 20 }]).kind, 'ip');
+  assert.equal(tightestBucket([]), null);
+});
+
+test('rateLimitHeaders reports the bucket and adds Retry-After once over the limit', () => {
+  assert.deepEqual(rateLimitHeaders({ limit: 10, count: 4, resetSeconds: 42 }, 60), {
+    'RateLimit-Limit': '10',
+    'RateLimit-Remaining': '6',
+    'RateLimit-Reset': '42',
+    'RateLimit-Policy': '10;w=60',
+  });
+  const limited = rateLimitHeaders({ limit: 10, count: 11, resetSeconds: 42 }, 60);
+  assert.equal(limited['RateLimit-Remaining'], '0');
+  assert.equal(limited['Retry-After'], '42');
+});
+
+test('failed logins from one IP do not lock the account for other IPs', async () => {
+  const { recordLoginFailure, getLoginLockout, assertLoginAllowed, clearLoginFailures } = require('../src/services/rateLimitService');
+  const email = 'Lockout.Test@example.com';
+  for (let i = 0; i < 5; i += 1) await recordLoginFailure(email, '203.0.113.7');
+
+  assert.ok(await getLoginLockout(email, '203.0.113.7'));
+  await assert.rejects(assertLoginAllowed('lockout.test@example.com', '203.0.113.7'), (err) => err.status === 429);
+  assert.equal(await getLoginLockout(email, '198.51.100.2'), null);
+  await assertLoginAllowed(email, '198.51.100.2');
+
+  await clearLoginFailures(email, '203.0.113.7');
+  assert.equal(await getLoginLockout(email, '203.0.113.7'), null);
+});
+
+test('failures spread over many IPs lock the account for every client at the account-wide threshold', async () => {
+  const { ACCOUNT_LOCKOUT, LOGIN_LOCKOUT } = require('../src/utils/rateLimits');
+  const { recordLoginFailure, getLoginLockout, assertLoginAllowed } = require('../src/services/rateLimitService');
+  const email = 'distributed.guessing@example.com';
+  const perIp = LOGIN_LOCKOUT.threshold - 1;
+  let failures = 0;
+  for (let n = 0; failures < ACCOUNT_LOCKOUT.threshold - 1; n += 1) {
+    for (let i = 0; i < perIp && failures < ACCOUNT_LOCKOUT.threshold - 1; i += 1, failures += 1) {
+      await recordLoginFailure(email, `192.0.2.${n}`);
+    }
+  }
+  assert.equal(await getLoginLockout(email, '198.51.100.9'), null);
+
+  const lock = await recordLoginFailure(email, '192.0.2.200');
+  assert.equal(lock.scope, 'account');
+  assert.equal((await getLoginLockout(email, '198.51.100.9')).scope, 'account');
+  await assert.rejects(assertLoginAllowed(email, '198.51.100.9'), (err) => err.status === 429);
+});
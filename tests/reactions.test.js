@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Reaction = require('../src/models/Reaction');
+const Comment = require('../src/models/Comment');
+const User = require('../src/models/User');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { REACTION_TYPES, normalizeReactionCounts, toggleReaction, listReactions } = require('../src/services/reactionService');
+
+test('reaction counts always list every type and never go below zero', () => {
+  const empty = Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+  assert.deepEqual(normalizeReactionCounts(undefined), empty);
+  assert.deepEqual(normalizeReactionCounts({ hug: 3, helpful: -1, unknown: 9 }), { ...empty, hug: 3 });
+  assert.deepEqual(normalizeReactionCounts({ strength: '2', same_here: null }), { ...empty, strength: 2 });
+});
+
+function setup(t) {
+  fakeCollection(t, User, [{ _id: 'u1', name: 'Ada', role: 'patient-user', avatarUrl: '' }, { _id: 'u2', name: 'Bo', role: 'patient-user', avatarUrl: '' }]);
+  const comments = fakeCollection(t, Comment, [{ _id: 'c1', reactionCounts: {} }]);
+  const reactions = fakeCollection(t, Reaction, []);
+  return { comment: comments[0], reactions };
+}
+
+test('toggling a reaction adds it once and toggling again takes it back', async (t) => {
+  const { comment, reactions } = setup(t);
+  const react = (userId, type) => toggleReaction({ userId, targetType: 'comment', targetId: 'c1', type });
+
+  const added = await react('u1', 'hug');
+  assert.equal(added.reacted, true);
+  assert.equal(added.reactionCounts.hug, 1);
+  assert.deepEqual(added.viewerReactions, ['hug']);
+
+  await react('u1', 'helpful');
+  await react('u2', 'hug');
+  assert.deepEqual(comment.reactionCounts, { hug: 2, helpful: 1 });
+
+  const removed = await react('u1', 'hug');
+  assert.equal(removed.reacted, false);
+  assert.equal(removed.reactionCounts.hug, 1);
+  assert.deepEqual(removed.viewerReactions, ['helpful']);
+  assert.equal(reactions.length, 2);
+
+  await assert.rejects(react('u1', 'angry'), (err) => err.status === 400);
+});
+
+test('reactions are listed newest first with who gave them, filtered by type', async (t) => {
+  const { reactions } = setup(t);
+  reactions.push(
+    { _id: 'x1', targetType: 'comment', targetId: 'c1', userId: 'u1', type: 'hug', createdAt: new Date('2026-03-01T10:00:00Z') },
+    { _id: 'x2', targetType: 'comment', targetId: 'c1', userId: 'u2', type: 'helpful', createdAt: new Date('2026-03-01T11:00:00Z') },
+    { _id: 'x3', targetType: 'comment', targetId: 'c1', userId: 'u2', type: 'hug', createdAt: new Date('2026-03-01T12:00:00Z') },
+  );
+
+  const first = await listReactions('comment', 'c1', { limit: 2 });
+  assert.deepEqual(first.reactions.map((r) => [r.id, r.user.name]), [['x3', 'Bo'], ['x2', 'Bo']]);
+  const rest = await listReactions('comment', 'c1', { limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(rest.reactions.map((r) => r.id), ['x1']);
+  assert.equal(rest.nextCursor, null);
+
+  const hugs = await listReactions('comment', 'c1', { type: 'hug' });
+  assert.deepEqual(hugs.reactions.map((r) => r.id), ['x3', 'x1']);
+  await assert.rejects(listReactions('comment', 'c1', { type: 'angry' }), (err) => err.status === 400);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRecurrence, expandOccurrences, isOccurrenceDate } = require('../src/utils/recurrence');
+
+test('weekly rules expand by day with count and exceptions', () => {
+  // 2026-01-06 is a Tuesday
+  const rule = validateRecurrence({ frequency: 'weekly', byDay: ['TU', 'TH'], count: 5, exceptions: ['2026-01-08'] }, '2026-01-06');
+  assert.deepEqual(expandOccurrences('2026-01-06', rule), ['2026-01-06', '2026-01-13', '2026-01-15', '2026-01-20']);
+});
+
+test('fortnightly rules respect the interval and window', () => {
+  const rule = validateRecurrence({ frequency: 'weekly', interval: 2 }, '2026-01-06');
+  assert.deepEqual(expandOccurrences('2026-01-06', rule, { from: '2026-01-10', to: '2026-02-28' }), ['2026-01-20', '2026-02-03', '2026-02-17']);
+});
+
+test('monthly rules support nth weekday and skip short months', () => {
+  const secondTuesday = validateRecurrence({ frequency: 'monthly', byDay: ['2TU'], until: '2026-04-30' }, '2026-01-13');
+  assert.deepEqual(expandOccurrences('2026-01-13', secondTuesday), ['2026-01-13', '2026-02-10', '2026-03-10', '2026-04-14']);
+
+  const lastFriday = validateRecurrence({ frequency: 'monthly', byDay: ['-1FR'] }, '2026-01-30');
+  assert.deepEqual(expandOccurrences('2026-01-30', lastFriday, { to: '2026-03-31' }), ['2026-01-30', '2026-02-27', '2026-03-27']);
+
+  const thirtyFirst = validateRecurrence({ frequency: 'monthly' }, '2026-01-31');
+  assert.deepEqual(expandOccurrences('2026-01-31', thirtyFirst, { to: '2026-05-31' }), ['2026-01-31', '2026-03-31', '2026-05-31']);
+});
+
+test('non-recurring events have a single occurrence', () => {
+  assert.deepEqual(expandOccurrences('2026-01-06', null), ['2026-01-06']);
+  assert.equal(isOccurrenceDate('2026-01-06', validateRecurrence({ frequency: 'daily' }, '2026-01-06'), '2026-01-09'), true);
+  assert.equal(isOccurrenceDate('2026-01-06', validateRecurrence({ frequency: 'weekly' }, '2026-01-06'), '2026-01-09'), false);
+});
+
+test('rejects invalid rules', () => {
+  const invalid = [
+    [{ frequency: 'yearly' }, '2026-01-06'],
+    [{ frequency: 'weekly', byDay: ['2TU'] }, '2026-01-06'],
+    [{ frequency: 'weekly', until: '2025-12-31' }, '2026-01-06'],
+    [{ frequency: 'weekly', until: '2026-03-01', count: 4 }, '2026-01-06'],
+    [{ frequency: 'weekly' }, 'next tuesday'],
+  ];
+  invalid.forEach(([rule, start]) => assert.throws(() => validateRecurrence(rule, start), (err) => err.status === 400));
+  assert.equal(validateRecurrence(null, '2026-01-06'), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notifications = require('../src/utils/notifications');
+const Gamification = require('../src/models/Gamification');
+const Redemption = require('../src/models/Redemption');
+const Reward = require('../src/models/Reward');
+const TokenLedger = require('../src/models/TokenLedger');
+const User = require('../src/models/User');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { REDEMPTION_STATUSES, canTransition, transitionQuery } = require('../src/utils/redemptions');
+
+test.mock.method(notifications, 'notifyRedemptionUpdate', async () => {});
+const { redeemReward, fulfilRedemption, refundRedemption, reconcileRedemptions } = require('../src/services/rewardsService');
+
+test('redemptions only move forward through their lifecycle', () => {
+  const allowed = (action) => REDEMPTION_STATUSES.filter((status) => canTransition(status, action));
+  assert.deepEqual(allowed('pay'), ['processing']);
+  assert.deepEqual(allowed('fail'), ['processing']);
+  assert.deepEqual(allowed('fulfil'), ['pending']);
+  assert.deepEqual(allowed('refund'), ['pending', 'fulfilled']);
+  assert.equal(canTransition('pending', 'cancel'), false);
+});
+
+test('a status change is guarded on the statuses it may leave', () => {
+  const now = new Date('2026-03-01T10:00:00Z');
+  assert.deepEqual(transitionQuery('r1', 'pay', { ledgerEntryId: 'e1' }, now), {
+    filter: { _id: 'r1', status: 'processing' },
+    update: { ledgerEntryId: 'e1', status: 'pending', updatedAt: now },
+  });
+  assert.deepEqual(transitionQuery('r1', 'refund', {}, now).filter, { _id: 'r1', status: { $in: ['pending', 'fulfilled'] } });
+  assert.throws(() => transitionQuery('r1', 'cancel'), /Unknown redemption action/);
+});
+
+function shop(t, { balance = 100, stock = 3 } = {}) {
+  const wallets = fakeCollection(t, Gamification, [{ userId: 'u1', totalTokens: balance, badges: [], actionCounts: {} }]);
+  const users = fakeCollection(t, User, [{ _id: 'u1', name: 'Ada' }]);
+  const rewards = fakeCollection(t, Reward, [
+    { _id: 'flair', name: 'Night owl', category: 'profile_flair', cost: 40, stock, active: true, details: { flair: 'Night owl' } },
+    { _id: 'donation', name: 'Donate', category: 'charity_donation', cost: 30, stock: null, active: true },
+  ]);
+  fakeCollection(t, TokenLedger, [], { unique: ['idempotencyKey'] });
+  const redemptions = fakeCollection(t, Redemption, []);
+  return { wallet: wallets[0], user: users[0], rewards, redemptions };
+}
+
+test('flair is paid for and applied at once, and a refund takes it back', async (t) => {
+  const { wallet, user, rewards, redemptions } = shop(t);
+
+  const { redemption, balance } = await redeemReward('u1', 'flair');
+  const id = redemptions[0]._id;
+  assert.equal(redemption.status, 'fulfilled');
+  assert.equal(balance, 60);
+  assert.equal(rewards[0].stock, 2);
+  assert.equal(user.flair.text, 'Night owl');
+
+  const refunded = await refundRedemption(id, 'admin', { reason: 'Changed mind' });
+  assert.equal(refunded.redemption.status, 'refunded');
+  assert.equal(wallet.totalTokens, 100);
+  assert.equal(rewards[0].stock, 3);
+  assert.equal(user.flair.text, '');
+
+  await assert.rejects(refundRedemption(id, 'admin'), (err) => err.status === 409);
+  await assert.rejects(fulfilRedemption(id, 'admin'), (err) => err.status === 409);
+});
+
+test('donations wait for an admin, and a failed payment gives the stock back', async (t) => {
+  const { wallet, rewards, redemptions } = shop(t, { balance: 50 });
+
+  const { redemption } = await redeemReward('u1', 'donation');
+  assert.equal(redemption.status, 'pending');
+  assert.equal((await fulfilRedemption(redemptions[0]._id, 'admin', { note: 'Sent' })).redemption.status, 'fulfilled');
+
+  await assert.rejects(redeemReward('u1', 'flair'), (err) => err.status === 400 && err.responseBody.balance === 20);
+  assert.equal(rewards[0].stock, 3);
+  assert.equal(wallet.totalTokens, 20);
+});
+
+test('the sweep settles redemptions interrupted before or after payment', async (t) => {
+  const { redemptions } = shop(t);
+  await redeemReward('u1', 'donation');
+  const long = new Date(Date.now() - 60 * 60 * 1000);
+  // One stopped after its debit was written, one before
+  Object.assign(redemptions[0], { status: 'processing', ledgerEntryId: undefined, createdAt: long });
+  redemptions.push({ _id: 'unpaid', userId: 'u1', rewardId: 'flair', reward: { category: 'profile_flair' }, cost: 40, status: 'processing', stockReserved: false, createdAt: long });
+
+  assert.equal(await reconcileRedemptions(), 2);
+  assert.equal(redemptions[0].status, 'pending');
+  assert.ok(redemptions[0].ledgerEntryId);
+  assert.equal(redemptions[1].status, 'failed');
+  assert.equal(redemptions[1].failureReason, 'Interrupted before payment');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getClientIp, getTrustedIp, parseTrustProxy, parseUserAgent, describeClient } = require('../src/utils/requestInfo');
+
+const CHROME_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+test('parseUserAgent reads browser, OS and device', () => {
+  assert.deepEqual(parseUserAgent(CHROME_MAC), { browser: 'Chrome', os: 'macOS', device: 'Desktop' });
+  assert.deepEqual(parseUserAgent(SAFARI_IPHONE), { browser: 'Safari', os: 'macOS', device: 'Mobile' });
+  assert.deepEqual(parseUserAgent(''), { browser: 'Unknown', os: 'Unknown', device: 'Unknown' });
+});
+
+test('getClientIp prefers a public forwarded address over private ones', () => {
+  assert.equal(getClientIp({ headers: { 'x-real-ip': '10.0.0.5', 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }), '203.0.113.7');
+  assert.equal(getClientIp({ headers: {}, ip: '::ffff:198.51.100.2' }), '198.51.100.2');
+  assert.equal(getClientIp({ headers: {}, ip: '::1' }), 'localhost');
+});
+
+test('describeClient combines the IP and user agent details stored with a session', () => {
+  const req = { headers: { 'user-agent': CHROME_MAC, 'x-forwarded-for': '203.0.113.9' }, ip: '203.0.113.7' };
+  assert.deepEqual(describeClient(req), {
+    ip: '203.0.113.7',
+    userAgent: CHROME_MAC,
+    browser: 'Chrome',
+    os: 'macOS',
+    device: 'Desktop',
+  });
+});
+
+test('getTrustedIp ignores forwarding headers and uses the address Express resolved', () => {
+  const req = { headers: { 'x-real-ip': '203.0.113.9', 'x-forwarded-for': '203.0.113.7' }, ip: '::ffff:198.51.100.2' };
+  assert.equal(getTrustedIp(req), '198.51.100.2');
+  assert.equal(getTrustedIp({ headers: {}, socket: { remoteAddress: '2001:db8::1' } }), '2001:db8::1');
+});
+
+test('parseTrustProxy reads booleans, hop counts and address lists', () => {
+  assert.equal(parseTrustProxy(undefined), false);
+  assert.equal(parseTrustProxy('false'), false);
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+});
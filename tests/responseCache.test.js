@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const responseCache = require('../src/middleware/responseCache');
+const { bumpResponseGeneration } = require('../src/services/cacheService');
+
+const token = jwt.sign({ id: 'cache-user', sid: 's1' }, 'any-secret');
+
+// Runs the middleware for one GET; the route handler answers { n } with an increasing n
+let handled = 0;
+function get(path) {
+  const middleware = responseCache(10);
+  return new Promise((resolve) => {
+    const headers = {};
+    const req = { method: 'GET', baseUrl: '/api', path, originalUrl: `/api${path}`, get: () => `Bearer ${token}` };
+    const res = {
+      statusCode: 200,
+      locals: {},
+      setHeader: (name, value) => { headers[name] = value; },
+      end: (body) => resolve({ cache: headers['X-Cache'], body: JSON.parse(body) }),
+      json: (body) => resolve({ cache: headers['X-Cache'], body }),
+    };
+    middleware(req, res, () => {
+      handled += 1;
+      res.json({ n: handled });
+    });
+  });
+}
+
+test('cached responses stop being served once the user\'s generation is bumped', async () => {
+  const first = await get('/posts');
+  assert.equal(first.cache, 'MISS');
+  assert.deepEqual(await get('/posts'), { cache: 'HIT', body: first.body });
+
+  await bumpResponseGeneration('cache-user');
+  const after = await get('/posts');
+  assert.equal(after.cache, 'MISS');
+  assert.notDeepEqual(after.body, first.body);
+});
+
+test('auth routes such as the session list are never cached', async () => {
+  const first = await get('/auth/sessions');
+  const second = await get('/auth/sessions');
+  assert.equal(first.cache, undefined);
+  assert.notDeepEqual(second.body, first.body);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { fakeCollection } = require('./helpers/fakeModels');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+} = require('../src/services/sessionService');
+
+function setup(t) {
+  fakeCollection(t, User, [{ _id: 'u1', sessionsRevokedAt: null }]);
+  return fakeCollection(t, Session, []);
+}
+
+const status = (promise) => promise.then(() => 200, (err) => err.status);
+
+test('rotating a refresh token issues a new one and retires the old one', async (t) => {
+  const sessions = setup(t);
+  const { session, refreshToken } = await createSession('u1');
+
+  const rotated = await rotateRefreshToken(refreshToken);
+  assert.equal(rotated.session._id, session._id);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  const again = await rotateRefreshToken(rotated.refreshToken);
+  assert.notEqual(again.refreshToken, rotated.refreshToken);
+  assert.equal(sessions[0].revokedAt, undefined);
+});
+
+test('a refresh token from any earlier rotation signs the session out', async (t) => {
+  const sessions = setup(t);
+  const { session, refreshToken: stolen } = await createSession('u1');
+  const first = await rotateRefreshToken(stolen);
+  const latest = await rotateRefreshToken(first.refreshToken);
+
+  assert.equal(await status(rotateRefreshToken(stolen)), 401);
+  assert.equal(sessions[0].revokedReason, 'reuse_detected');
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: session._id }), true);
+  // The rightful holder is signed out too and has to log in again
+  assert.equal(await status(rotateRefreshToken(latest.refreshToken)), 401);
+});
+
+test('revoked sessions fail the access token check at once', async (t) => {
+  setup(t);
+  const { session: one } = await createSession('u1');
+  const { session: two } = await createSession('u1');
+  const { session: three } = await createSession('u1');
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: one._id }), false);
+
+  assert.equal(await revokeSession(one._id, 'user_logout'), true);
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: one._id }), true);
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: two._id }), false);
+
+  assert.equal(await revokeAllSessions('u1', 'password_changed'), 2);
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: two._id }), true);
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', sid: three._id }), true);
+  const iat = Math.floor(Date.now() / 1000) - 60;
+  assert.equal(await isAccessTokenRevoked({ id: 'u1', iat }), true);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  dayKeyInZone,
+  streakMultiplier,
+  nextStreakTier,
+  advanceStreak,
+  currentStreak,
+  summarizeStreak,
+} = require('../src/utils/streaks');
+
+test('day keys follow the user time zone', () => {
+  const instant = new Date('2026-03-10T02:30:00Z');
+  assert.equal(dayKeyInZone(instant, 'UTC'), '2026-03-10');
+  assert.equal(dayKeyInZone(instant, 'America/New_York'), '2026-03-09');
+  assert.equal(dayKeyInZone(instant, 'Not/AZone'), '2026-03-10');
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('Not/AZone'), false);
+});
+
+test('advancing a streak counts each calendar day once', () => {
+  let streak = advanceStreak(null, '2026-03-01');
+  assert.deepEqual(streak, { current: 1, longest: 1, lastActiveDay: '2026-03-01' });
+  assert.equal(advanceStreak(streak, '2026-03-01'), null);
+
+  streak = advanceStreak(streak, '2026-03-02');
+  streak = advanceStreak(streak, '2026-03-03');
+  assert.equal(streak.current, 3);
+
+  streak = advanceStreak(streak, '2026-03-05');
+  assert.deepEqual(streak, { current: 1, longest: 3, lastActiveDay: '2026-03-05' });
+});
+
+test('current streak lapses after a missed day', () => {
+  const streak = { current: 4, longest: 6, lastActiveDay: '2026-03-05' };
+  assert.equal(currentStreak(streak, '2026-03-05'), 4);
+  assert.equal(currentStreak(streak, '2026-03-06'), 4);
+  assert.equal(currentStreak(streak, '2026-03-07'), 0);
+});
+
+test('multipliers escalate with the streak', () => {
+  assert.equal(streakMultiplier(1), 1);
+  assert.equal(streakMultiplier(3), 1.5);
+  assert.equal(streakMultiplier(10), 2);
+  assert.equal(streakMultiplier(45), 3);
+  assert.deepEqual(nextStreakTier(4), { days: 7, multiplier: 2 });
+  assert.equal(nextStreakTier(30), null);
+});
+
+test('summary reports the streak as of today', () => {
+  const summary = summarizeStreak(
+    { current: 7, longest: 9, lastActiveDay: '2026-03-09', timeZone: 'America/New_York' },
+    new Date('2026-03-10T02:30:00Z')
+  );
+  assert.equal(summary.current, 7);
+  assert.equal(summary.activeToday, true);
+  assert.equal(summary.multiplier, 2);
+  assert.equal(summarizeStreak(undefined).current, 0);
+});
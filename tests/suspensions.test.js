@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { generateToken, verifyAccessToken } = require('../src/utils/auth');
+const { parseSuspensionTerms, isSuspensionActive, MAX_SUSPENSION_DAYS } = require('../src/services/auth/suspensions');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+test('parseSuspensionTerms reads a duration or an end date, and no end means indefinite', () => {
+  assert.deepEqual(parseSuspensionTerms({ reason: '  Spam  ', durationHours: 48 }, NOW), {
+    reason: 'Spam',
+    until: new Date('2026-03-03T12:00:00Z'),
+  });
+  assert.deepEqual(parseSuspensionTerms({ until: '2026-04-01T00:00:00Z' }, NOW), {
+    reason: '',
+    until: new Date('2026-04-01T00:00:00Z'),
+  });
+  assert.deepEqual(parseSuspensionTerms({}, NOW), { reason: '', until: null });
+});
+
+test('parseSuspensionTerms rejects past, unreadable and overly long terms', () => {
+  const status = (body) => {
+    try {
+      parseSuspensionTerms(body, NOW);
+      return null;
+    } catch (err) {
+      return err.status;
+    }
+  };
+  assert.equal(status({ until: '2026-02-01T00:00:00Z' }), 400);
+  assert.equal(status({ until: 'next week' }), 400);
+  assert.equal(status({ durationHours: -1 }), 400);
+  assert.equal(status({ durationHours: (MAX_SUSPENSION_DAYS + 1) * 24 }), 400);
+  assert.equal(status({ reason: 'x'.repeat(501) }), 400);
+});
+
+test('isSuspensionActive ends a timed suspension at its end date', () => {
+  assert.equal(isSuspensionActive({ suspended: false }, NOW), false);
+  assert.equal(isSuspensionActive({ suspended: true, until: null }, NOW), true);
+  assert.equal(isSuspensionActive({ suspended: true, until: '2026-03-01T13:00:00Z' }, NOW), true);
+  assert.equal(isSuspensionActive({ suspended: true, suspension: { until: new Date('2026-03-01T11:00:00Z') } }, NOW), false);
+});
+
+test('tokens with a purpose are never accepted as access tokens', () => {
+  const secret = process.env.JWT_SECRET || 'winsights-dev-secret';
+  const access = generateToken({ id: 'u1', role: 'patient-user' }, 's1');
+  assert.equal(verifyAccessToken(access).id, 'u1');
+  assert.throws(() => verifyAccessToken(jwt.sign({ sub: 'u1', purpose: 'suspension_appeal' }, secret)), /not an access token/);
+  assert.throws(() => verifyAccessToken(jwt.sign({ sub: 'u1' }, secret)), /not an access token/);
+});
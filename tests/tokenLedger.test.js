@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Gamification = require('../src/models/Gamification');
+const TokenLedger = require('../src/models/TokenLedger');
+const { fakeCollection } = require('./helpers/fakeModels');
+const { deriveIdempotencyKey, awardTokens, recordLedgerEntry } = require('../src/services/tokenService');
+
+test('idempotency keys name the most specific entity an award is for', () => {
+  assert.equal(deriveIdempotencyKey('u1', 'create_comment', { postId: 'p1', commentId: 'c1' }), 'create_comment:u1:commentId:c1');
+  assert.equal(deriveIdempotencyKey('u1', 'create_post', { postId: 'p1' }), 'create_post:u1:postId:p1');
+  assert.equal(deriveIdempotencyKey('u1', 'join_group', { groupId: 'g1' }), 'join_group:u1:groupId:g1');
+  // Likes count once per post, so liking, unliking and liking again earns nothing more
+  assert.equal(deriveIdempotencyKey('u1', 'receive_like', { postId: 'p1', likerId: 'u2' }), 'receive_like:u1:post:p1');
+  assert.equal(deriveIdempotencyKey('u1', 'complete_profile', {}), null);
+  assert.equal(deriveIdempotencyKey('u1', 'helpful_content', { postId: 'p1', manuallyAwarded: true }), null);
+});
+
+function wallet(t, totalTokens = 0) {
+  const wallets = fakeCollection(t, Gamification, [{ userId: 'u1', totalTokens, badges: [], actionCounts: {} }]);
+  const ledger = fakeCollection(t, TokenLedger, [], { unique: ['idempotencyKey'] });
+  return { wallet: wallets[0], ledger };
+}
+
+test('an award for the same entity is recorded once', async (t) => {
+  const { wallet: w, ledger } = wallet(t);
+
+  assert.deepEqual(await awardTokens('u1', 'create_post', { postId: 'p1' }), { tokens: 10, newTotal: 10 });
+  const again = await awardTokens('u1', 'create_post', { postId: 'p1' });
+  assert.equal(again.tokens, 0);
+  assert.equal(again.message, 'Already rewarded for this item');
+
+  assert.equal(w.totalTokens, 10);
+  assert.equal(w.actionCounts.create_post, 1);
+  assert.deepEqual(ledger.map((e) => e.idempotencyKey), ['create_post:u1:postId:p1']);
+});
+
+test('a ledger entry whose key is taken changes nothing, including a debit already taken', async (t) => {
+  const { wallet: w, ledger } = wallet(t, 50);
+  const spend = () => recordLedgerEntry({ userId: 'u1', action: 'reward_redemption', tokens: -30, idempotencyKey: 'redeem:r1', requireBalance: true });
+
+  const first = await spend();
+  assert.equal(first.newTotal, 20);
+  assert.deepEqual(await spend(), { insufficientFunds: true });
+
+  w.totalTokens = 100;
+  assert.deepEqual(await spend(), { duplicate: true });
+  assert.equal(w.totalTokens, 100);
+  assert.equal(ledger.length, 1);
+});
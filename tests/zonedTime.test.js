@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEventTime, normalizeEventTime, legacyZoneFromTime, zonedTimeToUtc, localDateTime } = require('../src/utils/zonedTime');
+const { occurrenceInstants, scheduleInstants, timingAt, describeTimes, validateEventTiming } = require('../src/utils/eventSchedule');
+
+test('parseEventTime understands 24h and am/pm times', () => {
+  assert.deepEqual(parseEventTime('18:30'), { hours: 18, minutes: 30 });
+  assert.deepEqual(parseEventTime('6:30 PM EST'), { hours: 18, minutes: 30 });
+  assert.deepEqual(parseEventTime('12 am'), { hours: 0, minutes: 0 });
+  assert.equal(parseEventTime('TBD'), null);
+  assert.equal(parseEventTime('7'), null);
+  assert.equal(normalizeEventTime('9:05 am'), '09:05');
+  assert.equal(legacyZoneFromTime('6:30 PM EST'), 'America/New_York');
+  assert.equal(legacyZoneFromTime('18:30'), null);
+});
+
+test('zonedTimeToUtc follows daylight saving in the event zone', () => {
+  assert.equal(zonedTimeToUtc('2026-01-15', { hours: 18, minutes: 30 }, 'Europe/London').toISOString(), '2026-01-15T18:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-07-15', { hours: 18, minutes: 30 }, 'Europe/London').toISOString(), '2026-07-15T17:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-07-15', { hours: 18, minutes: 30 }, 'America/New_York').toISOString(), '2026-07-15T22:30:00.000Z');
+  // 01:30 does not exist on 29 March in London; it moves forward by the gap
+  assert.equal(zonedTimeToUtc('2026-03-29', { hours: 1, minutes: 30 }, 'Europe/London').toISOString(), '2026-03-29T01:30:00.000Z');
+  // 01:30 happens twice on 25 October; the first one wins
+  assert.equal(zonedTimeToUtc('2026-10-25', { hours: 1, minutes: 30 }, 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('localDateTime shows an instant in another zone', () => {
+  const local = localDateTime(new Date('2026-07-15T22:30:00Z'), 'Asia/Tokyo');
+  assert.deepEqual(local, { timeZone: 'Asia/Tokyo', date: '2026-07-16', time: '07:30', offset: '+09:00', local: '2026-07-16T07:30:00+09:00' });
+});
+
+test('event instants cover the duration, all-day events whole local days', () => {
+  const event = { eventDate: '2026-03-02', eventTime: '18:00', timeZone: 'America/New_York', durationMinutes: 90 };
+  const { startsAt, endsAt } = occurrenceInstants(event, '2026-03-02');
+  assert.equal(startsAt.toISOString(), '2026-03-02T23:00:00.000Z');
+  assert.equal(endsAt.toISOString(), '2026-03-03T00:30:00.000Z');
+  assert.equal(timingAt(startsAt, endsAt, new Date('2026-03-03T00:00:00Z')), 'ongoing');
+  assert.equal(timingAt(startsAt, endsAt, new Date('2026-03-03T00:30:00Z')), 'past');
+
+  const allDay = occurrenceInstants({ ...event, allDay: true }, '2026-03-02');
+  assert.equal(allDay.startsAt.toISOString(), '2026-03-02T05:00:00.000Z');
+  assert.equal(allDay.endsAt.toISOString(), '2026-03-03T05:00:00.000Z');
+
+  const series = scheduleInstants({ ...event, recurrence: { frequency: 'weekly', interval: 1, byDay: [], count: 3, exceptions: [] }, occurrences: [] });
+  // New York moves to summer time on 8 March, so the last occurrence ends an hour earlier in UTC
+  assert.equal(series.seriesEndsAt.toISOString(), '2026-03-16T23:30:00.000Z');
+  assert.equal(scheduleInstants({ ...event, recurrence: { frequency: 'daily', interval: 1 }, occurrences: [] }).seriesEndsAt, null);
+});
+
+test('describeTimes gives the event zone and the viewer zone', () => {
+  const times = describeTimes(new Date('2026-03-02T23:00:00Z'), null, 'America/New_York', 'Europe/London');
+  assert.equal(times.event.start.local, '2026-03-02T18:00:00-05:00');
+  assert.equal(times.viewer.start.local, '2026-03-02T23:00:00+00:00');
+});
+
+test('validateEventTiming normalises times and checks zones and durations', () => {
+  assert.deepEqual(validateEventTiming({ eventDate: '2026-03-02', eventTime: '6:30 PM EST' }), {
+    eventDate: '2026-03-02', eventTime: '18:30', timeZone: 'America/New_York', durationMinutes: 60, allDay: false,
+  });
+  const fromInstants = validateEventTiming({ startsAt: '2026-07-15T17:30:00Z', endsAt: '2026-07-15T19:00:00Z', timeZone: 'Europe/London' });
+  assert.equal(fromInstants.eventTime, '18:30');
+  assert.equal(fromInstants.durationMinutes, 90);
+  assert.equal(validateEventTiming({ eventDate: '2026-03-02' }).allDay, true);
+
+  assert.throws(() => validateEventTiming({ eventDate: '2026-03-02', timeZone: 'Mars/Base' }), (err) => err.status === 400);
+  assert.throws(() => validateEventTiming({ eventDate: '2026-03-02', eventTime: 'soon' }), (err) => err.status === 400);
+  assert.throws(() => validateEventTiming({ eventDate: '2026-03-02', eventTime: '10:00', durationMinutes: 0 }), (err) => err.status === 400);
+});